@@ -0,0 +1,13 @@
+const asyncHandler = require('express-async-handler');
+const { getJobStatuses } = require('../utils/scheduler');
+
+// @desc    Get the last and next run of every background job
+// @route   GET /api/admin/jobs
+// @access  Private/Admin
+const getJobs = asyncHandler(async (req, res) => {
+  res.json(await getJobStatuses());
+});
+
+module.exports = {
+  getJobs
+};
@@ -0,0 +1,153 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const Question = require('../models/Question');
+const QuestionFeedback = require('../models/QuestionFeedback');
+const { updateQuestionRatings, clearQuestionFlags } = require('../utils/questionRatings');
+
+const RATINGS = ['up', 'down'];
+
+// @desc    Rate or flag the question played in a round
+// @route   POST /api/rooms/:id/feedback
+// @access  Private (players in the room)
+// @body    round, rating=up|down|null, flagged, reason
+const submitFeedback = asyncHandler(async (req, res) => {
+  const { rating = null, flagged = false, reason } = req.body || {};
+  const userId = req.user._id.toString();
+
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid room ID');
+  }
+
+  if (rating !== null && !RATINGS.includes(rating)) {
+    res.status(400);
+    throw new Error('Rating must be up, down or null');
+  }
+
+  if (typeof flagged !== 'boolean') {
+    res.status(400);
+    throw new Error('Flagged must be true or false');
+  }
+
+  if (reason !== undefined && (typeof reason !== 'string' || reason.length > 200)) {
+    res.status(400);
+    throw new Error('Reasons can be at most 200 characters');
+  }
+
+  const room = await Room.findById(req.params.id);
+  if (!room) {
+    res.status(404);
+    throw new Error('Room not found');
+  }
+
+  if (!room.players.some(p => p.user.toString() === userId)) {
+    res.status(403);
+    throw new Error('You are not a player in this room');
+  }
+
+  const round = req.body?.round !== undefined ? parseInt(req.body.round) : room.currentRound;
+  if (!(round >= 1 && round <= room.currentRound)) {
+    res.status(400);
+    throw new Error('That round has not been played');
+  }
+
+  // The current round can be rated once its results are up
+  if (round === room.currentRound && room.status === 'playing' && room.roundPhase !== 'results') {
+    res.status(409);
+    throw new Error('Questions can be rated once the round is over');
+  }
+
+  const questionId = room.questions[round - 1];
+  if (!questionId) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+
+  const feedback = await QuestionFeedback.findOneAndUpdate(
+    { question: questionId, user: req.user._id },
+    {
+      $set: {
+        room: room._id,
+        round,
+        rating,
+        flagged,
+        flagReason: flagged ? reason?.trim() : undefined
+      }
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  const question = await updateQuestionRatings(questionId);
+
+  res.json({
+    round,
+    rating: feedback.rating,
+    flagged: feedback.flagged,
+    ratings: question?.ratings
+  });
+});
+
+// @desc    List flagged questions, hidden ones first
+// @route   GET /api/moderation/questions/flagged
+// @access  Private/Moderator
+// @query   page, limit
+const listFlaggedQuestions = asyncHandler(async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const filter = { 'ratings.flags': { $gt: 0 }, isArchived: { $ne: true } };
+
+  const [questions, total] = await Promise.all([
+    Question.find(filter)
+      .sort({ isHidden: -1, 'ratings.flags': -1, updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    Question.countDocuments(filter)
+  ]);
+
+  // Include what players said when flagging
+  const reports = await QuestionFeedback.find({
+    question: { $in: questions.map(q => q._id) },
+    flagged: true
+  })
+    .select('question flagReason createdAt')
+    .sort({ createdAt: -1 });
+
+  for (const question of questions) {
+    question.flagReasons = reports
+      .filter(r => r.question.toString() === question._id.toString() && r.flagReason)
+      .map(r => r.flagReason);
+  }
+
+  res.json({
+    questions,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+// @desc    Dismiss the flags on a question and show it again
+// @route   POST /api/moderation/questions/:id/clear-flags
+// @access  Private/Moderator
+const clearFlags = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid question ID');
+  }
+
+  const question = await clearQuestionFlags(req.params.id);
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+
+  res.json(question);
+});
+
+module.exports = {
+  submitFeedback,
+  listFlaggedQuestions,
+  clearFlags
+};
@@ -1,15 +1,19 @@
 const asyncHandler = require('express-async-handler');
 const Room = require('../models/Room');
 const Question = require('../models/Question');
-const User = require('../models/User');
+const { recordAnswer, haveAllPresentPlayersAnswered, advanceRound } = require('../utils/gameRound');
+const { getAnswerSpeedBonus } = require('../utils/scoring');
+const { BANK_FILTER } = require('../utils/questionSelection');
+const { getQuestionText } = require('../utils/languages');
+const { startRoundTimer, stopRoundTimer, closeRound, announceRound } = require('../socket/roundTimer');
 
 // @desc    Get random questions
 // @route   GET /api/questions
 // @access  Public
 const getRandomQuestions = asyncHandler(async (req, res) => {
-  const { count = 10, category } = req.query;
+  const { count = 10, category, language } = req.query;
 
-  const filter = {};
+  const filter = { ...BANK_FILTER };
   if (category) {
     filter.category = category;
   }
@@ -17,23 +21,27 @@ const getRandomQuestions = asyncHandler(async (req, res) => {
   const questions = await Question.aggregate([
     { $match: filter },
     { $sample: { size: parseInt(count) } },
-    { $project: { text: 1, category: 1, difficulty: 1 } }
+    { $project: { text: 1, translations: 1, category: 1, difficulty: 1 } }
   ]);
 
-  res.json(questions);
+  res.json(questions.map(({ translations, ...question }) => ({
+    ...question,
+    text: getQuestionText({ ...question, translations }, language)
+  })));
 });
 
 // @desc    Submit an answer to a question
 // @route   POST /api/rooms/:id/answers
-// @access  Public
+// @access  Private
 const submitAnswer = asyncHandler(async (req, res) => {
-  const { userId, answer, timestamp } = req.body;
+  const { answer } = req.body;
+  const userId = req.user._id.toString();
   const roomId = req.params.id;
 
   // Validate required fields
-  if (!userId || answer === undefined) {
+  if (answer === undefined) {
     res.status(400);
-    throw new Error('Please provide userId and answer');
+    throw new Error('Please provide an answer');
   }
 
   // Find room
@@ -59,147 +67,58 @@ const submitAnswer = asyncHandler(async (req, res) => {
     throw new Error('You are not in this room');
   }
 
-  // Check if user already answered this question in this round
-  const existingAnswer = room.answers.find(
-    a => a.user.toString() === userId &&
-      a.question.toString() === room.currentQuestion.toString() &&
-      a.round === room.currentRound
-  );
-
-  if (existingAnswer) {
-    res.status(400);
-    throw new Error('You have already answered this question');
+  if (room.pausedAt) {
+    res.status(409);
+    throw new Error('The game is paused');
   }
 
+  // The server clock decides when answers are accepted
   const currentTime = Date.now();
-  // If timestamp is provided from client, use it; otherwise use server time
-  const clientTimestamp = timestamp || currentTime;
-  const questionStartTime = room.questionStartTime || clientTimestamp;
-  const responseTimeSeconds = (clientTimestamp - questionStartTime) / 1000;
-
-  // Add the answer
-  room.answers.push({
-    user: userId,
-    question: room.currentQuestion,
-    answer: answer,
-    round: room.currentRound,
-    answeredAt: new Date(clientTimestamp),
-    responseTimeSeconds: responseTimeSeconds
-  });
 
-  let speedBonus = 0;
-  if (responseTimeSeconds < 5) {
-    speedBonus = 3;  // Fast response bonus
-  } else if (responseTimeSeconds <= 15) {
-    speedBonus = 1;  // Medium speed bonus
+  if (currentTime < room.questionStartTime.getTime()) {
+    res.status(400);
+    throw new Error('Answers open after the reading period');
   }
 
-  // Update streak for this player
-  room.players[playerIndex].answerStreak = room.players[playerIndex].answerStreak + 1;
+  if (room.roundPhase === 'results' ||
+    (room.roundEndsAt && currentTime > room.roundEndsAt.getTime())) {
+    res.status(400);
+    throw new Error('Time is up for this round');
+  }
 
-  await room.save();
+  // Add the answer; the insert fails if this player already answered this round
+  const savedAnswer = await recordAnswer(room, userId, answer, currentTime);
 
-  // Check if all players have answered
-  const currentRoundAnswers = room.answers.filter(
-    a => a.question.toString() === room.currentQuestion.toString() &&
-      a.round === room.currentRound
-  );
+  if (!savedAnswer) {
+    res.status(409);
+    throw new Error('You have already answered this question');
+  }
 
-  const allPlayersAnswered = currentRoundAnswers.length === room.players.length;
+  const { responseTimeSeconds } = savedAnswer;
+
+  // Close the round early once everyone still around has answered
+  const allPlayersAnswered = await haveAllPresentPlayersAnswered(room);
 
-  // If all players answered, calculate points for this round
   if (allPlayersAnswered) {
-    // Calculate how many players answered "Yes"
-    const yesAnswers = currentRoundAnswers.filter(a => a.answer === true).length;
-    // const pointsToAward = 10;
-    const basePoints = 10;
-
-    // Award points based on whether player is in majority or minority
-    for (const answer of currentRoundAnswers) {
-      const playerIndex = room.players.findIndex(
-        p => p.user.toString() === answer.user.toString()
-      );
-
-      if (playerIndex !== -1) {
-        const isInMinority = (yesAnswers < room.players.length / 2 && answer.answer === true) ||
-          (yesAnswers > room.players.length / 2 && answer.answer === false);
-
-        // Award points to minority answers
-        if (isInMinority) {
-          let pointsToAward = basePoints + 2;
-
-          // Find this player's answer to get the speed bonus
-          const playerAnswer = currentRoundAnswers.find(a => a.user.toString() === answer.user.toString());
-          if (playerAnswer) {
-            if (playerAnswer.responseTimeSeconds < 5) {
-              pointsToAward += 3;  // Fast response bonus
-            } else if (playerAnswer.responseTimeSeconds <= 15) {
-              pointsToAward += 1;  // Medium speed bonus
-            }
-          }
-          room.players[playerIndex].points += pointsToAward;
-
-          // Also update user's total points in their profile
-          await User.findByIdAndUpdate(answer.user, {
-            $inc: {
-              points: pointsToAward,
-              dailyPoints: pointsToAward,
-              'stats.totalPoints': pointsToAward
-            }
-          });
-        }
-        else {
-          // Even if not in minority, still award base +2 points + speed bonus
-          let participationPoints = 2; // Base for participation
-
-          // Find this player's answer to get the speed bonus
-          const playerAnswer = currentRoundAnswers.find(a => a.user.toString() === answer.user.toString());
-          if (playerAnswer) {
-            if (playerAnswer.responseTimeSeconds < 5) {
-              participationPoints += 3;  // Fast response bonus
-            } else if (playerAnswer.responseTimeSeconds <= 15) {
-              participationPoints += 1;  // Medium speed bonus
-            }
-          }
-
-          room.players[playerIndex].points += participationPoints;
-
-          // Update user profile with participation points
-          await User.findByIdAndUpdate(answer.user, {
-            $inc: {
-              points: participationPoints,
-              dailyPoints: participationPoints,
-              'stats.totalPoints': participationPoints
-            }
-          });
-
-        }
-      }
-    }
-
-    await room.save();
+    await closeRound(roomId, room.currentRound);
   }
 
   res.status(200).json({
     message: 'Answer submitted successfully',
     allPlayersAnswered,
     responseTime: responseTimeSeconds,
-    speedBonus: speedBonus
+    speedBonus: getAnswerSpeedBonus(responseTimeSeconds, room.settings)
   });
 });
 
 // @desc    Advance to next round
 // @route   POST /api/rooms/:id/next-round
-// @access  Public
+// @access  Private
 const nextRound = asyncHandler(async (req, res) => {
-  const { userId } = req.body;
+  const userId = req.user._id.toString();
   const roomId = req.params.id;
-
-  // Validate required fields
-  if (!userId) {
-    res.status(400);
-    throw new Error('Please provide userId');
-  }
+  // The round the host is looking at, so a repeated click can't skip a question
+  const { round } = req.body || {};
 
   // Find room
   const room = await Room.findById(roomId);
@@ -220,78 +139,47 @@ const nextRound = asyncHandler(async (req, res) => {
     throw new Error('Only the host can advance to the next round');
   }
 
-  // Check if all players have answered the current question
-  const currentRoundAnswers = room.answers.filter(
-    a => a.question.toString() === room.currentQuestion.toString() &&
-      a.round === room.currentRound
-  );
+  if (room.pausedAt) {
+    res.status(409);
+    throw new Error('The game is paused');
+  }
 
-  if (currentRoundAnswers.length < room.players.length) {
+  // Wait until the round has been closed and scored
+  if (room.roundPhase !== 'results') {
     res.status(400);
-    throw new Error('All players must answer before advancing to the next round');
+    throw new Error('Wait for the current round to finish before advancing');
   }
 
-  // Reset streaks for players who answered incorrectly or were in majority
-  const yesAnswers = currentRoundAnswers.filter(a => a.answer === true).length;
-
-  for (const player of room.players) {
-    const playerAnswer = currentRoundAnswers.find(
-      a => a.user.toString() === player.user.toString()
-    );
-
-    if (playerAnswer) {
-      const isInMinority = (yesAnswers < room.players.length / 2 && playerAnswer.answer === true) ||
-        (yesAnswers > room.players.length / 2 && playerAnswer.answer === false);
-
-      // If not in minority, reset streak
-      if (!isInMinority) {
-        const playerIndex = room.players.findIndex(
-          p => p.user.toString() === player.user.toString()
-        );
-        if (playerIndex !== -1) {
-          room.players[playerIndex].answerStreak = 0;
-        }
-      }
-    }
+  if (round !== undefined && Number(round) !== room.currentRound) {
+    res.status(409);
+    throw new Error('This round has already been advanced');
+  }
+
+  // Only one request can move the room on from this round
+  const advancedRoom = await advanceRound(roomId, room.currentRound);
+
+  if (!advancedRoom) {
+    res.status(409);
+    throw new Error('This round has already been advanced');
   }
 
-  // Increment round counter
-  room.currentRound += 1;
-
-  // Check if game is over
-  if (room.currentRound > room.maxRounds) {
-    room.status = 'completed';
-
-    // Update stats for all players
-    for (const player of room.players) {
-      await User.findByIdAndUpdate(player.user, {
-        $inc: { 'stats.gamesPlayed': 1 }
-      });
-    }
-
-    // Find the winner(s) and update their stats
-    const maxPoints = Math.max(...room.players.map(p => p.points));
-    const winners = room.players.filter(p => p.points === maxPoints);
-
-    for (const winner of winners) {
-      await User.findByIdAndUpdate(winner.user, {
-        $inc: { 'stats.gamesWon': 1 }
-      });
-    }
+  // Restart the server clock for the new round
+  if (advancedRoom.status === 'playing') {
+    await startRoundTimer(roomId);
   } else {
-    // Set the next question
-    room.currentQuestion = room.questions[room.currentRound - 1];
-    room.questionStartTime = Date.now();
+    stopRoundTimer(roomId);
   }
 
-  await room.save();
+  // Broadcast the new round, or the final standings
+  await announceRound(roomId);
 
   res.json({
-    message: room.status === 'completed'
+    message: advancedRoom.status === 'completed'
       ? 'Game completed'
       : 'Advanced to next round',
-    currentRound: room.currentRound,
-    isGameOver: room.status === 'completed'
+    currentRound: advancedRoom.currentRound,
+    isGameOver: advancedRoom.status === 'completed',
+    gameResultId: advancedRoom.result
   });
 });
 
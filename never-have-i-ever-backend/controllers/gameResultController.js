@@ -0,0 +1,85 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const GameResult = require('../models/GameResult');
+
+// @desc    Get a finished game's scorecard
+// @route   GET /api/games/:id
+// @access  Private (players of that game)
+const getGameResult = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid game ID');
+  }
+
+  const gameResult = await GameResult.findById(req.params.id)
+    .populate('rounds.answers.user', 'name avatar');
+
+  if (!gameResult) {
+    res.status(404);
+    throw new Error('Game not found');
+  }
+
+  // Answers are personal, so only the players can see the full scorecard
+  const userId = req.user._id.toString();
+  const playedInGame = gameResult.standings.some(
+    standing => standing.user.toString() === userId
+  ) || gameResult.rounds.some(
+    round => round.answers.some(a => a.user?._id.toString() === userId)
+  );
+
+  if (!playedInGame) {
+    res.status(403);
+    throw new Error('You did not play in this game');
+  }
+
+  res.json(gameResult);
+});
+
+// @desc    Get a user's past games
+// @route   GET /api/users/:id/games
+// @access  Private
+const getUserGames = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid user ID');
+  }
+
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const filter = { 'standings.user': req.params.id };
+
+  const [games, total] = await Promise.all([
+    GameResult.find(filter)
+      .select('roomName ruleSet startedAt completedAt standings')
+      .sort({ completedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    GameResult.countDocuments(filter)
+  ]);
+
+  // Summarise each game from the user's point of view
+  const summaries = games.map(game => {
+    const standing = game.standings.find(
+      s => s.user.toString() === req.params.id
+    );
+
+    return {
+      _id: game._id,
+      roomName: game.roomName,
+      ruleSet: game.ruleSet,
+      startedAt: game.startedAt,
+      completedAt: game.completedAt,
+      playerCount: game.standings.length,
+      points: standing?.points || 0,
+      rank: standing?.rank,
+      isWinner: standing?.isWinner || false
+    };
+  });
+
+  res.json({ games: summaries, page, pages: Math.ceil(total / limit), total });
+});
+
+module.exports = {
+  getGameResult,
+  getUserGames
+};
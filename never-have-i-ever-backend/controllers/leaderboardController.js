@@ -1,55 +1,109 @@
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const PointTransaction = require('../models/PointTransaction');
+const { resetDailyPoints: resetAllDailyPoints } = require('../utils/helpers');
+const { getTimezoneOffset } = require('../utils/scheduler');
 
-// @desc    Get global leaderboard
-// @route   GET /api/leaderboard
-// @access  Public
-const getLeaderboard = asyncHandler(async (req, res) => {
-  const { timeFrame = 'day' } = req.query;
+const TIME_FRAMES = ['day', 'week', 'month', 'all'];
 
-  let leaderboard;
+/**
+ * Start of the current day, week (starting Monday) or month in the scheduler's
+ * timezone, so the windows line up with the daily points reset
+ * @param {String} timeFrame - day, week, month or all
+ * @param {Date} now - The current time
+ * @param {String} timeZone - An IANA timezone
+ * @returns {Date|null} - The start of the window, or null for all-time
+ */
+const getTimeFrameStart = (timeFrame, now = new Date(), timeZone = process.env.SCHEDULER_TIMEZONE || 'UTC') => {
+  // Wall-clock time in the timezone, read through the UTC getters
+  const start = new Date(now.getTime() + getTimezoneOffset(now, timeZone));
+  start.setUTCHours(0, 0, 0, 0);
 
   switch (timeFrame) {
     case 'day':
-      // Get daily leaderboard
-      leaderboard = await User.find({ dailyPoints: { $gt: 0 } })
-        .select('name avatar dailyPoints')
-        .sort({ dailyPoints: -1 })
-        .limit(50);
       break;
-      
     case 'week':
-      // For week, we'll use the points field (which is more recent points)
-      leaderboard = await User.find({ points: { $gt: 0 } })
-        .select('name avatar points')
-        .sort({ points: -1 })
-        .limit(50);
+      start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
       break;
-      
-    case 'all':
-      // For all-time, use the stats.totalPoints field
-      leaderboard = await User.find({ 'stats.totalPoints': { $gt: 0 } })
-        .select('name avatar stats.totalPoints')
-        .sort({ 'stats.totalPoints': -1 })
-        .limit(50);
+    case 'month':
+      start.setUTCDate(1);
       break;
-      
     default:
-      leaderboard = await User.find({ dailyPoints: { $gt: 0 } })
-        .select('name avatar dailyPoints')
-        .sort({ dailyPoints: -1 })
-        .limit(50);
+      return null;
+  }
+
+  // Re-check the offset at the result in case a DST change falls in between
+  let instant = start.getTime() - getTimezoneOffset(start, timeZone);
+  instant = start.getTime() - getTimezoneOffset(new Date(instant), timeZone);
+  return new Date(instant);
+};
+
+// @desc    Get global leaderboard
+// @route   GET /api/leaderboard
+// @access  Public
+// @query   timeFrame=day|week|month|all, or from/to dates for a custom range
+const getLeaderboard = asyncHandler(async (req, res) => {
+  const { timeFrame = 'day', from, to } = req.query;
+
+  const createdAt = {};
+
+  if (from || to) {
+    // Custom date range
+    const fromDate = from ? new Date(from) : null;
+    const toDate = to ? new Date(to) : null;
+
+    if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+      res.status(400);
+      throw new Error('Invalid date range');
+    }
+
+    if (fromDate && toDate && fromDate > toDate) {
+      res.status(400);
+      throw new Error('The start of the range must be before its end');
+    }
+
+    if (fromDate) createdAt.$gte = fromDate;
+    if (toDate) createdAt.$lte = toDate;
+  } else {
+    if (!TIME_FRAMES.includes(timeFrame)) {
+      res.status(400);
+      throw new Error(`Time frame must be one of: ${TIME_FRAMES.join(', ')}`);
+    }
+
+    const start = getTimeFrameStart(timeFrame);
+    if (start) createdAt.$gte = start;
   }
 
+  const match = Object.keys(createdAt).length > 0 ? { createdAt } : {};
+
+  // Sum the points ledger per player for the window
+  const leaderboard = await PointTransaction.aggregate([
+    { $match: match },
+    { $group: { _id: '$user', points: { $sum: '$points' } } },
+    { $match: { points: { $gt: 0 } } },
+    { $sort: { points: -1, _id: 1 } },
+    { $limit: 50 },
+    {
+      $lookup: {
+        from: User.collection.name,
+        localField: '_id',
+        foreignField: '_id',
+        as: 'user'
+      }
+    },
+    { $unwind: '$user' },
+    { $project: { name: '$user.name', avatar: '$user.avatar', points: 1 } }
+  ]);
+
   res.json(leaderboard);
 });
 
-// @desc    Reset daily points (This would be called by a scheduler)
+// @desc    Reset daily points now instead of waiting for the daily job
 // @route   POST /api/leaderboard/reset-daily
-// @access  Private/Admin (not exposed directly)
+// @access  Private/Admin
 const resetDailyPoints = asyncHandler(async (req, res) => {
-  await User.updateMany({}, { dailyPoints: 0, lastPointsReset: Date.now() });
-  
+  await resetAllDailyPoints();
+
   res.json({ message: 'Daily points reset successfully' });
 });
 
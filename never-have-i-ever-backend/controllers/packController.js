@@ -0,0 +1,331 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionPack = require('../models/QuestionPack');
+const QuestionSubmission = require('../models/QuestionSubmission');
+const { validateQuestionFields, sameTextFilter } = require('../utils/questionBank');
+const { PLAYABLE_FILTER } = require('../utils/questionSelection');
+
+// Keeps packs small enough to edit in one screen
+const MAX_PACK_QUESTIONS = 200;
+
+const VISIBILITIES = QuestionPack.schema.path('visibility').enumValues;
+
+const isOwner = (pack, user) => pack.owner.toString() === user._id.toString();
+
+// Load a pack by the :id route parameter, responding 400/404 when it can't be found
+const findPack = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid pack ID');
+  }
+
+  const pack = await QuestionPack.findById(req.params.id);
+  if (!pack) {
+    res.status(404);
+    throw new Error('Question pack not found');
+  }
+
+  return pack;
+};
+
+// Load a pack the current user may change
+const findOwnPack = async (req, res) => {
+  const pack = await findPack(req, res);
+
+  if (!isOwner(pack, req.user) && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('Only the owner can change this pack');
+  }
+
+  return pack;
+};
+
+// Check the name, description and visibility fields
+const validatePackFields = ({ name, description, visibility }, isNew) => {
+  if (isNew || name !== undefined) {
+    if (typeof name !== 'string' || !name.trim()) {
+      return 'Please add a pack name';
+    }
+    if (name.trim().length > 60) {
+      return 'Pack names can be at most 60 characters';
+    }
+  }
+
+  if (description !== undefined && description !== null) {
+    if (typeof description !== 'string' || description.trim().length > 200) {
+      return 'Descriptions can be at most 200 characters';
+    }
+  }
+
+  if (visibility !== undefined && !VISIBILITIES.includes(visibility)) {
+    return `Visibility must be one of: ${VISIBILITIES.join(', ')}`;
+  }
+
+  return null;
+};
+
+/**
+ * Filter for the questions a user may put in their packs: playable questions from
+ * the bank or their own packs, and reviewed ones from public packs
+ * @param {String} ownerId - The pack owner
+ * @returns {Promise<Object>} - A Question query filter
+ */
+const getUsableQuestionFilter = async (ownerId) => {
+  const [ownPacks, publicPacks] = await Promise.all([
+    QuestionPack.find({ owner: ownerId }).distinct('_id'),
+    QuestionPack.find({ visibility: 'public' }).distinct('_id')
+  ]);
+
+  return {
+    ...PLAYABLE_FILTER,
+    $or: [
+      { pack: { $in: [null, ...ownPacks] } },
+      { pack: { $in: publicPacks }, isPendingReview: { $ne: true } }
+    ]
+  };
+};
+
+/**
+ * Resolves the question list sent for a pack
+ * @param {QuestionPack} pack - The pack being saved
+ * @param {Array} questionIds - Existing questions to include
+ * @param {Array} newQuestions - { text, category, difficulty } to write for the pack;
+ *   they go to the moderation queue and are only dealt in the owner's rooms until approved
+ * @param {Object} res - Express response, for error status codes
+ * @returns {Promise<Array>} - The question ids, without repeats
+ */
+const resolvePackQuestions = async (pack, questionIds = [], newQuestions = [], res) => {
+  if (!Array.isArray(questionIds) || !Array.isArray(newQuestions)) {
+    res.status(400);
+    throw new Error('Questions must be lists');
+  }
+
+  if (questionIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    res.status(400);
+    throw new Error('Invalid question ID');
+  }
+
+  for (const fields of newQuestions) {
+    const validationError = validateQuestionFields(fields || {}, true);
+    if (validationError) {
+      res.status(400);
+      throw new Error(validationError);
+    }
+  }
+
+  const ids = [...new Set(questionIds.map(id => id.toString()))];
+  const usableFilter = await getUsableQuestionFilter(pack.owner);
+
+  // Questions already in the pack can stay; anything added must be usable by the owner
+  const current = new Set(pack.questions.map(id => id.toString()));
+  const added = ids.filter(id => !current.has(id));
+  if (added.length > 0) {
+    const found = await Question.countDocuments({ _id: { $in: added }, ...usableFilter });
+    if (found !== added.length) {
+      res.status(400);
+      throw new Error('Some of the questions no longer exist or cannot be added to a pack');
+    }
+  }
+
+  if (ids.length + newQuestions.length > MAX_PACK_QUESTIONS) {
+    res.status(400);
+    throw new Error(`Packs can hold at most ${MAX_PACK_QUESTIONS} questions`);
+  }
+
+  for (const { text, category, difficulty } of newQuestions) {
+    // Question text is unique, so a prompt that already exists is reused
+    let question = await Question.findOne(sameTextFilter(text.trim()));
+
+    if (question && !(await Question.exists({ _id: question._id, ...usableFilter }))) {
+      res.status(409);
+      throw new Error(`"${text.trim()}" already exists and cannot be added to a pack`);
+    }
+
+    if (!question) {
+      try {
+        question = await Question.create({
+          text: text.trim(),
+          category: category?.trim(),
+          difficulty,
+          pack: pack._id,
+          isPendingReview: true
+        });
+
+        await QuestionSubmission.create({
+          text: question.text,
+          category: question.category,
+          difficulty: question.difficulty,
+          submittedBy: pack.owner,
+          question: question._id
+        });
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+        question = await Question.findOne(sameTextFilter(text.trim()));
+      }
+    }
+
+    if (!ids.includes(question._id.toString())) {
+      ids.push(question._id.toString());
+    }
+  }
+
+  return ids;
+};
+
+// Summarise a pack for lists: question count and categories instead of the questions
+const summarisePack = (pack) => {
+  const questions = pack.questions.filter(q => q && !q.isArchived && !q.isHidden);
+  const categories = {};
+  for (const question of questions) {
+    categories[question.category] = (categories[question.category] || 0) + 1;
+  }
+
+  return {
+    _id: pack._id,
+    name: pack.name,
+    description: pack.description,
+    owner: pack.owner,
+    visibility: pack.visibility,
+    usageCount: pack.usageCount,
+    questionCount: questions.length,
+    categories: Object.entries(categories)
+      .map(([category, count]) => ({ category, count }))
+      .sort((a, b) => a.category.localeCompare(b.category)),
+    updatedAt: pack.updatedAt
+  };
+};
+
+// @desc    List question packs a host can use
+// @route   GET /api/packs
+// @access  Private
+// @query   scope=all|mine|public (default all: the user's own packs and public ones)
+const getPacks = asyncHandler(async (req, res) => {
+  const { scope = 'all' } = req.query;
+
+  let filter;
+  if (scope === 'mine') {
+    filter = { owner: req.user._id };
+  } else if (scope === 'public') {
+    filter = { visibility: 'public' };
+  } else if (scope === 'all') {
+    filter = { $or: [{ owner: req.user._id }, { visibility: 'public' }] };
+  } else {
+    res.status(400);
+    throw new Error('Scope must be one of: all, mine, public');
+  }
+
+  const packs = await QuestionPack.find(filter)
+    .sort({ updatedAt: -1 })
+    .limit(100)
+    .populate('owner', 'name avatar')
+    .populate('questions', 'category isArchived isHidden');
+
+  res.json(packs.map(summarisePack));
+});
+
+// @desc    Get a question pack with its questions
+// @route   GET /api/packs/:id
+// @access  Private (owner, or anyone for public packs)
+const getPackById = asyncHandler(async (req, res) => {
+  const pack = await findPack(req, res);
+
+  if (pack.visibility !== 'public' && !isOwner(pack, req.user) && req.user.role !== 'admin') {
+    res.status(403);
+    throw new Error('This question pack is private');
+  }
+
+  await pack.populate([
+    { path: 'owner', select: 'name avatar' },
+    { path: 'questions', select: 'text category difficulty isArchived isHidden isPendingReview pack' }
+  ]);
+
+  res.json(pack);
+});
+
+// @desc    Create a question pack
+// @route   POST /api/packs
+// @access  Private
+const createPack = asyncHandler(async (req, res) => {
+  const fields = req.body || {};
+  const { name, description, visibility, questionIds, newQuestions } = fields;
+
+  const validationError = validatePackFields(fields, true);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const pack = new QuestionPack({
+    name: name.trim(),
+    description: description?.trim(),
+    visibility,
+    owner: req.user._id
+  });
+  pack.questions = await resolvePackQuestions(pack, questionIds, newQuestions, res);
+
+  await pack.save();
+
+  res.status(201).json(pack);
+});
+
+// @desc    Update a question pack; questionIds replaces the list, newQuestions are added
+// @route   PUT /api/packs/:id
+// @access  Private (owner or admin)
+const updatePack = asyncHandler(async (req, res) => {
+  const fields = req.body || {};
+  const { name, description, visibility, questionIds, newQuestions } = fields;
+
+  const validationError = validatePackFields(fields, false);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const pack = await findOwnPack(req, res);
+
+  if (name !== undefined) pack.name = name.trim();
+  if (description !== undefined) pack.description = description?.trim();
+  if (visibility !== undefined) pack.visibility = visibility;
+
+  if (questionIds !== undefined || newQuestions !== undefined) {
+    pack.questions = await resolvePackQuestions(
+      pack,
+      questionIds !== undefined ? questionIds : pack.questions,
+      newQuestions,
+      res
+    );
+  }
+
+  await pack.save();
+
+  res.json(pack);
+});
+
+// @desc    Delete a question pack
+// @route   DELETE /api/packs/:id
+// @access  Private (owner or admin)
+const deletePack = asyncHandler(async (req, res) => {
+  const pack = await findOwnPack(req, res);
+
+  // Questions written for the pack stay for game history but are no longer dealt
+  await Question.updateMany(
+    { pack: pack._id, isArchived: { $ne: true } },
+    { $set: { isArchived: true, archivedAt: Date.now() } }
+  );
+
+  // Nor do they need reviewing any more
+  const packQuestions = await Question.find({ pack: pack._id }).distinct('_id');
+  await QuestionSubmission.deleteMany({ question: { $in: packQuestions }, status: 'pending' });
+  await pack.deleteOne();
+
+  res.json({ message: 'Question pack deleted' });
+});
+
+module.exports = {
+  getPacks,
+  getPackById,
+  createPack,
+  updatePack,
+  deletePack
+};
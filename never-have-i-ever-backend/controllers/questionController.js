@@ -0,0 +1,280 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const {
+  FORMATS,
+  validateQuestionFields,
+  applyTranslations,
+  parseQuestionFile,
+  importQuestions: importQuestionRows,
+  exportQuestions: exportQuestionFile
+} = require('../utils/questionBank');
+const { DIFFICULTY_MIXES, BANK_FILTER, getCategories } = require('../utils/questionSelection');
+
+// Escape user input for use in a regular expression
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Load a question by the :id route parameter, responding 400/404 when it can't be found
+const findQuestion = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid question ID');
+  }
+
+  const question = await Question.findById(req.params.id);
+  if (!question) {
+    res.status(404);
+    throw new Error('Question not found');
+  }
+
+  return question;
+};
+
+// Save a question, turning a duplicate text into a 409
+const saveQuestion = async (question, res) => {
+  try {
+    return await question.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('A question with this text already exists');
+    }
+    throw error;
+  }
+};
+
+// @desc    List question categories with how many questions each has
+// @route   GET /api/questions/categories
+// @access  Public
+const getQuestionCategories = asyncHandler(async (req, res) => {
+  res.json(await getCategories());
+});
+
+// @desc    List the difficulty mixes a room can use
+// @route   GET /api/questions/difficulty-mixes
+// @access  Public
+const getDifficultyMixes = asyncHandler(async (req, res) => {
+  res.json(
+    Object.entries(DIFFICULTY_MIXES).map(([key, mix]) => ({
+      key,
+      name: mix.name,
+      description: mix.description
+    }))
+  );
+});
+
+// @desc    Search the question bank, for adding questions to a pack
+// @route   GET /api/questions/search
+// @access  Private
+// @query   search, category
+const searchQuestions = asyncHandler(async (req, res) => {
+  const { search, category } = req.query;
+
+  const filter = { ...BANK_FILTER };
+  if (search) {
+    filter.text = { $regex: escapeRegExp(search), $options: 'i' };
+  }
+  if (category) {
+    filter.category = category;
+  }
+
+  const questions = await Question.find(filter)
+    .select('text category difficulty')
+    .sort({ text: 1 })
+    .limit(20);
+
+  res.json(questions);
+});
+
+// @desc    List questions
+// @route   GET /api/admin/questions
+// @access  Private/Admin
+// @query   page, limit, search, category, difficulty, status=active|archived|all
+const listQuestions = asyncHandler(async (req, res) => {
+  const { search, category, difficulty, status = 'active' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  const filter = {};
+
+  if (status === 'active') {
+    filter.isArchived = { $ne: true };
+  } else if (status === 'archived') {
+    filter.isArchived = true;
+  } else if (status !== 'all') {
+    res.status(400);
+    throw new Error('Status must be one of: active, archived, all');
+  }
+
+  if (search) {
+    filter.text = { $regex: escapeRegExp(search), $options: 'i' };
+  }
+  if (category) {
+    filter.category = category;
+  }
+  if (difficulty) {
+    filter.difficulty = difficulty;
+  }
+
+  const [questions, total] = await Promise.all([
+    Question.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    Question.countDocuments(filter)
+  ]);
+
+  res.json({
+    questions,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+// @desc    Create a question
+// @route   POST /api/admin/questions
+// @access  Private/Admin
+const createQuestion = asyncHandler(async (req, res) => {
+  const fields = req.body || {};
+  const { text, translations, category, difficulty, pointValue } = fields;
+
+  const validationError = validateQuestionFields(fields, true);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const question = new Question({
+    text: text.trim(),
+    category: category?.trim(),
+    difficulty,
+    pointValue
+  });
+  applyTranslations(question, translations);
+
+  res.status(201).json(await saveQuestion(question, res));
+});
+
+// @desc    Update a question's text, translations, category, difficulty or points
+// @route   PUT /api/admin/questions/:id
+// @access  Private/Admin
+const updateQuestion = asyncHandler(async (req, res) => {
+  const fields = req.body || {};
+  const { text, translations, category, difficulty, pointValue } = fields;
+
+  const validationError = validateQuestionFields(fields, false);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+
+  const question = await findQuestion(req, res);
+
+  if (text !== undefined) question.text = text.trim();
+  if (category !== undefined) question.category = category.trim();
+  if (difficulty !== undefined) question.difficulty = difficulty;
+  if (pointValue !== undefined) question.pointValue = pointValue;
+  if (translations !== undefined) applyTranslations(question, translations);
+
+  res.json(await saveQuestion(question, res));
+});
+
+// @desc    Archive a question so it is no longer dealt into new rooms
+// @route   POST /api/admin/questions/:id/archive
+// @route   POST /api/moderation/questions/:id/archive
+// @access  Private/Admin, Private/Moderator
+const archiveQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestion(req, res);
+
+  if (!question.isArchived) {
+    question.isArchived = true;
+    question.archivedAt = Date.now();
+    await question.save();
+  }
+
+  res.json(question);
+});
+
+// @desc    Bring an archived question back into play
+// @route   POST /api/admin/questions/:id/restore
+// @access  Private/Admin
+const restoreQuestion = asyncHandler(async (req, res) => {
+  const question = await findQuestion(req, res);
+
+  if (question.isArchived) {
+    question.isArchived = false;
+    question.archivedAt = undefined;
+    await question.save();
+  }
+
+  res.json(question);
+});
+
+// @desc    Import questions from a CSV or JSON file
+// @route   POST /api/admin/questions/import
+// @access  Private/Admin
+// @body    CSV (Content-Type: text/csv) or JSON (an array, or { questions: [...] })
+const importQuestions = asyncHandler(async (req, res) => {
+  const format = req.is('application/json') ? 'json' : 'csv';
+
+  if (format === 'csv' && typeof req.body !== 'string') {
+    res.status(400);
+    throw new Error('Send the file as text/csv or application/json');
+  }
+
+  let rows;
+  try {
+    rows = parseQuestionFile(req.body, format);
+  } catch (error) {
+    res.status(400);
+    throw new Error(`Could not read the file: ${error.message}`);
+  }
+
+  const report = await importQuestionRows(rows);
+
+  res.json(report);
+});
+
+// @desc    Export the question bank as CSV or JSON
+// @route   GET /api/admin/questions/export
+// @access  Private/Admin
+// @query   format=csv|json, status=active|archived|all (default all)
+const exportQuestions = asyncHandler(async (req, res) => {
+  const { format = 'csv', status = 'all' } = req.query;
+
+  if (!FORMATS.includes(format)) {
+    res.status(400);
+    throw new Error(`Format must be one of: ${FORMATS.join(', ')}`);
+  }
+
+  const filter = {};
+  if (status === 'active') {
+    filter.isArchived = { $ne: true };
+  } else if (status === 'archived') {
+    filter.isArchived = true;
+  } else if (status !== 'all') {
+    res.status(400);
+    throw new Error('Status must be one of: active, archived, all');
+  }
+
+  const file = await exportQuestionFile(format, filter);
+  const date = new Date().toISOString().slice(0, 10);
+
+  res.attachment(`questions-${date}.${format}`);
+  res.type(format === 'json' ? 'application/json' : 'text/csv');
+  res.send(file);
+});
+
+module.exports = {
+  getQuestionCategories,
+  getDifficultyMixes,
+  searchQuestions,
+  listQuestions,
+  createQuestion,
+  updateQuestion,
+  archiveQuestion,
+  restoreQuestion,
+  importQuestions,
+  exportQuestions
+};
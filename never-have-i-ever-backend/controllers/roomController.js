@@ -1,17 +1,50 @@
 const asyncHandler = require('express-async-handler');
 const Room = require('../models/Room');
-const User = require('../models/User');
-const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const QuestionPack = require('../models/QuestionPack');
 const mongoose = require('mongoose');
+const { startRoundTimer, settleRound, announceHostChange } = require('../socket/roundTimer');
+const { announcePlayerRemoved } = require('../socket/gameHandlers');
+const { getRoundAnswers, removePlayer } = require('../utils/gameRound');
+const { updateRoom } = require('../utils/roomUpdate');
+const { isSupportedLanguage, localizeQuestion } = require('../utils/languages');
+const { RULE_SETS, STREAK_MODES, getRuleSet } = require('../utils/scoring');
+const { ABSENT_PLAYER_POLICIES } = require('../utils/presence');
+const { removeFromRoom, transferHost, isBannedFrom } = require('../utils/roomModeration');
+const { startRoomGame } = require('../utils/gameStart');
+const {
+  DIFFICULTY_MIXES,
+  selectQuestions,
+  getPackQuestionIds
+} = require('../utils/questionSelection');
 
 // @desc    Create a new room
 // @route   POST /api/rooms
-// @access  Public
+// @access  Private
 const createRoom = asyncHandler(async (req, res) => {
-  const { name, type, maxPlayers, maxRounds, passcode, userId } = req.body;
+  const {
+    name,
+    type,
+    maxPlayers,
+    maxRounds,
+    passcode,
+    readingSeconds,
+    answerSeconds,
+    autoAdvance,
+    autoStartSeconds,
+    ruleSet,
+    streakMode,
+    categories = [],
+    difficultyMix,
+    questionPacks = [],
+    language = req.user.language,
+    absentPlayerPolicy,
+    maxMissedRounds
+  } = req.body;
+  const userId = req.user._id;
 
   // Validate required fields
-  if (!name || !type || !maxPlayers || !maxRounds || !userId) {
+  if (!name || !type || !maxPlayers || !maxRounds) {
     res.status(400);
     throw new Error('Please provide all required fields');
   }
@@ -22,13 +55,63 @@ const createRoom = asyncHandler(async (req, res) => {
     throw new Error('Private rooms require a passcode');
   }
 
-  // Verify user exists
-  const user = await User.findById(userId);
-  if (!user) {
-    res.status(404);
-    throw new Error('User not found');
+  // Check the scoring rule set
+  if (ruleSet && !RULE_SETS[ruleSet]) {
+    res.status(400);
+    throw new Error('Unknown scoring rule set');
+  }
+
+  if (streakMode && !STREAK_MODES.includes(streakMode)) {
+    res.status(400);
+    throw new Error('Unknown streak bonus mode');
+  }
+
+  const rounds = parseInt(maxRounds);
+  if (!(rounds >= 1 && rounds <= 20)) {
+    res.status(400);
+    throw new Error('Rounds must be between 1 and 20');
+  }
+
+  if (!Array.isArray(categories) || categories.some(c => typeof c !== 'string')) {
+    res.status(400);
+    throw new Error('Categories must be a list of category names');
   }
 
+  if (difficultyMix && !DIFFICULTY_MIXES[difficultyMix]) {
+    res.status(400);
+    throw new Error('Unknown difficulty mix');
+  }
+
+  if (language && !isSupportedLanguage(language)) {
+    res.status(400);
+    throw new Error('Unsupported language');
+  }
+
+  if (absentPlayerPolicy && !ABSENT_PLAYER_POLICIES.includes(absentPlayerPolicy)) {
+    res.status(400);
+    throw new Error('Unknown absent player policy');
+  }
+
+  const missedRounds = maxMissedRounds !== undefined ? parseInt(maxMissedRounds) : undefined;
+  if (missedRounds !== undefined && !(missedRounds >= 1 && missedRounds <= 10)) {
+    res.status(400);
+    throw new Error('Missed rounds must be between 1 and 10');
+  }
+
+  // Deal from the host's chosen packs, or the whole bank when none are chosen
+  const questionIds = questionPacks.length > 0
+    ? await getPackQuestionIds(questionPacks, req.user)
+    : undefined;
+
+  // Pick the questions first so a room is never created without enough of them
+  const questions = await selectQuestions({
+    count: rounds,
+    categories,
+    difficultyMix,
+    questionIds,
+    playerIds: [userId]
+  });
+
   // Create room
   const room = await Room.create({
     name,
@@ -36,17 +119,27 @@ const createRoom = asyncHandler(async (req, res) => {
     passcode: type === 'private' ? passcode : undefined,
     host: userId,
     maxPlayers: parseInt(maxPlayers),
-    maxRounds: parseInt(maxRounds),
-    players: [{ user: userId, points: 0, isReady: true }]
+    maxRounds: rounds,
+    settings: {
+      readingSeconds: readingSeconds !== undefined ? parseInt(readingSeconds) : undefined,
+      answerSeconds: answerSeconds !== undefined ? parseInt(answerSeconds) : undefined,
+      autoAdvance: autoAdvance !== undefined ? Boolean(autoAdvance) : undefined,
+      autoStartSeconds: autoStartSeconds !== undefined ? parseInt(autoStartSeconds) : undefined,
+      ruleSet,
+      streak: { mode: streakMode },
+      absentPlayers: { policy: absentPlayerPolicy, maxMissedRounds: missedRounds },
+      categories,
+      questionPacks,
+      difficultyMix,
+      language
+    },
+    players: [{ user: userId, points: 0, isReady: true }],
+    questions
   });
 
-  // Get random questions for the room
-  const questions = await Question.aggregate([
-    { $sample: { size: parseInt(maxRounds) } }
-  ]);
-
-  room.questions = questions.map(q => q._id);
-  await room.save();
+  if (questionPacks.length > 0) {
+    await QuestionPack.updateMany({ _id: { $in: questionPacks } }, { $inc: { usageCount: 1 } });
+  }
 
   res.status(201).json({
     _id: room._id,
@@ -54,6 +147,7 @@ const createRoom = asyncHandler(async (req, res) => {
     type: room.type,
     maxPlayers: room.maxPlayers,
     maxRounds: room.maxRounds,
+    settings: room.settings,
     status: room.status
   });
 });
@@ -93,7 +187,7 @@ const getPublicRooms = asyncHandler(async (req, res) => {
 
 // @desc    Get room by ID
 // @route   GET /api/rooms/:id
-// @access  Public
+// @access  Public (the host also gets the moderation log)
 const getRoomById = asyncHandler(async (req, res) => {
 
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
@@ -103,12 +197,28 @@ const getRoomById = asyncHandler(async (req, res) => {
   const room = await Room.findById(req.params.id)
     .populate('players.user', 'name avatar')
     .populate('host', 'name avatar')
-    .populate('currentQuestion', 'text category');
+    .populate('currentQuestion', 'text translations category')
+    .populate('auditLog.actor auditLog.target', 'name');
 
   if (room) {
     // Don't send passcode back
     const roomData = room.toObject();
     delete roomData.passcode;
+
+    // Only the host sees who was removed or banned, and why
+    if (!req.user || room.host?._id.toString() !== req.user._id.toString()) {
+      delete roomData.auditLog;
+      delete roomData.bannedUsers;
+    }
+
+    // Everyone in the room sees the prompt in the room's language
+    roomData.currentQuestion = localizeQuestion(room.currentQuestion, room.settings.language);
+
+    // Let clients know which scoring rules apply
+    roomData.scoringRules = getRuleSet(room.settings.ruleSet).rules;
+
+    // Answers for the current round, so clients can show who has answered
+    roomData.answers = await getRoundAnswers(room);
     
     res.json(roomData);
   } else {
@@ -117,9 +227,23 @@ const getRoomById = asyncHandler(async (req, res) => {
   }
 });
 
+// @desc    List the available scoring rule sets
+// @route   GET /api/rooms/rule-sets
+// @access  Public
+const getRuleSets = asyncHandler(async (req, res) => {
+  res.json(
+    Object.entries(RULE_SETS).map(([key, ruleSet]) => ({
+      key,
+      name: ruleSet.name,
+      description: ruleSet.description,
+      rules: ruleSet.rules
+    }))
+  );
+});
+
 // @desc    Join a room
 // @route   POST /api/rooms/:id/join
-// @access  Public
+// @access  Private
 const joinRoom = asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     res.status(400);
@@ -127,22 +251,8 @@ const joinRoom = asyncHandler(async (req, res) => {
   }
   
   const roomId = req.params.id;
-  console.log(req.body)
-  const { userId, passcode} = req.body || {};
-  console.log('joinRoom userId:', userId, 'passcode:', passcode);
-
-  // Validate required fields
-  if (!userId) {
-    res.status(400);
-    throw new Error('Please provide userId');
-  }
-
-  // Verify user exists
-  const user = await User.findById(userId);
-  if (!user) {
-    res.status(404);
-    throw new Error('User not found');
-  }
+  const { passcode } = req.body || {};
+  const userId = req.user._id.toString();
 
   // Find and verify room
   const room = await Room.findById(roomId);
@@ -151,6 +261,11 @@ const joinRoom = asyncHandler(async (req, res) => {
     throw new Error('Room not found');
   }
 
+  if (isBannedFrom(room, userId)) {
+    res.status(403);
+    throw new Error('You have been banned from this room');
+  }
+
   // Check if room is full
   if (room.players.length >= room.maxPlayers) {
     res.status(400);
@@ -181,9 +296,26 @@ const joinRoom = asyncHandler(async (req, res) => {
     throw new Error('You are already in this room');
   }
 
-  // Add player to room
-  room.players.push({ user: userId, points: 0, isReady: false });
-  await room.save();
+  // Add player to room, re-checking the seat count and status in the same
+  // write so two players can't both take the last seat
+  const joinedRoom = await Room.findOneAndUpdate(
+    {
+      _id: roomId,
+      status: 'waiting',
+      'players.user': { $ne: userId },
+      bannedUsers: { $ne: userId },
+      $expr: { $lt: [{ $size: '$players' }, '$maxPlayers'] }
+    },
+    {
+      $push: { players: { user: userId, points: 0, isReady: false } },
+      $inc: { __v: 1 }
+    }
+  );
+
+  if (!joinedRoom) {
+    res.status(409);
+    throw new Error('The room changed while you were joining, please try again');
+  }
 
   res.status(200).json({ message: 'Joined room successfully' });
 });
@@ -214,105 +346,142 @@ const getRoomByPasscode = asyncHandler(async (req, res) => {
 
 // @desc    Leave a room
 // @route   POST /api/rooms/:id/leave
-// @access  Public
+// @access  Private
 const leaveRoom = asyncHandler(async (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     res.status(400);
     throw new Error('Invalid room ID');
   }
   
-  const { userId } = req.body;
+  const userId = req.user._id.toString();
   const roomId = req.params.id;
 
-  // Validate required fields
-  if (!userId) {
-    res.status(400);
-    throw new Error('Please provide userId');
-  }
+  let previousHost;
+
+  const room = await updateRoom(roomId, (current) => {
+    // Check if user is in the room
+    const isPlayer = current.players.some(
+      player => player.user.toString() === userId
+    );
+
+    if (!isPlayer) {
+      res.status(400);
+      throw new Error('You are not in this room');
+    }
+
+    previousHost = current.host.toString();
+    removePlayer(current, userId);
+  });
 
-  // Find room
-  const room = await Room.findById(roomId);
   if (!room) {
     res.status(404);
     throw new Error('Room not found');
   }
 
-  // Check if user is in the room
-  const playerIndex = room.players.findIndex(
-    player => player.user.toString() === userId
-  );
-
-  if (playerIndex === -1) {
-    res.status(400);
-    throw new Error('You are not in this room');
-  }
+  // If no players left, delete the room and its answers, unless someone joined meanwhile
+  if (room.players.length === 0) {
+    const { deletedCount } = await Room.deleteOne({ _id: roomId, players: { $size: 0 } });
 
-  // Remove player from room
-  room.players.splice(playerIndex, 1);
-
-  // If the host leaves, assign a new host or close the room
-  if (room.host.toString() === userId) {
-    if (room.players.length > 0) {
-      room.host = room.players[0].user;
-    } else {
-      // If no players left, delete the room
-      await Room.deleteOne({ _id: roomId });
+    if (deletedCount > 0) {
+      await Answer.deleteMany({ room: roomId });
       return res.json({ message: 'Room closed as there are no players left' });
     }
   }
 
-  await room.save();
+  // The host role passes on when the host leaves
+  if (room.host.toString() !== previousHost) {
+    await announceHostChange(roomId, room.host);
+  }
+
+  // The game may have been waiting on the player who left
+  await settleRound(roomId);
 
   res.json({ message: 'Left room successfully' });
 });
 
-// @desc    Start a game
-// @route   POST /api/rooms/:id/start
-// @access  Public
-const startGame = asyncHandler(async (req, res) => {
+// Checks shared by the host moderation endpoints
+const getModerationRequest = (req, res) => {
   if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     res.status(400);
     throw new Error('Invalid room ID');
   }
-  
-  const { userId } = req.body;
-  const roomId = req.params.id;
 
-  // Validate required fields
-  if (!userId) {
+  const { userId, reason } = req.body || {};
+
+  if (typeof userId !== 'string') {
     res.status(400);
-    throw new Error('Please provide userId');
+    throw new Error('Please provide the user ID');
   }
 
-  // Find room
-  const room = await Room.findById(roomId);
-  if (!room) {
-    res.status(404);
-    throw new Error('Room not found');
+  if (reason !== undefined && typeof reason !== 'string') {
+    res.status(400);
+    throw new Error('Reason must be text');
   }
 
-  // Only host can start the game
-  if (room.host.toString() !== userId) {
-    res.status(403);
-    throw new Error('Only the host can start the game');
+  return { roomId: req.params.id, hostId: req.user._id.toString(), userId, reason };
+};
+
+// @desc    Remove a player from a room
+// @route   POST /api/rooms/:id/kick
+// @access  Private (host)
+const kickPlayer = asyncHandler(async (req, res) => {
+  const { roomId, hostId, userId, reason } = getModerationRequest(req, res);
+
+  await removeFromRoom(roomId, hostId, userId, { reason });
+  await announcePlayerRemoved(req.app.get('io'), roomId, userId, false);
+
+  // The game may have been waiting on the player who was removed
+  await settleRound(roomId);
+
+  res.json({ message: 'Player removed from the room', userId });
+});
+
+// @desc    Ban a user from a room, removing them if they are in it
+// @route   POST /api/rooms/:id/ban
+// @access  Private (host)
+const banPlayer = asyncHandler(async (req, res) => {
+  const { roomId, hostId, userId, reason } = getModerationRequest(req, res);
+
+  const { wasPlayer } = await removeFromRoom(roomId, hostId, userId, { ban: true, reason });
+
+  if (wasPlayer) {
+    await announcePlayerRemoved(req.app.get('io'), roomId, userId, true);
+    await settleRound(roomId);
   }
 
-  // Check if the room has at least 2 players
-  if (room.players.length < 2) {
+  res.json({ message: 'User banned from the room', userId, wasPlayer });
+});
+
+// @desc    Hand the host role to another player
+// @route   POST /api/rooms/:id/transfer-host
+// @access  Private (host)
+const transferRoomHost = asyncHandler(async (req, res) => {
+  const { roomId, hostId, userId } = getModerationRequest(req, res);
+
+  const room = await transferHost(roomId, hostId, userId);
+  await announceHostChange(roomId, room.host);
+
+  res.json({ message: 'Host transferred', host: room.host });
+});
+
+// @desc    Start a game
+// @route   POST /api/rooms/:id/start
+// @access  Private
+const startGame = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
     res.status(400);
-    throw new Error('Need at least 2 players to start');
+    throw new Error('Invalid room ID');
   }
-
-  // Start the game
-  room.status = 'playing';
-  room.currentRound = 1;
   
-  // Set the first question
-  if (room.questions.length > 0) {
-    room.currentQuestion = room.questions[0];
-  }
+  const userId = req.user._id.toString();
+  const roomId = req.params.id;
+  // The host may start before everyone is ready
+  const { force = false } = req.body || {};
+
+  await startRoomGame(roomId, userId, { force: Boolean(force) });
 
-  await room.save();
+  // Start the server-side clock for the first round
+  await startRoundTimer(roomId);
 
   res.json({ message: 'Game started successfully' });
 });
@@ -324,5 +493,9 @@ module.exports = {
   joinRoom,
   leaveRoom,
   startGame,
-  getRoomByPasscode
+  kickPlayer,
+  banPlayer,
+  transferRoomHost,
+  getRoomByPasscode,
+  getRuleSets
 };
\ No newline at end of file
@@ -0,0 +1,272 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionSubmission = require('../models/QuestionSubmission');
+const { validateQuestionFields, sameTextFilter } = require('../utils/questionBank');
+
+// How many submissions a player can have waiting for review at once
+const MAX_PENDING_SUBMISSIONS = 10;
+
+const SUBMISSION_STATUSES = QuestionSubmission.schema.path('status').enumValues;
+
+// Submissions carry the prompt only; point values and translations are set on the question once it's in the bank
+const checkSubmissionFields = (fields, isNew, res) => {
+  if (fields.pointValue !== undefined || fields.translations !== undefined) {
+    res.status(400);
+    throw new Error('Point values and translations can be added once the question is in the bank');
+  }
+
+  const validationError = validateQuestionFields(fields, isNew);
+  if (validationError) {
+    res.status(400);
+    throw new Error(validationError);
+  }
+};
+
+// Load a pending submission by the :id route parameter
+const findPendingSubmission = async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(400);
+    throw new Error('Invalid submission ID');
+  }
+
+  const submission = await QuestionSubmission.findById(req.params.id);
+  if (!submission) {
+    res.status(404);
+    throw new Error('Submission not found');
+  }
+
+  if (submission.status !== 'pending') {
+    res.status(409);
+    throw new Error(`This submission has already been ${submission.status}`);
+  }
+
+  return submission;
+};
+
+// @desc    Suggest a question for the bank
+// @route   POST /api/questions/submissions
+// @access  Private
+const submitQuestion = asyncHandler(async (req, res) => {
+  const fields = req.body || {};
+  const { category, difficulty } = fields;
+
+  checkSubmissionFields(fields, true, res);
+
+  const text = fields.text.trim();
+
+  const pendingCount = await QuestionSubmission.countDocuments({
+    submittedBy: req.user._id,
+    status: 'pending'
+  });
+  if (pendingCount >= MAX_PENDING_SUBMISSIONS) {
+    res.status(429);
+    throw new Error(`You already have ${MAX_PENDING_SUBMISSIONS} questions waiting for review`);
+  }
+
+  if (await Question.exists(sameTextFilter(text))) {
+    res.status(409);
+    throw new Error('This question is already in the question bank');
+  }
+
+  if (await QuestionSubmission.exists({ ...sameTextFilter(text), status: 'pending' })) {
+    res.status(409);
+    throw new Error('Someone has already suggested this question');
+  }
+
+  const submission = await QuestionSubmission.create({
+    text,
+    category: category?.trim(),
+    difficulty,
+    submittedBy: req.user._id
+  });
+
+  res.status(201).json(submission);
+});
+
+// @desc    Get the calling user's submissions
+// @route   GET /api/questions/submissions/mine
+// @access  Private
+const getMySubmissions = asyncHandler(async (req, res) => {
+  const submissions = await QuestionSubmission.find({ submittedBy: req.user._id })
+    .select('-reviewedBy')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  res.json(submissions);
+});
+
+// @desc    List submissions for review
+// @route   GET /api/moderation/submissions
+// @access  Private/Moderator
+// @query   status=pending|approved|rejected (default pending), page, limit
+const listSubmissions = asyncHandler(async (req, res) => {
+  const { status = 'pending' } = req.query;
+  const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+  if (!SUBMISSION_STATUSES.includes(status)) {
+    res.status(400);
+    throw new Error(`Status must be one of: ${SUBMISSION_STATUSES.join(', ')}`);
+  }
+
+  const filter = { status };
+
+  const [submissions, total] = await Promise.all([
+    QuestionSubmission.find(filter)
+      .populate('submittedBy', 'name avatar')
+      .populate('reviewedBy', 'name')
+      // Oldest first, so the queue is worked in order
+      .sort({ createdAt: status === 'pending' ? 1 : -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    QuestionSubmission.countDocuments(filter)
+  ]);
+
+  res.json({
+    submissions,
+    page,
+    pages: Math.ceil(total / limit),
+    total
+  });
+});
+
+// Apply a moderator's edits to a pending submission
+const applyEdits = (submission, fields, res) => {
+  checkSubmissionFields(fields, false, res);
+
+  if (fields.text !== undefined) submission.text = fields.text.trim();
+  if (fields.category !== undefined) submission.category = fields.category.trim();
+  if (fields.difficulty !== undefined) submission.difficulty = fields.difficulty;
+};
+
+// @desc    Edit a pending submission
+// @route   PUT /api/moderation/submissions/:id
+// @access  Private/Moderator
+const updateSubmission = asyncHandler(async (req, res) => {
+  const submission = await findPendingSubmission(req, res);
+
+  applyEdits(submission, req.body || {}, res);
+  await submission.save();
+
+  res.json(submission);
+});
+
+// @desc    Approve a submission, optionally with edits, adding it to the question bank
+//          (or, for one written in a pack, releasing it to every host using the pack)
+// @route   POST /api/moderation/submissions/:id/approve
+// @access  Private/Moderator
+const approveSubmission = asyncHandler(async (req, res) => {
+  const submission = await findPendingSubmission(req, res);
+
+  applyEdits(submission, req.body || {}, res);
+
+  // Claim the submission so two moderators can't both approve it
+  const claimed = await QuestionSubmission.findOneAndUpdate(
+    { _id: submission._id, status: 'pending' },
+    {
+      $set: {
+        text: submission.text,
+        category: submission.category,
+        difficulty: submission.difficulty,
+        status: 'approved',
+        reviewedBy: req.user._id,
+        reviewedAt: Date.now()
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) {
+    res.status(409);
+    throw new Error('This submission has just been reviewed by someone else');
+  }
+
+  let question;
+  try {
+    // A question written in a pack already exists and was only waiting for this review
+    if (claimed.question) {
+      question = await Question.findByIdAndUpdate(
+        claimed.question,
+        {
+          $set: {
+            text: claimed.text,
+            category: claimed.category,
+            difficulty: claimed.difficulty,
+            isPendingReview: false
+          }
+        },
+        { new: true }
+      );
+    }
+
+    if (!question) {
+      question = await Question.create({
+        text: claimed.text,
+        category: claimed.category,
+        difficulty: claimed.difficulty,
+        submittedBy: claimed.submittedBy
+      });
+    }
+  } catch (error) {
+    // Put it back in the queue so it can be edited and approved again
+    await QuestionSubmission.updateOne(
+      { _id: claimed._id },
+      { $set: { status: 'pending' }, $unset: { reviewedBy: 1, reviewedAt: 1 } }
+    );
+
+    if (error.code === 11000) {
+      res.status(409);
+      throw new Error('A question with this text already exists');
+    }
+    throw error;
+  }
+
+  claimed.question = question._id;
+  await claimed.save();
+
+  res.json(claimed);
+});
+
+// @desc    Reject a submission with a reason
+// @route   POST /api/moderation/submissions/:id/reject
+// @access  Private/Moderator
+const rejectSubmission = asyncHandler(async (req, res) => {
+  const { reason } = req.body || {};
+
+  if (typeof reason !== 'string' || !reason.trim()) {
+    res.status(400);
+    throw new Error('Please give a reason for rejecting the question');
+  }
+
+  await findPendingSubmission(req, res);
+
+  const submission = await QuestionSubmission.findOneAndUpdate(
+    { _id: req.params.id, status: 'pending' },
+    {
+      $set: {
+        status: 'rejected',
+        rejectionReason: reason.trim(),
+        reviewedBy: req.user._id,
+        reviewedAt: Date.now()
+      }
+    },
+    { new: true }
+  );
+
+  if (!submission) {
+    res.status(409);
+    throw new Error('This submission has just been reviewed by someone else');
+  }
+
+  res.json(submission);
+});
+
+module.exports = {
+  submitQuestion,
+  getMySubmissions,
+  listSubmissions,
+  updateSubmission,
+  approveSubmission,
+  rejectSubmission
+};
@@ -1,21 +1,30 @@
 const asyncHandler = require('express-async-handler');
 const User = require('../models/User');
+const Question = require('../models/Question');
+const generateToken = require('../utils/generateToken');
+const { isSupportedLanguage } = require('../utils/languages');
 
 // @desc    Create a new user
 // @route   POST /api/users
 // @access  Public
 const createUser = asyncHandler(async (req, res) => {
-  const { name, avatar } = req.body;
+  const { name, avatar, language } = req.body;
 
   if (!name) {
     res.status(400);
     throw new Error('Please provide a name');
   }
 
+  if (language && !isSupportedLanguage(language)) {
+    res.status(400);
+    throw new Error('Unsupported language');
+  }
+
   // Create user
   const user = await User.create({
     name,
-    avatar: avatar || ''
+    avatar: avatar || '',
+    language
   });
 
   if (user) {
@@ -23,8 +32,11 @@ const createUser = asyncHandler(async (req, res) => {
       _id: user._id,
       name: user.name,
       avatar: user.avatar,
+      role: user.role,
+      language: user.language,
       points: user.points,
-      stats: user.stats
+      stats: user.stats,
+      token: generateToken(user._id)
     });
   } else {
     res.status(400);
@@ -39,12 +51,18 @@ const getUserById = asyncHandler(async (req, res) => {
   const user = await User.findById(req.params.id);
 
   if (user) {
+    // Approved player submissions are credited on the profile
+    const questionsContributed = await Question.countDocuments({ submittedBy: user._id });
+
     res.json({
       _id: user._id,
       name: user.name,
       avatar: user.avatar,
+      role: user.role,
+      language: user.language,
       points: user.points,
       stats: user.stats,
+      questionsContributed,
       joinedAt: user.createdAt
     });
   } else {
@@ -55,21 +73,35 @@ const getUserById = asyncHandler(async (req, res) => {
 
 // @desc    Update user information
 // @route   PUT /api/users/:id
-// @access  Public
+// @access  Private
 const updateUser = asyncHandler(async (req, res) => {
-  const { name, avatar } = req.body;
+  const { name, avatar, language } = req.body;
+
+  // Users may only update their own profile
+  if (req.user._id.toString() !== req.params.id) {
+    res.status(403);
+    throw new Error('You can only update your own profile');
+  }
+
+  if (language && !isSupportedLanguage(language)) {
+    res.status(400);
+    throw new Error('Unsupported language');
+  }
+
   const user = await User.findById(req.params.id);
 
   if (user) {
     user.name = name || user.name;
     user.avatar = avatar || user.avatar;
+    user.language = language || user.language;
 
     const updatedUser = await user.save();
 
     res.json({
       _id: updatedUser._id,
       name: updatedUser.name,
-      avatar: updatedUser.avatar
+      avatar: updatedUser.avatar,
+      language: updatedUser.language
     });
   } else {
     res.status(404);
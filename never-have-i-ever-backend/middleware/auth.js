@@ -0,0 +1,92 @@
+const jwt = require('jsonwebtoken');
+const asyncHandler = require('express-async-handler');
+const User = require('../models/User');
+
+// Verify the bearer token and attach the calling user to req.user
+const protect = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (!authHeader || !authHeader.startsWith('Bearer ')) {
+    res.status(401);
+    throw new Error('Not authorized, no token');
+  }
+
+  const token = authHeader.split(' ')[1];
+
+  let decoded;
+  try {
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    res.status(401);
+    throw new Error('Not authorized, token failed');
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user) {
+    res.status(401);
+    throw new Error('Not authorized, user not found');
+  }
+
+  req.user = user;
+  next();
+});
+
+// Attach the calling user to req.user when a valid token is sent, for public routes
+// that show more to signed-in users; anything else goes through anonymously
+const optionalAuth = asyncHandler(async (req, res, next) => {
+  const authHeader = req.headers.authorization;
+
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    try {
+      const decoded = jwt.verify(authHeader.split(' ')[1], process.env.JWT_SECRET);
+      req.user = await User.findById(decoded.id);
+    } catch (error) {
+      // An expired or bad token just means an anonymous request
+    }
+  }
+
+  next();
+});
+
+// Only let admins through; use after protect
+const admin = (req, res, next) => {
+  if (req.user?.role !== 'admin') {
+    res.status(403);
+    throw new Error('Not authorized as an admin');
+  }
+  next();
+};
+
+// Only let moderators (and admins) through; use after protect
+const moderator = (req, res, next) => {
+  if (!['moderator', 'admin'].includes(req.user?.role)) {
+    res.status(403);
+    throw new Error('Not authorized as a moderator');
+  }
+  next();
+};
+
+// Socket.io middleware: verify the handshake token and bind the user to the socket
+const authenticateSocket = async (socket, next) => {
+  const { token } = socket.handshake.auth || {};
+
+  if (!token) {
+    return next(new Error('Not authorized, no token'));
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await User.findById(decoded.id).select('name avatar');
+
+    if (!user) {
+      return next(new Error('Not authorized, user not found'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Not authorized, token failed'));
+  }
+};
+
+module.exports = { protect, optionalAuth, admin, moderator, authenticateSocket };
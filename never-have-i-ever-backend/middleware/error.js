@@ -1,5 +1,7 @@
 const errorHandler = (err, req, res, next) => {
-    const statusCode = res.statusCode === 200 ? 500 : res.statusCode;
+    // Errors from shared helpers carry their own status code
+    const statusCode = err.statusCode ||
+      (res.statusCode === 200 ? 500 : res.statusCode);
     
     res.status(statusCode);
     res.json({
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const answerSchema = mongoose.Schema(
+  {
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    round: {
+      type: Number,
+      required: true
+    },
+    answer: {
+      type: Boolean
+    },
+    // Recorded by the server when the answer window closed without an answer
+    skipped: {
+      type: Boolean,
+      default: false
+    },
+    answeredAt: {
+      type: Date,
+      default: Date.now
+    },
+    responseTimeSeconds: {
+      type: Number
+    },
+    // Points awarded for this answer once the round was scored
+    points: {
+      type: Number,
+      default: 0
+    },
+    // Points per scoring rule, e.g. { minority: 10, speed: 3 }
+    breakdown: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// One answer per player per round; a second insert fails instead of overwriting
+answerSchema.index({ room: 1, user: 1, round: 1 }, { unique: true });
+
+module.exports = mongoose.model('Answer', answerSchema);
@@ -0,0 +1,110 @@
+const mongoose = require('mongoose');
+
+const gameResultSchema = mongoose.Schema(
+  {
+    // The room may be deleted once everyone leaves, so keep what we need to display
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room',
+      required: true
+    },
+    roomName: {
+      type: String,
+      required: true
+    },
+    host: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    ruleSet: {
+      type: String
+    },
+    startedAt: {
+      type: Date
+    },
+    completedAt: {
+      type: Date,
+      default: Date.now
+    },
+    standings: [
+      {
+        user: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        name: {
+          type: String
+        },
+        avatar: {
+          type: String
+        },
+        points: {
+          type: Number,
+          default: 0
+        },
+        rank: {
+          type: Number
+        },
+        isWinner: {
+          type: Boolean,
+          default: false
+        }
+      }
+    ],
+    rounds: [
+      {
+        round: {
+          type: Number
+        },
+        question: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Question'
+        },
+        questionText: {
+          type: String
+        },
+        yesCount: {
+          type: Number,
+          default: 0
+        },
+        noCount: {
+          type: Number,
+          default: 0
+        },
+        answers: [
+          {
+            user: {
+              type: mongoose.Schema.Types.ObjectId,
+              ref: 'User'
+            },
+            answer: {
+              type: Boolean
+            },
+            skipped: {
+              type: Boolean,
+              default: false
+            },
+            responseTimeSeconds: {
+              type: Number
+            },
+            points: {
+              type: Number,
+              default: 0
+            },
+            breakdown: {
+              type: mongoose.Schema.Types.Mixed
+            }
+          }
+        ]
+      }
+    ]
+  },
+  {
+    timestamps: true
+  }
+);
+
+// Game history lookups for a player's profile
+gameResultSchema.index({ 'standings.user': 1, completedAt: -1 });
+
+module.exports = mongoose.model('GameResult', gameResultSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// One entry per point award, so leaderboards can be computed for any time
+// window and disputed scores can be traced back to the round that gave them
+const pointTransactionSchema = mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    points: {
+      type: Number,
+      required: true
+    },
+    reason: {
+      type: String,
+      enum: ['round-score', 'adjustment'],
+      default: 'round-score'
+    },
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    round: {
+      type: Number
+    },
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    },
+    // Points per scoring rule, e.g. { minority: 10, speed: 3 }
+    breakdown: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+pointTransactionSchema.index({ createdAt: -1, user: 1 });
+pointTransactionSchema.index({ user: 1, createdAt: -1 });
+pointTransactionSchema.index({ room: 1, round: 1 });
+
+module.exports = mongoose.model('PointTransaction', pointTransactionSchema);
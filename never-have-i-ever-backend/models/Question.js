@@ -7,6 +7,11 @@ const questionSchema = mongoose.Schema(
       required: [true, 'Please add question text'],
       unique: true
     },
+    // Text in other languages, keyed by language code; text is the default language
+    translations: {
+      type: Map,
+      of: String
+    },
     category: {
       type: String,
       default: 'general'
@@ -23,6 +28,53 @@ const questionSchema = mongoose.Schema(
     usageCount: {
       type: Number,
       default: 0
+    },
+    // The player who suggested the question, see QuestionSubmission
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    // Set on questions written for a question pack; they are only dealt from that pack
+    pack: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'QuestionPack'
+    },
+    // Pack questions wait for a moderator, see QuestionSubmission; until then they
+    // are only dealt in their owner's rooms
+    isPendingReview: {
+      type: Boolean,
+      default: false
+    },
+    // Player feedback totals, see utils/questionRatings.js
+    ratings: {
+      up: {
+        type: Number,
+        default: 0
+      },
+      down: {
+        type: Number,
+        default: 0
+      },
+      flags: {
+        type: Number,
+        default: 0
+      }
+    },
+    // Hidden automatically once enough players flag it, until a moderator reviews it
+    isHidden: {
+      type: Boolean,
+      default: false
+    },
+    hiddenAt: {
+      type: Date
+    },
+    // Archived questions stay in the database for game history but are no longer dealt
+    isArchived: {
+      type: Boolean,
+      default: false
+    },
+    archivedAt: {
+      type: Date
     }
   },
   {
@@ -30,4 +82,6 @@ const questionSchema = mongoose.Schema(
   }
 );
 
+questionSchema.index({ isArchived: 1, pack: 1, category: 1, difficulty: 1 });
+
 module.exports = mongoose.model('Question', questionSchema);
\ No newline at end of file
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// A player's rating of a question after playing it; one per player and question
+const questionFeedbackSchema = mongoose.Schema(
+  {
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question',
+      required: true
+    },
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // The room and round it was played in
+    room: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Room'
+    },
+    round: {
+      type: Number
+    },
+    rating: {
+      type: String,
+      enum: ['up', 'down', null],
+      default: null
+    },
+    // Reported as inappropriate
+    flagged: {
+      type: Boolean,
+      default: false
+    },
+    flagReason: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+questionFeedbackSchema.index({ question: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model('QuestionFeedback', questionFeedbackSchema);
@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A named set of questions a host can deal a room from instead of the whole bank
+const questionPackSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Please add a pack name'],
+      trim: true,
+      maxlength: 60
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    // Public packs can be picked by any host, private ones only by their owner
+    visibility: {
+      type: String,
+      enum: ['private', 'public'],
+      default: 'private'
+    },
+    // Questions from the bank, plus any written for this pack (see Question.pack)
+    questions: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Question'
+      }
+    ],
+    // Number of rooms dealt from this pack
+    usageCount: {
+      type: Number,
+      default: 0
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+questionPackSchema.index({ owner: 1, updatedAt: -1 });
+questionPackSchema.index({ visibility: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('QuestionPack', questionPackSchema);
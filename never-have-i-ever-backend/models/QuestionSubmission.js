@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A question suggested by a player, waiting for a moderator's review
+const questionSubmissionSchema = mongoose.Schema(
+  {
+    text: {
+      type: String,
+      required: [true, 'Please add question text'],
+      trim: true
+    },
+    category: {
+      type: String,
+      default: 'general'
+    },
+    difficulty: {
+      type: String,
+      enum: ['easy', 'medium', 'hard'],
+      default: 'medium'
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected'],
+      default: 'pending'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedAt: {
+      type: Date
+    },
+    // Shown to the submitter when a submission is rejected
+    rejectionReason: {
+      type: String,
+      trim: true
+    },
+    // The question created when the submission was approved, or for a question
+    // written in a pack, the pack question waiting for this review
+    question: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Question'
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+questionSubmissionSchema.index({ status: 1, createdAt: 1 });
+questionSubmissionSchema.index({ submittedBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model('QuestionSubmission', questionSubmissionSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { ABSENT_PLAYER_POLICIES, presenceFields } = require('../utils/presence');
 
 const roomSchema = mongoose.Schema(
   {
@@ -44,10 +46,184 @@ const roomSchema = mongoose.Schema(
       enum: ['waiting', 'playing', 'completed'],
       default: 'waiting'
     },
+    startedAt: {
+      type: Date
+    },
+    // Saved game history, set when the game completes
+    result: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'GameResult'
+    },
+    settings: {
+      // Seconds players get to read the question before answers open
+      readingSeconds: {
+        type: Number,
+        default: 3,
+        min: 0,
+        max: 30
+      },
+      // Seconds players have to answer once answers open
+      answerSeconds: {
+        type: Number,
+        default: 30,
+        min: 5,
+        max: 120
+      },
+      // Seconds the round results stay up before the next round starts
+      resultsSeconds: {
+        type: Number,
+        default: 8,
+        min: 3,
+        max: 60
+      },
+      autoAdvance: {
+        type: Boolean,
+        default: true
+      },
+      // Seconds to count down before starting once every player is ready; 0 waits for the host
+      autoStartSeconds: {
+        type: Number,
+        default: 0,
+        min: 0,
+        max: 60
+      },
+      // What happens to players who disconnect mid-game, see utils/presence.js
+      absentPlayers: {
+        policy: {
+          type: String,
+          enum: ABSENT_PLAYER_POLICIES,
+          default: 'skip'
+        },
+        // Drop policy: consecutive missed rounds before a player is removed
+        maxMissedRounds: {
+          type: Number,
+          default: 2,
+          min: 1,
+          max: 10
+        }
+      },
+      // Categories questions were drawn from; empty means every category
+      categories: [
+        {
+          type: String
+        }
+      ],
+      // Question packs the questions were drawn from; empty means the question bank
+      questionPacks: [
+        {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'QuestionPack'
+        }
+      ],
+      // Language everyone in the room sees the questions in
+      language: {
+        type: String,
+        enum: Object.keys(LANGUAGES),
+        default: DEFAULT_LANGUAGE
+      },
+      // How difficulties were mixed, see utils/questionSelection.js
+      difficultyMix: {
+        type: String,
+        default: 'any'
+      },
+      // Scoring rule set, see utils/scoring.js
+      ruleSet: {
+        type: String,
+        enum: ['minority-wins', 'honesty', 'no-speed-bonus'],
+        default: 'minority-wins'
+      },
+      // Bonus for consecutive minority answers, see utils/scoring.js
+      streak: {
+        mode: {
+          type: String,
+          enum: ['off', 'flat', 'multiplier'],
+          default: 'flat'
+        },
+        // Flat mode: extra points per consecutive minority answer after the first
+        flatPoints: {
+          type: Number,
+          default: 2,
+          min: 0,
+          max: 20
+        },
+        // Multiplier mode: added to the multiplier per consecutive minority answer
+        multiplierStep: {
+          type: Number,
+          default: 0.5,
+          min: 0,
+          max: 2
+        },
+        maxMultiplier: {
+          type: Number,
+          default: 3,
+          min: 1,
+          max: 10
+        }
+      }
+    },
+    // When answers open for the current round
     questionStartTime: {
       type: Date,
       default: Date.now
     },
+    roundPhase: {
+      type: String,
+      enum: ['reading', 'answering', 'results'],
+      default: 'reading'
+    },
+    // Server deadline for answers in the current round
+    roundEndsAt: {
+      type: Date
+    },
+    lastScoredRound: {
+      type: Number,
+      default: 0
+    },
+    // Set while the game is paused for absent players
+    pausedAt: {
+      type: Date
+    },
+    // Absent players the paused game is waiting for
+    pausedFor: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // Users the host has banned from joining again
+    bannedUsers: [
+      {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      }
+    ],
+    // Host moderation actions, see utils/auditLog.js
+    auditLog: [
+      {
+        action: {
+          type: String,
+          enum: ['kick', 'ban', 'drop', 'transfer-host'],
+          required: true
+        },
+        // Empty when the server acted on its own, e.g. dropping an absent player
+        actor: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User'
+        },
+        target: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        reason: {
+          type: String
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now
+        }
+      }
+    ],
     players: [
       {
         user: {
@@ -65,7 +241,14 @@ const roomSchema = mongoose.Schema(
         answerStreak: {
           type: Number,
           default: 0
-        }
+        },
+        // Consecutive rounds the player let run out without answering
+        missedRounds: {
+          type: Number,
+          default: 0
+        },
+        // Whether the player is connected to this room, see utils/presence.js
+        presence: presenceFields()
       }
     ],
     questions: [
@@ -77,35 +260,12 @@ const roomSchema = mongoose.Schema(
     currentQuestion: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'Question'
-    },
-    answers: [
-      {
-        user: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'User'
-        },
-        question: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'Question'
-        },
-        answer: {
-          type: Boolean
-        },
-        round: {
-          type: Number
-        },
-        answeredAt: {
-          type: Date,
-          default: Date.now
-        },
-        responseTimeSeconds: {
-          type: Number
-        }
-      }
-    ]
+    }
   },
   {
-    timestamps: true
+    timestamps: true,
+    // Saves fail if the room changed since it was loaded, see utils/roomUpdate.js
+    optimisticConcurrency: true
   }
 );
 
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// Run state of a background job, shared by every server instance
+const scheduledJobSchema = mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: true,
+      unique: true
+    },
+    description: {
+      type: String
+    },
+    // Human readable schedule, e.g. "daily at 00:00 (Europe/London)"
+    schedule: {
+      type: String
+    },
+    // The instance holding the lock while the job runs
+    lockedBy: {
+      type: String
+    },
+    lockedUntil: {
+      type: Date
+    },
+    // The slot the job last ran for, so each slot runs once across all instances
+    lastScheduledFor: {
+      type: Date
+    },
+    lastRunAt: {
+      type: Date
+    },
+    lastFinishedAt: {
+      type: Date
+    },
+    lastStatus: {
+      type: String,
+      enum: ['running', 'success', 'failed']
+    },
+    lastError: {
+      type: String
+    },
+    // Short summary returned by the job, e.g. "Deleted 3 rooms"
+    lastResult: {
+      type: String
+    },
+    nextRunAt: {
+      type: Date
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { LANGUAGES, DEFAULT_LANGUAGE } = require('../utils/languages');
+const { presenceFields } = require('../utils/presence');
 
 const userSchema = mongoose.Schema(
   {
@@ -11,6 +13,19 @@ const userSchema = mongoose.Schema(
       type: String,
       default: ''
     },
+    role: {
+      type: String,
+      enum: ['player', 'moderator', 'admin'],
+      default: 'player'
+    },
+    // Interface language, see utils/languages.js
+    language: {
+      type: String,
+      enum: Object.keys(LANGUAGES),
+      default: DEFAULT_LANGUAGE
+    },
+    // Whether the user has the game open anywhere, see utils/presence.js
+    presence: presenceFields(),
     points: {
       type: Number,
       default: 100 // Starting points
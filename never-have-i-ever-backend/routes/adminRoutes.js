@@ -0,0 +1,34 @@
+const express = require('express');
+const router = express.Router();
+const { getJobs } = require('../controllers/adminController');
+const {
+  listQuestions,
+  createQuestion,
+  updateQuestion,
+  archiveQuestion,
+  restoreQuestion,
+  importQuestions,
+  exportQuestions
+} = require('../controllers/questionController');
+const { protect, admin } = require('../middleware/auth');
+
+// Every admin route requires an admin session
+router.use(protect, admin);
+
+router.get('/jobs', getJobs);
+
+// Question bank
+router.get('/questions', listQuestions);
+router.get('/questions/export', exportQuestions);
+router.post(
+  '/questions/import',
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }),
+  importQuestions
+);
+router.post('/questions', createQuestion);
+router.put('/questions/:id', updateQuestion);
+router.post('/questions/:id/archive', archiveQuestion);
+router.post('/questions/:id/restore', restoreQuestion);
+
+module.exports = router;
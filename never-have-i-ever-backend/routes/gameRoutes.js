@@ -0,0 +1,8 @@
+const express = require('express');
+const router = express.Router();
+const { getGameResult } = require('../controllers/gameResultController');
+const { protect } = require('../middleware/auth');
+
+router.get('/:id', protect, getGameResult);
+
+module.exports = router;
@@ -1,7 +1,9 @@
 const express = require('express');
 const router = express.Router();
-const { getLeaderboard } = require('../controllers/leaderboardController');
+const { getLeaderboard, resetDailyPoints } = require('../controllers/leaderboardController');
+const { protect, admin } = require('../middleware/auth');
 
 router.get('/', getLeaderboard);
+router.post('/reset-daily', protect, admin, resetDailyPoints);
 
 module.exports = router;
\ No newline at end of file
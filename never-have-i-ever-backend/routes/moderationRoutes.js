@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+  listSubmissions,
+  updateSubmission,
+  approveSubmission,
+  rejectSubmission
+} = require('../controllers/submissionController');
+const { listFlaggedQuestions, clearFlags } = require('../controllers/feedbackController');
+const { archiveQuestion } = require('../controllers/questionController');
+const { protect, moderator } = require('../middleware/auth');
+
+// Every moderation route requires a moderator (or admin) session
+router.use(protect, moderator);
+
+router.get('/submissions', listSubmissions);
+router.put('/submissions/:id', updateSubmission);
+router.post('/submissions/:id/approve', approveSubmission);
+router.post('/submissions/:id/reject', rejectSubmission);
+
+// Questions flagged by players
+router.get('/questions/flagged', listFlaggedQuestions);
+router.post('/questions/:id/clear-flags', clearFlags);
+router.post('/questions/:id/archive', archiveQuestion);
+
+module.exports = router;
@@ -0,0 +1,20 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getPacks,
+  getPackById,
+  createPack,
+  updatePack,
+  deletePack
+} = require('../controllers/packController');
+const { protect } = require('../middleware/auth');
+
+router.use(protect);
+
+router.get('/', getPacks);
+router.post('/', createPack);
+router.get('/:id', getPackById);
+router.put('/:id', updatePack);
+router.delete('/:id', deletePack);
+
+module.exports = router;
@@ -1,7 +1,24 @@
 const express = require('express');
 const router = express.Router();
 const { getRandomQuestions } = require('../controllers/gameController');
+const {
+  getQuestionCategories,
+  getDifficultyMixes,
+  searchQuestions
+} = require('../controllers/questionController');
+const {
+  submitQuestion,
+  getMySubmissions
+} = require('../controllers/submissionController');
+const { protect } = require('../middleware/auth');
 
 router.get('/', getRandomQuestions);
+router.get('/categories', getQuestionCategories);
+router.get('/difficulty-mixes', getDifficultyMixes);
+router.get('/search', protect, searchQuestions);
 
-module.exports = router;
\ No newline at end of file
+// Player-submitted questions
+router.post('/submissions', protect, submitQuestion);
+router.get('/submissions/mine', protect, getMySubmissions);
+
+module.exports = router;
@@ -7,24 +7,37 @@ const {
   joinRoom, 
   leaveRoom, 
   startGame ,
-  getRoomByPasscode
+  kickPlayer,
+  banPlayer,
+  transferRoomHost,
+  getRoomByPasscode,
+  getRuleSets
 } = require('../controllers/roomController');
 
 const { 
   submitAnswer, 
   nextRound
 } = require('../controllers/gameController');
+const { submitFeedback } = require('../controllers/feedbackController');
+const { protect, optionalAuth } = require('../middleware/auth');
 
-router.post('/', createRoom);
+router.post('/', protect, createRoom);
 router.get('/', getPublicRooms);
+router.get('/rule-sets', getRuleSets);
 router.get('/passcode/:passcode', getRoomByPasscode);
-router.get('/:id', getRoomById);
-router.post('/:id/join', joinRoom);
-router.post('/:id/leave', leaveRoom);
-router.post('/:id/start', startGame);
+router.get('/:id', optionalAuth, getRoomById);
+router.post('/:id/join', protect, joinRoom);
+router.post('/:id/leave', protect, leaveRoom);
+router.post('/:id/start', protect, startGame);
+
+// Host moderation routes
+router.post('/:id/kick', protect, kickPlayer);
+router.post('/:id/ban', protect, banPlayer);
+router.post('/:id/transfer-host', protect, transferRoomHost);
 
 // Game play routes
-router.post('/:id/answers', submitAnswer);
-router.post('/:id/next-round', nextRound);
+router.post('/:id/answers', protect, submitAnswer);
+router.post('/:id/feedback', protect, submitFeedback);
+router.post('/:id/next-round', protect, nextRound);
 
 module.exports = router;
\ No newline at end of file
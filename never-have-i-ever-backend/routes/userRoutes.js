@@ -5,9 +5,12 @@ const {
   getUserById, 
   updateUser 
 } = require('../controllers/userController');
+const { getUserGames } = require('../controllers/gameResultController');
+const { protect } = require('../middleware/auth');
 
 router.post('/', createUser);
 router.get('/:id', getUserById);
-router.put('/:id', updateUser);
+router.get('/:id/games', protect, getUserGames);
+router.put('/:id', protect, updateUser);
 
 module.exports = router;
\ No newline at end of file
@@ -6,6 +6,7 @@ const cors = require('cors');
 const connectDB = require('./config/db');
 const { errorHandler } = require('./middleware/error');
 const socketManager = require('./socket/socketManager');
+const { startJobs } = require('./utils/jobs');
 
 // Load environment variables
 dotenv.config();
@@ -23,9 +24,17 @@ const io = socketio(server, {
   }
 });
 
+// Controllers that tell rooms about changes reach the socket server through the app
+app.set('io', io);
+
 // Middleware
 app.use(cors());
-app.use(express.json());
+// Question imports parse their own, larger bodies once the caller is known to be an admin
+const jsonParser = express.json();
+app.use((req, res, next) => {
+  if (req.path === '/api/admin/questions/import') return next();
+  jsonParser(req, res, next);
+});
 app.use(express.urlencoded({ extended: true }));
 
 // Routes
@@ -33,10 +42,19 @@ app.use('/api/users', require('./routes/userRoutes'));
 app.use('/api/rooms', require('./routes/roomRoutes'));
 app.use('/api/questions', require('./routes/questionRoutes'));
 app.use('/api/leaderboard', require('./routes/leaderboardRoutes'));
+app.use('/api/games', require('./routes/gameRoutes'));
+app.use('/api/admin', require('./routes/adminRoutes'));
+app.use('/api/moderation', require('./routes/moderationRoutes'));
+app.use('/api/packs', require('./routes/packRoutes'));
 
 // Socket.io setup
 socketManager(io);
 
+// Background jobs (daily points reset, housekeeping)
+startJobs(io).catch(error => {
+  console.error('Error starting scheduled jobs:', error);
+});
+
 // Base route
 app.get('/', (req, res) => {
   res.send('Never Have I Ever API is running...');
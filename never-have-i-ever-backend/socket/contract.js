@@ -0,0 +1,235 @@
+/**
+ * Socket event contract
+ *
+ * The one definition of every socket event and the shape of its payload.
+ * The server validates what clients send against it, and sends it to each
+ * client on connection so the client can check what it emits and receives.
+ * Bump CONTRACT_VERSION whenever an event is renamed, removed or its payload
+ * changes incompatibly; clients built against another version are turned away.
+ *
+ * Field types: objectId, string, number, boolean, date, object, array.
+ * A trailing "?" makes a field optional; null means the event has no payload.
+ *
+ * Client events may pass an acknowledgement callback, which is called with
+ * { ok: true, data } or { ok: false, error: { code, message } }. Without one,
+ * failures are sent as an 'error' event instead.
+ */
+
+const CONTRACT_VERSION = 4;
+
+// Events a client may emit to the server
+const CLIENT_EVENTS = {
+  'join-room': { roomId: 'objectId' },
+  'leave-room': { roomId: 'objectId' },
+  'start-game': { roomId: 'objectId' },
+  'submit-answer': { roomId: 'objectId', answer: 'boolean' },
+  'update-presence': { status: 'string' },
+  'resume-game': { roomId: 'objectId' },
+  'drop-player': { roomId: 'objectId', userId: 'objectId' },
+  'set-absent-policy': { roomId: 'objectId', policy: 'string', maxMissedRounds: 'number?' },
+  'set-ready': { roomId: 'objectId', ready: 'boolean' }
+};
+
+// Events the server emits to clients
+const SERVER_EVENTS = {
+  contract: { version: 'number', clientEvents: 'object', serverEvents: 'object' },
+  error: { code: 'string', message: 'string', event: 'string?' },
+  'session-snapshot': {
+    roomId: 'objectId',
+    status: 'string',
+    currentRound: 'number',
+    players: 'array',
+    hasAnswered: 'boolean',
+    secondsRemaining: 'number',
+    resumed: 'boolean',
+    absentPlayers: 'object',
+    pausedAt: 'date?',
+    pausedFor: 'array',
+    autoStartsAt: 'date?',
+    roundPhase: 'string?',
+    currentQuestion: 'object?',
+    questionStartTime: 'date?',
+    roundEndsAt: 'date?',
+    roundResults: 'object?'
+  },
+  'player-joined': { roomId: 'objectId', user: 'object' },
+  'player-left': { roomId: 'objectId', userId: 'objectId' },
+  'presence-changed': { roomId: 'objectId', userId: 'objectId', status: 'string', updatedAt: 'date' },
+  'host-changed': { roomId: 'objectId', newHostId: 'objectId', newHost: 'object?' },
+  'ready-changed': {
+    roomId: 'objectId',
+    userId: 'objectId',
+    isReady: 'boolean',
+    readyCount: 'number',
+    playerCount: 'number'
+  },
+  'auto-start-countdown': { roomId: 'objectId', seconds: 'number', startsAt: 'date' },
+  'auto-start-cancelled': { roomId: 'objectId' },
+  'game-started': {
+    roomId: 'objectId',
+    currentRound: 'number',
+    currentQuestion: 'object?',
+    players: 'array',
+    questionStartTime: 'date?',
+    roundEndsAt: 'date?'
+  },
+  'round-timer-started': {
+    roomId: 'objectId',
+    round: 'number',
+    readingSeconds: 'number',
+    answerSeconds: 'number',
+    questionStartTime: 'date',
+    roundEndsAt: 'date'
+  },
+  'round-tick': { roomId: 'objectId', round: 'number', phase: 'string', secondsRemaining: 'number' },
+  'player-answered': { roomId: 'objectId', userId: 'objectId', responseTime: 'number', speedBonus: 'number' },
+  'all-players-answered': {
+    roomId: 'objectId',
+    round: 'number',
+    yesCount: 'number',
+    noCount: 'number',
+    skippedCount: 'number',
+    players: 'array',
+    answers: 'array'
+  },
+  'round-started': {
+    roomId: 'objectId',
+    currentRound: 'number',
+    currentQuestion: 'object?',
+    players: 'array',
+    questionStartTime: 'date?',
+    roundEndsAt: 'date?'
+  },
+  'game-paused': { roomId: 'objectId', round: 'number', waitingFor: 'array', pausedAt: 'date' },
+  'game-resumed': {
+    roomId: 'objectId',
+    round: 'number',
+    questionStartTime: 'date?',
+    roundEndsAt: 'date?',
+    overridden: 'boolean'
+  },
+  'players-skipped': { roomId: 'objectId', round: 'number', userIds: 'array' },
+  'player-dropped': { roomId: 'objectId', userId: 'objectId', reason: 'string' },
+  'player-kicked': { roomId: 'objectId', userId: 'objectId', banned: 'boolean' },
+  'absent-policy-changed': { roomId: 'objectId', policy: 'string', maxMissedRounds: 'number' },
+  'game-ended': { roomId: 'objectId', gameResultId: 'objectId?', players: 'array', winner: 'object?' },
+  'room-closed': null,
+  'leaderboard-updated': null
+};
+
+// Stable error codes sent in acknowledgements and 'error' events
+const ERROR_CODES = {
+  UNKNOWN_EVENT: 'UNKNOWN_EVENT',
+  INVALID_PAYLOAD: 'INVALID_PAYLOAD',
+  CONTRACT_VERSION_MISMATCH: 'CONTRACT_VERSION_MISMATCH',
+  ROOM_NOT_FOUND: 'ROOM_NOT_FOUND',
+  NOT_IN_ROOM: 'NOT_IN_ROOM',
+  NOT_HOST: 'NOT_HOST',
+  GAME_NOT_STARTED: 'GAME_NOT_STARTED',
+  GAME_NOT_IN_PROGRESS: 'GAME_NOT_IN_PROGRESS',
+  GAME_ALREADY_STARTED: 'GAME_ALREADY_STARTED',
+  ANSWERS_NOT_OPEN: 'ANSWERS_NOT_OPEN',
+  ROUND_CLOSED: 'ROUND_CLOSED',
+  ALREADY_ANSWERED: 'ALREADY_ANSWERED',
+  GAME_PAUSED: 'GAME_PAUSED',
+  GAME_NOT_PAUSED: 'GAME_NOT_PAUSED',
+  PLAYER_NOT_FOUND: 'PLAYER_NOT_FOUND',
+  PLAYER_NOT_ABSENT: 'PLAYER_NOT_ABSENT',
+  INTERNAL_ERROR: 'INTERNAL_ERROR'
+};
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const TYPE_CHECKS = {
+  objectId: value => OBJECT_ID_PATTERN.test(String(value)),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => !Number.isNaN(new Date(value).getTime()),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+/**
+ * Checks a payload against the shape an event expects
+ * @param {Object} events - CLIENT_EVENTS or SERVER_EVENTS
+ * @param {String} event - The event name
+ * @param {*} payload - The payload sent with it
+ * @returns {Object|null} - { code, message } describing the problem, or null if it is valid
+ */
+const validateEvent = (events, event, payload) => {
+  if (!Object.prototype.hasOwnProperty.call(events, event)) {
+    return { code: ERROR_CODES.UNKNOWN_EVENT, message: `Unknown event "${event}"` };
+  }
+
+  const shape = events[event];
+  if (shape === null) return null;
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { code: ERROR_CODES.INVALID_PAYLOAD, message: `"${event}" expects an object payload` };
+  }
+
+  for (const [field, spec] of Object.entries(shape)) {
+    const isOptional = spec.endsWith('?');
+    const type = isOptional ? spec.slice(0, -1) : spec;
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (isOptional) continue;
+      return { code: ERROR_CODES.INVALID_PAYLOAD, message: `"${event}" is missing ${field}` };
+    }
+
+    if (!TYPE_CHECKS[type](value)) {
+      return { code: ERROR_CODES.INVALID_PAYLOAD, message: `"${event}" expects ${field} to be a ${type}` };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Creates an error for a socket handler to throw; the code is sent to the client
+ * @param {String} code - One of ERROR_CODES
+ * @param {String} message - Human-readable description
+ * @returns {Error}
+ */
+const socketError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Turns anything a handler threw into the { code, message } sent to the client.
+ * Unexpected errors are reported as INTERNAL_ERROR without their details.
+ * @param {Error} error - The thrown error
+ * @returns {Object} - { code, message }
+ */
+const toErrorResponse = (error) => {
+  if (Object.values(ERROR_CODES).includes(error.code)) {
+    return { code: error.code, message: error.message };
+  }
+
+  return { code: ERROR_CODES.INTERNAL_ERROR, message: 'Something went wrong, please try again' };
+};
+
+/**
+ * The contract as sent to clients on connection
+ * @returns {Object} - { version, clientEvents, serverEvents }
+ */
+const describeContract = () => ({
+  version: CONTRACT_VERSION,
+  clientEvents: CLIENT_EVENTS,
+  serverEvents: SERVER_EVENTS
+});
+
+module.exports = {
+  CONTRACT_VERSION,
+  CLIENT_EVENTS,
+  SERVER_EVENTS,
+  ERROR_CODES,
+  validateEvent,
+  socketError,
+  toErrorResponse,
+  describeContract
+};
@@ -1,299 +1,404 @@
 const Room = require('../models/Room');
-const User = require('../models/User');
-const Question = require('../models/Question');
+const {
+  recordAnswer,
+  getPlayerAnswer,
+  haveAllPresentPlayersAnswered,
+  removePlayer,
+  buildRoundResults
+} = require('../utils/gameRound');
+const { getAnswerSpeedBonus } = require('../utils/scoring');
+const {
+  closeRound,
+  pauseRound,
+  resumeRound,
+  settleRound,
+  announceGameStart
+} = require('./roundTimer');
+const { updateRoom } = require('../utils/roomUpdate');
+const { ABSENT_PLAYER_POLICIES, isAbsent } = require('../utils/presence');
+const { localizeQuestion } = require('../utils/languages');
+const { ERROR_CODES, socketError } = require('./contract');
+const { addAuditEntry } = require('../utils/auditLog');
+const { attachSocket, detachSocket, endSession } = require('./sessions');
+const { userChannel, getGameRooms, setRoomPresence } = require('./presence');
+const { checkAutoStart, cancelAutoStart, getAutoStartTime } = require('./lobby');
 
-// Handle a user joining a room
+// Load a room and make sure the socket's user may act on it.
+// Throws a coded error when the check fails.
+const authorizeRoomEvent = async (socket, roomId, { hostOnly = false } = {}) => {
+  const room = await Room.findById(roomId);
+  if (!room) {
+    throw socketError(ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
+  }
+
+  const userId = socket.user._id.toString();
+
+  const isPlayer = room.players.some(
+    player => player.user.toString() === userId
+  );
+  if (!isPlayer) {
+    throw socketError(ERROR_CODES.NOT_IN_ROOM, 'You are not in this room');
+  }
+
+  if (hostOnly && room.host.toString() !== userId) {
+    throw socketError(ERROR_CODES.NOT_HOST, 'Only the host can do that');
+  }
+
+  return room;
+};
+
+// Everything a client needs to pick up a game where it left off
+const buildSessionSnapshot = async (roomId, userId, resumed) => {
+  const room = await Room.findById(roomId)
+    .populate('currentQuestion')
+    .populate('players.user', 'name avatar')
+    .populate('host', 'name avatar');
+
+  const snapshot = {
+    roomId,
+    status: room.status,
+    currentRound: room.currentRound,
+    maxRounds: room.maxRounds,
+    host: room.host,
+    players: room.players,
+    hasAnswered: false,
+    secondsRemaining: 0,
+    resumed,
+    absentPlayers: room.settings.absentPlayers,
+    pausedAt: room.pausedAt,
+    pausedFor: room.pausedFor,
+    autoStartsAt: getAutoStartTime(roomId)
+  };
+
+  if (room.status !== 'playing') return snapshot;
+
+  // The clock stands still while the game is paused
+  const now = room.pausedAt ? room.pausedAt.getTime() : Date.now();
+  const answersOpenAt = room.questionStartTime ? room.questionStartTime.getTime() : now;
+  const phaseEndsAt = now < answersOpenAt ? answersOpenAt : room.roundEndsAt?.getTime();
+  const answer = await getPlayerAnswer(room._id, userId, room.currentRound);
+
+  return {
+    ...snapshot,
+    roundPhase: room.roundPhase,
+    currentQuestion: localizeQuestion(room.currentQuestion, room.settings.language),
+    questionStartTime: room.questionStartTime,
+    roundEndsAt: room.roundEndsAt,
+    secondsRemaining: room.roundPhase === 'results' || !phaseEndsAt
+      ? 0
+      : Math.max(0, Math.ceil((phaseEndsAt - now) / 1000)),
+    hasAnswered: Boolean(answer),
+    answer: answer && !answer.skipped ? answer.answer : null,
+    roundResults: room.roundPhase === 'results' ? await buildRoundResults(roomId) : null
+  };
+};
+
+// Apply the room's absent player policy once a player's grace period runs out
+const handlePlayerAbsent = async (io, roomId, userId) => {
+  const room = await Room.findById(roomId);
+  if (!room || room.status !== 'playing') return;
+
+  const isPlayer = room.players.some(player => player.user.toString() === userId);
+  if (!isPlayer) return;
+
+  if (room.settings.absentPlayers.policy === 'pause') {
+    await pauseRound(roomId, userId);
+    return;
+  }
+
+  // Skip and drop both play on without them; drop removes them once the
+  // round closes if they have missed too many
+  if (room.roundPhase === 'results' || room.pausedAt) return;
+  if (await haveAllPresentPlayersAnswered(room, [userId])) {
+    await closeRound(roomId, room.currentRound);
+  }
+};
+
+// Stop waiting for a player who came back, resuming once nobody is missing
+const handlePlayerReturned = async (roomId, userId) => {
+  let isWaiting = false;
+
+  const room = await updateRoom(roomId, (current) => {
+    isWaiting = Boolean(current.pausedAt) &&
+      current.pausedFor.some(id => id.toString() === userId);
+    if (!isWaiting) return false;
+
+    current.pausedFor = current.pausedFor.filter(id => id.toString() !== userId);
+  });
+
+  if (room && isWaiting && room.pausedFor.length === 0) {
+    await resumeRound(roomId);
+  }
+};
+
+// Handle a user joining a room, or coming back to one after a reconnect
 const handleJoinRoom = async (io, socket, data) => {
-  try {
-    const { roomId, userId } = data;
-    
-    // Join the socket room
-    socket.join(roomId);
-    
-    // Get room data
-    const room = await Room.findById(roomId)
-      .populate('players.user', 'name avatar')
-      .populate('host', 'name avatar');
-    
-    if (!room) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
-    
-    // Get user data
-    const user = await User.findById(userId).select('name avatar');
-    
-    if (!user) {
-      socket.emit('error', { message: 'User not found' });
-      return;
-    }
-    
-    // Emit event to all users in the room
+  const { roomId } = data;
+  const userId = socket.user._id.toString();
+
+  await authorizeRoomEvent(socket, roomId);
+  
+  // Join the socket room
+  socket.join(roomId);
+  const { isNew, resumed } = attachSocket(roomId, userId, socket.id);
+  await setRoomPresence(io, roomId, userId, 'online');
+  await handlePlayerReturned(roomId, userId);
+  
+  // Only tell the room about players it hadn't seen; a reconnect within the
+  // grace period, or a second tab, picks up the existing session quietly
+  if (isNew) {
+    const user = {
+      _id: socket.user._id,
+      name: socket.user.name,
+      avatar: socket.user.avatar
+    };
+
     io.to(roomId).emit('player-joined', { user, roomId });
-    
-    // Send room data to the newly joined user
-    socket.emit('room-data', room);
-    
-  } catch (error) {
-    console.error('Error in handleJoinRoom:', error);
-    socket.emit('error', { message: error.message });
+
+    // A new player isn't ready yet, which calls off any auto-start
+    await checkAutoStart(io, roomId);
   }
+  
+  // Send the joining socket the full state of the game
+  const snapshot = await buildSessionSnapshot(roomId, userId, resumed);
+  socket.emit('session-snapshot', snapshot);
+
+  return snapshot;
 };
 
 // Handle a user leaving a room
 const handleLeaveRoom = async (io, socket, data) => {
-  try {
-    const { roomId, userId } = data;
-    
-    // Leave the socket room
-    socket.leave(roomId);
-    
-    // Get room and check if it still exists
-    const room = await Room.findById(roomId);
+  const { roomId } = data;
+  const userId = socket.user._id.toString();
+
+  // Only announce sockets that actually were in the room
+  if (!socket.rooms.has(roomId)) return { roomId };
+  
+  // Leave the socket room; leaving on purpose ends the session straight away
+  socket.leave(roomId);
+  const isGone = detachSocket(roomId, userId, socket.id);
+  if (!isGone) return { roomId };
+  
+  // Get room and check if it still exists
+  const room = await Room.findById(roomId);
+  
+  if (room) {
+    // Emit event to all users in the room
+    io.to(roomId).emit('player-left', { userId, roomId });
     
-    if (room) {
-      // Emit event to all users in the room
-      io.to(roomId).emit('player-left', { userId, roomId });
-      
-      // If the room was deleted (no players left), notify others
-      const playerCount = room.players.filter(p => p.user.toString() !== userId).length;
-      if (playerCount === 0) {
-        io.to(roomId).emit('room-closed');
-      }
+    // If the room was deleted (no players left), notify others
+    const playerCount = room.players.filter(p => p.user.toString() !== userId).length;
+    if (playerCount === 0) {
+      io.to(roomId).emit('room-closed');
     }
-    
-  } catch (error) {
-    console.error('Error in handleLeaveRoom:', error);
-    socket.emit('error', { message: error.message });
+
+    // Everyone left behind may be ready now
+    await checkAutoStart(io, roomId);
   }
+
+  return { roomId };
+};
+
+// Handle a socket dropping: the player shows as disconnected but keeps their
+// place in each of its rooms for the grace period, and only counts as gone
+// if they don't come back
+const handleDisconnect = async (io, socket) => {
+  const userId = socket.user._id.toString();
+
+  await Promise.all(getGameRooms(socket).map(roomId => {
+    const isGone = detachSocket(roomId, userId, socket.id, {
+      graceful: true,
+      onExpire: () => {
+        io.to(roomId).emit('player-left', { userId, roomId });
+        handlePlayerAbsent(io, roomId, userId).catch(error => {
+          console.error('Error applying absent player policy:', error);
+        });
+      }
+    });
+
+    return isGone ? setRoomPresence(io, roomId, userId, 'disconnected') : null;
+  }));
 };
 
 // Handle host starting the game
 const handleStartGame = async (io, socket, data) => {
-  try {
-    const { roomId } = data;
-    
-    // Get room data
-    const room = await Room.findById(roomId)
-      .populate('currentQuestion')
-      .populate('players.user', 'name avatar');
-    
-    if (!room) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
+  const { roomId } = data;
+  
+  // Only the host may start the game
+  const room = await authorizeRoomEvent(socket, roomId, { hostOnly: true });
 
-    // Set the question start time when game is starting
-    room.questionStartTime = Date.now();
-     
-    // Initialize player streaks to 0
-    for (let i = 0; i < room.players.length; i++) {
-      room.players[i].answerStreak = 0;
-    }
-    
-    await room.save();
-    
-    // Get updated room after save
-    const updatedRoom = await Room.findById(roomId)
-      .populate('currentQuestion')
-      .populate('players.user', 'name avatar');
-    
-    // Emit game started event to all players
-    io.to(roomId).emit('game-started', {
-      roomId,
-      currentRound: updatedRoom.currentRound,
-       currentQuestion: updatedRoom.currentQuestion,
-       players: updatedRoom.players,
-       questionStartTime: updatedRoom.questionStartTime
-    });
-    io.to(roomId).emit('question-timer-started', {
-      questionStartTime: updatedRoom.questionStartTime
-    });
-  } catch (error) {
-    console.error('Error in handleStartGame:', error);
-    socket.emit('error', { message: error.message });
+  if (room.status !== 'playing') {
+    throw socketError(ERROR_CODES.GAME_NOT_STARTED, 'Game has not been started');
   }
+
+  // A pending auto-start has nothing left to do
+  cancelAutoStart(io, roomId);
+
+  // Streaks are reset by the start request itself; the round clock itself
+  // is driven by the server round timer
+  const updatedRoom = await announceGameStart(roomId);
+
+  return { roomId, currentRound: updatedRoom.currentRound };
 };
 
 // Handle a user submitting an answer
 const handleSubmitAnswer = async (io, socket, data) => {
-  try {
-    const { roomId, userId, answer } = data;
+  const { roomId, answer } = data;
+  const userId = socket.user._id.toString();
 
-    const timestamp = Date.now();
-    
-    // Get room data
-    const room = await Room.findById(roomId);
-    
-    if (!room) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
-    
-    // Get user data
-    const user = await User.findById(userId);
-    
-    if (!user) {
-      socket.emit('error', { message: 'User not found' });
-      return;
-    }
-    
-    // Emit event to all users that a player has answered
-    // Calculate response time in seconds
-    const questionStartTime = room.questionStartTime || timestamp;
-    const responseTimeSeconds = (timestamp - questionStartTime) / 1000;
-    
-    // Calculate speed bonus based on response time
-    let speedBonus = 0;
-    if (responseTimeSeconds < 5) {
-      speedBonus = 3;  // Fast response bonus
-    } else if (responseTimeSeconds <= 15) {
-      speedBonus = 1;  // Medium speed bonus
-    }
-    
-    // Find the player in the room
-    const playerIndex = room.players.findIndex(
-      player => player.user.toString() === userId
-    );
-    
-    // Check if player is in the room
-    if (playerIndex === -1) {
-      socket.emit('error', { message: 'Player not found in this room' });
-      return;
-    }
-    
-    // Check if this player already answered this question in this round
-    const existingAnswer = room.answers.find(
-      a => a.user.toString() === userId && 
-           a.question.toString() === room.currentQuestion.toString() &&
-           a.round === room.currentRound
-    );
-    
-    if (existingAnswer) {
-      socket.emit('error', { message: 'You have already answered this question' });
-      return;
-    }
-    
-    // Add the answer with timing information
-    room.answers.push({
-      user: userId,
-      question: room.currentQuestion,
-      answer: answer,
-      round: room.currentRound,
-      answeredAt: new Date(timestamp),
-      responseTimeSeconds: responseTimeSeconds
-    });
-    
-    // Update player's streak
-    room.players[playerIndex].answerStreak = 
-      (room.players[playerIndex].answerStreak || 0) + 1;
-    
-    // Save the updated room
-    await room.save();
-    
-    // Emit event to all users that a player has answered with response time info
-    io.to(roomId).emit('player-answered', { 
-      userId, 
-      roomId,
-      responseTime: responseTimeSeconds,
-      speedBonus: speedBonus
-    });
-    
-    // Check if all players have answered
-    const currentRoundAnswers = room.answers.filter(
-      a => a.question.toString() === room.currentQuestion.toString() && 
-           a.round === room.currentRound
-    );
-    
-    if (currentRoundAnswers.length === room.players.length) {
-      // Calculate results
-      const yesAnswers = currentRoundAnswers.filter(a => a.answer === true);
-      const noAnswers = currentRoundAnswers.filter(a => a.answer === false);
-      
-      // Get the updated room with player points
-      const updatedRoom = await Room.findById(roomId)
-        .populate('players.user', 'name avatar')
-        .populate('currentQuestion');
-
-        const answerDetails = currentRoundAnswers.map(a => ({
-          userId: a.user,
-          answer: a.answer,
-          responseTime: a.responseTimeSeconds,
-          speedBonus: a.responseTimeSeconds < 5 ? 3 : 
-                     (a.responseTimeSeconds <= 15 ? 1 : 0),
-          streak: updatedRoom.players.find(p => p.user.toString() === a.user.toString())?.answerStreak || 0
-        }));
-      
-      // Emit event that all players have answered
-      io.to(roomId).emit('all-players-answered', {
-        yesCount: yesAnswers.length,
-        noCount: noAnswers.length,
-        players: updatedRoom.players,
-        answers: answerDetails,
-         // Add additional summary stats for the round
-         roundStats: {
-           fastestAnswer: Math.min(...currentRoundAnswers.map(a => a.responseTimeSeconds)),
-           averageResponseTime: currentRoundAnswers.reduce((acc, a) => acc + a.responseTimeSeconds, 0) / 
-                               currentRoundAnswers.length,
-           totalSpeedBonuses: answerDetails.reduce((acc, a) => acc + a.speedBonus, 0)
-         }
-      });
-    }
-    
-  } catch (error) {
-    console.error('Error in handleSubmitAnswer:', error);
-    socket.emit('error', { message: error.message });
+  // Only players in the room may answer
+  const room = await authorizeRoomEvent(socket, roomId);
+
+  if (room.status !== 'playing') {
+    throw socketError(ERROR_CODES.GAME_NOT_IN_PROGRESS, 'Game is not in progress');
+  }
+
+  if (room.pausedAt) {
+    throw socketError(ERROR_CODES.GAME_PAUSED, 'The game is paused');
+  }
+
+  // The server clock decides when answers are accepted
+  const timestamp = Date.now();
+
+  if (timestamp < room.questionStartTime.getTime()) {
+    throw socketError(ERROR_CODES.ANSWERS_NOT_OPEN, 'Answers open after the reading period');
+  }
+
+  if (room.roundPhase === 'results' ||
+    (room.roundEndsAt && timestamp > room.roundEndsAt.getTime())) {
+    throw socketError(ERROR_CODES.ROUND_CLOSED, 'Time is up for this round');
+  }
+
+  // Add the answer; the insert fails if this player already answered this round
+  const savedAnswer = await recordAnswer(room, userId, answer, timestamp);
+
+  if (!savedAnswer) {
+    throw socketError(ERROR_CODES.ALREADY_ANSWERED, 'You have already answered this question');
+  }
+
+  const { responseTimeSeconds } = savedAnswer;
+  const speedBonus = getAnswerSpeedBonus(responseTimeSeconds, room.settings);
+  
+  // Emit event to all users that a player has answered with response time info
+  io.to(roomId).emit('player-answered', { 
+    userId, 
+    roomId,
+    responseTime: responseTimeSeconds,
+    speedBonus
+  });
+  
+  // Close the round early once everyone still around has answered
+  await settleRound(roomId);
+
+  return { round: room.currentRound, responseTime: responseTimeSeconds, speedBonus };
+};
+
+// Handle host resuming a paused game without waiting for the absent players
+const handleResumeGame = async (io, socket, data) => {
+  const { roomId } = data;
+
+  const room = await authorizeRoomEvent(socket, roomId, { hostOnly: true });
+
+  if (!room.pausedAt) {
+    throw socketError(ERROR_CODES.GAME_NOT_PAUSED, 'The game is not paused');
   }
+
+  await resumeRound(roomId, { overridden: true });
+
+  // The players the game was waiting for may be the only ones left to answer
+  await settleRound(roomId);
+
+  return { roomId };
 };
 
-// Handle host advancing to the next round
-const handleNextRound = async (io, socket, data) => {
-  try {
-    const { roomId } = data;
-    
-    // Get updated room data
-    const room = await Room.findById(roomId)
-      .populate('currentQuestion')
-      .populate('players.user', 'name avatar');
-    
-    if (!room) {
-      socket.emit('error', { message: 'Room not found' });
-      return;
-    }
-    
-    if (room.status === 'completed') {
-      // Game is over, emit game ended event
-      io.to(roomId).emit('game-ended', {
-        roomId,
-        players: room.players,
-        winner: room.players.reduce((prev, current) => 
-          (prev.points > current.points) ? prev : current
-        )
-      });
-      
-      // Update leaderboard
-      io.emit('leaderboard-updated');
-      
-    } else {
-      // Game continues, emit new round started event
-      io.to(roomId).emit('round-started', {
-        roomId,
-        currentRound: room.currentRound,
-        currentQuestion: room.currentQuestion,
-        players: room.players
-      });
+// Handle host removing a player who has been gone longer than the grace period
+const handleDropPlayer = async (io, socket, data) => {
+  const { roomId, userId } = data;
+
+  const room = await authorizeRoomEvent(socket, roomId, { hostOnly: true });
+
+  const player = room.players.find(p => p.user.toString() === userId);
+  if (!player) {
+    throw socketError(ERROR_CODES.PLAYER_NOT_FOUND, 'That player is not in this room');
+  }
+  if (!isAbsent(player.presence)) {
+    throw socketError(ERROR_CODES.PLAYER_NOT_ABSENT, 'Only players who have been gone a while can be dropped');
+  }
+
+  await updateRoom(roomId, (current) => {
+    removePlayer(current, userId);
+    addAuditEntry(current, { action: 'drop', actor: socket.user._id, target: userId });
+  });
+
+  io.to(roomId).emit('player-dropped', { roomId, userId, reason: 'host' });
+  await settleRound(roomId);
+
+  return { roomId, userId };
+};
+
+// Handle host changing what happens to absent players mid-game
+const handleSetAbsentPolicy = async (io, socket, data) => {
+  const { roomId, policy, maxMissedRounds } = data;
+
+  await authorizeRoomEvent(socket, roomId, { hostOnly: true });
+
+  if (!ABSENT_PLAYER_POLICIES.includes(policy)) {
+    throw socketError(ERROR_CODES.INVALID_PAYLOAD, `Policy must be one of: ${ABSENT_PLAYER_POLICIES.join(', ')}`);
+  }
+  if (maxMissedRounds !== undefined &&
+    (!Number.isInteger(maxMissedRounds) || maxMissedRounds < 1 || maxMissedRounds > 10)) {
+    throw socketError(ERROR_CODES.INVALID_PAYLOAD, 'Missed rounds must be a whole number from 1 to 10');
+  }
+
+  const room = await updateRoom(roomId, (current) => {
+    current.settings.absentPlayers.policy = policy;
+    if (maxMissedRounds !== undefined) {
+      current.settings.absentPlayers.maxMissedRounds = maxMissedRounds;
     }
-    
-  } catch (error) {
-    console.error('Error in handleNextRound:', error);
-    socket.emit('error', { message: error.message });
+  });
+
+  const { absentPlayers } = room.settings;
+  io.to(roomId).emit('absent-policy-changed', {
+    roomId,
+    policy: absentPlayers.policy,
+    maxMissedRounds: absentPlayers.maxMissedRounds
+  });
+
+  // Nothing to wait for once the game no longer pauses for absent players
+  if (policy !== 'pause' && room.pausedAt) {
+    await resumeRound(roomId, { overridden: true });
+    await settleRound(roomId);
   }
+
+  return { roomId, policy: absentPlayers.policy, maxMissedRounds: absentPlayers.maxMissedRounds };
+};
+
+/**
+ * Tells a room that the host removed a player, and takes the player's sockets
+ * out of it so they stop receiving the game
+ * @param {Object} io - The socket.io server
+ * @param {String} roomId - The room id
+ * @param {String} userId - The removed player
+ * @param {Boolean} banned - Whether they were banned as well
+ */
+const announcePlayerRemoved = async (io, roomId, userId, banned) => {
+  io.to(roomId).to(userChannel(userId)).emit('player-kicked', { roomId, userId, banned });
+
+  io.in(userChannel(userId)).socketsLeave(roomId);
+  endSession(roomId, userId);
+
+  // Everyone left behind may be ready now
+  await checkAutoStart(io, roomId);
 };
 
 module.exports = {
   handleJoinRoom,
   handleLeaveRoom,
+  handleDisconnect,
   handleStartGame,
   handleSubmitAnswer,
-  handleNextRound
+  handleResumeGame,
+  handleDropPlayer,
+  handleSetAbsentPolicy,
+  announcePlayerRemoved
 };
\ No newline at end of file
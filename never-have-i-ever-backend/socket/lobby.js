@@ -0,0 +1,131 @@
+/**
+ * Lobby ready-check
+ *
+ * Players toggle whether they are ready with a 'set-ready' event and the room
+ * sees it as 'ready-changed'. Rooms with an auto-start countdown start their
+ * game on their own once every player is ready; anyone joining, leaving or
+ * changing their mind meanwhile cancels the countdown.
+ */
+const Room = require('../models/Room');
+const { isEveryoneReady, startRoomGame } = require('../utils/gameStart');
+const { startRoundTimer, announceGameStart } = require('./roundTimer');
+const { ERROR_CODES, socketError } = require('./contract');
+
+// Pending auto-starts keyed by room id: { timeout, startsAt }
+const countdowns = new Map();
+
+/**
+ * Calls off a room's auto-start countdown, if it has one
+ * @param {Object} io - The socket.io server
+ * @param {String} roomId - The room id
+ */
+const cancelAutoStart = (io, roomId) => {
+  const key = roomId.toString();
+  const countdown = countdowns.get(key);
+  if (!countdown) return;
+
+  clearTimeout(countdown.timeout);
+  countdowns.delete(key);
+  io.to(key).emit('auto-start-cancelled', { roomId: key });
+};
+
+/**
+ * When a room's auto-start countdown ends
+ * @param {String} roomId - The room id
+ * @returns {Date|null}
+ */
+const getAutoStartTime = (roomId) => {
+  return countdowns.get(roomId.toString())?.startsAt || null;
+};
+
+// Start the game the countdown was for, on the host's behalf
+const autoStart = async (io, roomId) => {
+  countdowns.delete(roomId);
+
+  try {
+    const room = await Room.findById(roomId);
+    if (!room) return;
+
+    // Checks again that everyone is still ready
+    await startRoomGame(roomId, room.host.toString());
+    await startRoundTimer(roomId);
+    await announceGameStart(roomId);
+  } catch (error) {
+    if (error.statusCode && error.statusCode < 500) {
+      // The lobby changed at the last moment, e.g. the host started it by hand
+      io.to(roomId).emit('auto-start-cancelled', { roomId });
+    } else {
+      console.error('Error auto-starting game:', error);
+    }
+  }
+};
+
+/**
+ * Starts or cancels a room's auto-start countdown to match its lobby
+ * @param {Object} io - The socket.io server
+ * @param {String} roomId - The room id
+ */
+const checkAutoStart = async (io, roomId) => {
+  const key = roomId.toString();
+  const room = await Room.findById(key);
+  const seconds = room?.settings.autoStartSeconds;
+
+  if (!room || room.status !== 'waiting' || !seconds || !isEveryoneReady(room)) {
+    cancelAutoStart(io, key);
+    return;
+  }
+
+  if (countdowns.has(key)) return;
+
+  const startsAt = new Date(Date.now() + seconds * 1000);
+  countdowns.set(key, {
+    timeout: setTimeout(() => autoStart(io, key), seconds * 1000),
+    startsAt
+  });
+
+  io.to(key).emit('auto-start-countdown', { roomId: key, seconds, startsAt });
+};
+
+// Handle a player marking themselves ready, or not ready, in the lobby
+const handleSetReady = async (io, socket, data) => {
+  const { roomId, ready } = data;
+  const userId = socket.user._id.toString();
+
+  const room = await Room.findOneAndUpdate(
+    { _id: roomId, status: 'waiting', 'players.user': userId },
+    { $set: { 'players.$.isReady': ready }, $inc: { __v: 1 } },
+    { new: true }
+  );
+
+  if (!room) {
+    const current = await Room.findById(roomId);
+    if (!current) {
+      throw socketError(ERROR_CODES.ROOM_NOT_FOUND, 'Room not found');
+    }
+    if (!current.players.some(player => player.user.toString() === userId)) {
+      throw socketError(ERROR_CODES.NOT_IN_ROOM, 'You are not in this room');
+    }
+    throw socketError(ERROR_CODES.GAME_ALREADY_STARTED, 'The game has already started');
+  }
+
+  const readyCount = room.players.filter(player => player.isReady).length;
+
+  io.to(roomId).emit('ready-changed', {
+    roomId,
+    userId,
+    isReady: ready,
+    readyCount,
+    playerCount: room.players.length
+  });
+
+  await checkAutoStart(io, roomId);
+
+  return { roomId, isReady: ready };
+};
+
+module.exports = {
+  checkAutoStart,
+  cancelAutoStart,
+  getAutoStartTime,
+  handleSetReady
+};
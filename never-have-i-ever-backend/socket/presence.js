@@ -0,0 +1,96 @@
+/**
+ * Presence over sockets
+ *
+ * Records when users come online, go idle or drop off, both for the user and
+ * for each room they are playing in, and tells the room with a
+ * 'presence-changed' event. Every socket a user opens joins a per-user channel,
+ * so whether they still have one open can be checked across server processes.
+ */
+const Room = require('../models/Room');
+const User = require('../models/User');
+const { CLIENT_PRESENCE_STATUSES } = require('../utils/presence');
+const { ERROR_CODES, socketError } = require('./contract');
+
+const USER_CHANNEL_PREFIX = 'user:';
+
+// Socket.io room holding every socket a user has open
+const userChannel = (userId) => `${USER_CHANNEL_PREFIX}${userId}`;
+
+// The game rooms a socket has joined
+const getGameRooms = (socket) => [...socket.rooms].filter(
+  room => room !== socket.id && !room.startsWith(USER_CHANNEL_PREFIX)
+);
+
+const setUserPresence = (userId, status) => {
+  return User.updateOne(
+    { _id: userId },
+    { $set: { presence: { status, updatedAt: new Date() } } }
+  );
+};
+
+/**
+ * Records a player's presence in a room and tells everyone in it
+ * @param {Object} io - The socket.io server
+ * @param {String} roomId - The room id
+ * @param {String} userId - The player
+ * @param {String} status - online, idle or disconnected
+ */
+const setRoomPresence = async (io, roomId, userId, status) => {
+  const updatedAt = new Date();
+
+  const result = await Room.updateOne(
+    { _id: roomId, 'players.user': userId },
+    { $set: { 'players.$.presence': { status, updatedAt } }, $inc: { __v: 1 } }
+  );
+
+  if (result.modifiedCount > 0) {
+    io.to(roomId.toString()).emit('presence-changed', { roomId, userId, status, updatedAt });
+  }
+};
+
+// A newly connected socket puts its user online
+const handleConnect = async (io, socket) => {
+  const userId = socket.user._id.toString();
+
+  socket.join(userChannel(userId));
+  await setUserPresence(userId, 'online');
+};
+
+// The user is disconnected once the last of their sockets has gone
+const handleDisconnectPresence = async (io, socket) => {
+  const userId = socket.user._id.toString();
+
+  const sockets = await io.in(userChannel(userId)).fetchSockets();
+  if (sockets.length === 0) {
+    await setUserPresence(userId, 'disconnected');
+  }
+};
+
+// Handle a client reporting that its player went idle or came back
+const handleUpdatePresence = async (io, socket, data) => {
+  const { status } = data;
+  const userId = socket.user._id.toString();
+
+  if (!CLIENT_PRESENCE_STATUSES.includes(status)) {
+    throw socketError(
+      ERROR_CODES.INVALID_PAYLOAD,
+      `Presence must be one of: ${CLIENT_PRESENCE_STATUSES.join(', ')}`
+    );
+  }
+
+  await setUserPresence(userId, status);
+  await Promise.all(
+    getGameRooms(socket).map(roomId => setRoomPresence(io, roomId, userId, status))
+  );
+
+  return { status };
+};
+
+module.exports = {
+  userChannel,
+  getGameRooms,
+  setRoomPresence,
+  handleConnect,
+  handleDisconnectPresence,
+  handleUpdatePresence
+};
@@ -0,0 +1,399 @@
+const Room = require('../models/Room');
+const User = require('../models/User');
+const {
+  recordSkippedAnswers,
+  scoreRound,
+  recordMissedRounds,
+  haveAllPresentPlayersAnswered,
+  advanceRound,
+  buildRoundResults
+} = require('../utils/gameRound');
+const { updateRoom } = require('../utils/roomUpdate');
+const { localizeQuestion } = require('../utils/languages');
+
+// Socket.io server, set once by socketManager
+let io = null;
+
+// Active timers keyed by room id
+const timers = new Map();
+
+const emitToRoom = (roomId, event, payload) => {
+  if (io) {
+    io.to(roomId.toString()).emit(event, payload);
+  }
+};
+
+// Clear every pending timeout/interval for a room
+const stopRoundTimer = (roomId) => {
+  const key = roomId.toString();
+  const timer = timers.get(key);
+
+  if (timer) {
+    clearInterval(timer.interval);
+    timer.timeouts.forEach(clearTimeout);
+    timers.delete(key);
+  }
+};
+
+/**
+ * Tells a room who its host is now
+ * @param {String} roomId - The room id
+ * @param {String} hostId - The new host's user id
+ */
+const announceHostChange = async (roomId, hostId) => {
+  const newHost = await User.findById(hostId).select('name avatar');
+
+  emitToRoom(roomId, 'host-changed', {
+    roomId,
+    newHostId: hostId.toString(),
+    newHost
+  });
+};
+
+// Broadcast the first round of a game that has just started
+const announceGameStart = async (roomId) => {
+  const room = await Room.findById(roomId)
+    .populate('currentQuestion')
+    .populate('players.user', 'name avatar');
+
+  if (!room) return null;
+
+  emitToRoom(roomId, 'game-started', {
+    roomId,
+    currentRound: room.currentRound,
+    currentQuestion: localizeQuestion(room.currentQuestion, room.settings.language),
+    players: room.players,
+    questionStartTime: room.questionStartTime,
+    roundEndsAt: room.roundEndsAt
+  });
+
+  return room;
+};
+
+// Broadcast the current round's question, or the final standings once the game is over
+const announceRound = async (roomId) => {
+  const room = await Room.findById(roomId)
+    .populate('currentQuestion')
+    .populate('players.user', 'name avatar');
+
+  if (!room) return;
+
+  if (room.status === 'completed') {
+    emitToRoom(roomId, 'game-ended', {
+      roomId,
+      gameResultId: room.result,
+      players: room.players,
+      winner: room.players.reduce((prev, current) =>
+        (prev.points > current.points) ? prev : current
+      )
+    });
+
+    // Update leaderboard
+    if (io) io.emit('leaderboard-updated');
+  } else {
+    emitToRoom(roomId, 'round-started', {
+      roomId,
+      currentRound: room.currentRound,
+      currentQuestion: localizeQuestion(room.currentQuestion, room.settings.language),
+      players: room.players,
+      questionStartTime: room.questionStartTime,
+      roundEndsAt: room.roundEndsAt
+    });
+  }
+};
+
+// Move to the next round once the results period is over
+const autoAdvance = async (roomId, round) => {
+  try {
+    // Does nothing if the host already advanced manually
+    const room = await advanceRound(roomId, round);
+    if (!room) return;
+
+    if (room.status === 'playing') {
+      await startRoundTimer(roomId);
+    } else {
+      stopRoundTimer(roomId);
+    }
+
+    await announceRound(roomId);
+  } catch (error) {
+    console.error('Error advancing round:', error);
+  }
+};
+
+// Wait out the results period, then move on unless the host does first
+const scheduleAutoAdvance = (room) => {
+  if (!room.settings.autoAdvance) return;
+
+  const timeout = setTimeout(
+    () => autoAdvance(room._id, room.currentRound),
+    room.settings.resultsSeconds * 1000
+  );
+  timers.set(room._id.toString(), { interval: null, timeouts: [timeout] });
+};
+
+/**
+ * Closes the answer window for a round: records skipped answers, scores the
+ * round and broadcasts the results. Only the first call for a round has any effect.
+ * @param {String} roomId - The room id
+ * @param {Number} round - The round being closed
+ */
+const closeRound = async (roomId, round) => {
+  try {
+    // Claim the round so a deadline and a last answer can't both close it
+    const room = await Room.findOneAndUpdate(
+      {
+        _id: roomId,
+        status: 'playing',
+        currentRound: round,
+        roundPhase: { $ne: 'results' },
+        pausedAt: null
+      },
+      { $set: { roundPhase: 'results' }, $inc: { __v: 1 } },
+      { new: true }
+    );
+
+    if (!room) return;
+
+    stopRoundTimer(roomId);
+
+    await recordSkippedAnswers(room);
+    await scoreRound(room);
+
+    const { skipped, dropped, hostChanged, room: updated } = await recordMissedRounds(roomId, round);
+
+    if (skipped.length > 0) {
+      emitToRoom(roomId, 'players-skipped', { roomId, round, userIds: skipped });
+    }
+    dropped.forEach(userId => {
+      emitToRoom(roomId, 'player-dropped', { roomId, userId, reason: 'missed-rounds' });
+    });
+    if (hostChanged) {
+      await announceHostChange(roomId, updated.host);
+    }
+
+    emitToRoom(roomId, 'all-players-answered', await buildRoundResults(roomId));
+
+    scheduleAutoAdvance(room);
+  } catch (error) {
+    console.error('Error closing round:', error);
+  }
+};
+
+// Emit countdown ticks and schedule the phase changes for a round
+const scheduleRound = (roomId, round, answersOpenAt, roundEndsAt) => {
+  const tick = () => {
+    const now = Date.now();
+    const phase = now < answersOpenAt ? 'reading' : 'answering';
+    const phaseEndsAt = phase === 'reading' ? answersOpenAt : roundEndsAt;
+
+    emitToRoom(roomId, 'round-tick', {
+      roomId,
+      round,
+      phase,
+      secondsRemaining: Math.max(0, Math.ceil((phaseEndsAt - now) / 1000))
+    });
+  };
+
+  const openAnswers = async () => {
+    try {
+      await Room.updateOne(
+        { _id: roomId, currentRound: round, roundPhase: 'reading' },
+        { $set: { roundPhase: 'answering' }, $inc: { __v: 1 } }
+      );
+    } catch (error) {
+      console.error('Error opening answers:', error);
+    }
+  };
+
+  tick();
+
+  timers.set(roomId.toString(), {
+    interval: setInterval(tick, 1000),
+    timeouts: [
+      setTimeout(openAnswers, Math.max(0, answersOpenAt - Date.now())),
+      setTimeout(() => closeRound(roomId, round), Math.max(0, roundEndsAt - Date.now()))
+    ]
+  });
+};
+
+/**
+ * Starts the reading period and answer window for the room's current round
+ * @param {String} roomId - The room id
+ */
+const startRoundTimer = async (roomId) => {
+  stopRoundTimer(roomId);
+
+  let answersOpenAt;
+  let roundEndsAt;
+
+  const room = await updateRoom(roomId, (current) => {
+    if (current.status !== 'playing') return false;
+
+    const { readingSeconds, answerSeconds } = current.settings;
+    answersOpenAt = Date.now() + readingSeconds * 1000;
+    roundEndsAt = answersOpenAt + answerSeconds * 1000;
+
+    current.questionStartTime = answersOpenAt;
+    current.roundEndsAt = roundEndsAt;
+    current.roundPhase = readingSeconds > 0 ? 'reading' : 'answering';
+  });
+  if (!room || room.status !== 'playing') return;
+
+  const { readingSeconds, answerSeconds } = room.settings;
+
+  emitToRoom(roomId, 'round-timer-started', {
+    roomId,
+    round: room.currentRound,
+    readingSeconds,
+    answerSeconds,
+    questionStartTime: room.questionStartTime,
+    roundEndsAt: room.roundEndsAt
+  });
+
+  scheduleRound(roomId, room.currentRound, answersOpenAt, roundEndsAt);
+};
+
+/**
+ * Pauses a game until an absent player comes back or the host resumes it.
+ * The round clock stops; resuming gives back the time that was left.
+ * @param {String} roomId - The room id
+ * @param {String} userId - The absent player the game waits for
+ * @returns {Promise<Object|null>} - The room, or null if it isn't being played
+ */
+const pauseRound = async (roomId, userId) => {
+  const room = await updateRoom(roomId, (current) => {
+    if (current.status !== 'playing') return false;
+
+    if (!current.pausedAt) current.pausedAt = new Date();
+    if (!current.pausedFor.some(id => id.toString() === userId)) {
+      current.pausedFor.push(userId);
+    }
+  });
+  if (!room || room.status !== 'playing') return null;
+
+  stopRoundTimer(roomId);
+
+  emitToRoom(roomId, 'game-paused', {
+    roomId,
+    round: room.currentRound,
+    waitingFor: room.pausedFor.map(id => id.toString()),
+    pausedAt: room.pausedAt
+  });
+
+  return room;
+};
+
+/**
+ * Resumes a paused game, pushing the round deadlines back by the time it was paused
+ * @param {String} roomId - The room id
+ * @param {Object} options - overridden: the host resumed without waiting for everyone
+ * @returns {Promise<Object|null>} - The room, or null if it wasn't paused
+ */
+const resumeRound = async (roomId, { overridden = false } = {}) => {
+  let wasPaused = false;
+
+  const room = await updateRoom(roomId, (current) => {
+    wasPaused = Boolean(current.pausedAt);
+    if (!wasPaused) return false;
+
+    if (current.status === 'playing' && current.roundPhase !== 'results' && current.roundEndsAt) {
+      const pausedMs = Date.now() - current.pausedAt.getTime();
+      current.questionStartTime = new Date(current.questionStartTime.getTime() + pausedMs);
+      current.roundEndsAt = new Date(current.roundEndsAt.getTime() + pausedMs);
+    }
+
+    current.pausedAt = null;
+    current.pausedFor = [];
+  });
+  if (!room || !wasPaused) return null;
+
+  if (room.status === 'playing') {
+    if (room.roundPhase === 'results') {
+      scheduleAutoAdvance(room);
+    } else if (room.roundEndsAt) {
+      scheduleRound(
+        room._id,
+        room.currentRound,
+        room.questionStartTime.getTime(),
+        room.roundEndsAt.getTime()
+      );
+    }
+  }
+
+  emitToRoom(roomId, 'game-resumed', {
+    roomId,
+    round: room.currentRound,
+    questionStartTime: room.questionStartTime,
+    roundEndsAt: room.roundEndsAt,
+    overridden
+  });
+
+  return room;
+};
+
+/**
+ * Catches a game up after players leave it: resumes a paused game that has
+ * nobody left to wait for, and closes the round once everyone still around has answered
+ * @param {String} roomId - The room id
+ */
+const settleRound = async (roomId) => {
+  let room = await Room.findById(roomId);
+  if (!room || room.status !== 'playing') return;
+
+  if (room.pausedAt && room.pausedFor.length === 0) {
+    room = await resumeRound(roomId) || room;
+  }
+
+  if (room.roundPhase === 'results' || room.pausedAt) return;
+
+  if (await haveAllPresentPlayersAnswered(room)) {
+    await closeRound(roomId, room.currentRound);
+  }
+};
+
+// Pick up the timers of games that were in progress when the server restarted
+const resumeRoundTimers = async () => {
+  // Paused games stay paused until someone comes back or the host resumes them
+  const rooms = await Room.find({ status: 'playing', pausedAt: null });
+
+  for (const room of rooms) {
+    if (room.roundPhase === 'results') {
+      scheduleAutoAdvance(room);
+    } else if (room.roundEndsAt) {
+      scheduleRound(
+        room._id,
+        room.currentRound,
+        room.questionStartTime.getTime(),
+        room.roundEndsAt.getTime()
+      );
+    } else {
+      await startRoundTimer(room._id);
+    }
+  }
+};
+
+/**
+ * Binds the round timer to the socket server
+ * @param {Object} socketServer - The socket.io server
+ */
+const initRoundTimer = (socketServer) => {
+  io = socketServer;
+
+  resumeRoundTimers().catch(error => {
+    console.error('Error resuming round timers:', error);
+  });
+};
+
+module.exports = {
+  initRoundTimer,
+  startRoundTimer,
+  stopRoundTimer,
+  closeRound,
+  pauseRound,
+  resumeRound,
+  settleRound,
+  announceGameStart,
+  announceRound,
+  announceHostChange
+};
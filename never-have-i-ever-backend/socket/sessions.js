@@ -0,0 +1,94 @@
+/**
+ * Game sessions
+ *
+ * Tracks which sockets each player has open in each room. When a player's last
+ * socket drops they keep their place for a grace period, so a page refresh or a
+ * brief network loss doesn't look like leaving; only when the grace period runs
+ * out is the player treated as gone.
+ */
+const { RECONNECT_GRACE_SECONDS } = require('../utils/presence');
+
+// Sessions keyed by "roomId:userId": { sockets: Set<socketId>, graceTimer }
+const sessions = new Map();
+
+const sessionKey = (roomId, userId) => `${roomId}:${userId}`;
+
+/**
+ * Records a socket joining a room for a player
+ * @param {String} roomId - The room id
+ * @param {String} userId - The player
+ * @param {String} socketId - The socket that joined
+ * @returns {Object} - { isNew, resumed }: isNew when the player had no session
+ *   in the room, resumed when they came back during the grace period
+ */
+const attachSocket = (roomId, userId, socketId) => {
+  const key = sessionKey(roomId, userId);
+  const session = sessions.get(key);
+
+  if (!session) {
+    sessions.set(key, { sockets: new Set([socketId]), graceTimer: null });
+    return { isNew: true, resumed: false };
+  }
+
+  const resumed = Boolean(session.graceTimer);
+  if (resumed) {
+    clearTimeout(session.graceTimer);
+    session.graceTimer = null;
+  }
+
+  session.sockets.add(socketId);
+  return { isNew: false, resumed };
+};
+
+/**
+ * Records a socket leaving a room. A player who has left on purpose gives up
+ * their session straight away; a dropped connection starts the grace period.
+ * @param {String} roomId - The room id
+ * @param {String} userId - The player
+ * @param {String} socketId - The socket that left
+ * @param {Object} options - { graceful, onExpire }: graceful keeps the session
+ *   for the grace period, and onExpire is called if the player doesn't return
+ * @returns {Boolean} - Whether the player has no sockets left in the room
+ */
+const detachSocket = (roomId, userId, socketId, { graceful = false, onExpire } = {}) => {
+  const key = sessionKey(roomId, userId);
+  const session = sessions.get(key);
+  if (!session) return true;
+
+  session.sockets.delete(socketId);
+  if (session.sockets.size > 0) return false;
+
+  if (!graceful) {
+    clearTimeout(session.graceTimer);
+    sessions.delete(key);
+    return true;
+  }
+
+  clearTimeout(session.graceTimer);
+  session.graceTimer = setTimeout(() => {
+    sessions.delete(key);
+    if (onExpire) onExpire();
+  }, RECONNECT_GRACE_SECONDS * 1000);
+
+  return true;
+};
+
+/**
+ * Ends a player's session in a room straight away, e.g. when the host removes them
+ * @param {String} roomId - The room id
+ * @param {String} userId - The player
+ */
+const endSession = (roomId, userId) => {
+  const key = sessionKey(roomId, userId);
+  const session = sessions.get(key);
+  if (!session) return;
+
+  clearTimeout(session.graceTimer);
+  sessions.delete(key);
+};
+
+module.exports = {
+  attachSocket,
+  detachSocket,
+  endSession
+};
@@ -1,60 +1,143 @@
 const { 
   handleJoinRoom, 
   handleLeaveRoom, 
+  handleDisconnect,
   handleStartGame, 
   handleSubmitAnswer,
-  handleNextRound
+  handleResumeGame,
+  handleDropPlayer,
+  handleSetAbsentPolicy
 } = require('./gameHandlers');
+const { authenticateSocket } = require('../middleware/auth');
+const { initRoundTimer } = require('./roundTimer');
+const {
+  handleConnect,
+  handleDisconnectPresence,
+  handleUpdatePresence
+} = require('./presence');
+const { handleSetReady } = require('./lobby');
+const {
+  CONTRACT_VERSION,
+  CLIENT_EVENTS,
+  ERROR_CODES,
+  validateEvent,
+  toErrorResponse,
+  describeContract
+} = require('./contract');
+
+// Handler for each client event in the contract
+const eventHandlers = {
+  'join-room': handleJoinRoom,
+  'leave-room': handleLeaveRoom,
+  'start-game': handleStartGame,
+  'submit-answer': handleSubmitAnswer,
+  'update-presence': handleUpdatePresence,
+  'resume-game': handleResumeGame,
+  'drop-player': handleDropPlayer,
+  'set-absent-policy': handleSetAbsentPolicy,
+  'set-ready': handleSetReady
+};
+
+// Answer a client event through its acknowledgement callback, or with an
+// 'error' event when the client didn't pass one and something went wrong
+const respond = (socket, event, ack, response) => {
+  if (typeof ack === 'function') {
+    ack(response);
+  } else if (!response.ok) {
+    socket.emit('error', { ...response.error, event });
+  }
+};
+
+// Turn away clients built against a different version of the event contract
+const checkContractVersion = (socket, next) => {
+  const { contractVersion } = socket.handshake.auth || {};
+
+  if (Number(contractVersion) !== CONTRACT_VERSION) {
+    const error = new Error('Please refresh the page to get the latest version of the game');
+    error.data = {
+      code: ERROR_CODES.CONTRACT_VERSION_MISMATCH,
+      expected: CONTRACT_VERSION,
+      received: contractVersion ?? null
+    };
+    return next(error);
+  }
+
+  next();
+};
 
 // Socket.io manager
 const socketManager = (io) => {
-  // Store active user connections
-  const connections = new Map();
+  // Reject connections without a valid session token
+  io.use(authenticateSocket);
+  io.use(checkContractVersion);
+
+  // Server-side round clock broadcasts through this io instance
+  initRoundTimer(io);
 
   io.on('connection', (socket) => {
-    console.log(`User connected: ${socket.id}`);
+    const userId = socket.user._id.toString();
+    console.log(`User ${userId} connected as ${socket.id}`);
 
-    // When a user identifies themselves
-    socket.on('identify', (userId) => {
-      if (userId) {
-        connections.set(socket.id, { userId });
-        console.log(`User ${userId} identified as ${socket.id}`);
-      }
+    handleConnect(io, socket).catch(error => {
+      console.error('Error recording presence:', error);
     });
 
-    // When a user joins a room
-    socket.on('join-room', async (data) => {
-      await handleJoinRoom(io, socket, data);
-    });
+    // Send the contract so the client can check its own events against it
+    socket.emit('contract', describeContract());
 
-    // When a user leaves a room
-    socket.on('leave-room', async (data) => {
-      await handleLeaveRoom(io, socket, data);
-    });
+    // Validate every game event against the contract before handling it
+    Object.entries(eventHandlers).forEach(([event, handler]) => {
+      socket.on(event, async (data, ack) => {
+        const problem = validateEvent(CLIENT_EVENTS, event, data);
+        if (problem) {
+          respond(socket, event, ack, { ok: false, error: problem });
+          return;
+        }
 
-    // When host starts the game
-    socket.on('start-game', async (data) => {
-      await handleStartGame(io, socket, data);
+        try {
+          const result = await handler(io, socket, data);
+          respond(socket, event, ack, { ok: true, data: result ?? null });
+        } catch (error) {
+          const response = toErrorResponse(error);
+          if (response.code === ERROR_CODES.INTERNAL_ERROR) {
+            console.error(`Error handling ${event}:`, error);
+          }
+          respond(socket, event, ack, { ok: false, error: response });
+        }
+      });
     });
 
-    // When a user submits an answer
-    socket.on('submit-answer', async (data) => {
-      await handleSubmitAnswer(io, socket, data);
+    // Reject events the contract doesn't know about
+    socket.onAny((event, ...args) => {
+      if (!Object.prototype.hasOwnProperty.call(eventHandlers, event)) {
+        const ack = args[args.length - 1];
+        respond(socket, event, ack, {
+          ok: false,
+          error: {
+            code: ERROR_CODES.UNKNOWN_EVENT,
+            message: `Unknown event "${event}"`
+          }
+        });
+      }
     });
 
-    // When host advances to next round
-    socket.on('next-round', async (data) => {
-      await handleNextRound(io, socket, data);
+    // Hold the player's place in their rooms while they reconnect;
+    // socket.rooms is already empty by the time 'disconnect' fires
+    socket.on('disconnecting', () => {
+      handleDisconnect(io, socket).catch(error => {
+        console.error('Error handling disconnect:', error);
+      });
     });
 
     // When a user disconnects
     socket.on('disconnect', async () => {
-      const userData = connections.get(socket.id);
-      if (userData && userData.userId) {
-        // Handle any cleanup needed when a user disconnects
-        console.log(`User disconnected: ${userData.userId}`);
+      console.log(`User disconnected: ${userId}`);
+
+      try {
+        await handleDisconnectPresence(io, socket);
+      } catch (error) {
+        console.error('Error recording presence:', error);
       }
-      connections.delete(socket.id);
     });
   });
 };
@@ -0,0 +1,36 @@
+/**
+ * Room audit log
+ *
+ * Kicks, bans, drops and host transfers are recorded on the room so the host
+ * can see who did what. Entries are appended to a loaded room document, which
+ * the caller saves.
+ */
+
+// Longest ban or kick reason kept in the audit log
+const MAX_REASON_LENGTH = 200;
+
+// Only the most recent entries are kept
+const MAX_AUDIT_ENTRIES = 100;
+
+/**
+ * Appends an entry to a loaded room's audit log, dropping the oldest entries past the cap
+ * @param {Object} room - The room document, changed in place
+ * @param {Object} entry - { action, actor, target, reason }; leave actor out when the server acted
+ */
+const addAuditEntry = (room, { action, actor, target, reason }) => {
+  room.auditLog.push({
+    action,
+    actor,
+    target,
+    reason: reason ? reason.trim().slice(0, MAX_REASON_LENGTH) : undefined,
+    createdAt: Date.now()
+  });
+
+  if (room.auditLog.length > MAX_AUDIT_ENTRIES) {
+    room.auditLog.splice(0, room.auditLog.length - MAX_AUDIT_ENTRIES);
+  }
+};
+
+module.exports = {
+  addAuditEntry
+};
@@ -0,0 +1,520 @@
+/**
+ * Round lifecycle helpers shared by the REST controllers and the socket layer
+ */
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const User = require('../models/User');
+const Question = require('../models/Question');
+const Answer = require('../models/Answer');
+const GameResult = require('../models/GameResult');
+const PointTransaction = require('../models/PointTransaction');
+const { calculateRoundScores } = require('./scoring');
+const { updateRoom } = require('./roomUpdate');
+const { getQuestionText } = require('./languages');
+const { isAbsent } = require('./presence');
+const { addAuditEntry } = require('./auditLog');
+
+/**
+ * Gets the answers recorded for a round
+ * @param {Object} room - The room document
+ * @param {Number} round - The round, defaults to the room's current round
+ * @returns {Promise<Array>} - The round's answers
+ */
+const getRoundAnswers = (room, round = room.currentRound) => {
+  return Answer.find({ room: room._id, round }).sort({ answeredAt: 1 }).lean();
+};
+
+/**
+ * Gets a player's answer for a round, if they have given one
+ * @param {String} roomId - The room id
+ * @param {String} userId - The player
+ * @param {Number} round - The round
+ * @returns {Promise<Object|null>} - The answer
+ */
+const getPlayerAnswer = (roomId, userId, round) => {
+  return Answer.findOne({ room: roomId, user: userId, round }).lean();
+};
+
+/**
+ * Tallies a room's answers per round
+ * @param {String} roomId - The room id
+ * @param {Number} round - Only tally this round (optional)
+ * @returns {Promise<Array>} - One entry per round, sorted by round:
+ *   { _id: round, answeredCount, yesCount, noCount, skippedCount,
+ *     fastestAnswer, averageResponseTime }
+ */
+const getRoundTallies = (roomId, round) => {
+  const match = { room: new mongoose.Types.ObjectId(roomId.toString()) };
+  if (round !== undefined) {
+    match.round = round;
+  }
+
+  return Answer.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$round',
+        answeredCount: { $sum: { $cond: ['$skipped', 0, 1] } },
+        yesCount: { $sum: { $cond: [{ $eq: ['$answer', true] }, 1, 0] } },
+        noCount: { $sum: { $cond: [{ $eq: ['$answer', false] }, 1, 0] } },
+        skippedCount: { $sum: { $cond: ['$skipped', 1, 0] } },
+        // Skipped answers have no response time, so $min/$avg ignore them
+        fastestAnswer: { $min: '$responseTimeSeconds' },
+        averageResponseTime: { $avg: '$responseTimeSeconds' }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+};
+
+/**
+ * Tallies the answers for a single round
+ * @param {String} roomId - The room id
+ * @param {Number} round - The round
+ * @returns {Promise<Object>} - The tally, with zero counts when nobody has answered
+ */
+const getRoundTally = async (roomId, round) => {
+  const [tally] = await getRoundTallies(roomId, round);
+
+  return tally || {
+    _id: round,
+    answeredCount: 0,
+    yesCount: 0,
+    noCount: 0,
+    skippedCount: 0,
+    fastestAnswer: null,
+    averageResponseTime: null
+  };
+};
+
+/**
+ * Records a player's answer for the room's current round. The unique index on
+ * (room, user, round) makes this a single atomic insert.
+ * @param {Object} room - The room document
+ * @param {String} userId - The answering player
+ * @param {Boolean} answer - The answer
+ * @param {Number} answeredAt - Server timestamp of the answer
+ * @returns {Promise<Object|null>} - The answer, or null if the player already answered
+ */
+const recordAnswer = async (room, userId, answer, answeredAt) => {
+  try {
+    return await Answer.create({
+      room: room._id,
+      user: userId,
+      question: room.currentQuestion,
+      round: room.currentRound,
+      answer,
+      answeredAt: new Date(answeredAt),
+      responseTimeSeconds: (answeredAt - room.questionStartTime.getTime()) / 1000
+    });
+  } catch (error) {
+    // Duplicate key: this player already answered this round
+    if (error.code === 11000) {
+      return null;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Whether every player who is still around has answered the current round;
+ * absent players don't hold the round up
+ * @param {Object} room - The room document
+ * @param {Array} absentIds - Players known to be absent whatever their stored presence says
+ * @returns {Promise<Boolean>}
+ */
+const haveAllPresentPlayersAnswered = async (room, absentIds = []) => {
+  const answers = await Answer.find({ room: room._id, round: room.currentRound })
+    .select('user')
+    .lean();
+  const answered = new Set(answers.map(a => a.user.toString()));
+
+  return room.players.every(player =>
+    answered.has(player.user.toString()) ||
+    absentIds.includes(player.user.toString()) ||
+    isAbsent(player.presence)
+  );
+};
+
+/**
+ * Removes a player from a loaded room, handing the host role on if needed
+ * @param {Object} room - The room document, changed in place
+ * @param {String} userId - The player to remove
+ * @returns {Boolean} - Whether the host changed
+ */
+const removePlayer = (room, userId) => {
+  const playerIndex = room.players.findIndex(
+    player => player.user.toString() === userId
+  );
+  if (playerIndex === -1) return false;
+
+  room.players.splice(playerIndex, 1);
+  room.pausedFor = room.pausedFor.filter(id => id.toString() !== userId);
+
+  // If the host leaves, assign a new host
+  if (room.host.toString() === userId && room.players.length > 0) {
+    room.host = room.players[0].user;
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * Records a skipped answer for every player who hasn't answered this round
+ * @param {Object} room - The room document
+ * @returns {Promise<Number>} - How many players were skipped
+ */
+const recordSkippedAnswers = async (room) => {
+  if (room.players.length === 0) {
+    return 0;
+  }
+
+  // Upserts leave answers that made it in first untouched
+  const result = await Answer.bulkWrite(room.players.map(player => ({
+    updateOne: {
+      filter: { room: room._id, user: player.user, round: room.currentRound },
+      update: {
+        $setOnInsert: {
+          question: room.currentQuestion,
+          answer: null,
+          skipped: true,
+          answeredAt: new Date(),
+          responseTimeSeconds: null
+        }
+      },
+      upsert: true
+    }
+  })));
+
+  return result.upsertedCount;
+};
+
+/**
+ * Awards points and updates streaks for the current round using the room's
+ * rule set. Safe to call more than once: a round is only ever scored the first time.
+ * @param {Object} room - The room document
+ * @returns {Promise<Object>} - The updated room
+ */
+const scoreRound = async (room) => {
+  const round = room.currentRound;
+  const roundAnswers = await getRoundAnswers(room);
+  let results = null;
+
+  // Apply the points to the room first so a concurrent call can't score the round twice
+  const scoredRoom = await updateRoom(room._id, (current) => {
+    if (current.lastScoredRound >= round) {
+      results = null;
+      return false;
+    }
+
+    ({ results } = calculateRoundScores(roundAnswers, current.players, current.settings));
+
+    for (const result of results) {
+      const player = current.players.find(p => p.user.toString() === result.userId);
+      player.points += result.points;
+      player.answerStreak = result.answerStreak;
+    }
+
+    current.lastScoredRound = round;
+  });
+
+  if (!results) {
+    return scoredRoom;
+  }
+
+  // The round has been played, so count it against the question
+  if (room.currentQuestion) {
+    await Question.updateOne(
+      { _id: room.currentQuestion._id || room.currentQuestion },
+      { $inc: { usageCount: 1 } }
+    );
+  }
+
+  const answerUpdates = [];
+  const transactions = [];
+
+  for (const result of results) {
+    const answer = roundAnswers.find(a => a.user.toString() === result.userId);
+
+    // Keep the breakdown on the answer so results can be replayed later
+    if (answer) {
+      answerUpdates.push({
+        updateOne: {
+          filter: { _id: answer._id },
+          update: { points: result.points, breakdown: result.breakdown }
+        }
+      });
+    }
+
+    if (result.points > 0) {
+      transactions.push({
+        user: result.userId,
+        points: result.points,
+        reason: 'round-score',
+        room: room._id,
+        round,
+        question: room.currentQuestion,
+        breakdown: result.breakdown
+      });
+
+      // Also update user's total points in their profile
+      await User.findByIdAndUpdate(result.userId, {
+        $inc: {
+          points: result.points,
+          dailyPoints: result.points,
+          'stats.totalPoints': result.points
+        }
+      });
+    }
+  }
+
+  if (answerUpdates.length > 0) {
+    await Answer.bulkWrite(answerUpdates);
+  }
+
+  // Record every award in the points ledger
+  if (transactions.length > 0) {
+    await PointTransaction.insertMany(transactions);
+  }
+
+  return scoredRoom;
+};
+
+/**
+ * Counts consecutive missed rounds after a round closes and, under the drop
+ * policy, removes players who have missed too many. The last player is never dropped.
+ * @param {String} roomId - The room id
+ * @param {Number} round - The round that just closed
+ * @returns {Promise<Object>} - { room, skipped, dropped, hostChanged }: the user ids
+ *   of players who missed the round and of players who were dropped
+ */
+const recordMissedRounds = async (roomId, round) => {
+  const skippedAnswers = await Answer.find({ room: roomId, round, skipped: true })
+    .select('user')
+    .lean();
+  const skipped = skippedAnswers.map(a => a.user.toString());
+  let dropped = [];
+  let hostChanged = false;
+
+  const room = await updateRoom(roomId, (current) => {
+    dropped = [];
+    hostChanged = false;
+
+    for (const player of current.players) {
+      player.missedRounds = skipped.includes(player.user.toString())
+        ? player.missedRounds + 1
+        : 0;
+    }
+
+    const { policy, maxMissedRounds } = current.settings.absentPlayers;
+    if (policy !== 'drop') return;
+
+    for (const player of [...current.players]) {
+      if (player.missedRounds >= maxMissedRounds && current.players.length > 1) {
+        const userId = player.user.toString();
+        hostChanged = removePlayer(current, userId) || hostChanged;
+        addAuditEntry(current, { action: 'drop', target: player.user });
+        dropped.push(userId);
+      }
+    }
+  });
+
+  return { room, skipped, dropped, hostChanged };
+};
+
+/**
+ * Writes the final standings and every round's answers to the game history
+ * @param {Object} room - The completed room document
+ * @returns {Promise<Object>} - The saved game result
+ */
+const saveGameResult = async (room) => {
+  const users = await User.find({
+    _id: { $in: room.players.map(p => p.user) }
+  }).select('name avatar');
+  const questions = await Question.find({
+    _id: { $in: room.questions }
+  }).select('text translations');
+  const answers = await Answer.find({ room: room._id }).sort({ round: 1, answeredAt: 1 }).lean();
+  const tallies = await getRoundTallies(room._id);
+
+  const sortedPlayers = [...room.players].sort((a, b) => b.points - a.points);
+  const maxPoints = sortedPlayers.length > 0 ? sortedPlayers[0].points : 0;
+
+  const standings = sortedPlayers.map(player => {
+    const user = users.find(u => u._id.toString() === player.user.toString());
+    return {
+      user: player.user,
+      name: user?.name,
+      avatar: user?.avatar,
+      points: player.points,
+      // Tied players share a rank
+      rank: 1 + sortedPlayers.filter(p => p.points > player.points).length,
+      isWinner: player.points === maxPoints
+    };
+  });
+
+  const rounds = [];
+  for (let round = 1; round <= room.maxRounds; round++) {
+    const questionId = room.questions[round - 1];
+    const question = questions.find(q => q._id.toString() === questionId?.toString());
+    const roundAnswers = answers.filter(a => a.round === round);
+    const tally = tallies.find(t => t._id === round);
+
+    rounds.push({
+      round,
+      question: questionId,
+      questionText: getQuestionText(question, room.settings.language),
+      yesCount: tally?.yesCount || 0,
+      noCount: tally?.noCount || 0,
+      answers: roundAnswers.map(a => ({
+        user: a.user,
+        answer: a.answer,
+        skipped: a.skipped,
+        responseTimeSeconds: a.responseTimeSeconds,
+        points: a.points,
+        breakdown: a.breakdown
+      }))
+    });
+  }
+
+  return GameResult.create({
+    room: room._id,
+    roomName: room.name,
+    host: room.host,
+    ruleSet: room.settings.ruleSet,
+    startedAt: room.startedAt,
+    completedAt: Date.now(),
+    standings,
+    rounds
+  });
+};
+
+/**
+ * Moves the room on from a finished round, or completes the game after the
+ * last one. Only the first call for a round has any effect.
+ * @param {String} roomId - The room id
+ * @param {Number} round - The round being left
+ * @returns {Promise<Object|null>} - The updated room, or null if the round had
+ *   already been left or isn't finished yet
+ */
+const advanceRound = async (roomId, round) => {
+  let advanced = false;
+
+  const room = await updateRoom(roomId, (current) => {
+    if (current.status !== 'playing' || current.currentRound !== round ||
+      current.roundPhase !== 'results' || current.pausedAt) {
+      advanced = false;
+      return false;
+    }
+
+    // Increment round counter
+    current.currentRound += 1;
+    current.roundPhase = 'reading';
+    current.roundEndsAt = undefined;
+
+    // Check if game is over
+    if (current.currentRound > current.maxRounds) {
+      current.status = 'completed';
+    } else {
+      // Set the next question
+      current.currentQuestion = current.questions[current.currentRound - 1];
+      current.questionStartTime = Date.now();
+    }
+
+    advanced = true;
+  });
+
+  if (!advanced) {
+    return null;
+  }
+
+  if (room.status === 'completed') {
+    // Update stats for all players
+    for (const player of room.players) {
+      await User.findByIdAndUpdate(player.user, {
+        $inc: { 'stats.gamesPlayed': 1 }
+      });
+    }
+
+    // Find the winner(s) and update their stats
+    const maxPoints = Math.max(...room.players.map(p => p.points));
+    const winners = room.players.filter(p => p.points === maxPoints);
+
+    for (const winner of winners) {
+      await User.findByIdAndUpdate(winner.user, {
+        $inc: { 'stats.gamesWon': 1 }
+      });
+    }
+
+    // Keep the finished game after the room itself is gone
+    const gameResult = await saveGameResult(room);
+    room.result = gameResult._id;
+    await Room.updateOne(
+      { _id: room._id },
+      { $set: { result: gameResult._id }, $inc: { __v: 1 } }
+    );
+  }
+
+  return room;
+};
+
+/**
+ * Builds the results payload broadcast when a round closes
+ * @param {String} roomId - The room id
+ * @returns {Promise<Object>} - The round results
+ */
+const buildRoundResults = async (roomId) => {
+  const room = await Room.findById(roomId)
+    .populate('players.user', 'name avatar')
+    .populate('currentQuestion');
+
+  const roundAnswers = await getRoundAnswers(room);
+  const tally = await getRoundTally(room._id, room.currentRound);
+
+  const answerDetails = roundAnswers.map(a => ({
+    userId: a.user,
+    answer: a.answer,
+    skipped: a.skipped,
+    responseTime: a.responseTimeSeconds,
+    points: a.points || 0,
+    breakdown: a.breakdown || {},
+    speedBonus: a.breakdown?.speed || 0,
+    // A player whose account was deleted populates as null
+    streak: room.players.find(p => p.user?._id.toString() === a.user.toString())?.answerStreak || 0
+  }));
+
+  return {
+    roomId: room._id,
+    round: room.currentRound,
+    questionId: room.currentQuestion?._id,
+    question: getQuestionText(room.currentQuestion, room.settings.language),
+    yesCount: tally.yesCount,
+    noCount: tally.noCount,
+    skippedCount: tally.skippedCount,
+    players: room.players,
+    answers: answerDetails,
+    // Summary stats for the round
+    roundStats: {
+      fastestAnswer: tally.fastestAnswer,
+      averageResponseTime: tally.averageResponseTime,
+      totalSpeedBonuses: answerDetails.reduce((acc, a) => acc + a.speedBonus, 0)
+    }
+  };
+};
+
+module.exports = {
+  getRoundAnswers,
+  getPlayerAnswer,
+  haveAllPresentPlayersAnswered,
+  removePlayer,
+  recordMissedRounds,
+  getRoundTallies,
+  getRoundTally,
+  recordAnswer,
+  recordSkippedAnswers,
+  scoreRound,
+  advanceRound,
+  saveGameResult,
+  buildRoundResults
+};
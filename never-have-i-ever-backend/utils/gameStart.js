@@ -0,0 +1,114 @@
+/**
+ * Starting a game
+ *
+ * Players mark themselves ready in the lobby, and a game starts once everyone
+ * is. The host can force a start without waiting, and a room can start itself
+ * a few seconds after the last player gets ready, see socket/lobby.js.
+ */
+const Room = require('../models/Room');
+const { updateRoom } = require('./roomUpdate');
+const { selectQuestions, getPackQuestionIds } = require('./questionSelection');
+const { httpError } = require('./helpers');
+
+const MIN_PLAYERS = 2;
+
+/**
+ * Whether a lobby has enough players and all of them are ready
+ * @param {Object} room - The room document
+ * @returns {Boolean}
+ */
+const isEveryoneReady = (room) => {
+  return room.players.length >= MIN_PLAYERS && room.players.every(player => player.isReady);
+};
+
+// Deal a waiting room's questions for the players in it; null keeps the questions dealt at creation
+const redealQuestions = async (roomId, userId) => {
+  const room = await Room.findById(roomId).populate('host', '_id');
+  if (!room || room.status !== 'waiting' || room.host._id.toString() !== userId) {
+    return null;
+  }
+
+  try {
+    const { categories, difficultyMix, questionPacks } = room.settings;
+    const questionIds = questionPacks.length > 0
+      ? await getPackQuestionIds(questionPacks, room.host)
+      : undefined;
+
+    return await selectQuestions({
+      count: room.questions.length,
+      categories,
+      difficultyMix,
+      questionIds,
+      playerIds: room.players.map(p => p.user)
+    });
+  } catch (error) {
+    // A pack may have been deleted or made private since; the original deal still works
+    console.error('Error dealing questions for players:', error.message);
+    return null;
+  }
+};
+
+/**
+ * Moves a room from the lobby to its first round. The round clock is started separately.
+ * @param {String} roomId - The room id
+ * @param {String} userId - The host starting the game
+ * @param {Object} options - force: start even if not every player is ready
+ * @returns {Promise<Object>} - The room
+ * @throws {Error} - With a 400/403/404/409 status code when the game can't start
+ */
+const startRoomGame = async (roomId, userId, { force = false } = {}) => {
+  // Everyone has joined now, so deal again avoiding what these players saw recently
+  const questions = await redealQuestions(roomId, userId);
+
+  const room = await updateRoom(roomId, (current) => {
+    // Only host can start the game
+    if (current.host.toString() !== userId) {
+      throw httpError(403, 'Only the host can start the game');
+    }
+
+    // A second start request lost the race
+    if (current.status !== 'waiting') {
+      throw httpError(409, 'Game has already started');
+    }
+
+    // Check if the room has at least 2 players
+    if (current.players.length < MIN_PLAYERS) {
+      throw httpError(400, 'Need at least 2 players to start');
+    }
+
+    if (!force && !isEveryoneReady(current)) {
+      throw httpError(400, 'Every player needs to be ready to start');
+    }
+
+    // Start the game
+    current.status = 'playing';
+    current.currentRound = 1;
+    current.startedAt = Date.now();
+
+    // Initialize player streaks to 0
+    for (const player of current.players) {
+      player.answerStreak = 0;
+    }
+
+    if (questions && questions.length === current.questions.length) {
+      current.questions = questions;
+    }
+
+    // Set the first question
+    if (current.questions.length > 0) {
+      current.currentQuestion = current.questions[0];
+    }
+  });
+
+  if (!room) {
+    throw httpError(404, 'Room not found');
+  }
+
+  return room;
+};
+
+module.exports = {
+  MIN_PLAYERS,
+  isEveryoneReady,
+  startRoomGame
+};
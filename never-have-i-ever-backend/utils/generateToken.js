@@ -0,0 +1,14 @@
+const jwt = require('jsonwebtoken');
+
+/**
+ * Signs a session token for a user
+ * @param {String} id - The user's id
+ * @returns {String} - The signed JWT
+ */
+const generateToken = (id) => {
+  return jwt.sign({ id }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_EXPIRES_IN || '30d'
+  });
+};
+
+module.exports = generateToken;
@@ -31,22 +31,31 @@ const shuffleArray = (array) => {
     });
   };
   
+  /**
+   * Creates an error carrying the HTTP status a controller should answer with
+   * @param {Number} statusCode - The HTTP status code
+   * @param {String} message - The error message
+   * @returns {Error} - The error, for the caller to throw
+   */
+  const httpError = (statusCode, message) => {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  };
+  
   /**
    * Reset daily points for all users
-   * Should be called by a scheduler (e.g., cron job) at midnight
+   * Run by the daily-points-reset job, see utils/jobs.js
+   * @returns {Promise<Object>} - The update result
    */
   const resetDailyPoints = async () => {
-    try {
-      const User = require('../models/User');
-      await User.updateMany({}, { dailyPoints: 0, lastPointsReset: Date.now() });
-      console.log('Daily points reset successfully');
-    } catch (error) {
-      console.error('Error resetting daily points:', error);
-    }
+    const User = require('../models/User');
+    return User.updateMany({}, { dailyPoints: 0, lastPointsReset: Date.now() });
   };
   
   module.exports = {
     shuffleArray,
     formatDate,
+    httpError,
     resetDailyPoints
   };
\ No newline at end of file
@@ -0,0 +1,85 @@
+/**
+ * Background jobs, run by the scheduler in utils/scheduler.js
+ *
+ * Configuration (environment variables):
+ *   SCHEDULER_ENABLED  - set to "false" to run no jobs on this instance
+ *   SCHEDULER_TIMEZONE - IANA timezone for daily jobs, default "UTC"
+ *   DAILY_RESET_TIME   - when daily points reset, "HH:MM", default "00:00"
+ *   STALE_ROOM_HOURS   - hours without activity before a room is removed, default 24
+ */
+const Room = require('../models/Room');
+const Answer = require('../models/Answer');
+const { resetDailyPoints } = require('./helpers');
+const { scheduleJob } = require('./scheduler');
+const { stopRoundTimer } = require('../socket/roundTimer');
+
+const getConfig = () => {
+  const timeZone = process.env.SCHEDULER_TIMEZONE || 'UTC';
+  const dailyResetTime = process.env.DAILY_RESET_TIME || '00:00';
+  const staleRoomHours = Number(process.env.STALE_ROOM_HOURS) || 24;
+
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch (error) {
+    throw new Error(`SCHEDULER_TIMEZONE "${timeZone}" is not a valid timezone`);
+  }
+
+  if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(dailyResetTime)) {
+    throw new Error(`DAILY_RESET_TIME "${dailyResetTime}" must be a time like 00:00`);
+  }
+
+  return { timeZone, dailyResetTime, staleRoomHours };
+};
+
+// Remove rooms nobody has touched for a while, along with their answers
+const cleanUpStaleRooms = async (io, staleRoomHours) => {
+  const cutoff = new Date(Date.now() - staleRoomHours * 60 * 60 * 1000);
+  const staleRooms = await Room.find({ updatedAt: { $lt: cutoff } }).select('_id');
+  let deleted = 0;
+
+  for (const { _id: roomId } of staleRooms) {
+    // Skip rooms that came back to life since the query
+    const { deletedCount } = await Room.deleteOne({ _id: roomId, updatedAt: { $lt: cutoff } });
+    if (!deletedCount) continue;
+
+    stopRoundTimer(roomId);
+    await Answer.deleteMany({ room: roomId });
+    io.to(roomId.toString()).emit('room-closed');
+    deleted++;
+  }
+
+  return `Removed ${deleted} stale room${deleted === 1 ? '' : 's'}`;
+};
+
+/**
+ * Schedules the background jobs
+ * @param {Object} io - The socket.io server
+ */
+const startJobs = async (io) => {
+  if (process.env.SCHEDULER_ENABLED === 'false') {
+    console.log('Scheduler disabled on this instance');
+    return;
+  }
+
+  const { timeZone, dailyResetTime, staleRoomHours } = getConfig();
+
+  await scheduleJob({
+    name: 'daily-points-reset',
+    description: 'Resets every player\'s daily points',
+    dailyAt: dailyResetTime,
+    timeZone,
+    run: async () => {
+      const { modifiedCount } = await resetDailyPoints();
+      return `Reset daily points for ${modifiedCount} players`;
+    }
+  });
+
+  await scheduleJob({
+    name: 'stale-room-cleanup',
+    description: `Removes rooms with no activity for ${staleRoomHours} hours`,
+    everyMinutes: 30,
+    run: () => cleanUpStaleRooms(io, staleRoomHours)
+  });
+};
+
+module.exports = { startJobs };
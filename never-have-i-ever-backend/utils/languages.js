@@ -0,0 +1,93 @@
+/**
+ * Languages questions can be played in
+ *
+ * Questions have their text in the default language plus optional translations;
+ * a room plays in one language so everyone sees the same prompt, falling back to
+ * the default text for questions that haven't been translated yet.
+ */
+const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+// Languages a question can be translated into
+const TRANSLATION_LANGUAGES = Object.keys(LANGUAGES).filter(code => code !== DEFAULT_LANGUAGE);
+
+/**
+ * Checks a language code
+ * @param {String} language - The language code
+ * @returns {Boolean} - Whether questions can be played in it
+ */
+const isSupportedLanguage = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+/**
+ * Checks a question's translations
+ * @param {Object} translations - Language code to translated text
+ * @returns {String|null} - An error message, or null if the translations are valid
+ */
+const validateTranslations = (translations) => {
+  if (translations === undefined) return null;
+
+  if (!translations || typeof translations !== 'object' || Array.isArray(translations)) {
+    return 'Translations must map language codes to text';
+  }
+
+  for (const [language, text] of Object.entries(translations)) {
+    if (!TRANSLATION_LANGUAGES.includes(language)) {
+      return `Translations can be in: ${TRANSLATION_LANGUAGES.join(', ')}`;
+    }
+    // An empty translation removes it
+    if (typeof text !== 'string') {
+      return 'Translations must be text';
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Gets a question's text in a language
+ * @param {Object} question - A question document or plain object
+ * @param {String} language - The language code
+ * @returns {String} - The translation, or the default text when there isn't one
+ */
+const getQuestionText = (question, language = DEFAULT_LANGUAGE) => {
+  if (!question) return undefined;
+
+  const translations = question.translations;
+  const translated = translations instanceof Map
+    ? translations.get(language)
+    : translations?.[language];
+
+  return translated || question.text;
+};
+
+/**
+ * Prepares a question to send to players in a room
+ * @param {Object} question - A populated question
+ * @param {String} language - The room's language
+ * @returns {Object} - The question with its text in that language and no translations
+ */
+const localizeQuestion = (question, language = DEFAULT_LANGUAGE) => {
+  if (!question || !question.text) return question;
+
+  const { translations, ...fields } = typeof question.toObject === 'function'
+    ? question.toObject()
+    : question;
+
+  return { ...fields, text: getQuestionText(question, language) };
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  TRANSLATION_LANGUAGES,
+  isSupportedLanguage,
+  validateTranslations,
+  getQuestionText,
+  localizeQuestion
+};
@@ -0,0 +1,56 @@
+/**
+ * Player presence
+ *
+ * Each user has a presence, and so does each player in a room: online while a
+ * socket is connected, idle when the player's browser reports no activity, and
+ * disconnected once their last socket drops. Presence lives in the database so
+ * every server process sees the same state.
+ *
+ * A player who has been disconnected for longer than the reconnect grace period
+ * is absent, and the room's absent player policy decides what happens to them.
+ */
+
+const PRESENCE_STATUSES = ['online', 'idle', 'disconnected'];
+
+// Statuses a client may report for itself; disconnected is decided by the server
+const CLIENT_PRESENCE_STATUSES = ['online', 'idle'];
+
+// How long a disconnected player keeps their place before they count as absent
+const RECONNECT_GRACE_SECONDS = Number(process.env.RECONNECT_GRACE_SECONDS) || 30;
+
+// What happens to absent players during a game:
+// skip their turns, drop them after too many missed rounds, or pause until they return
+const ABSENT_PLAYER_POLICIES = ['skip', 'drop', 'pause'];
+
+/**
+ * Mongoose schema fields for a presence entry
+ * @returns {Object}
+ */
+const presenceFields = () => ({
+  status: {
+    type: String,
+    enum: PRESENCE_STATUSES
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+/**
+ * Whether a player has been gone for longer than the reconnect grace period
+ * @param {Object} presence - The player's presence in the room
+ * @returns {Boolean}
+ */
+const isAbsent = (presence) => {
+  if (presence?.status !== 'disconnected' || !presence.updatedAt) return false;
+  return Date.now() - new Date(presence.updatedAt).getTime() >= RECONNECT_GRACE_SECONDS * 1000;
+};
+
+module.exports = {
+  PRESENCE_STATUSES,
+  CLIENT_PRESENCE_STATUSES,
+  RECONNECT_GRACE_SECONDS,
+  ABSENT_PLAYER_POLICIES,
+  presenceFields,
+  isAbsent
+};
@@ -0,0 +1,338 @@
+/**
+ * Question bank helpers shared by the admin API and the import/export CLI
+ *
+ * Files use the columns id, text, category, difficulty, pointValue and archived,
+ * plus a text_<language> column per translation (text_es, text_fr...), so an
+ * export can be edited in a spreadsheet and imported again: rows with an id
+ * update that question, rows without one are added.
+ */
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const { TRANSLATION_LANGUAGES, validateTranslations } = require('./languages');
+
+const DIFFICULTIES = Question.schema.path('difficulty').enumValues;
+const TRANSLATION_COLUMNS = TRANSLATION_LANGUAGES.map(language => `text_${language}`);
+const COLUMNS = ['id', 'text', ...TRANSLATION_COLUMNS, 'category', 'difficulty', 'pointValue', 'archived'];
+const FORMATS = ['csv', 'json'];
+
+/**
+ * Checks question fields
+ * @param {Object} fields - The question fields
+ * @param {Boolean} isNew - Whether the text is required
+ * @returns {String|null} - An error message, or null if the fields are valid
+ */
+const validateQuestionFields = ({ text, translations, category, difficulty, pointValue }, isNew) => {
+  if (isNew || text !== undefined) {
+    if (typeof text !== 'string' || !text.trim()) {
+      return 'Please add question text';
+    }
+  }
+
+  if (category !== undefined && (typeof category !== 'string' || !category.trim())) {
+    return 'Category must be a non-empty string';
+  }
+
+  if (difficulty !== undefined && !DIFFICULTIES.includes(difficulty)) {
+    return `Difficulty must be one of: ${DIFFICULTIES.join(', ')}`;
+  }
+
+  if (pointValue !== undefined && (!Number.isFinite(Number(pointValue)) || Number(pointValue) < 0)) {
+    return 'Point value must be a positive number';
+  }
+
+  return validateTranslations(translations);
+};
+
+/**
+ * Sets a question's translations; an empty text removes that translation
+ * @param {Question} question - The question document
+ * @param {Object} translations - Language code to translated text
+ */
+const applyTranslations = (question, translations = {}) => {
+  if (!question.translations) {
+    question.translations = {};
+  }
+
+  for (const [language, text] of Object.entries(translations)) {
+    if (text.trim()) {
+      question.translations.set(language, text.trim());
+    } else {
+      question.translations.delete(language);
+    }
+  }
+};
+
+// Read translations from a file row: a translations object, or text_<language> columns
+const getRowTranslations = (fields) => {
+  if (fields.translations !== undefined) {
+    return fields.translations;
+  }
+
+  const translations = {};
+  for (const language of TRANSLATION_LANGUAGES) {
+    const text = fields[`text_${language}`];
+    if (text !== undefined) translations[language] = String(text);
+  }
+
+  return Object.keys(translations).length > 0 ? translations : undefined;
+};
+
+/**
+ * Builds a case-insensitive exact match on question text
+ * @param {String} text - The question text
+ * @returns {Object} - A filter on the text field
+ */
+const sameTextFilter = (text) => ({
+  text: { $regex: `^${text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}$`, $options: 'i' }
+});
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields may contain commas, quotes and newlines)
+ * @param {String} text - The CSV text
+ * @returns {Array} - The rows, each { line, values } with the line the row starts on
+ *   and its fields; blank lines are skipped
+ */
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let rowLine = 1;
+
+  // Spreadsheet apps like to start files with a byte order mark
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    // Count every line break, including those inside quoted fields; \r\n is one
+    if (char === '\n' || (char === '\r' && input[i + 1] !== '\n')) {
+      line++;
+    }
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+        line++;
+      }
+      row.push(field);
+      rows.push({ line: rowLine, values: row });
+      row = [];
+      field = '';
+      rowLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push({ line: rowLine, values: row });
+  }
+
+  // Ignore blank lines
+  return rows.filter(r => r.values.some(value => value.trim() !== ''));
+};
+
+// Quote a CSV field when it needs it
+const toCsvField = (value) => {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Reads question rows from an uploaded file
+ * @param {String|Array|Object} content - CSV text, or parsed JSON (an array, or { questions: [...] })
+ * @param {String} format - csv or json
+ * @returns {Array} - { row, fields } per question; row is the line or position in the file
+ */
+const parseQuestionFile = (content, format) => {
+  if (format === 'json') {
+    const data = typeof content === 'string' ? JSON.parse(content) : content;
+    const items = Array.isArray(data) ? data : data?.questions;
+
+    if (!Array.isArray(items)) {
+      throw new Error('JSON must be an array of questions or { "questions": [...] }');
+    }
+
+    return items.map((fields, index) => ({ row: index + 1, fields: fields || {} }));
+  }
+
+  const [header, ...rows] = parseCsv(content);
+  if (!header) {
+    throw new Error('The file is empty');
+  }
+
+  // Match the header case-insensitively against the known columns
+  const columns = header.values.map(name =>
+    COLUMNS.find(column => column.toLowerCase() === name.trim().toLowerCase())
+  );
+
+  if (!columns.includes('text')) {
+    throw new Error('The file needs a "text" column');
+  }
+
+  return rows.map(({ line, values }) => {
+    const fields = {};
+    columns.forEach((column, i) => {
+      const value = values[i]?.trim();
+      if (column && value !== undefined && value !== '') {
+        fields[column] = value;
+      }
+    });
+    return { row: line, fields };
+  });
+};
+
+// Turn a file's archived column ("true", "yes", "1", true) into a boolean
+const parseArchived = (value) => {
+  if (value === undefined) return undefined;
+  if (typeof value === 'boolean') return value;
+  return ['true', 'yes', '1'].includes(String(value).trim().toLowerCase());
+};
+
+/**
+ * Imports question rows, one at a time so a bad row doesn't stop the rest
+ * @param {Array} rows - Rows from parseQuestionFile
+ * @returns {Promise<Object>} - { total, created, updated, duplicates, errors }
+ *   where duplicates and errors list { row, text, message }
+ */
+const importQuestions = async (rows) => {
+  const report = { total: rows.length, created: 0, updated: 0, duplicates: [], errors: [] };
+  const seenTexts = new Set();
+
+  for (const { row, fields } of rows) {
+    const text = typeof fields.text === 'string' ? fields.text.trim() : fields.text;
+    const id = fields.id || fields._id;
+    const values = {
+      text,
+      category: fields.category,
+      difficulty: fields.difficulty,
+      pointValue: fields.pointValue === undefined ? undefined : Number(fields.pointValue)
+    };
+    const translations = getRowTranslations(fields);
+
+    const validationError = validateQuestionFields({ ...values, translations }, !id);
+    if (validationError) {
+      report.errors.push({ row, text, message: validationError });
+      continue;
+    }
+
+    // The same prompt twice in one file
+    const key = text?.toLowerCase();
+    if (key && seenTexts.has(key)) {
+      report.duplicates.push({ row, text, message: 'Repeats an earlier row in the file' });
+      continue;
+    }
+    if (key) seenTexts.add(key);
+
+    const archived = parseArchived(fields.archived);
+
+    try {
+      if (id) {
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+          report.errors.push({ row, text, message: 'Invalid question ID' });
+          continue;
+        }
+
+        const question = await Question.findById(id);
+        if (!question) {
+          report.errors.push({ row, text, message: 'Question not found' });
+          continue;
+        }
+
+        for (const [field, value] of Object.entries(values)) {
+          if (value !== undefined) question[field] = value;
+        }
+        if (translations) {
+          applyTranslations(question, translations);
+        }
+        if (archived !== undefined && archived !== question.isArchived) {
+          question.isArchived = archived;
+          question.archivedAt = archived ? Date.now() : undefined;
+        }
+
+        await question.save();
+        report.updated++;
+      } else {
+        const question = new Question({
+          ...values,
+          isArchived: archived || false,
+          archivedAt: archived ? Date.now() : undefined
+        });
+        if (translations) {
+          applyTranslations(question, translations);
+        }
+        await question.save();
+        report.created++;
+      }
+    } catch (error) {
+      // The unique text index rejects prompts that are already in the bank
+      if (error.code === 11000) {
+        report.duplicates.push({ row, text, message: 'A question with this text already exists' });
+      } else {
+        report.errors.push({ row, text, message: error.message });
+      }
+    }
+  }
+
+  return report;
+};
+
+/**
+ * Exports questions in an importable format
+ * @param {String} format - csv or json
+ * @param {Object} filter - Question filter, defaults to every question
+ * @returns {Promise<String>} - The file contents
+ */
+const exportQuestions = async (format, filter = {}) => {
+  const questions = await Question.find(filter).sort({ category: 1, createdAt: 1 });
+
+  const rows = questions.map(q => ({
+    id: q._id.toString(),
+    text: q.text,
+    ...Object.fromEntries(
+      TRANSLATION_LANGUAGES.map(language => [`text_${language}`, q.translations?.get(language)])
+    ),
+    category: q.category,
+    difficulty: q.difficulty,
+    pointValue: q.pointValue,
+    archived: q.isArchived
+  }));
+
+  if (format === 'json') {
+    return JSON.stringify(rows, null, 2);
+  }
+
+  return [
+    COLUMNS.join(','),
+    ...rows.map(row => COLUMNS.map(column => toCsvField(row[column])).join(','))
+  ].join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  DIFFICULTIES,
+  FORMATS,
+  validateQuestionFields,
+  applyTranslations,
+  sameTextFilter,
+  parseCsv,
+  parseQuestionFile,
+  importQuestions,
+  exportQuestions
+};
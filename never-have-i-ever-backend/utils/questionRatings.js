@@ -0,0 +1,91 @@
+/**
+ * Player ratings of questions
+ *
+ * Each player can rate a question up or down and flag it once (QuestionFeedback);
+ * the totals are kept on the question. Questions flagged by enough players are
+ * hidden until a moderator reviews them, and better-loved questions are dealt more.
+ */
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionFeedback = require('../models/QuestionFeedback');
+
+// Flags that hide a question until a moderator reviews it
+const FLAG_HIDE_THRESHOLD = Number(process.env.QUESTION_FLAG_THRESHOLD) || 3;
+
+/**
+ * Scores a question for selection: the share of thumbs up, assuming one of each
+ * to start with so new questions sit in the middle
+ * @param {Object} ratings - { up, down }
+ * @returns {Number} - Between 0 and 1
+ */
+const getRatingScore = (ratings = {}) => {
+  const up = ratings.up || 0;
+  const down = ratings.down || 0;
+  return (up + 1) / (up + down + 2);
+};
+
+/**
+ * Recounts a question's feedback and hides it once it has been flagged too often
+ * @param {ObjectId} questionId - The question
+ * @returns {Promise<Object>} - The updated question
+ */
+const updateQuestionRatings = async (questionId) => {
+  const [totals] = await QuestionFeedback.aggregate([
+    { $match: { question: new mongoose.Types.ObjectId(questionId.toString()) } },
+    {
+      $group: {
+        _id: null,
+        up: { $sum: { $cond: [{ $eq: ['$rating', 'up'] }, 1, 0] } },
+        down: { $sum: { $cond: [{ $eq: ['$rating', 'down'] }, 1, 0] } },
+        flags: { $sum: { $cond: ['$flagged', 1, 0] } }
+      }
+    }
+  ]);
+
+  const ratings = {
+    up: totals?.up || 0,
+    down: totals?.down || 0,
+    flags: totals?.flags || 0
+  };
+
+  const question = await Question.findByIdAndUpdate(
+    questionId,
+    { $set: { ratings } },
+    { new: true }
+  );
+
+  if (question && ratings.flags >= FLAG_HIDE_THRESHOLD && !question.isHidden) {
+    return Question.findByIdAndUpdate(
+      questionId,
+      { $set: { isHidden: true, hiddenAt: Date.now() } },
+      { new: true }
+    );
+  }
+
+  return question;
+};
+
+/**
+ * Clears the flags on a question after a moderator has reviewed it and shows it again
+ * @param {ObjectId} questionId - The question
+ * @returns {Promise<Object>} - The updated question
+ */
+const clearQuestionFlags = async (questionId) => {
+  await QuestionFeedback.updateMany(
+    { question: questionId, flagged: true },
+    { $set: { flagged: false }, $unset: { flagReason: 1 } }
+  );
+  await Question.updateOne(
+    { _id: questionId },
+    { $set: { isHidden: false }, $unset: { hiddenAt: 1 } }
+  );
+
+  return updateQuestionRatings(questionId);
+};
+
+module.exports = {
+  FLAG_HIDE_THRESHOLD,
+  getRatingScore,
+  updateQuestionRatings,
+  clearQuestionFlags
+};
@@ -0,0 +1,317 @@
+/**
+ * Picks the questions dealt into a new room
+ *
+ * Hosts can limit the categories and choose a difficulty mix. A mix gives each
+ * difficulty a share of the rounds; ramped mixes deal the easy questions first.
+ * Questions come from the bank unless the host picked question packs. Questions the
+ * players haven't seen in finished games within the lookback window are dealt first,
+ * then those seen by the fewest of them. Among those, better-rated questions are
+ * more likely to be picked.
+ */
+const mongoose = require('mongoose');
+const Question = require('../models/Question');
+const QuestionPack = require('../models/QuestionPack');
+const GameResult = require('../models/GameResult');
+const { shuffleArray, httpError } = require('./helpers');
+const { getRatingScore } = require('./questionRatings');
+
+const DEFAULT_DIFFICULTY_MIX = 'any';
+
+// How far back a player's games count as having seen a question; 0 turns repeat avoidance off
+const DEFAULT_LOOKBACK_DAYS = 30;
+
+// How many random candidates to weigh by rating for each question needed
+const CANDIDATES_PER_QUESTION = 4;
+
+// Questions that can be dealt: not archived and not hidden by player flags
+const PLAYABLE_FILTER = { isArchived: { $ne: true }, isHidden: { $ne: true } };
+
+// Questions in the shared bank: playable and not written for a question pack
+const BANK_FILTER = { ...PLAYABLE_FILTER, pack: null };
+
+const DIFFICULTY_MIXES = {
+  any: {
+    name: 'Any difficulty',
+    description: 'Questions of every difficulty, in random order'
+  },
+  easy: {
+    name: 'Easy only',
+    description: 'Light questions for a warm-up',
+    weights: { easy: 1 }
+  },
+  medium: {
+    name: 'Medium only',
+    description: 'Nothing too light, nothing too deep',
+    weights: { medium: 1 }
+  },
+  hard: {
+    name: 'Hard only',
+    description: 'For groups that know each other well',
+    weights: { hard: 1 }
+  },
+  'mostly-easy': {
+    name: 'Mostly easy',
+    description: 'Mostly easy with a few medium questions mixed in',
+    weights: { easy: 0.7, medium: 0.3 }
+  },
+  ramp: {
+    name: 'Ramp up',
+    description: 'Start easy and ramp up to hard',
+    weights: { easy: 1, medium: 1, hard: 1 },
+    ramp: true
+  },
+  'mostly-easy-ramp': {
+    name: 'Mostly easy, ramp to hard',
+    description: 'Mostly easy questions that build up to a few hard ones',
+    weights: { easy: 0.6, medium: 0.25, hard: 0.15 },
+    ramp: true
+  }
+};
+
+const RAMP_ORDER = ['easy', 'medium', 'hard'];
+
+/**
+ * Splits a number of rounds between difficulties by weight
+ * @param {Object} weights - Relative weight per difficulty
+ * @param {Number} count - Total rounds
+ * @returns {Object} - Rounds per difficulty, adding up to count
+ */
+const allocateRounds = (weights, count) => {
+  const total = Object.values(weights).reduce((acc, weight) => acc + weight, 0);
+  const shares = Object.entries(weights).map(([difficulty, weight]) => {
+    const exact = (weight / total) * count;
+    return { difficulty, rounds: Math.floor(exact), remainder: exact - Math.floor(exact) };
+  });
+
+  // Hand out the rounds lost to rounding to the largest remainders
+  let left = count - shares.reduce((acc, share) => acc + share.rounds, 0);
+  for (const share of [...shares].sort((a, b) => b.remainder - a.remainder)) {
+    if (left === 0) break;
+    share.rounds++;
+    left--;
+  }
+
+  return Object.fromEntries(shares.map(share => [share.difficulty, share.rounds]));
+};
+
+/**
+ * Reads the repeat lookback window from QUESTION_REPEAT_LOOKBACK_DAYS
+ * @returns {Number} - Days, 0 when repeat avoidance is off
+ */
+const getLookbackDays = () => {
+  const days = Number(process.env.QUESTION_REPEAT_LOOKBACK_DAYS ?? DEFAULT_LOOKBACK_DAYS);
+  return Number.isFinite(days) && days > 0 ? days : 0;
+};
+
+/**
+ * Counts how many of the given players have seen each question recently
+ * @param {Array} userIds - The players
+ * @param {Number} lookbackDays - How many days of finished games to look at
+ * @returns {Promise<Map>} - Question id string to number of players who saw it
+ */
+const getSeenQuestionCounts = async (userIds, lookbackDays = getLookbackDays()) => {
+  if (!userIds || userIds.length === 0 || lookbackDays <= 0) {
+    return new Map();
+  }
+
+  const players = userIds.map(id => new mongoose.Types.ObjectId(id.toString()));
+  const since = new Date(Date.now() - lookbackDays * 24 * 60 * 60 * 1000);
+
+  const rows = await GameResult.aggregate([
+    { $match: { 'standings.user': { $in: players }, completedAt: { $gte: since } } },
+    { $unwind: '$standings' },
+    { $match: { 'standings.user': { $in: players } } },
+    { $unwind: '$rounds' },
+    { $group: { _id: '$rounds.question', players: { $addToSet: '$standings.user' } } },
+    { $project: { seenBy: { $size: '$players' } } }
+  ]);
+
+  return new Map(rows.filter(row => row._id).map(row => [row._id.toString(), row.seenBy]));
+};
+
+/**
+ * Orders questions randomly, weighted so better-rated ones tend to come first
+ * (weighted sampling without replacement: each gets a key of random^(1/weight))
+ * @param {Array} questions - Questions with their ratings
+ * @returns {Array} - The same questions, in weighted random order
+ */
+const weightedShuffle = (questions) => questions
+  .map(question => ({ question, key: Math.random() ** (1 / getRatingScore(question.ratings)) }))
+  .sort((a, b) => b.key - a.key)
+  .map(({ question }) => question);
+
+/**
+ * Draws questions from a pool, preferring ones the players haven't seen
+ * @param {Object} filter - The question pool
+ * @param {Number} size - How many questions to draw
+ * @param {Map} seenCounts - From getSeenQuestionCounts
+ * @returns {Promise<Array>} - Up to size question ids, in random order
+ */
+const sampleQuestions = async (filter, size, seenCounts) => {
+  const seenIds = [...seenCounts.keys()].map(id => new mongoose.Types.ObjectId(id));
+
+  const candidates = await Question.aggregate([
+    { $match: seenIds.length > 0 ? { $and: [filter, { _id: { $nin: seenIds } }] } : filter },
+    { $sample: { size: size * CANDIDATES_PER_QUESTION } },
+    { $project: { _id: 1, ratings: 1 } }
+  ]);
+  const picked = weightedShuffle(candidates).slice(0, size).map(q => q._id);
+
+  // Top up with the questions seen by the fewest players, better-rated first among equals
+  if (picked.length < size && seenIds.length > 0) {
+    const seen = await Question.find({ $and: [filter, { _id: { $in: seenIds } }] })
+      .select('_id ratings');
+    const leastSeen = weightedShuffle(seen)
+      .sort((a, b) => seenCounts.get(a._id.toString()) - seenCounts.get(b._id.toString()));
+    picked.push(...leastSeen.slice(0, size - picked.length).map(q => q._id));
+  }
+
+  return shuffleArray(picked);
+};
+
+/**
+ * Picks questions for a room
+ * @param {Object} options - { count, categories, difficultyMix, questionIds, playerIds }
+ *   categories is a list of category names; an empty list means every category.
+ *   questionIds limits the pool to those questions (the host's packs) instead of the bank.
+ *   playerIds are the players whose recently seen questions are dealt last
+ * @returns {Promise<Array>} - The question ids in play order
+ * @throws {Error} - With a 400 status code when the pool is too small
+ */
+const selectQuestions = async ({
+  count,
+  categories = [],
+  difficultyMix = DEFAULT_DIFFICULTY_MIX,
+  questionIds,
+  playerIds = []
+}) => {
+  const mix = DIFFICULTY_MIXES[difficultyMix] || DIFFICULTY_MIXES[DEFAULT_DIFFICULTY_MIX];
+  const seenCounts = await getSeenQuestionCounts(playerIds);
+
+  const baseFilter = questionIds
+    ? { _id: { $in: questionIds }, ...PLAYABLE_FILTER }
+    : { ...BANK_FILTER };
+  if (categories.length > 0) {
+    baseFilter.category = { $in: categories };
+  }
+
+  const source = questionIds ? 'the chosen packs' : 'the question bank';
+  const categoryLabel = categories.length > 0
+    ? `in ${categories.join(', ')}`
+    : `in ${source}`;
+
+  // Every difficulty in one random draw
+  if (!mix.weights) {
+    const questions = await sampleQuestions(baseFilter, count, seenCounts);
+
+    if (questions.length < count) {
+      throw httpError(
+        400,
+        `Only ${questions.length} questions ${categoryLabel}, but ${count} rounds were requested. ` +
+        'Choose more categories or fewer rounds.'
+      );
+    }
+
+    return questions;
+  }
+
+  const allocation = allocateRounds(mix.weights, count);
+  const picked = {};
+
+  for (const [difficulty, rounds] of Object.entries(allocation)) {
+    if (rounds === 0) continue;
+
+    const questions = await sampleQuestions({ ...baseFilter, difficulty }, rounds, seenCounts);
+
+    if (questions.length < rounds) {
+      throw httpError(
+        400,
+        `Only ${questions.length} ${difficulty} questions ${categoryLabel}, but the ` +
+        `"${mix.name}" mix needs ${rounds}. Choose more categories, another difficulty mix or fewer rounds.`
+      );
+    }
+
+    picked[difficulty] = questions;
+  }
+
+  if (mix.ramp) {
+    return RAMP_ORDER.flatMap(difficulty => picked[difficulty] || []);
+  }
+
+  return shuffleArray(Object.values(picked).flat());
+};
+
+/**
+ * Lists the categories of questions in the bank, with how many of each difficulty
+ * @returns {Promise<Array>} - { category, count, difficulties: { easy, medium, hard } }
+ */
+const getCategories = async () => {
+  const rows = await Question.aggregate([
+    { $match: BANK_FILTER },
+    { $group: { _id: { category: '$category', difficulty: '$difficulty' }, count: { $sum: 1 } } }
+  ]);
+
+  const categories = new Map();
+  for (const { _id, count } of rows) {
+    const entry = categories.get(_id.category) ||
+      { category: _id.category, count: 0, difficulties: {} };
+    entry.count += count;
+    entry.difficulties[_id.difficulty] = count;
+    categories.set(_id.category, entry);
+  }
+
+  return [...categories.values()].sort((a, b) => a.category.localeCompare(b.category));
+};
+
+/**
+ * Loads the packs a host picked for a room and collects their questions
+ * @param {Array} packIds - Question pack ids
+ * @param {Object} user - The host
+ * @returns {Promise<Array>} - Question ids from every pack, without repeats
+ * @throws {Error} - With a 400/403/404 status code when a pack can't be used
+ */
+const getPackQuestionIds = async (packIds, user) => {
+  if (!Array.isArray(packIds) || packIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw httpError(400, 'Question packs must be a list of pack IDs');
+  }
+
+  const packs = await QuestionPack.find({ _id: { $in: packIds } });
+  if (packs.length !== new Set(packIds.map(String)).size) {
+    throw httpError(404, 'Question pack not found');
+  }
+
+  const userId = user._id.toString();
+  if (packs.some(pack => pack.visibility !== 'public' && pack.owner.toString() !== userId)) {
+    throw httpError(403, 'You can only use your own packs and public packs');
+  }
+
+  // Questions still waiting for review are only dealt in their owner's rooms
+  const ownPacks = await QuestionPack.find({ owner: user._id }).distinct('_id');
+  const pending = await Question.find({
+    _id: { $in: packs.flatMap(pack => pack.questions) },
+    isPendingReview: true,
+    pack: { $nin: ownPacks }
+  }).distinct('_id');
+  const excluded = new Set(pending.map(String));
+
+  // Keep ObjectIds, aggregation pipelines don't cast strings
+  const questionIds = new Map(
+    packs.flatMap(pack => pack.questions)
+      .filter(id => !excluded.has(id.toString()))
+      .map(id => [id.toString(), id])
+  );
+  return [...questionIds.values()];
+};
+
+module.exports = {
+  DEFAULT_DIFFICULTY_MIX,
+  DIFFICULTY_MIXES,
+  PLAYABLE_FILTER,
+  BANK_FILTER,
+  getLookbackDays,
+  getSeenQuestionCounts,
+  allocateRounds,
+  selectQuestions,
+  getPackQuestionIds,
+  getCategories
+};
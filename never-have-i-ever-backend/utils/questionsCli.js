@@ -0,0 +1,60 @@
+/**
+ * Import or export the question bank from the command line
+ *
+ *   npm run questions:import -- questions.csv
+ *   npm run questions:export -- questions.json
+ *
+ * The format follows the file extension (.csv or .json). Imports add new
+ * prompts, update rows that carry an id and skip prompts already in the bank.
+ */
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+const mongoose = require('mongoose');
+const connectDB = require('../config/db');
+const { FORMATS, parseQuestionFile, importQuestions, exportQuestions } = require('./questionBank');
+
+// Load environment variables
+dotenv.config();
+
+const [command, file] = process.argv.slice(2);
+
+const run = async () => {
+  if (!['import', 'export'].includes(command) || !file) {
+    throw new Error('Usage: node utils/questionsCli.js <import|export> <file.csv|file.json>');
+  }
+
+  const format = path.extname(file).slice(1).toLowerCase();
+  if (!FORMATS.includes(format)) {
+    throw new Error(`File must end in one of: ${FORMATS.map(f => `.${f}`).join(', ')}`);
+  }
+
+  await connectDB();
+
+  if (command === 'export') {
+    fs.writeFileSync(file, await exportQuestions(format));
+    console.log(`Questions exported to ${file}`);
+    return;
+  }
+
+  const rows = parseQuestionFile(fs.readFileSync(file, 'utf8'), format);
+  const report = await importQuestions(rows);
+
+  console.log(
+    `Imported ${report.total} rows: ${report.created} created, ${report.updated} updated, ` +
+    `${report.duplicates.length} duplicates skipped, ${report.errors.length} errors`
+  );
+
+  const problems = [...report.duplicates, ...report.errors].sort((a, b) => a.row - b.row);
+  for (const { row, text, message } of problems) {
+    console.log(`  Row ${row}: ${message}${text ? ` (${text})` : ''}`);
+  }
+};
+
+run()
+  .then(() => mongoose.disconnect())
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error(`Error: ${error.message}`);
+    process.exit(1);
+  });
@@ -0,0 +1,112 @@
+/**
+ * Host moderation
+ *
+ * The host can kick a player, ban a user from re-joining the room and hand the
+ * host role to another player. Every action is recorded in the room's audit log.
+ * Rejected actions throw errors carrying an HTTP status code.
+ */
+const mongoose = require('mongoose');
+const { updateRoom } = require('./roomUpdate');
+const { removePlayer } = require('./gameRound');
+const { httpError } = require('./helpers');
+const { addAuditEntry } = require('./auditLog');
+
+// Load-time checks shared by every host action
+const checkHostAction = (room, hostId, targetId) => {
+  if (room.host.toString() !== hostId) {
+    throw httpError(403, 'Only the host can do that');
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(targetId)) {
+    throw httpError(400, 'Invalid user ID');
+  }
+
+  if (targetId === hostId) {
+    throw httpError(400, 'You cannot do that to yourself');
+  }
+};
+
+/**
+ * Removes a player from a room, optionally banning them from joining again.
+ * A user who isn't in the room can still be banned.
+ * @param {String} roomId - The room id
+ * @param {String} hostId - The host taking the action
+ * @param {String} targetId - The user to remove
+ * @param {Object} options - { ban, reason }
+ * @returns {Promise<Object>} - { room, wasPlayer }
+ */
+const removeFromRoom = async (roomId, hostId, targetId, { ban = false, reason } = {}) => {
+  let wasPlayer = false;
+
+  const room = await updateRoom(roomId, (current) => {
+    checkHostAction(current, hostId, targetId);
+
+    wasPlayer = current.players.some(player => player.user.toString() === targetId);
+    const isBanned = current.bannedUsers.some(id => id.toString() === targetId);
+
+    if (!wasPlayer && (!ban || isBanned)) {
+      throw httpError(404, 'That player is not in this room');
+    }
+
+    removePlayer(current, targetId);
+    if (ban && !isBanned) {
+      current.bannedUsers.push(targetId);
+    }
+
+    addAuditEntry(current, {
+      action: ban ? 'ban' : 'kick',
+      actor: hostId,
+      target: targetId,
+      reason
+    });
+  });
+
+  if (!room) {
+    throw httpError(404, 'Room not found');
+  }
+
+  return { room, wasPlayer };
+};
+
+/**
+ * Hands the host role to another player
+ * @param {String} roomId - The room id
+ * @param {String} hostId - The current host
+ * @param {String} targetId - The player to make host
+ * @returns {Promise<Object>} - The room
+ */
+const transferHost = async (roomId, hostId, targetId) => {
+  const room = await updateRoom(roomId, (current) => {
+    checkHostAction(current, hostId, targetId);
+
+    const isPlayer = current.players.some(player => player.user.toString() === targetId);
+    if (!isPlayer) {
+      throw httpError(404, 'That player is not in this room');
+    }
+
+    current.host = targetId;
+    addAuditEntry(current, { action: 'transfer-host', actor: hostId, target: targetId });
+  });
+
+  if (!room) {
+    throw httpError(404, 'Room not found');
+  }
+
+  return room;
+};
+
+/**
+ * Whether a user has been banned from a room
+ * @param {Object} room - The room document
+ * @param {String} userId - The user
+ * @returns {Boolean}
+ */
+const isBannedFrom = (room, userId) => {
+  return room.bannedUsers.some(id => id.toString() === userId);
+};
+
+module.exports = {
+  removeFromRoom,
+  transferHost,
+  isBannedFrom
+};
@@ -0,0 +1,55 @@
+/**
+ * Concurrency-safe room writes
+ *
+ * Rooms use optimistic concurrency: a save only succeeds if the document is
+ * still at the version it was loaded at. Atomic updates elsewhere bump the
+ * version too, so a stale copy can never overwrite them.
+ */
+const mongoose = require('mongoose');
+const Room = require('../models/Room');
+const { httpError } = require('./helpers');
+
+const MAX_RETRIES = 3;
+
+/**
+ * Error for a change that kept losing the race against other requests
+ * @param {String} message - The error message
+ * @returns {Error} - An error with a 409 status code
+ */
+const conflictError = (message = 'The room was changed by someone else, please try again') => {
+  return httpError(409, message);
+};
+
+/**
+ * Loads a room, applies a change and saves it, reloading and reapplying the
+ * change whenever another request saved the room first.
+ * @param {String} roomId - The room id
+ * @param {Function} mutate - Changes the room in place. May throw to reject the
+ *   change, or return false to leave the room unsaved.
+ * @returns {Promise<Object|null>} - The room, or null if it doesn't exist
+ */
+const updateRoom = async (roomId, mutate) => {
+  for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+    const room = await Room.findById(roomId);
+    if (!room) return null;
+
+    if (await mutate(room) === false) {
+      return room;
+    }
+
+    try {
+      return await room.save();
+    } catch (error) {
+      if (!(error instanceof mongoose.Error.VersionError)) {
+        throw error;
+      }
+    }
+  }
+
+  throw conflictError();
+};
+
+module.exports = {
+  conflictError,
+  updateRoom
+};
@@ -0,0 +1,233 @@
+/**
+ * In-process job scheduler
+ *
+ * Jobs run either daily at a wall-clock time in a configured timezone or every
+ * few minutes. Every instance schedules every job, but a lock on the job's
+ * ScheduledJob document makes sure each run happens on one instance only.
+ */
+const os = require('os');
+const ScheduledJob = require('../models/ScheduledJob');
+
+// Identifies this process in job locks
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// How long a crashed instance can hold a job before another may take over
+const LOCK_MINUTES = 10;
+
+// Registered jobs keyed by name
+const jobs = new Map();
+
+/**
+ * Offset of a timezone from UTC at a given instant
+ * @param {Date} date - The instant
+ * @param {String} timeZone - An IANA timezone, e.g. "Europe/London"
+ * @returns {Number} - The offset in milliseconds
+ */
+const getTimezoneOffset = (date, timeZone) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric',
+    second: 'numeric'
+  }).formatToParts(date);
+  const get = (type) => Number(parts.find(p => p.type === type).value);
+
+  const wallClock = Date.UTC(
+    get('year'), get('month') - 1, get('day'),
+    get('hour'), get('minute'), get('second')
+  );
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+/**
+ * Next time a daily job is due
+ * @param {String} time - Wall-clock time as "HH:MM"
+ * @param {String} timeZone - An IANA timezone
+ * @param {Date} now - The current time
+ * @returns {Date} - The next run
+ */
+const getNextDailyRun = (time, timeZone, now = new Date()) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  const today = new Date(now.getTime() + getTimezoneOffset(now, timeZone));
+
+  for (let dayOffset = 0; dayOffset <= 2; dayOffset++) {
+    const wallClock = Date.UTC(
+      today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate() + dayOffset,
+      hours, minutes
+    );
+
+    // Re-check the offset at the result in case a DST change falls in between
+    let run = wallClock - getTimezoneOffset(new Date(wallClock), timeZone);
+    run = wallClock - getTimezoneOffset(new Date(run), timeZone);
+
+    if (run > now.getTime()) {
+      return new Date(run);
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Next time a job is due
+ * @param {Object} job - The job definition
+ * @param {Date} now - The current time
+ * @returns {Date} - The next run
+ */
+const getNextRun = (job, now = new Date()) => {
+  if (job.dailyAt) {
+    return getNextDailyRun(job.dailyAt, job.timeZone, now);
+  }
+
+  // Interval jobs run on multiples of the interval so every instance agrees on the slots
+  const interval = job.everyMinutes * 60 * 1000;
+  return new Date((Math.floor(now.getTime() / interval) + 1) * interval);
+};
+
+// Human readable schedule for the admin view
+const describeSchedule = (job) => {
+  if (job.dailyAt) {
+    return `daily at ${job.dailyAt} (${job.timeZone})`;
+  }
+  return `every ${job.everyMinutes} minute${job.everyMinutes === 1 ? '' : 's'}`;
+};
+
+// Run a job for a slot if no other instance has claimed it
+const runJob = async (job, scheduledFor) => {
+  const now = new Date();
+
+  const claimed = await ScheduledJob.findOneAndUpdate(
+    {
+      name: job.name,
+      $and: [
+        { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+        { $or: [{ lastScheduledFor: null }, { lastScheduledFor: { $lt: scheduledFor } }] }
+      ]
+    },
+    {
+      $set: {
+        lockedBy: INSTANCE_ID,
+        lockedUntil: new Date(now.getTime() + LOCK_MINUTES * 60 * 1000),
+        lastScheduledFor: scheduledFor,
+        lastRunAt: now,
+        lastStatus: 'running',
+        lastError: null
+      }
+    },
+    { new: true }
+  );
+
+  if (!claimed) return;
+
+  const update = { lockedBy: null, lockedUntil: null, lastResult: null };
+
+  try {
+    const result = await job.run();
+    update.lastStatus = 'success';
+    update.lastResult = typeof result === 'string' ? result : null;
+  } catch (error) {
+    console.error(`Error running job ${job.name}:`, error);
+    update.lastStatus = 'failed';
+    update.lastError = error.message;
+  }
+
+  update.lastFinishedAt = new Date();
+  await ScheduledJob.updateOne({ name: job.name, lockedBy: INSTANCE_ID }, { $set: update });
+};
+
+// Wait for the job's next slot, run it and schedule the one after
+const scheduleNext = async (job) => {
+  const nextRunAt = getNextRun(job);
+  job.nextRunAt = nextRunAt;
+
+  try {
+    await ScheduledJob.updateOne({ name: job.name }, { $set: { nextRunAt } });
+  } catch (error) {
+    console.error(`Error scheduling job ${job.name}:`, error);
+  }
+
+  // Timers can't wait longer than ~24.8 days, so long waits are split up
+  const delay = Math.min(nextRunAt.getTime() - Date.now(), 2 ** 31 - 1);
+
+  job.timeout = setTimeout(async () => {
+    if (Date.now() >= nextRunAt.getTime()) {
+      try {
+        await runJob(job, nextRunAt);
+      } catch (error) {
+        console.error(`Error running job ${job.name}:`, error);
+      }
+    }
+    scheduleNext(job);
+  }, Math.max(0, delay));
+};
+
+/**
+ * Registers a job and starts its schedule
+ * @param {Object} job - The job definition:
+ *   { name, description, run, dailyAt: "HH:MM", timeZone } for daily jobs, or
+ *   { name, description, run, everyMinutes } for interval jobs.
+ *   `run` may resolve to a short summary string that is shown to admins.
+ */
+const scheduleJob = async (job) => {
+  if (jobs.has(job.name)) {
+    throw new Error(`Job ${job.name} is already scheduled`);
+  }
+
+  jobs.set(job.name, job);
+
+  try {
+    await ScheduledJob.updateOne(
+      { name: job.name },
+      { $set: { description: job.description, schedule: describeSchedule(job) } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another instance created the document at the same moment
+    if (error.code !== 11000) throw error;
+  }
+
+  await scheduleNext(job);
+};
+
+/**
+ * Stops every scheduled job in this process
+ */
+const stopScheduler = () => {
+  for (const job of jobs.values()) {
+    clearTimeout(job.timeout);
+  }
+  jobs.clear();
+};
+
+/**
+ * Last and next run of every job
+ * @returns {Promise<Array>} - The job states
+ */
+const getJobStatuses = async () => {
+  const states = await ScheduledJob.find().sort({ name: 1 }).lean();
+
+  return states.map(state => ({
+    name: state.name,
+    description: state.description,
+    schedule: state.schedule,
+    lastRunAt: state.lastRunAt,
+    lastFinishedAt: state.lastFinishedAt,
+    lastStatus: state.lastStatus,
+    lastError: state.lastError,
+    lastResult: state.lastResult,
+    nextRunAt: jobs.get(state.name)?.nextRunAt || state.nextRunAt,
+    runningOn: state.lockedUntil > new Date() ? state.lockedBy : null
+  }));
+};
+
+module.exports = {
+  getTimezoneOffset,
+  getNextDailyRun,
+  scheduleJob,
+  stopScheduler,
+  getJobStatuses
+};
@@ -0,0 +1,177 @@
+/**
+ * Scoring engine for the Never Have I Ever game
+ *
+ * A rule set is a named list of rules. Each rule looks at one answer in the
+ * context of the whole round and returns the points it awards, so rule sets
+ * can be mixed and matched without touching the round lifecycle.
+ */
+
+const DEFAULT_RULE_SET = 'minority-wins';
+
+/**
+ * Calculates the speed bonus for a response time
+ * @param {Number} responseTimeSeconds - Seconds between answers opening and the answer
+ * @returns {Number} - The bonus points
+ */
+const getSpeedBonus = (responseTimeSeconds) => {
+  if (responseTimeSeconds < 5) {
+    return 3;  // Fast response bonus
+  } else if (responseTimeSeconds <= 15) {
+    return 1;  // Medium speed bonus
+  }
+  return 0;
+};
+
+// Each rule receives the answer and the round context and returns points
+const rules = {
+  // +10 for answering with the minority
+  minority: (answer, round) => (round.isInMinority(answer) ? 10 : 0),
+
+  // +2 for taking part
+  participation: () => 2,
+
+  // +3 under 5 seconds, +1 up to 15 seconds
+  speed: (answer) => getSpeedBonus(answer.responseTimeSeconds),
+
+  // +10 for every answer, whichever side it falls on
+  honesty: () => 10
+};
+
+const RULE_SETS = {
+  'minority-wins': {
+    name: 'Minority wins',
+    description: 'Answer with the minority for big points, answer fast for a bonus',
+    rules: ['minority', 'participation', 'speed']
+  },
+  honesty: {
+    name: 'Honesty',
+    description: 'Every answer scores the same, so there is no reason to bluff',
+    rules: ['honesty']
+  },
+  'no-speed-bonus': {
+    name: 'No speed bonus',
+    description: 'Minority wins, but take your time',
+    rules: ['minority', 'participation']
+  }
+};
+
+const STREAK_MODES = ['off', 'flat', 'multiplier'];
+
+/**
+ * Calculates the bonus for a streak of consecutive minority answers.
+ * Streaks start paying out from the second answer in a row.
+ * @param {Number} roundPoints - Points earned from the rule set this round
+ * @param {Number} answerStreak - The streak including this round
+ * @param {Object} streakSettings - The room's streak settings
+ * @returns {Number} - The bonus points
+ */
+const getStreakBonus = (roundPoints, answerStreak, streakSettings = {}) => {
+  const {
+    mode = 'flat',
+    flatPoints = 2,
+    multiplierStep = 0.5,
+    maxMultiplier = 3
+  } = streakSettings;
+
+  if (mode === 'off' || answerStreak < 2) {
+    return 0;
+  }
+
+  if (mode === 'multiplier') {
+    const multiplier = Math.min(1 + multiplierStep * (answerStreak - 1), maxMultiplier);
+    return Math.round(roundPoints * multiplier) - roundPoints;
+  }
+
+  return flatPoints * (answerStreak - 1);
+};
+
+/**
+ * Looks up a rule set, falling back to the default
+ * @param {String} ruleSet - The rule set key
+ * @returns {Object} - The rule set definition
+ */
+const getRuleSet = (ruleSet) => RULE_SETS[ruleSet] || RULE_SETS[DEFAULT_RULE_SET];
+
+/**
+ * Speed bonus a single answer would earn under a room's rules
+ * @param {Number} responseTimeSeconds - Seconds between answers opening and the answer
+ * @param {Object} settings - The room settings
+ * @returns {Number} - The bonus points
+ */
+const getAnswerSpeedBonus = (responseTimeSeconds, settings = {}) => {
+  return getRuleSet(settings.ruleSet).rules.includes('speed')
+    ? getSpeedBonus(responseTimeSeconds)
+    : 0;
+};
+
+/**
+ * Scores one round
+ * @param {Array} answers - The round's answers ({ user, answer, skipped, responseTimeSeconds })
+ * @param {Array} players - The room's players ({ user, answerStreak })
+ * @param {Object} settings - The room settings
+ * @returns {Object} - Yes/no counts and a result per player:
+ *   { userId, points, breakdown, isInMinority, answerStreak }
+ *   The breakdown includes a `streak` entry when a streak bonus applies.
+ */
+const calculateRoundScores = (answers, players, settings = {}) => {
+  const ruleSet = getRuleSet(settings.ruleSet);
+  const givenAnswers = answers.filter(a => !a.skipped);
+  const yesCount = givenAnswers.filter(a => a.answer === true).length;
+  const noCount = givenAnswers.length - yesCount;
+
+  const round = {
+    yesCount,
+    noCount,
+    isInMinority: (answer) =>
+      (yesCount < givenAnswers.length / 2 && answer.answer === true) ||
+      (yesCount > givenAnswers.length / 2 && answer.answer === false)
+  };
+
+  const results = players.map(player => {
+    const userId = player.user.toString();
+    const answer = givenAnswers.find(a => a.user.toString() === userId);
+
+    // Players who didn't answer score nothing and lose their streak
+    if (!answer) {
+      return { userId, points: 0, breakdown: {}, isInMinority: false, answerStreak: 0 };
+    }
+
+    const breakdown = {};
+    for (const ruleName of ruleSet.rules) {
+      const points = rules[ruleName](answer, round);
+      if (points) {
+        breakdown[ruleName] = points;
+      }
+    }
+
+    const isInMinority = round.isInMinority(answer);
+    const answerStreak = isInMinority ? (player.answerStreak || 0) + 1 : 0;
+    const rulePoints = Object.values(breakdown).reduce((acc, points) => acc + points, 0);
+
+    const streakBonus = getStreakBonus(rulePoints, answerStreak, settings.streak);
+    if (streakBonus) {
+      breakdown.streak = streakBonus;
+    }
+
+    return {
+      userId,
+      points: rulePoints + streakBonus,
+      breakdown,
+      isInMinority,
+      answerStreak
+    };
+  });
+
+  return { yesCount, noCount, results };
+};
+
+module.exports = {
+  DEFAULT_RULE_SET,
+  RULE_SETS,
+  STREAK_MODES,
+  getRuleSet,
+  getStreakBonus,
+  getSpeedBonus,
+  getAnswerSpeedBonus,
+  calculateRoundScores
+};
@@ -3,6 +3,7 @@ import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate } from 'react-router-dom';
 import { AuthProvider, AuthContext } from './contexts/AuthContext';
 import { SocketProvider } from './contexts/SocketContext';
+import { LanguageProvider } from './contexts/LanguageContext';
 import { ToastContainer } from 'react-toastify';
 import 'react-toastify/dist/ReactToastify.css';
 
@@ -23,10 +24,22 @@ import JoinRoom from './components/rooms/JoinRoom';
 
 // Game components
 import GameRoom from './components/game/GameRoom';
+import GameScorecard from './components/game/GameScorecard';
 
 // Leaderboard component
 import Leaderboard from './components/leaderboard/Leaderboard';
 
+// Question components
+import SubmitQuestion from './components/questions/SubmitQuestion';
+
+// Question pack components
+import PackList from './components/packs/PackList';
+import PackEditor from './components/packs/PackEditor';
+
+// Admin components
+import AdminJobs from './components/admin/AdminJobs';
+import ModerationQueue from './components/admin/ModerationQueue';
+
 // Protected route wrapper
 const ProtectedRoute = ({ children }) => {
   const { currentUser } = React.useContext(AuthContext);
@@ -38,60 +51,127 @@ const ProtectedRoute = ({ children }) => {
   return children;
 };
 
+// Admin-only route wrapper
+const AdminRoute = ({ children }) => {
+  const { currentUser } = React.useContext(AuthContext);
+
+  if (currentUser?.role !== 'admin') {
+    return <Navigate to="/rooms" replace />;
+  }
+
+  return children;
+};
+
+// Moderator-only route wrapper (admins can moderate too)
+const ModeratorRoute = ({ children }) => {
+  const { currentUser } = React.useContext(AuthContext);
+
+  if (!['moderator', 'admin'].includes(currentUser?.role)) {
+    return <Navigate to="/rooms" replace />;
+  }
+
+  return children;
+};
+
 const App = () => {
   return (
     <Router>
       <AuthProvider>
-        <SocketProvider>
-          <div className="flex flex-col min-h-screen">
-            <Header />
-            <main className="flex-grow container mx-auto px-4 py-8">
-              <Routes>
-                {/* Public routes */}
-                <Route path="/" element={<CreateUser />} />
-                
-                {/* Protected routes */}
-                <Route path="/profile" element={
-                  <ProtectedRoute>
-                    <UserProfile />
-                  </ProtectedRoute>
-                } />
-                
-                <Route path="/rooms" element={
-                  <ProtectedRoute>
-                    <RoomList />
-                  </ProtectedRoute>
-                } />
-                
-                <Route path="/rooms/create" element={
-                  <ProtectedRoute>
-                    <CreateRoom />
-                  </ProtectedRoute>
-                } />
-
-                <Route path="/rooms/join" element={
-                  <ProtectedRoute>
-                    <JoinRoom />
-                  </ProtectedRoute>
-                } />
-                
-                <Route path="/rooms/:roomId" element={
-                  <ProtectedRoute>
-                    <GameRoom />
-                  </ProtectedRoute>
-                } />
-                
-                <Route path="/leaderboard" element={
-                  <ProtectedRoute>
-                    <Leaderboard />
-                  </ProtectedRoute>
-                } />
-              </Routes>
-            </main>
-            <ToastContainer position="top-right" autoClose={3000} />
-            <Footer />
-          </div>
-        </SocketProvider>
+        <LanguageProvider>
+          <SocketProvider>
+            <div className="flex flex-col min-h-screen">
+              <Header />
+              <main className="flex-grow container mx-auto px-4 py-8">
+                <Routes>
+                  {/* Public routes */}
+                  <Route path="/" element={<CreateUser />} />
+                  
+                  {/* Protected routes */}
+                  <Route path="/profile" element={
+                    <ProtectedRoute>
+                      <UserProfile />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/rooms" element={
+                    <ProtectedRoute>
+                      <RoomList />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/rooms/create" element={
+                    <ProtectedRoute>
+                      <CreateRoom />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/rooms/join" element={
+                    <ProtectedRoute>
+                      <JoinRoom />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/rooms/:roomId" element={
+                    <ProtectedRoute>
+                      <GameRoom />
+                    </ProtectedRoute>
+                  } />
+                  
+                  <Route path="/games/:gameId" element={
+                    <ProtectedRoute>
+                      <GameScorecard />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/leaderboard" element={
+                    <ProtectedRoute>
+                      <Leaderboard />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/questions/submit" element={
+                    <ProtectedRoute>
+                      <SubmitQuestion />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/packs" element={
+                    <ProtectedRoute>
+                      <PackList />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/packs/new" element={
+                    <ProtectedRoute>
+                      <PackEditor />
+                    </ProtectedRoute>
+                  } />
+
+                  <Route path="/packs/:packId/edit" element={
+                    <ProtectedRoute>
+                      <PackEditor />
+                    </ProtectedRoute>
+                  } />
+
+                  {/* Admin routes */}
+                  <Route path="/admin/jobs" element={
+                    <AdminRoute>
+                      <AdminJobs />
+                    </AdminRoute>
+                  } />
+
+                  <Route path="/moderation" element={
+                    <ModeratorRoute>
+                      <ModerationQueue />
+                    </ModeratorRoute>
+                  } />
+                </Routes>
+              </main>
+              <ToastContainer position="top-right" autoClose={3000} />
+              <Footer />
+            </div>
+          </SocketProvider>
+        </LanguageProvider>
       </AuthProvider>
     </Router>
   );
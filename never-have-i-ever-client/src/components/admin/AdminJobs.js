@@ -0,0 +1,95 @@
+// src/components/admin/AdminJobs.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const STATUS_STYLES = {
+  success: 'bg-green-100 text-green-800',
+  failed: 'bg-red-100 text-red-800',
+  running: 'bg-blue-100 text-blue-800'
+};
+
+const formatDateTime = (date) => (date ? new Date(date).toLocaleString() : '-');
+
+const AdminJobs = () => {
+  const { t } = useTranslation();
+  const [jobs, setJobs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchJobs = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/admin/jobs');
+      setJobs(response.data);
+    } catch (error) {
+      console.error('Error fetching jobs:', error);
+      toast.error(error.response?.data?.message || t('adminJobs.loadFailed'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    fetchJobs();
+  }, [fetchJobs]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="flex justify-between items-center mb-6">
+        <h1 className="text-2xl font-bold">{t('adminJobs.title')}</h1>
+        <button
+          onClick={fetchJobs}
+          className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md transition-colors"
+        >
+          {t('adminJobs.refresh')}
+        </button>
+      </div>
+
+      {isLoading ? (
+        <div className="text-center py-8">{t('adminJobs.loading')}</div>
+      ) : jobs.length > 0 ? (
+        <div className="bg-white rounded shadow overflow-hidden">
+          <table className="w-full text-sm">
+            <thead className="bg-gray-100">
+              <tr>
+                <th className="px-4 py-2 text-left">{t('adminJobs.job')}</th>
+                <th className="px-4 py-2 text-left">{t('adminJobs.schedule')}</th>
+                <th className="px-4 py-2 text-left">{t('adminJobs.lastRun')}</th>
+                <th className="px-4 py-2 text-left">{t('adminJobs.nextRun')}</th>
+              </tr>
+            </thead>
+            <tbody>
+              {jobs.map(job => (
+                <tr key={job.name} className="border-t align-top">
+                  <td className="px-4 py-3">
+                    <p className="font-medium">{job.name}</p>
+                    <p className="text-gray-500">{job.description}</p>
+                  </td>
+                  <td className="px-4 py-3">{job.schedule}</td>
+                  <td className="px-4 py-3">
+                    <p>{formatDateTime(job.lastRunAt)}</p>
+                    {job.lastStatus && (
+                      <span className={`inline-block mt-1 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[job.lastStatus]}`}>
+                        {t(`adminJobs.status.${job.lastStatus}`)}
+                      </span>
+                    )}
+                    {job.lastResult && <p className="text-gray-500 mt-1">{job.lastResult}</p>}
+                    {job.lastError && <p className="text-red-600 mt-1">{job.lastError}</p>}
+                  </td>
+                  <td className="px-4 py-3">{formatDateTime(job.nextRunAt)}</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <div className="text-center py-8 bg-gray-100 rounded">
+          <p>{t('adminJobs.none')}</p>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default AdminJobs;
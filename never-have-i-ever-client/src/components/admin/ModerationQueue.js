@@ -0,0 +1,300 @@
+// src/components/admin/ModerationQueue.js
+import React, { useState, useEffect, useCallback } from 'react';
+import api from '../../services/api';
+import Avatar from '../common/Avatar';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+// Questions players flagged as inappropriate get their own tab
+const FLAGGED = 'flagged';
+
+// One submission in the queue, with its own edit and reject state
+const SubmissionCard = ({ submission, onReviewed }) => {
+  const { t } = useTranslation();
+  const [edits, setEdits] = useState({
+    text: submission.text,
+    category: submission.category,
+    difficulty: submission.difficulty
+  });
+  const [rejectReason, setRejectReason] = useState('');
+  const [isRejecting, setIsRejecting] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const isPending = submission.status === 'pending';
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setEdits(prev => ({ ...prev, [name]: value }));
+  };
+
+  const review = async (action, body, successMessage) => {
+    try {
+      setIsSaving(true);
+      await api.post(`/moderation/submissions/${submission._id}/${action}`, body);
+      toast.success(successMessage);
+      onReviewed();
+    } catch (error) {
+      console.error(`Error trying to ${action} submission:`, error);
+      toast.error(error.response?.data?.message || t(`moderationQueue.${action}Failed`));
+      // Someone else reviewed it first
+      if (error.response?.status === 409) onReviewed();
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleReject = (e) => {
+    e.preventDefault();
+    if (!rejectReason.trim()) {
+      toast.error(t('moderationQueue.reasonRequired'));
+      return;
+    }
+    review('reject', { reason: rejectReason }, t('moderationQueue.rejected'));
+  };
+
+  return (
+    <li className="bg-white rounded-lg shadow-sm p-4 border border-gray-100">
+      <div className="flex items-center text-xs text-gray-500 mb-2">
+        <Avatar user={submission.submittedBy} size="small" />
+        <span className="ml-2">
+          {submission.submittedBy?.name || t('moderationQueue.unknownPlayer')} • {formatDate(submission.createdAt)}
+        </span>
+      </div>
+
+      {isPending ? (
+        <>
+          <textarea
+            name="text"
+            rows={2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 mb-2"
+            value={edits.text}
+            onChange={handleChange}
+          />
+          <div className="flex gap-2 mb-3">
+            <input
+              name="category"
+              className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+              value={edits.category}
+              onChange={handleChange}
+            />
+            <select
+              name="difficulty"
+              className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+              value={edits.difficulty}
+              onChange={handleChange}
+            >
+              <option value="easy">{t('difficulty.easy')}</option>
+              <option value="medium">{t('difficulty.medium')}</option>
+              <option value="hard">{t('difficulty.hard')}</option>
+            </select>
+          </div>
+
+          {isRejecting ? (
+            <form onSubmit={handleReject} className="flex gap-2">
+              <input
+                className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                placeholder={t('moderationQueue.reasonPlaceholder')}
+                value={rejectReason}
+                onChange={(e) => setRejectReason(e.target.value)}
+                autoFocus
+              />
+              <button
+                type="submit"
+                disabled={isSaving}
+                className="bg-red-600 hover:bg-red-700 text-white px-3 py-1 rounded-md text-sm"
+              >
+                {t('moderationQueue.reject')}
+              </button>
+              <button
+                type="button"
+                onClick={() => setIsRejecting(false)}
+                className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded-md text-sm"
+              >
+                {t('moderationQueue.cancel')}
+              </button>
+            </form>
+          ) : (
+            <div className="flex gap-2">
+              <button
+                onClick={() => review('approve', edits, t('moderationQueue.approved'))}
+                disabled={isSaving}
+                className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-md text-sm"
+              >
+                {t('moderationQueue.approve')}
+              </button>
+              <button
+                onClick={() => setIsRejecting(true)}
+                disabled={isSaving}
+                className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-md text-sm"
+              >
+                {t('moderationQueue.rejectEllipsis')}
+              </button>
+            </div>
+          )}
+        </>
+      ) : (
+        <>
+          <p className="text-gray-800">{submission.text}</p>
+          <p className="text-xs text-gray-500 mt-1">
+            {submission.category} • {t(`difficulty.${submission.difficulty}`)}
+            {submission.reviewedBy && ` • ${t('moderationQueue.reviewedBy', { name: submission.reviewedBy.name })}`}
+          </p>
+          {submission.rejectionReason && (
+            <p className="text-sm text-red-600 mt-2">{t('moderationQueue.reason', { reason: submission.rejectionReason })}</p>
+          )}
+        </>
+      )}
+    </li>
+  );
+};
+
+// A question flagged by players, which may have been hidden automatically
+const FlaggedQuestionCard = ({ question, onReviewed }) => {
+  const { t } = useTranslation();
+  const [isSaving, setIsSaving] = useState(false);
+
+  const review = async (action, successMessage) => {
+    try {
+      setIsSaving(true);
+      await api.post(`/moderation/questions/${question._id}/${action}`);
+      toast.success(successMessage);
+      onReviewed();
+    } catch (error) {
+      console.error(`Error trying to ${action} question:`, error);
+      toast.error(error.response?.data?.message || t('moderationQueue.reviewFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <li className="bg-white rounded-lg shadow-sm p-4 border border-gray-100">
+      <p className="text-gray-800">{question.text}</p>
+      <p className="text-xs text-gray-500 mt-1">
+        {question.category} • {t(`difficulty.${question.difficulty}`)}
+        {' • '}👍 {question.ratings?.up || 0} 👎 {question.ratings?.down || 0}
+        {' • '}🚩 {question.ratings?.flags || 0}
+        {question.isHidden && (
+          <span className="ml-2 bg-orange-100 text-orange-800 px-2 py-0.5 rounded-full">{t('moderationQueue.hidden')}</span>
+        )}
+      </p>
+      {question.flagReasons?.length > 0 && (
+        <ul className="text-sm text-gray-600 mt-2 list-disc list-inside">
+          {question.flagReasons.map((reason, index) => (
+            <li key={index}>{reason}</li>
+          ))}
+        </ul>
+      )}
+      <div className="flex gap-2 mt-3">
+        <button
+          onClick={() => review('clear-flags', t('moderationQueue.flagsDismissed'))}
+          disabled={isSaving}
+          className="bg-green-600 hover:bg-green-700 text-white px-3 py-1 rounded-md text-sm"
+        >
+          {t('moderationQueue.keep')}
+        </button>
+        <button
+          onClick={() => review('archive', t('moderationQueue.archived'))}
+          disabled={isSaving}
+          className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-md text-sm"
+        >
+          {t('moderationQueue.archive')}
+        </button>
+      </div>
+    </li>
+  );
+};
+
+const ModerationQueue = () => {
+  const { t } = useTranslation();
+  const [status, setStatus] = useState('pending');
+  const [submissions, setSubmissions] = useState([]);
+  const [flaggedQuestions, setFlaggedQuestions] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchSubmissions = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      if (status === FLAGGED) {
+        const response = await api.get('/moderation/questions/flagged');
+        setFlaggedQuestions(response.data.questions);
+        setTotal(response.data.total);
+      } else {
+        const response = await api.get('/moderation/submissions', { params: { status } });
+        setSubmissions(response.data.submissions);
+        setTotal(response.data.total);
+      }
+    } catch (error) {
+      console.error('Error fetching submissions:', error);
+      toast.error(error.response?.data?.message || t('moderationQueue.loadFailed'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [status, t]);
+
+  useEffect(() => {
+    fetchSubmissions();
+  }, [fetchSubmissions]);
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-2xl font-bold mb-6">{t('moderationQueue.title')}</h1>
+
+        <div className="flex space-x-2 mb-6">
+          {[...STATUSES, FLAGGED].map(s => (
+            <button
+              key={s}
+              onClick={() => setStatus(s)}
+              className={`px-4 py-2 rounded-md ${
+                status === s ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800'
+              }`}
+            >
+              {t(`moderationQueue.tab.${s}`)}{status === s && !isLoading ? ` (${total})` : ''}
+            </button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <div className="text-center py-8">{t('moderationQueue.loading')}</div>
+        ) : status === FLAGGED ? (
+          flaggedQuestions.length > 0 ? (
+            <ul className="space-y-3">
+              {flaggedQuestions.map(question => (
+                <FlaggedQuestionCard
+                  key={question._id}
+                  question={question}
+                  onReviewed={fetchSubmissions}
+                />
+              ))}
+            </ul>
+          ) : (
+            <div className="text-center py-8 bg-gray-100 rounded">
+              <p>{t('moderationQueue.noFlagged')}</p>
+            </div>
+          )
+        ) : submissions.length > 0 ? (
+          <ul className="space-y-3">
+            {submissions.map(submission => (
+              <SubmissionCard
+                key={submission._id}
+                submission={submission}
+                onReviewed={fetchSubmissions}
+              />
+            ))}
+          </ul>
+        ) : (
+          <div className="text-center py-8 bg-gray-100 rounded">
+            <p>{t(`moderationQueue.empty.${status}`)}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ModerationQueue;
@@ -1,6 +1,7 @@
 import React, { useState, useContext, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { AuthContext } from '../../contexts/AuthContext';
+import { useTranslation } from '../../contexts/LanguageContext';
 import { generateAvatarUrl } from '../../utils/helpers';
 import { toast } from 'react-toastify';
 
@@ -9,6 +10,7 @@ const CreateUser = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [previewAvatar, setPreviewAvatar] = useState('');
   const { currentUser, createUser } = useContext(AuthContext);
+  const { t, language } = useTranslation();
   const navigate = useNavigate();
 
   // If user is already logged in, redirect to rooms
@@ -31,7 +33,7 @@ const CreateUser = () => {
     e.preventDefault();
     
     if (!name.trim()) {
-      toast.error('Please enter a name');
+      toast.error(t('createUser.enterName'));
       return;
     }
     
@@ -41,12 +43,12 @@ const CreateUser = () => {
       const avatar = generateAvatarUrl(name);
       
       // Create user
-      await createUser({ name, avatar });
-      toast.success('Welcome to Never Have I Ever!');
+      await createUser({ name, avatar, language });
+      toast.success(t('createUser.welcome'));
       navigate('/rooms');
     } catch (error) {
       console.error('Error creating user:', error);
-      toast.error(error.response?.data?.message || 'Failed to create user');
+      toast.error(error.response?.data?.message || t('createUser.failed'));
     } finally {
       setIsLoading(false);
     }
@@ -56,13 +58,13 @@ const CreateUser = () => {
     <div className="flex flex-col items-center justify-center min-h-[calc(100vh-128px)] px-4">
       <div className="w-full max-w-md bg-white rounded-lg shadow-lg p-8">
         <h1 className="text-3xl font-bold mb-2 text-center text-indigo-600">Never Have I Ever</h1>
-        <p className="text-gray-600 text-center mb-6">The party game of embarrassing revelations</p>
+        <p className="text-gray-600 text-center mb-6">{t('createUser.tagline')}</p>
         
         <div className="flex justify-center mb-6">
           {previewAvatar ? (
             <img 
               src={previewAvatar}
-              alt="Your avatar" 
+              alt={t('createUser.avatarAlt')}
               className="w-24 h-24 rounded-full border-4 border-indigo-100"
             />
           ) : (
@@ -77,19 +79,19 @@ const CreateUser = () => {
         <form onSubmit={handleSubmit}>
           <div className="mb-6">
             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">
-              What should we call you?
+              {t('createUser.nameLabel')}
             </label>
             <input
               id="name"
               type="text"
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:border-indigo-500"
-              placeholder="Enter your nickname"
+              placeholder={t('createUser.namePlaceholder')}
               value={name}
               onChange={(e) => setName(e.target.value)}
               maxLength={20}
               required
             />
-            <p className="text-xs text-gray-500 mt-1">This name will be visible to other players</p>
+            <p className="text-xs text-gray-500 mt-1">{t('createUser.nameHint')}</p>
           </div>
           
           <button
@@ -103,9 +105,9 @@ const CreateUser = () => {
                   <circle className="opacity-25" cx="12" cy="12" r="10" stroke="currentColor" strokeWidth="4"></circle>
                   <path className="opacity-75" fill="currentColor" d="M4 12a8 8 0 018-8V0C5.373 0 0 5.373 0 12h4zm2 5.291A7.962 7.962 0 014 12H0c0 3.042 1.135 5.824 3 7.938l3-2.647z"></path>
                 </svg>
-                Creating...
+                {t('createUser.creating')}
               </span>
-            ) : "Let's Play!"}
+            ) : t('createUser.play')}
           </button>
         </form>
       </div>
@@ -1,14 +1,17 @@
 import React, { useState, useContext, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
+import { useNavigate, Link } from 'react-router-dom';
 import { AuthContext } from '../../contexts/AuthContext';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
-import { generateAvatarUrl } from '../../utils/helpers';
+import { generateAvatarUrl, formatDate } from '../../utils/helpers';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const UserProfile = () => {
+  const { t } = useTranslation();
   const { currentUser, updateUser, logout } = useContext(AuthContext);
   const [name, setName] = useState('');
   const [userStats, setUserStats] = useState(null);
+  const [pastGames, setPastGames] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const [avatarUrl, setAvatarUrl] = useState('');
   const navigate = useNavigate();
@@ -18,6 +21,7 @@ const UserProfile = () => {
       setName(currentUser.name);
       setAvatarUrl(currentUser.avatar);
       fetchUserDetails();
+      fetchPastGames();
     } else {
       navigate('/');
     }
@@ -26,10 +30,22 @@ const UserProfile = () => {
   const fetchUserDetails = async () => {
     try {
       const response = await api.get(`/users/${currentUser._id}`);
-      setUserStats(response.data.stats);
+      setUserStats({
+        ...response.data.stats,
+        questionsContributed: response.data.questionsContributed
+      });
     } catch (error) {
       console.error('Error fetching user details:', error);
-      toast.error('Failed to load user details');
+      toast.error(t('profile.loadFailed'));
+    }
+  };
+
+  const fetchPastGames = async () => {
+    try {
+      const response = await api.get(`/users/${currentUser._id}/games`);
+      setPastGames(response.data.games);
+    } catch (error) {
+      console.error('Error fetching past games:', error);
     }
   };
 
@@ -37,7 +53,7 @@ const UserProfile = () => {
     e.preventDefault();
     
     if (!name.trim()) {
-      toast.error('Please enter a name');
+      toast.error(t('profile.enterName'));
       return;
     }
     
@@ -47,10 +63,10 @@ const UserProfile = () => {
       const newAvatar = name !== currentUser.name ? generateAvatarUrl(name) : currentUser.avatar;
       await updateUser(currentUser._id, { name, avatar: newAvatar });
       setAvatarUrl(newAvatar);
-      toast.success('Profile updated successfully');
+      toast.success(t('profile.updated'));
     } catch (error) {
       console.error('Error updating profile:', error);
-      toast.error(error.response?.data?.message || 'Failed to update profile');
+      toast.error(error.response?.data?.message || t('profile.updateFailed'));
     } finally {
       setIsLoading(false);
     }
@@ -62,13 +78,13 @@ const UserProfile = () => {
   };
 
   if (!currentUser) {
-    return <div className="container mx-auto px-4 py-8 text-center">Loading...</div>;
+    return <div className="container mx-auto px-4 py-8 text-center">{t('profile.loading')}</div>;
   }
 
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="max-w-md mx-auto bg-white rounded-lg shadow-lg p-6">
-        <h1 className="text-2xl font-bold mb-6 text-center text-indigo-600">Your Profile</h1>
+        <h1 className="text-2xl font-bold mb-6 text-center text-indigo-600">{t('profile.title')}</h1>
         
         <div className="flex items-center justify-center mb-6">
           <img 
@@ -81,7 +97,7 @@ const UserProfile = () => {
         <form onSubmit={handleSubmit} className="mb-6">
           <div className="mb-4">
             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">
-              Display Name
+              {t('profile.displayName')}
             </label>
             <input
               id="name"
@@ -92,7 +108,7 @@ const UserProfile = () => {
               maxLength={20}
               required
             />
-            <p className="text-xs text-gray-500 mt-1">Changing your name will also update your avatar</p>
+            <p className="text-xs text-gray-500 mt-1">{t('profile.nameHint')}</p>
           </div>
           
           <button
@@ -100,35 +116,75 @@ const UserProfile = () => {
             className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50 transition-colors"
             disabled={isLoading}
           >
-            {isLoading ? 'Updating...' : 'Update Profile'}
+            {isLoading ? t('profile.updating') : t('profile.update')}
           </button>
         </form>
         
         {userStats && (
           <div className="mb-6">
-            <h3 className="text-lg font-bold mb-3 text-gray-700">Your Stats</h3>
+            <h3 className="text-lg font-bold mb-3 text-gray-700">{t('profile.stats')}</h3>
             <div className="grid grid-cols-3 gap-4">
               <div className="text-center p-4 bg-indigo-50 rounded-lg">
                 <p className="text-2xl font-bold text-indigo-600">{userStats.gamesPlayed}</p>
-                <p className="text-sm text-gray-600">Games Played</p>
+                <p className="text-sm text-gray-600">{t('profile.gamesPlayed')}</p>
               </div>
               <div className="text-center p-4 bg-green-50 rounded-lg">
                 <p className="text-2xl font-bold text-green-600">{userStats.gamesWon}</p>
-                <p className="text-sm text-gray-600">Games Won</p>
+                <p className="text-sm text-gray-600">{t('profile.gamesWon')}</p>
               </div>
               <div className="text-center p-4 bg-yellow-50 rounded-lg">
                 <p className="text-2xl font-bold text-yellow-600">{userStats.totalPoints}</p>
-                <p className="text-sm text-gray-600">Total Points</p>
+                <p className="text-sm text-gray-600">{t('profile.totalPoints')}</p>
               </div>
             </div>
+            <div className="flex justify-between items-center mt-4 p-4 bg-purple-50 rounded-lg">
+              <p className="text-sm text-gray-700">
+                <span className="text-xl font-bold text-purple-600 mr-2">
+                  {userStats.questionsContributed || 0}
+                </span>
+                {t('profile.questionsContributed')}
+              </p>
+              <Link to="/questions/submit" className="text-sm text-purple-700 hover:underline font-medium">
+                {t('profile.suggestQuestion')}
+              </Link>
+            </div>
           </div>
         )}
         
+        <div className="mb-6">
+          <h3 className="text-lg font-bold mb-3 text-gray-700">{t('profile.pastGames')}</h3>
+          {pastGames.length === 0 ? (
+            <p className="text-sm text-gray-500">{t('profile.noPastGames')}</p>
+          ) : (
+            <ul className="divide-y divide-gray-100 border border-gray-100 rounded-lg">
+              {pastGames.map(game => (
+                <li key={game._id}>
+                  <Link
+                    to={`/games/${game._id}`}
+                    className="flex justify-between items-center p-3 hover:bg-gray-50 transition-colors"
+                  >
+                    <div>
+                      <p className="font-medium text-gray-800">{game.roomName}</p>
+                      <p className="text-xs text-gray-500">{formatDate(game.completedAt)}</p>
+                    </div>
+                    <div className="text-right">
+                      <p className="font-bold text-indigo-600">{t('profile.points', { count: game.points })}</p>
+                      <p className="text-xs text-gray-500">
+                        {game.isWinner ? t('profile.winner') : t('profile.rankOf', { rank: game.rank, total: game.playerCount })}
+                      </p>
+                    </div>
+                  </Link>
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+
         <button
           onClick={handleLogout}
           className="w-full bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-gray-400 focus:ring-opacity-50 transition-colors"
         >
-          Logout
+          {t('profile.logout')}
         </button>
       </div>
     </div>
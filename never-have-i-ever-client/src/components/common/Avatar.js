@@ -1,6 +1,16 @@
 import React from 'react';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+// Colour of the status dot for each presence
+const STATUS_COLORS = {
+  online: 'bg-green-400',
+  idle: 'bg-amber-400',
+  disconnected: 'bg-gray-400'
+};
+
+const Avatar = ({ user, size = 'medium', showStatus = false, status, className = '' }) => {
+  const { t } = useTranslation();
 
-const Avatar = ({ user, size = 'medium', showStatus = false, className = '' }) => {
   // Handle various ways the user object might be structured
   const name = user?.name || user?.displayName || user?.username || 'User';
   const avatar = user?.avatar || user?.photoURL || null;
@@ -40,6 +50,9 @@ const Avatar = ({ user, size = 'medium', showStatus = false, className = '' }) =
 
   const bgColor = bgColors[colorIndex];
 
+  // A presence status wins over the plain isOnline flag
+  const presence = status || (user?.isOnline ? 'online' : null);
+
   return (
     <div className={`relative ${className}`}>
       <div className={`${sizes[size]} ${bgColor} rounded-full flex items-center justify-center text-white font-medium`}>
@@ -54,8 +67,11 @@ const Avatar = ({ user, size = 'medium', showStatus = false, className = '' }) =
         )}
       </div>
 
-      {showStatus && user?.isOnline && (
-        <span className="absolute bottom-0 right-0 w-3 h-3 bg-green-400 border-2 border-white rounded-full"></span>
+      {showStatus && STATUS_COLORS[presence] && (
+        <span
+          className={`absolute bottom-0 right-0 w-3 h-3 ${STATUS_COLORS[presence]} border-2 border-white rounded-full`}
+          title={t(`presence.${presence}`)}
+        ></span>
       )}
     </div>
   );
@@ -9,16 +9,33 @@ import { useParams, useNavigate } from "react-router-dom";
 import api from "../../services/api";
 import { AuthContext } from "../../contexts/AuthContext";
 import { useSocket } from "../../contexts/SocketContext";
+import { useTranslation } from "../../contexts/LanguageContext";
 import PlayerList from "./PlayerList";
 import Question from "./Question";
+import QuestionFeedback from "./QuestionFeedback";
 import { toast } from "react-toastify";
 import Timer from "./Timer";
+import { getRoundClock, formatTimeAgo } from "../../utils/helpers";
+
+// Scoring rules reported in a round breakdown that have a translated label
+const SCORING_RULES = ["minority", "participation", "speed", "honesty"];
 
 const GameRoom = () => {
   const { roomId } = useParams();
   const { currentUser } = useContext(AuthContext);
-  const { socket, joinRoom, leaveRoom, startGame, submitAnswer, nextRound } =
-    useSocket();
+  const { t } = useTranslation();
+  const {
+    socket,
+    on,
+    joinRoom,
+    leaveRoom,
+    startGame,
+    submitAnswer,
+    resumeGame,
+    dropPlayer,
+    setAbsentPolicy,
+    setReady,
+  } = useSocket();
   const [room, setRoom] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -26,12 +43,17 @@ const GameRoom = () => {
   const [passcode, setPasscode] = useState("");
   const [roundResults, setRoundResults] = useState(null);
   const [hasAnswered, setHasAnswered] = useState(false);
-  const [questionStartTime, setQuestionStartTime] = useState(null);
-  const [answerTime, setAnswerTime] = useState(null);
-  const [canAnswer, setCanAnswer] = useState(false);
+  // Round clock as reported by the server: { round, phase, secondsRemaining }
+  const [roundClock, setRoundClock] = useState(null);
   const [isTransitioning, setIsTransitioning] = useState(false);
+  // When the lobby's auto-start countdown ends, and the seconds left until then
+  const [autoStartsAt, setAutoStartsAt] = useState(null);
+  const [autoStartIn, setAutoStartIn] = useState(null);
   const navigate = useNavigate();
 
+  // Answers are only accepted while the server says the answer window is open
+  const canAnswer = roundClock?.phase === "answering";
+
   // Function to check if user is host - memoized to avoid stale closures
   const isUserHost = useCallback(() => {
     return room?.host?._id === currentUser?._id;
@@ -44,6 +66,16 @@ const GameRoom = () => {
     );
   }, [room, currentUser]);
 
+  // Message for an error code sent back by the game server
+  const describeSocketError = useCallback(
+    (error) => {
+      const key = `socketErrors.${error.code}`;
+      const message = t(key);
+      return message === key ? error.message : message;
+    },
+    [t]
+  );
+
   // API call to fetch room details
   const fetchRoomDetails = useCallback(
     async (force = false) => {
@@ -96,14 +128,8 @@ const GameRoom = () => {
           ) {
             // Only update these states if not in a transition to prevent flickering
             if (!isTransitioning) {
-              setQuestionStartTime(new Date().getTime());
-              setCanAnswer(false);
+              setRoundClock(getRoundClock(response.data));
               setRoundResults(null);
-
-              // Reset the answer timer
-              setTimeout(() => {
-                setCanAnswer(true);
-              }, 3000);
             }
           }
 
@@ -151,37 +177,54 @@ const GameRoom = () => {
         console.error("Error fetching room details:", error);
         // Only set error state if it's a critical failure
         if (!room) {
-          setError("Failed to load room details");
+          setError(t("game.loadFailed"));
         } else {
           // Just notify via toast for subsequent failures, but only if not transitioning
           if (!isTransitioning) {
-            toast.error("Failed to refresh room data. Will retry shortly.");
+            toast.error(t("game.refreshFailed"));
           }
         }
       } finally {
         setIsLoading(false);
       }
     },
-    [roomId, currentUser, room, isTransitioning, roundResults]
+    [roomId, currentUser, room, isTransitioning, roundResults, t]
   );
 
-  // Initial load and socket connection for realtime communication
+  // Initial load
   useEffect(() => {
     fetchRoomDetails(true);
+  }, [fetchRoomDetails]);
 
-    // Connect to socket on component mount
-    if (socket && roomId && currentUser) {
-      // Try to join socket room immediately if user ID is available
-      joinRoom(roomId, currentUser._id);
-    }
+  // Join the room's socket channel. Unmounting doesn't leave the game, so a
+  // refresh or a dropped connection resumes the session; only "Leave Room" leaves.
+  useEffect(() => {
+    if (!socket || !roomId || !currentUser) return;
 
-    // Cleanup on unmount
-    return () => {
-      if (socket && roomId && currentUser) {
-        leaveRoom(roomId, currentUser._id);
+    // Visitors who haven't joined yet are expected to be turned away
+    joinRoom(roomId).then((response) => {
+      if (!response.ok && response.error.code !== "NOT_IN_ROOM") {
+        toast.error(describeSocketError(response.error));
       }
-    };
-  }, [roomId, currentUser, socket, joinRoom, leaveRoom, fetchRoomDetails]);
+    });
+  }, [roomId, currentUser, socket, joinRoom, describeSocketError]);
+
+  // Count down to the auto-start
+  useEffect(() => {
+    if (!autoStartsAt) {
+      setAutoStartIn(null);
+      return;
+    }
+
+    const update = () =>
+      setAutoStartIn(
+        Math.max(0, Math.ceil((new Date(autoStartsAt).getTime() - Date.now()) / 1000))
+      );
+
+    update();
+    const interval = setInterval(update, 1000);
+    return () => clearInterval(interval);
+  }, [autoStartsAt]);
 
   // Socket event listeners setup
   useEffect(() => {
@@ -189,8 +232,50 @@ const GameRoom = () => {
 
     // Define socket event handlers
     const socketHandlers = {
+      // Full game state, sent whenever this socket (re)joins the room
+      "session-snapshot": (data) => {
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                status: data.status,
+                currentRound: data.currentRound,
+                currentQuestion: data.currentQuestion || prev.currentQuestion,
+                questionStartTime: data.questionStartTime,
+                roundEndsAt: data.roundEndsAt,
+                roundPhase: data.roundPhase,
+                host: data.host || prev.host,
+                players: data.players,
+                pausedAt: data.pausedAt,
+                pausedFor: data.pausedFor,
+                settings: { ...prev.settings, absentPlayers: data.absentPlayers },
+              }
+            : prev
+        );
+        setAutoStartsAt(data.autoStartsAt || null);
+
+        if (data.status !== "playing") return;
+
+        setHasAnswered(data.hasAnswered);
+        setRoundResults(data.roundResults || null);
+        setRoundClock({
+          round: data.currentRound,
+          phase:
+            data.roundPhase === "results"
+              ? "results"
+              : new Date(data.questionStartTime).getTime() > Date.now()
+              ? "reading"
+              : "answering",
+          secondsRemaining: data.secondsRemaining,
+        });
+
+        if (data.resumed) {
+          toast.info(t("game.sessionResumed"), { toastId: "session-resumed" });
+        }
+      },
+
       "player-joined": (data) => {
-        toast.info(`${data.user.name} joined the room`);
+        toast.info(t("game.playerJoined", { name: data.user.name }));
         setRoom((prev) => {
           if (!prev) return prev;
 
@@ -209,7 +294,7 @@ const GameRoom = () => {
 
       "player-left": (data) => {
         if (data && data.user) {
-          toast.info(`${data.user.name} left the room`);
+          toast.info(t("game.playerLeft", { name: data.user.name }));
           setRoom((prev) => {
             if (!prev) return prev;
             return {
@@ -221,11 +306,29 @@ const GameRoom = () => {
         fetchRoomDetails(true);
       },
 
+      "presence-changed": (data) => {
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                players: prev.players.map((player) =>
+                  player.user?._id === data.userId
+                    ? {
+                        ...player,
+                        presence: { status: data.status, updatedAt: data.updatedAt },
+                      }
+                    : player
+                ),
+              }
+            : prev
+        );
+      },
+
       "host-changed": (data) => {
         if (data.newHostId === currentUser._id) {
-          toast.success("You are now the host of this room");
+          toast.success(t("game.youAreHost"));
         } else if (data.newHost && data.newHost.name) {
-          toast.info(`${data.newHost.name} is now the host`);
+          toast.info(t("game.newHost", { name: data.newHost.name }));
         }
         setRoom((prev) => {
           if (!prev) return prev;
@@ -236,18 +339,146 @@ const GameRoom = () => {
         });
       },
 
+      "ready-changed": (data) => {
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                players: prev.players.map((player) =>
+                  player.user?._id === data.userId
+                    ? { ...player, isReady: data.isReady }
+                    : player
+                ),
+              }
+            : prev
+        );
+      },
+
+      "auto-start-countdown": (data) => {
+        setAutoStartsAt(data.startsAt);
+      },
+
+      "auto-start-cancelled": () => {
+        setAutoStartsAt(null);
+      },
+
+      "game-paused": (data) => {
+        toast.warn(t("absent.gamePaused"), { toastId: "game-paused" });
+        setRoom((prev) =>
+          prev ? { ...prev, pausedAt: data.pausedAt, pausedFor: data.waitingFor } : prev
+        );
+      },
+
+      // The round clock picks up again with the server's next tick
+      "game-resumed": (data) => {
+        toast.info(
+          data.overridden ? t("absent.resumedByHost") : t("absent.resumed")
+        );
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                pausedAt: null,
+                pausedFor: [],
+                questionStartTime: data.questionStartTime,
+                roundEndsAt: data.roundEndsAt,
+              }
+            : prev
+        );
+      },
+
+      "players-skipped": (data) => {
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                players: prev.players.map((player) => ({
+                  ...player,
+                  missedRounds: data.userIds.includes(player.user?._id)
+                    ? (player.missedRounds || 0) + 1
+                    : 0,
+                })),
+              }
+            : prev
+        );
+      },
+
+      "player-dropped": (data) => {
+        if (data.userId === currentUser._id) {
+          toast.warn(t("absent.youWereDropped"));
+          navigate("/rooms");
+          return;
+        }
+
+        const dropped = room?.players.find((p) => p.user?._id === data.userId);
+        if (dropped) {
+          toast.info(t("absent.playerDropped", { name: dropped.user.name }));
+        }
+
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                players: prev.players.filter((p) => p.user?._id !== data.userId),
+                pausedFor: prev.pausedFor?.filter((id) => id !== data.userId),
+              }
+            : prev
+        );
+      },
+
+      "player-kicked": (data) => {
+        if (data.userId === currentUser._id) {
+          toast.error(
+            t(data.banned ? "moderation.youWereBanned" : "moderation.youWereKicked")
+          );
+          leaveRoom(roomId);
+          navigate("/rooms");
+          return;
+        }
+
+        const kicked = room?.players.find((p) => p.user?._id === data.userId);
+        if (kicked) {
+          toast.info(t("moderation.playerRemoved", { name: kicked.user.name }));
+        }
+
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                players: prev.players.filter((p) => p.user?._id !== data.userId),
+                pausedFor: prev.pausedFor?.filter((id) => id !== data.userId),
+              }
+            : prev
+        );
+      },
+
+      "absent-policy-changed": (data) => {
+        toast.info(t("absent.policyChanged", { policy: t(`absent.policy.${data.policy}`) }));
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                settings: {
+                  ...prev.settings,
+                  absentPlayers: { policy: data.policy, maxMissedRounds: data.maxMissedRounds },
+                },
+              }
+            : prev
+        );
+      },
+
       "game-started": (data) => {
-        toast.info("Game started!");
+        toast.info(t("game.started"));
+        setAutoStartsAt(null);
 
         // Set transition flag to prevent flickering
         setIsTransitioning(true);
 
         setHasAnswered(false);
         setRoundResults(null);
-        setCanAnswer(false);
-
-        // Set timer for enabling answer buttons
-        setQuestionStartTime(new Date().getTime());
+        setRoundClock(
+          getRoundClock({ ...data, status: "playing", roundPhase: "reading" })
+        );
 
         // Update state in a controlled manner
         setRoom((prev) => ({
@@ -255,12 +486,37 @@ const GameRoom = () => {
           status: "playing",
           currentRound: 1,
           currentQuestion: data.currentQuestion,
+          questionStartTime: data.questionStartTime,
+          roundEndsAt: data.roundEndsAt,
         }));
 
-        setTimeout(() => {
-          setCanAnswer(true);
-          setIsTransitioning(false);
-        }, 3000);
+        setIsTransitioning(false);
+      },
+
+      "round-timer-started": (data) => {
+        setRoundClock({
+          round: data.round,
+          phase: data.readingSeconds > 0 ? "reading" : "answering",
+          secondsRemaining:
+            data.readingSeconds > 0 ? data.readingSeconds : data.answerSeconds,
+        });
+        setRoom((prev) =>
+          prev
+            ? {
+                ...prev,
+                questionStartTime: data.questionStartTime,
+                roundEndsAt: data.roundEndsAt,
+              }
+            : prev
+        );
+      },
+
+      "round-tick": (data) => {
+        setRoundClock({
+          round: data.round,
+          phase: data.phase,
+          secondsRemaining: data.secondsRemaining,
+        });
       },
 
       "player-answered": (data) => {
@@ -287,7 +543,7 @@ const GameRoom = () => {
                 question: prev.currentQuestion?._id,
                 round: prev.currentRound,
                 answer: data.answer,
-                timeToAnswer: data.timeToAnswer,
+                timeToAnswer: data.responseTime,
               },
             ];
 
@@ -338,13 +594,15 @@ const GameRoom = () => {
         // Set round results directly from socket data
         if (data) {
           setRoundResults(data);
+          setRoom((prev) =>
+            prev && data.players ? { ...prev, players: data.players } : prev
+          );
         }
+        setRoundClock((prev) => ({ ...prev, phase: "results", secondsRemaining: 0 }));
 
         // Alert only the host about the next round option
-        if (isUserHost()) {
-          toast.info(
-            "All players answered! You can proceed to the next round."
-          );
+        if (isUserHost() && !room?.settings?.autoAdvance) {
+          toast.info(t("game.allAnsweredHost"));
         }
       },
 
@@ -352,12 +610,14 @@ const GameRoom = () => {
         // Set transition flag to prevent flickering
         setIsTransitioning(true);
 
-        toast.info(`Round ${data.currentRound} started!`);
+        toast.info(t("game.roundStarted", { round: data.currentRound }));
 
         // Update state in batches to reduce renders
         setRoundResults(null);
         setHasAnswered(false);
-        setCanAnswer(false);
+        setRoundClock(
+          getRoundClock({ ...data, status: "playing", roundPhase: "reading" })
+        );
 
         // Update room state with new round info
         setRoom((prev) => {
@@ -367,6 +627,8 @@ const GameRoom = () => {
             ...prev,
             currentRound: data.currentRound,
             currentQuestion: data.currentQuestion,
+            questionStartTime: data.questionStartTime,
+            roundEndsAt: data.roundEndsAt,
             // Ensure status stays as "playing"
             status: "playing",
             // Reset answers for new round to prevent stale data
@@ -375,29 +637,25 @@ const GameRoom = () => {
           };
         });
 
-        // Reset question timer
-        setQuestionStartTime(new Date().getTime());
-
-        // Wait for animation to complete before allowing answers
-        setTimeout(() => {
-          setCanAnswer(true);
-          setIsTransitioning(false);
-        }, 3000);
+        setIsTransitioning(false);
       },
 
-      "game-ended": () => {
-        toast.success("Game ended!");
+      "game-ended": (data) => {
+        toast.success(t("game.ended"));
         setRoom((prev) => ({
           ...prev,
-          status: "completed"
+          status: "completed",
+          result: data?.gameResultId,
         }));
         setTimeout(() => {
-          navigate("/leaderboard");
+          navigate(
+            data?.gameResultId ? `/games/${data.gameResultId}` : "/leaderboard"
+          );
         }, 1000);
       },
 
       "room-closed": () => {
-        toast.info("Room was closed");
+        toast.info(t("game.roomClosed"));
         navigate("/rooms");
       },
 
@@ -407,18 +665,17 @@ const GameRoom = () => {
     };
 
     // Register all event handlers
-    Object.entries(socketHandlers).forEach(([event, handler]) => {
-      socket.on(event, handler);
-    });
+    const unsubscribers = Object.entries(socketHandlers).map(
+      ([event, handler]) => on(event, handler)
+    );
 
     // Cleanup function to remove event listeners
     return () => {
-      Object.entries(socketHandlers).forEach(([event, _]) => {
-        socket.off(event);
-      });
+      unsubscribers.forEach((unsubscribe) => unsubscribe());
     };
   }, [
     socket,
+    on,
     fetchRoomDetails,
     roomId,
     currentUser,
@@ -426,6 +683,8 @@ const GameRoom = () => {
     isUserHost,
     navigate,
     roundResults,
+    leaveRoom,
+    t,
   ]);
 
   // Set up a simple polling interval to keep data fresh (especially useful if sockets fail)
@@ -444,17 +703,26 @@ const GameRoom = () => {
     try {
       setIsJoining(true);
       await api.post(`/rooms/${roomId}/join`, {
-        userId: currentUser._id,
         passcode: room.type === "private" ? passcode : undefined,
       });
 
       // Join socket room
-      joinRoom(roomId, currentUser._id);
-      toast.success("Joined room successfully");
+      const response = await joinRoom(roomId);
+      if (response.ok) {
+        toast.success(t("game.joined"));
+      } else {
+        toast.error(describeSocketError(response.error));
+      }
       fetchRoomDetails(true);
     } catch (error) {
       console.error("Error joining room:", error);
-      toast.error(error.response?.data?.message || "Failed to join room");
+      if (error.response?.status === 409) {
+        // Someone else changed the room first, show its current state
+        toast.warn(error.response.data.message);
+        fetchRoomDetails(true);
+      } else {
+        toast.error(error.response?.data?.message || t("game.joinFailed"));
+      }
     } finally {
       setIsJoining(false);
     }
@@ -467,7 +735,7 @@ const GameRoom = () => {
       if (isUserHost()) {
         // Confirm with the user if they want to transfer host status
         const confirmLeave = window.confirm(
-          "You are the host of this room. Leaving will transfer host status to another player. Are you sure you want to leave?"
+          t("game.hostLeaveConfirm")
         );
 
         if (!confirmLeave) {
@@ -475,33 +743,47 @@ const GameRoom = () => {
         }
       }
 
-      await api.post(`/rooms/${roomId}/leave`, { userId: currentUser._id });
-      leaveRoom(roomId, currentUser._id);
-      toast.info("Left room successfully");
+      await api.post(`/rooms/${roomId}/leave`);
+      leaveRoom(roomId);
+      toast.info(t("game.left"));
       navigate("/rooms");
     } catch (error) {
       console.error("Error leaving room:", error);
-      toast.error("Failed to leave room");
+      toast.error(t("game.leaveFailed"));
+    }
+  };
+
+  // Mark ourselves ready, or not ready, in the lobby
+  const handleToggleReady = async () => {
+    const me = room.players.find((p) => p.user?._id === currentUser?._id);
+    const response = await setReady(roomId, !me?.isReady);
+    if (!response.ok) {
+      toast.error(describeSocketError(response.error));
     }
   };
 
-  // Start game function
-  const handleStartGame = async () => {
+  // Start game function; force starts without waiting for everyone to be ready
+  const handleStartGame = async ({ force = false } = {}) => {
     try {
       if (!isUserHost()) {
-        toast.error("Only the host can start the game");
+        toast.error(t("game.onlyHostCanStart"));
+        return;
+      }
+
+      if (force && !window.confirm(t("lobby.forceStartConfirm"))) {
         return;
       }
 
       // Set transition flag to prevent flickering
       setIsTransitioning(true);
 
-      const response = await api.post(`/rooms/${roomId}/start`, {
-        userId: currentUser._id,
-      });
+      const response = await api.post(`/rooms/${roomId}/start`, { force });
 
       // Emit socket event to all clients
-      startGame(roomId);
+      const announced = await startGame(roomId);
+      if (!announced.ok) {
+        toast.error(describeSocketError(announced.error));
+      }
 
       // Update local state immediately
       setRoom((prev) => ({
@@ -513,78 +795,141 @@ const GameRoom = () => {
 
       setHasAnswered(false);
       setRoundResults(null);
-      setQuestionStartTime(new Date().getTime());
-
-      // Enable answering after 3 seconds
-      setTimeout(() => {
-        setCanAnswer(true);
-        setIsTransitioning(false);
-      }, 3000);
+      setIsTransitioning(false);
     } catch (error) {
       console.error("Error starting game:", error);
-      toast.error(error.response?.data?.message || "Failed to start game");
       setIsTransitioning(false);
+      if (error.response?.status === 409) {
+        toast.info(error.response.data.message);
+        fetchRoomDetails(true);
+      } else {
+        toast.error(error.response?.data?.message || t("game.startFailed"));
+      }
     }
   };
 
   // Answer question function
   const handleAnswer = async (answer) => {
-    try {
-      // Calculate answer time
-      const now = new Date().getTime();
-      const timeToAnswer = (now - questionStartTime) / 1000;
-      setAnswerTime(timeToAnswer);
+    // Update local state immediately
+    setHasAnswered(true);
+
+    // Response time is measured by the server. The server keeps one answer
+    // per player per round, so an answer whose acknowledgement got lost can be resent.
+    let response = await submitAnswer(roomId, answer);
+    if (!response.ok && response.error.code === "TIMEOUT") {
+      response = await submitAnswer(roomId, answer);
+    }
 
-      // Update local state immediately
-      setHasAnswered(true);
+    if (!response.ok) {
+      if (response.error.code === "ALREADY_ANSWERED") {
+        // The server already has an answer from us for this round
+        toast.info(describeSocketError(response.error));
+      } else {
+        console.error("Error submitting answer:", response.error);
+        toast.error(describeSocketError(response.error));
+        setHasAnswered(false);
+      }
+      return;
+    }
 
-      // Include time in answer submission
-      await api.post(`/rooms/${roomId}/answers`, {
-        userId: currentUser._id,
-        answer,
-        timeToAnswer,
+    const { responseTime, speedBonus } = response.data;
+
+    // Update local room state to reflect answer
+    if (room) {
+      setRoom((prev) => {
+        if (!prev) return prev;
+        
+        return {
+          ...prev,
+          answers: [
+            ...(prev.answers || []),
+            {
+              user: currentUser._id,
+              question: prev.currentQuestion._id,
+              round: prev.currentRound,
+              answer: answer,
+              timeToAnswer: responseTime,
+            },
+          ],
+          // Ensure status stays as "playing"
+          status: "playing",
+        };
       });
+    }
 
-      // Emit socket event
-      submitAnswer(roomId, currentUser._id, answer, timeToAnswer);
+    // Show feedback about timing
+    if (speedBonus > 0) {
+      toast.success(t("game.speedBonus", { count: speedBonus }));
+    } else if (room?.scoringRules?.includes("speed") ?? true) {
+      toast.info(t("game.noSpeedBonus"));
+    }
+  };
 
-      // Update local room state to reflect answer
-      if (room) {
-        setRoom((prev) => {
-          if (!prev) return prev;
-          
-          return {
-            ...prev,
-            answers: [
-              ...(prev.answers || []),
-              {
-                user: currentUser._id,
-                question: prev.currentQuestion._id,
-                round: prev.currentRound,
-                answer: answer,
-                timeToAnswer: timeToAnswer,
-              },
-            ],
-            // Ensure status stays as "playing"
-            status: "playing",
-          };
-        });
-      }
+  // Host: carry on without the players the game is waiting for
+  const handleResumeGame = async () => {
+    const response = await resumeGame(roomId);
+    if (!response.ok) {
+      toast.error(describeSocketError(response.error));
+    }
+  };
 
-      // Show feedback about timing
-      if (timeToAnswer < 3) {
-        toast.info("Base points only - answered too quickly!");
-      } else if (timeToAnswer <= 5) {
-        toast.success("Speed bonus: +3 points!");
-      } else if (timeToAnswer <= 15) {
-        toast.success("Speed bonus: +1 point!");
-      } else {
-        toast.info("Base points only - answered too slowly");
-      }
+  // Host: remove a player who has been gone longer than the grace period
+  const handleDropPlayer = async (player) => {
+    if (!window.confirm(t("absent.dropConfirm", { name: player.user.name }))) {
+      return;
+    }
+
+    const response = await dropPlayer(roomId, player.user._id);
+    if (!response.ok) {
+      toast.error(describeSocketError(response.error));
+    }
+  };
+
+  // Host: remove a player, and with a ban keep them from joining again
+  const handleRemovePlayer = async (player, { ban = false } = {}) => {
+    const reason = window.prompt(
+      t(ban ? "moderation.banPrompt" : "moderation.kickPrompt", {
+        name: player.user.name,
+      })
+    );
+    if (reason === null) return;
+
+    try {
+      await api.post(`/rooms/${roomId}/${ban ? "ban" : "kick"}`, {
+        userId: player.user._id,
+        reason: reason.trim() || undefined,
+      });
+
+      fetchRoomDetails(true);
     } catch (error) {
-      console.error("Error submitting answer:", error);
-      toast.error("Failed to submit answer");
-      setHasAnswered(false);
+      console.error("Error removing player:", error);
+      toast.error(error.response?.data?.message || t("moderation.failed"));
+    }
+  };
+
+  // Host: hand the host role to another player
+  const handleTransferHost = async (player) => {
+    if (!window.confirm(t("moderation.transferConfirm", { name: player.user.name }))) {
+      return;
+    }
+
+    try {
+      await api.post(`/rooms/${roomId}/transfer-host`, {
+        userId: player.user._id,
+      });
+
+      fetchRoomDetails(true);
+    } catch (error) {
+      console.error("Error transferring host:", error);
+      toast.error(error.response?.data?.message || t("moderation.failed"));
+    }
+  };
+
+  // Host: change what happens to absent players mid-game
+  const handleAbsentPolicyChange = async (policy) => {
+    const response = await setAbsentPolicy(roomId, policy);
+    if (!response.ok) {
+      toast.error(describeSocketError(response.error));
     }
   };
 
@@ -592,7 +937,7 @@ const GameRoom = () => {
   const handleNextRound = async () => {
     try {
       if (!isUserHost()) {
-        toast.error("Only the host can advance to the next round");
+        toast.error(t("game.onlyHostCanAdvance"));
         return;
       }
 
@@ -604,7 +949,8 @@ const GameRoom = () => {
       setHasAnswered(false);
 
       // Check if this is the final round
-      const isFinalRound = room.currentRound >= room.maxRounds;
+      const round = room.currentRound;
+      const isFinalRound = round >= room.maxRounds;
 
       // Keep status as "playing" during transitions to prevent "unknown status"
       setRoom((prev) => ({
@@ -613,18 +959,16 @@ const GameRoom = () => {
         status: "playing", // Always keep a valid status
       }));
 
+      // Send the round we are leaving so a repeated click can't skip one
       const response = await api.post(`/rooms/${roomId}/next-round`, {
-        userId: currentUser._id,
+        round,
       });
 
-      // Emit socket event
-      nextRound(roomId);
-
       // Update local state with response data
       if (response.data) {
         // If game ended
         if (response.data.status === "completed") {
-          toast.success("Game completed!");
+          toast.success(t("game.completed"));
           setRoom((prev) => ({
             ...prev,
             status: "completed",
@@ -648,21 +992,21 @@ const GameRoom = () => {
             ) || [],
         }));
 
-        setQuestionStartTime(new Date().getTime());
-
-        // Enable answering after 3 seconds
-        setTimeout(() => {
-          setCanAnswer(true);
-          setIsTransitioning(false);
-        }, 3000);
+        setIsTransitioning(false);
       }
     } catch (error) {
       console.error("Error advancing to next round:", error);
-      toast.error(
-        error.response?.data?.message || "Failed to advance to next round"
-      );
       // Reset transition flag if there was an error
       setIsTransitioning(false);
+      if (error.response?.status === 409) {
+        // The round was already advanced, catch up with the server
+        toast.info(error.response.data.message);
+        fetchRoomDetails(true);
+        return;
+      }
+      toast.error(
+        error.response?.data?.message || t("game.advanceFailed")
+      );
       // Ensure room stays in a valid state even on error
       setRoom((prev) => ({
         ...prev,
@@ -714,13 +1058,13 @@ const GameRoom = () => {
               d="M12 8v4m0 4h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
             ></path>
           </svg>
-          <h2 className="text-2xl font-bold mb-2">Error Loading Room</h2>
+          <h2 className="text-2xl font-bold mb-2">{t("game.errorLoading")}</h2>
           <p className="mb-4">{error}</p>
           <button
             onClick={() => navigate("/rooms")}
             className="bg-red-600 hover:bg-red-700 text-white px-6 py-2 rounded-md transition-colors"
           >
-            Return to Room List
+            {t("game.returnToList")}
           </button>
         </div>
       </div>
@@ -746,15 +1090,15 @@ const GameRoom = () => {
               d="M9.172 16.172a4 4 0 015.656 0M9 10h.01M15 10h.01M21 12a9 9 0 11-18 0 9 9 0 0118 0z"
             ></path>
           </svg>
-          <h2 className="text-2xl font-bold mb-2">Room Not Found</h2>
+          <h2 className="text-2xl font-bold mb-2">{t("game.notFound")}</h2>
           <p className="mb-4 text-gray-600">
-            The room you're looking for doesn't exist or has been closed.
+            {t("game.notFoundBody")}
           </p>
           <button
             onClick={() => navigate("/rooms")}
             className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-md transition-colors"
           >
-            Back to Room List
+            {t("game.backToList")}
           </button>
         </div>
       </div>
@@ -775,6 +1119,27 @@ const GameRoom = () => {
   // Calculate if all players have answered
   const allPlayersAnswered = answerCount === totalPlayers && totalPlayers > 0;
 
+  // The current user's points for the round that just closed
+  const myRoundResult = roundResults?.answers?.find(
+    (a) => a.userId === currentUser?._id
+  );
+
+  // Lobby readiness
+  const readyCount = room.players.filter((p) => p.isReady).length;
+  const everyoneReady = room.players.length >= 2 && readyCount === room.players.length;
+  const isMeReady = room.players.some(
+    (p) => p.user?._id === currentUser?._id && p.isReady
+  );
+
+  // Host moderation is available until the game is over
+  const canModerate = isUserHost() && room.status !== "completed";
+
+  // Names of the absent players a paused game is waiting for
+  const waitingForNames = (room.pausedFor || [])
+    .map((id) => room.players.find((p) => p.user?._id === id)?.user?.name)
+    .filter(Boolean)
+    .join(", ");
+
   // Determine room status for rendering - fallback to "waiting" if status is invalid
   const roomStatus = ["waiting", "playing", "completed"].includes(room.status)
     ? room.status
@@ -795,11 +1160,11 @@ const GameRoom = () => {
               }`}
             >
               {roomStatus === "waiting"
-                ? "Waiting for Players"
-                : `Round ${room.currentRound} of ${room.maxRounds}`}
+                ? t("game.waitingForPlayers")
+                : t("game.roundOf", { round: room.currentRound, total: room.maxRounds })}
             </span>
             <span className="px-3 py-1 text-xs font-semibold rounded-full bg-gray-100 text-gray-800 border border-gray-200">
-              {room.type === "public" ? "Public Room" : "Private Room"}
+              {room.type === "public" ? t("game.publicRoom") : t("game.privateRoom")}
             </span>
           </div>
         </div>
@@ -809,7 +1174,7 @@ const GameRoom = () => {
               onClick={handleLeaveRoom}
               className="w-full md:w-auto bg-red-500 hover:bg-red-600 text-white px-6 py-2 rounded-md transition-colors shadow-sm"
             >
-              Leave Room
+              {t("game.leaveRoom")}
             </button>
           ) : (
             <button
@@ -821,7 +1186,7 @@ const GameRoom = () => {
               }
               className="w-full md:w-auto bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-2 rounded-md transition-colors shadow-sm disabled:bg-gray-400 disabled:cursor-not-allowed"
             >
-              {isJoining ? "Joining..." : "Join Room"}
+              {isJoining ? t("game.joining") : t("game.joinRoom")}
             </button>
           )}
         </div>
@@ -831,7 +1196,7 @@ const GameRoom = () => {
       {room.type === "private" && !isUserInRoom() && (
         <div className="mb-6 bg-white p-6 rounded-xl shadow-sm border border-gray-200">
           <label className="block mb-2 font-medium text-gray-700">
-            Room Passcode:
+            {t("game.passcodeLabel")}
           </label>
           <div className="flex">
             <input
@@ -839,18 +1204,18 @@ const GameRoom = () => {
               value={passcode}
               onChange={(e) => setPasscode(e.target.value)}
               className="border border-gray-300 p-3 rounded-l-md flex-grow focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Enter the room passcode"
+              placeholder={t("game.passcodePlaceholder")}
             />
             <button
               onClick={handleJoinRoom}
               disabled={isJoining || !passcode}
               className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-r-md transition-colors disabled:bg-gray-400"
             >
-              Enter
+              {t("game.enter")}
             </button>
           </div>
           <p className="text-sm text-gray-500 mt-2">
-            You need the passcode to enter this private room
+            {t("game.passcodeHint")}
           </p>
         </div>
       )}
@@ -861,7 +1226,7 @@ const GameRoom = () => {
         <div className="md:col-span-1">
           <div className="bg-white p-6 rounded-xl shadow-sm border border-gray-200">
             <h2 className="text-xl font-semibold mb-4 text-gray-800 border-b pb-2">
-              Players
+              {t("game.players")}
             </h2>
             <PlayerList
               players={room.players.map((player) => ({
@@ -875,35 +1240,124 @@ const GameRoom = () => {
               }))}
               host={room.host}
               currentUser={currentUser}
+              showReady={room.status === "waiting"}
+              onTransferHost={canModerate ? handleTransferHost : undefined}
+              onKickPlayer={canModerate ? handleRemovePlayer : undefined}
+              onBanPlayer={
+                canModerate
+                  ? (player) => handleRemovePlayer(player, { ban: true })
+                  : undefined
+              }
+              onDropPlayer={canModerate ? handleDropPlayer : undefined}
             />
 
-            {isUserHost() && room.status === "waiting" && (
+            {isUserHost() && room.auditLog?.length > 0 && (
+              <details className="mt-4 text-sm text-gray-600">
+                <summary className="cursor-pointer font-medium text-gray-700">
+                  {t("moderation.log")}
+                </summary>
+                <ul className="mt-2 space-y-1">
+                  {room.auditLog
+                    .slice()
+                    .reverse()
+                    .map((entry) => (
+                      <li key={entry._id}>
+                        {t(
+                          entry.actor
+                            ? `moderation.logEntry.${entry.action}`
+                            : "moderation.logEntry.autoDrop",
+                          {
+                            actor: entry.actor?.name,
+                            target: entry.target?.name,
+                          }
+                        )}
+                        {entry.reason && (
+                          <span className="text-gray-400"> ({entry.reason})</span>
+                        )}{" "}
+                        <span className="text-xs text-gray-400">
+                          {formatTimeAgo(entry.createdAt, t)}
+                        </span>
+                      </li>
+                    ))}
+                </ul>
+              </details>
+            )}
+
+            {room.status === "waiting" && isUserInRoom() && (
               <button
-                onClick={handleStartGame}
-                disabled={room.players.length < 2}
-                className="w-full mt-6 bg-green-500 hover:bg-green-600 text-white py-3 rounded-md font-medium transition-colors shadow-sm disabled:bg-gray-400 disabled:cursor-not-allowed"
+                onClick={handleToggleReady}
+                className={`w-full mt-6 py-3 rounded-md font-medium transition-colors shadow-sm ${
+                  isMeReady
+                    ? "bg-white border border-gray-300 text-gray-700 hover:bg-gray-50"
+                    : "bg-emerald-500 hover:bg-emerald-600 text-white"
+                }`}
               >
-                {room.players.length < 2
-                  ? "Need at least 2 players"
-                  : "Start Game"}
+                {isMeReady ? t("lobby.notReady") : t("lobby.ready")}
               </button>
             )}
 
+            {isUserHost() && room.status === "waiting" && (
+              <>
+                <button
+                  onClick={() => handleStartGame()}
+                  disabled={!everyoneReady}
+                  className="w-full mt-3 bg-green-500 hover:bg-green-600 text-white py-3 rounded-md font-medium transition-colors shadow-sm disabled:bg-gray-400 disabled:cursor-not-allowed"
+                >
+                  {room.players.length < 2
+                    ? t("game.needTwoPlayers")
+                    : !everyoneReady
+                    ? t("lobby.waitingForReady", {
+                        count: readyCount,
+                        total: room.players.length,
+                      })
+                    : t("game.startGame")}
+                </button>
+                {room.players.length >= 2 && !everyoneReady && (
+                  <button
+                    onClick={() => handleStartGame({ force: true })}
+                    className="w-full mt-2 text-sm text-indigo-600 hover:text-indigo-800 hover:underline"
+                  >
+                    {t("lobby.forceStart")}
+                  </button>
+                )}
+              </>
+            )}
+
             {room.status === "playing" && (
               <div className="mt-6 bg-blue-50 p-4 rounded">
-                <h3 className="font-semibold mb-2">Game Progress</h3>
+                <h3 className="font-semibold mb-2">{t("game.progress")}</h3>
                 <div className="flex justify-between mb-2">
-                  <span>Round:</span>
+                  <span>{t("game.round")}</span>
                   <span>
-                    {room.currentRound} of {room.maxRounds}
+                    {t("game.countOf", { count: room.currentRound, total: room.maxRounds })}
                   </span>
                 </div>
                 <div className="flex justify-between">
-                  <span>Answers:</span>
+                  <span>{t("game.answers")}</span>
                   <span>
-                    {answerCount} of {totalPlayers}
+                    {t("game.countOf", { count: answerCount, total: totalPlayers })}
                   </span>
                 </div>
+                {isUserHost() && (
+                  <div className="mt-3">
+                    <label
+                      className="block text-sm text-gray-600 mb-1"
+                      htmlFor="absentPolicy"
+                    >
+                      {t("absent.policyLabel")}
+                    </label>
+                    <select
+                      id="absentPolicy"
+                      className="w-full px-2 py-1 border border-gray-300 rounded-md text-sm"
+                      value={room.settings?.absentPlayers?.policy || "skip"}
+                      onChange={(e) => handleAbsentPolicyChange(e.target.value)}
+                    >
+                      <option value="skip">{t("absent.policy.skip")}</option>
+                      <option value="drop">{t("absent.policy.drop")}</option>
+                      <option value="pause">{t("absent.policy.pause")}</option>
+                    </select>
+                  </div>
+                )}
               </div>
             )}
           </div>
@@ -928,16 +1382,30 @@ const GameRoom = () => {
                   </svg>
                 </div>
                 <h2 className="text-xl font-bold mb-4">
-                  Waiting for players to join...
+                  {t("game.waitingToJoin")}
                 </h2>
                 <p className="text-gray-600 mb-2">
                   {isUserHost()
-                    ? 'When you\'re ready, click "Start Game" to begin!'
-                    : "The game will start when the host is ready."}
+                    ? t("game.hostCanStart")
+                    : t("game.waitForHost")}
                 </p>
+                <p className="text-gray-700 font-medium mb-2">
+                  {t("lobby.readyCount", {
+                    count: readyCount,
+                    total: room.players.length,
+                  })}
+                </p>
+                {autoStartIn !== null && (
+                  <p className="text-lg font-bold text-emerald-600 mb-2">
+                    {t("lobby.startingIn", { count: autoStartIn })}
+                  </p>
+                )}
                 <p className="text-sm text-gray-500">
-                  Players: {room.players.length}/{room.maxPlayers} • Rounds:{" "}
-                  {room.maxRounds}
+                  {t("game.lobbyInfo", {
+                    players: room.players.length,
+                    maxPlayers: room.maxPlayers,
+                    rounds: room.maxRounds,
+                  })}
                 </p>
               </div>
             ) : room.status === "playing" ? (
@@ -946,15 +1414,36 @@ const GameRoom = () => {
                   isTransitioning ? "opacity-50" : "opacity-100"
                 }`}
               >
+                {room.pausedAt && (
+                  <div className="mb-4 bg-amber-50 border border-amber-200 text-amber-800 p-4 rounded-lg">
+                    <p className="font-medium">{t("absent.pausedBanner")}</p>
+                    {waitingForNames && (
+                      <p className="text-sm mt-1">
+                        {t("absent.waitingFor", { names: waitingForNames })}
+                      </p>
+                    )}
+                    {isUserHost() && (
+                      <button
+                        onClick={handleResumeGame}
+                        className="mt-3 bg-amber-600 hover:bg-amber-700 text-white px-4 py-2 rounded-md text-sm font-medium transition-colors"
+                      >
+                        {t("absent.resumeWithout")}
+                      </button>
+                    )}
+                  </div>
+                )}
+
                 <div className="mb-4 flex items-center justify-between">
                   <span className="bg-blue-100 text-blue-800 px-3 py-1 rounded-full text-sm font-medium">
-                    Round {room.currentRound} of {room.maxRounds}
+                    {t("game.roundOf", { round: room.currentRound, total: room.maxRounds })}
                   </span>
 
                   {!roundResults && room.currentQuestion && !hasAnswered && (
                     <Timer
-                      startTime={questionStartTime}
-                      canAnswer={canAnswer}
+                      phase={roundClock?.phase}
+                      secondsRemaining={roundClock?.secondsRemaining}
+                      answerSeconds={room.settings?.answerSeconds}
+                      showSpeedBonus={room.scoringRules?.includes("speed") ?? true}
                     />
                   )}
                 </div>
@@ -967,16 +1456,22 @@ const GameRoom = () => {
                       !isUserInRoom() ||
                       hasAnswered ||
                       !canAnswer ||
-                      isTransitioning
+                      isTransitioning ||
+                      Boolean(room.pausedAt)
                     }
                     hasAnswered={hasAnswered}
                     canAnswer={canAnswer}
+                    readingSecondsRemaining={
+                      roundClock?.phase === "reading"
+                        ? roundClock.secondsRemaining
+                        : 0
+                    }
                   />
                 ) : roundResults ? (
                   // Show round results if available
                   <div className="mt-6 bg-blue-50 p-6 rounded-lg border border-blue-100 animate-fade-in">
                     <h3 className="text-xl font-bold mb-4 text-center">
-                      Round Results
+                      {t("game.roundResults")}
                     </h3>
 
                     <div className="flex justify-around mb-6">
@@ -984,13 +1479,13 @@ const GameRoom = () => {
                         <div className="text-3xl font-bold text-green-600">
                           {roundResults?.yesCount || 0}
                         </div>
-                        <div className="text-gray-600">Said Yes</div>
+                        <div className="text-gray-600">{t("game.saidYes")}</div>
                       </div>
                       <div className="text-center p-4 bg-white rounded-lg shadow-sm w-40">
                         <div className="text-3xl font-bold text-red-600">
                           {roundResults?.noCount || 0}
                         </div>
-                        <div className="text-gray-600">Said No</div>
+                        <div className="text-gray-600">{t("game.saidNo")}</div>
                       </div>
                     </div>
 
@@ -999,6 +1494,55 @@ const GameRoom = () => {
                         {roundResults?.question || room.currentQuestion?.text}
                       </p>
 
+                      <QuestionFeedback
+                        key={roundResults?.round || room.currentRound}
+                        roomId={roomId}
+                        round={roundResults?.round || room.currentRound}
+                      />
+
+                      {myRoundResult && (
+                        <div className="mb-4">
+                          <p className="font-semibold text-indigo-700">
+                            {t("game.youEarned", { count: myRoundResult.points || 0 })}
+                          </p>
+                          <div className="flex flex-wrap justify-center gap-2 mt-2">
+                            {Object.entries(myRoundResult.breakdown || {}).map(
+                              ([rule, points]) => (
+                                <span
+                                  key={rule}
+                                  className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                                    rule === "streak"
+                                      ? "bg-orange-100 text-orange-700"
+                                      : "bg-white text-gray-700 border border-gray-200"
+                                  }`}
+                                >
+                                  {rule === "streak"
+                                    ? `🔥 x${myRoundResult.streak}`
+                                    : SCORING_RULES.includes(rule)
+                                    ? t(`game.scoring.${rule}`)
+                                    : rule}{" "}
+                                  +{points}
+                                </span>
+                              )
+                            )}
+                          </div>
+                        </div>
+                      )}
+
+                      {roundResults?.skippedCount > 0 && (
+                        <p className="text-sm text-gray-500 mb-4">
+                          {t("game.ranOutOfTime", { count: roundResults.skippedCount })}
+                        </p>
+                      )}
+
+                      {room.settings?.autoAdvance && (
+                        <p className="text-sm text-indigo-600 mb-4">
+                          {room.currentRound >= room.maxRounds
+                            ? t("game.finalScoresSoon")
+                            : t("game.nextRoundSoon")}
+                        </p>
+                      )}
+
                       {isUserHost() && (
                         <button
                           onClick={handleNextRound}
@@ -1010,10 +1554,10 @@ const GameRoom = () => {
                           }`}
                         >
                           {isTransitioning
-                            ? "Processing..."
+                            ? t("game.processing")
                             : room.currentRound >= room.maxRounds
-                            ? "End Game"
-                            : "Next Round"}
+                            ? t("game.endGame")
+                            : t("game.nextRound")}
                         </button>
                       )}
                     </div>
@@ -1021,7 +1565,7 @@ const GameRoom = () => {
                 ) : (
                   <div className="text-center py-8">
                     <p className="text-lg text-gray-500">
-                      Waiting for the next question...
+                      {t("game.waitingForQuestion")}
                     </p>
                   </div>
                 )}
@@ -1030,7 +1574,7 @@ const GameRoom = () => {
                   <div className="mt-6 bg-gray-50 p-3 rounded-lg">
                     <div className="flex justify-between items-center">
                       <span className="text-sm text-gray-600">
-                        {answerCount} of {totalPlayers} players answered
+                        {t("game.playersAnswered", { count: answerCount, total: totalPlayers })}
                       </span>
                       <div className="w-2/3 bg-gray-200 rounded-full h-2.5">
                         <div
@@ -1051,7 +1595,7 @@ const GameRoom = () => {
                 {allPlayersAnswered && !roundResults && (
                   <div className="mt-6 bg-blue-50 p-4 rounded-lg border border-blue-100">
                     <p className="text-center font-medium">
-                      All players have answered!
+                      {t("game.allAnswered")}
                     </p>
                     {isUserHost() && (
                       <button
@@ -1059,8 +1603,8 @@ const GameRoom = () => {
                         className="w-full mt-4 bg-indigo-600 hover:bg-indigo-700 text-white py-2 rounded-md font-medium transition-colors"
                       >
                         {room.currentRound >= room.maxRounds
-                          ? "End Game"
-                          : "Next Round"}
+                          ? t("game.endGame")
+                          : t("game.nextRound")}
                       </button>
                     )}
                   </div>
@@ -1081,27 +1625,37 @@ const GameRoom = () => {
                     d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z"
                   ></path>
                 </svg>
-                <h2 className="text-xl font-bold mb-4">Game completed!</h2>
+                <h2 className="text-xl font-bold mb-4">{t("game.completed")}</h2>
                 <p className="text-gray-600 mb-4">
-                  Check the leaderboard to see the final scores.
+                  {t("game.checkLeaderboard")}
                 </p>
-                <button
-                  onClick={() => navigate("/leaderboard")}
-                  className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-md transition-colors font-medium"
-                >
-                  View Leaderboard
-                </button>
+                <div className="flex flex-col sm:flex-row justify-center gap-3">
+                  {room.result && (
+                    <button
+                      onClick={() => navigate(`/games/${room.result}`)}
+                      className="bg-green-600 hover:bg-green-700 text-white px-6 py-3 rounded-md transition-colors font-medium"
+                    >
+                      {t("game.viewScorecard")}
+                    </button>
+                  )}
+                  <button
+                    onClick={() => navigate("/leaderboard")}
+                    className="bg-indigo-600 hover:bg-indigo-700 text-white px-6 py-3 rounded-md transition-colors font-medium"
+                  >
+                    {t("game.viewLeaderboard")}
+                  </button>
+                </div>
               </div>
             ) : (
               // Fallback for unknown status
               <div className="bg-gray-100 p-6 rounded-lg text-center">
-                <h2 className="text-xl mb-2">Game status unknown</h2>
-                <p>Please refresh the page or return to the rooms list.</p>
+                <h2 className="text-xl mb-2">{t("game.statusUnknown")}</h2>
+                <p>{t("game.refreshHint")}</p>
                 <button
                   onClick={() => navigate("/rooms")}
                   className="mt-4 bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md transition-colors"
                 >
-                  Back to Rooms
+                  {t("game.backToRooms")}
                 </button>
               </div>
             )}
@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useContext } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { AuthContext } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import Avatar from '../common/Avatar';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const GameScorecard = () => {
+  const { t } = useTranslation();
+  const { gameId } = useParams();
+  const { currentUser } = useContext(AuthContext);
+  const [game, setGame] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    const fetchGame = async () => {
+      try {
+        setIsLoading(true);
+        const response = await api.get(`/games/${gameId}`);
+        setGame(response.data);
+      } catch (error) {
+        console.error('Error fetching game:', error);
+        toast.error(error.response?.data?.message || t('scorecard.loadFailed'));
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchGame();
+  }, [gameId, t]);
+
+  if (isLoading) {
+    return <div className="text-center py-8">{t('scorecard.loading')}</div>;
+  }
+
+  if (!game) {
+    return (
+      <div className="text-center py-8 bg-gray-100 rounded">
+        <p className="mb-4">{t('scorecard.notFound')}</p>
+        <Link to="/profile" className="text-indigo-600 hover:underline">{t('scorecard.backToProfile')}</Link>
+      </div>
+    );
+  }
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-3xl mx-auto">
+        <div className="mb-6">
+          <h1 className="text-2xl font-bold text-indigo-600">{game.roomName}</h1>
+          <p className="text-sm text-gray-500">
+            {formatDate(game.completedAt)} • {t('scorecard.rounds', { count: game.rounds.length })} • {t('scorecard.players', { count: game.standings.length })}
+          </p>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md mb-6 overflow-hidden">
+          <h2 className="text-lg font-bold p-4 border-b border-gray-100">{t('scorecard.finalStandings')}</h2>
+          <ul className="divide-y divide-gray-100">
+            {game.standings.map(standing => (
+              <li
+                key={standing.user}
+                className={`flex items-center justify-between p-3 ${standing.user === currentUser?._id ? 'bg-indigo-50' : ''}`}
+              >
+                <div className="flex items-center space-x-3">
+                  <span className="w-6 text-center font-bold text-gray-500">{standing.rank}</span>
+                  <Avatar user={standing} size="small" />
+                  <span className="font-medium text-gray-800">{standing.name}</span>
+                  {standing.isWinner && (
+                    <span className="text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full font-medium">
+                      {t('scorecard.winner')}
+                    </span>
+                  )}
+                </div>
+                <span className="font-bold text-lg text-indigo-600">{standing.points}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div className="space-y-4">
+          {game.rounds.map(round => (
+            <div key={round.round} className="bg-white rounded-lg shadow-sm p-4 border border-gray-100">
+              <div className="flex justify-between items-start mb-3">
+                <div>
+                  <span className="text-xs font-medium text-blue-800 bg-blue-100 px-2 py-0.5 rounded-full">
+                    {t('scorecard.round', { round: round.round })}
+                  </span>
+                  <p className="mt-2 text-gray-800">{round.questionText}</p>
+                </div>
+                <div className="text-sm text-right whitespace-nowrap ml-4">
+                  <span className="text-green-600 font-medium">{t('scorecard.yesCount', { count: round.yesCount })}</span>
+                  {' • '}
+                  <span className="text-red-600 font-medium">{t('scorecard.noCount', { count: round.noCount })}</span>
+                </div>
+              </div>
+
+              <table className="w-full text-sm">
+                <tbody>
+                  {round.answers.map(answer => (
+                    <tr key={answer.user?._id || answer._id} className="border-t border-gray-50">
+                      <td className="py-1">{answer.user?.name || t('scorecard.formerPlayer')}</td>
+                      <td className="py-1">
+                        {answer.skipped ? (
+                          <span className="text-gray-400">{t('scorecard.skipped')}</span>
+                        ) : answer.answer ? (
+                          <span className="text-green-600">{t('scorecard.yes')}</span>
+                        ) : (
+                          <span className="text-red-600">{t('scorecard.no')}</span>
+                        )}
+                      </td>
+                      <td className="py-1 text-gray-500">
+                        {answer.skipped || answer.responseTimeSeconds == null
+                          ? '-'
+                          : `${answer.responseTimeSeconds.toFixed(1)}s`}
+                      </td>
+                      <td className="py-1 text-right font-medium text-indigo-600">+{answer.points || 0}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ))}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default GameScorecard;
@@ -1,7 +1,47 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import Avatar from '../common/Avatar';
+import { formatTimeAgo } from '../../utils/helpers';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+// showReady marks who is ready while the room is in the lobby.
+// Host actions: onTransferHost, onKickPlayer, onBanPlayer and onDropPlayer are
+// each called with the player; a menu item only shows when its handler is given
+const PlayerList = ({
+  players,
+  host,
+  currentUser,
+  showReady,
+  onTransferHost,
+  onKickPlayer,
+  onBanPlayer,
+  onDropPlayer
+}) => {
+  const { t } = useTranslation();
+
+  // The player whose action menu is open
+  const [menuFor, setMenuFor] = useState(null);
+  const hasActions = Boolean(onTransferHost || onKickPlayer || onBanPlayer || onDropPlayer);
+
+  // Close the menu on any click elsewhere
+  useEffect(() => {
+    if (!menuFor) return;
+
+    const close = () => setMenuFor(null);
+    document.addEventListener('click', close);
+    return () => document.removeEventListener('click', close);
+  }, [menuFor]);
+
+  const openMenu = (e, userId) => {
+    e.preventDefault();
+    e.stopPropagation();
+    setMenuFor(menuFor === userId ? null : userId);
+  };
+
+  const runAction = (action, player) => {
+    setMenuFor(null);
+    action(player);
+  };
 
-const PlayerList = ({ players, host, currentUser }) => {
   // Sort players: host first, then current user, then others by points
   const sortedPlayers = React.useMemo(() => {
     return [...players].sort((a, b) => {
@@ -22,8 +62,8 @@ const PlayerList = ({ players, host, currentUser }) => {
     <div className="bg-white rounded-lg shadow-md border border-gray-100">
       <div className="p-4 border-b border-gray-100">
         <h2 className="text-lg font-bold flex items-center justify-between">
-          <span className="text-gray-800">Players ({players.length})</span>
-          <span className="text-sm text-gray-500 font-medium">Points</span>
+          <span className="text-gray-800">{t('players.title', { count: players.length })}</span>
+          <span className="text-sm text-gray-500 font-medium">{t('players.points')}</span>
         </h2>
       </div>
 
@@ -32,7 +72,7 @@ const PlayerList = ({ players, host, currentUser }) => {
           <svg className="w-12 h-12 mx-auto text-gray-300 mb-3" fill="none" stroke="currentColor" viewBox="0 0 24 24">
             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="1.5" d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0z" />
           </svg>
-          <p>No players have joined yet</p>
+          <p>{t('players.none')}</p>
         </div>
       ) : (
         <ul className="divide-y divide-gray-100">
@@ -40,28 +80,46 @@ const PlayerList = ({ players, host, currentUser }) => {
             const isHost = host?._id === player.user?._id;
             const isCurrentUser = currentUser?._id === player.user?._id;
             const hasAnswered = player.hasAnswered;
+            const presence = player.presence?.status;
+            const canModerate = hasActions && !isCurrentUser;
 
             return (
               <li
                 key={player.user?._id}
-                className={`flex items-center justify-between p-3 ${isCurrentUser ? 'bg-indigo-50' : 'hover:bg-gray-50'} transition-colors`}
+                onContextMenu={canModerate ? (e) => openMenu(e, player.user?._id) : undefined}
+                className={`relative flex items-center justify-between p-3 ${isCurrentUser ? 'bg-indigo-50' : 'hover:bg-gray-50'} transition-colors`}
               >
                 <div className="flex items-center space-x-3">
                   <Avatar
                     user={player.user}
                     size="medium"
+                    showStatus
+                    status={presence}
                   />
 
                   <div>
                     <div className="font-medium text-gray-800">
                       {player.user?.name}
-                      {isCurrentUser && <span className="text-gray-500 text-xs ml-1">(you)</span>}
+                      {isCurrentUser && <span className="text-gray-500 text-xs ml-1">{t('players.you')}</span>}
                     </div>
 
-                    <div className="flex items-center mt-1">
+                    <div className="flex items-center mt-1 space-x-2">
                       {isHost && (
                         <span className="text-xs bg-amber-100 text-amber-800 px-2 py-0.5 rounded-full font-medium">
-                          Host
+                          {t('players.host')}
+                        </span>
+                      )}
+                      {presence === 'idle' && (
+                        <span className="text-xs text-amber-700">{t('presence.idle')}</span>
+                      )}
+                      {presence === 'disconnected' && (
+                        <span className="text-xs text-gray-500">
+                          {t('presence.disconnectedAgo', { time: formatTimeAgo(player.presence.updatedAt, t) })}
+                        </span>
+                      )}
+                      {player.missedRounds > 0 && (
+                        <span className="text-xs text-red-600">
+                          {t('players.missedRounds', { count: player.missedRounds })}
                         </span>
                       )}
                     </div>
@@ -69,13 +127,82 @@ const PlayerList = ({ players, host, currentUser }) => {
                 </div>
 
                 <div className="flex items-center space-x-3">
+                  {player.answerStreak >= 2 && (
+                    <span
+                      className="text-xs bg-orange-100 text-orange-700 px-2 py-0.5 rounded-full font-medium"
+                      title={t('players.streak', { count: player.answerStreak })}
+                    >
+                      🔥 x{player.answerStreak}
+                    </span>
+                  )}
+                  {showReady && (
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded-full font-medium ${
+                        player.isReady
+                          ? 'bg-emerald-100 text-emerald-800'
+                          : 'bg-gray-100 text-gray-500'
+                      }`}
+                    >
+                      {player.isReady ? t('lobby.playerReady') : t('lobby.playerNotReady')}
+                    </span>
+                  )}
                   {hasAnswered && (
                     <span className="text-xs bg-emerald-100 text-emerald-800 px-2 py-0.5 rounded-full font-medium">
-                      Answered
+                      {t('players.answered')}
                     </span>
                   )}
                   <div className="font-bold text-lg text-indigo-600">{player.points || 0}</div>
+                  {canModerate && (
+                    <button
+                      onClick={(e) => openMenu(e, player.user?._id)}
+                      aria-label={t('moderation.actionsFor', { name: player.user?.name })}
+                      className="text-gray-400 hover:text-gray-700 px-1 font-bold"
+                    >
+                      ⋮
+                    </button>
+                  )}
                 </div>
+
+                {menuFor === player.user?._id && (
+                  <div
+                    className="absolute right-3 top-12 z-10 w-44 bg-white border border-gray-200 rounded-md shadow-lg py-1 text-sm"
+                    onClick={(e) => e.stopPropagation()}
+                  >
+                    {onTransferHost && (
+                      <button
+                        onClick={() => runAction(onTransferHost, player)}
+                        className="block w-full text-left px-4 py-2 hover:bg-gray-50"
+                      >
+                        {t('moderation.makeHost')}
+                      </button>
+                    )}
+                    {/* The server only lets the host drop players gone past the grace period */}
+                    {onDropPlayer && presence === 'disconnected' && (
+                      <button
+                        onClick={() => runAction(onDropPlayer, player)}
+                        className="block w-full text-left px-4 py-2 hover:bg-gray-50"
+                      >
+                        {t('players.drop')}
+                      </button>
+                    )}
+                    {onKickPlayer && (
+                      <button
+                        onClick={() => runAction(onKickPlayer, player)}
+                        className="block w-full text-left px-4 py-2 text-red-600 hover:bg-red-50"
+                      >
+                        {t('moderation.kick')}
+                      </button>
+                    )}
+                    {onBanPlayer && (
+                      <button
+                        onClick={() => runAction(onBanPlayer, player)}
+                        className="block w-full text-left px-4 py-2 text-red-700 hover:bg-red-50"
+                      >
+                        {t('moderation.ban')}
+                      </button>
+                    )}
+                  </div>
+                )}
               </li>
             );
           })}
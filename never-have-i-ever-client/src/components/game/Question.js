@@ -1,6 +1,8 @@
 import React, { useEffect, useState } from 'react';
+import { useTranslation } from '../../contexts/LanguageContext';
 
-const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
+const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer, readingSecondsRemaining = 0 }) => {
+  const { t } = useTranslation();
   const [animation, setAnimation] = useState('');
   const [selectedAnswer, setSelectedAnswer] = useState(null);
 
@@ -34,7 +36,6 @@ const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
   return (
     <div className={`bg-white rounded-lg shadow-md p-6 ${animation}`}>
       <div className="text-center mb-6">
-        <h2 className="text-xl font-bold text-gray-600 mb-2">Never have I ever...</h2>
         <p className="text-2xl text-indigo-700 font-medium">{question.text}</p>
       </div>
 
@@ -44,7 +45,7 @@ const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
             <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            Take a moment to read the question...
+            {t('question.readPrompt')}
           </p>
         </div>
       )}
@@ -64,8 +65,8 @@ const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
             disabled:opacity-60 disabled:cursor-not-allowed
           `}
         >
-          <span className="block font-bold text-lg mb-1">YES</span>
-          <span className="text-sm block opacity-90">I have done this</span>
+          <span className="block font-bold text-lg mb-1">{t('question.yes')}</span>
+          <span className="text-sm block opacity-90">{t('question.yesHint')}</span>
           
           {hasAnswered && selectedAnswer === true && (
             <span className="absolute top-2 right-2">
@@ -90,8 +91,8 @@ const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
             disabled:opacity-60 disabled:cursor-not-allowed
           `}
         >
-          <span className="block font-bold text-lg mb-1">NO</span>
-          <span className="text-sm block opacity-90">I haven't done this</span>
+          <span className="block font-bold text-lg mb-1">{t('question.no')}</span>
+          <span className="text-sm block opacity-90">{t('question.noHint')}</span>
           
           {hasAnswered && selectedAnswer === false && (
             <span className="absolute top-2 right-2">
@@ -106,17 +107,17 @@ const Question = ({ question, onAnswer, disabled, hasAnswered, canAnswer }) => {
       {hasAnswered && (
         <div className="mt-6 text-center py-3 bg-emerald-50 border border-emerald-100 rounded-lg">
           <p className="text-emerald-600 font-medium">
-            Your answer has been submitted!
+            {t('question.submitted')}
           </p>
           <p className="text-gray-500 text-sm mt-1">
-            Waiting for other players to respond...
+            {t('question.waitingForOthers')}
           </p>
         </div>
       )}
 
       {!hasAnswered && !canAnswer && (
         <div className="mt-4 text-center text-amber-600 font-medium">
-          You can answer in <span className="font-bold">3 seconds</span>
+          {t('question.answerIn', { count: readingSecondsRemaining })}
         </div>
       )}
     </div>
@@ -0,0 +1,106 @@
+import React, { useState } from 'react';
+import api from '../../services/api';
+import { useTranslation } from '../../contexts/LanguageContext';
+import { toast } from 'react-toastify';
+
+// Thumbs up/down and a flag for the question a round was played with
+const QuestionFeedback = ({ roomId, round }) => {
+  const { t } = useTranslation();
+  const [rating, setRating] = useState(null);
+  const [flagged, setFlagged] = useState(false);
+  const [isFlagging, setIsFlagging] = useState(false);
+  const [flagReason, setFlagReason] = useState('');
+  const [isSaving, setIsSaving] = useState(false);
+
+  const sendFeedback = async (feedback) => {
+    try {
+      setIsSaving(true);
+      const response = await api.post(`/rooms/${roomId}/feedback`, {
+        round,
+        rating,
+        flagged,
+        ...feedback
+      });
+      setRating(response.data.rating);
+      setFlagged(response.data.flagged);
+      return true;
+    } catch (error) {
+      console.error('Error sending question feedback:', error);
+      toast.error(error.response?.data?.message || t('feedback.failed'));
+      return false;
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Tapping the selected thumb again takes the rating back
+  const handleRate = (value) => {
+    sendFeedback({ rating: rating === value ? null : value });
+  };
+
+  const handleFlag = async (e) => {
+    e.preventDefault();
+    if (await sendFeedback({ flagged: true, reason: flagReason.trim() || undefined })) {
+      setIsFlagging(false);
+      toast.info(t('feedback.thanks'));
+    }
+  };
+
+  const buttonClass = (isActive, activeClass) =>
+    `px-3 py-1 rounded-full border text-sm transition-colors disabled:opacity-50 ${
+      isActive ? activeClass : 'bg-white border-gray-200 text-gray-600 hover:border-gray-400'
+    }`;
+
+  return (
+    <div className="mb-4">
+      <div className="flex justify-center items-center gap-2">
+        <span className="text-sm text-gray-500 mr-1">{t('feedback.rate')}</span>
+        <button
+          onClick={() => handleRate('up')}
+          disabled={isSaving}
+          aria-label={t('feedback.thumbsUp')}
+          className={buttonClass(rating === 'up', 'bg-green-100 border-green-400 text-green-700')}
+        >
+          👍
+        </button>
+        <button
+          onClick={() => handleRate('down')}
+          disabled={isSaving}
+          aria-label={t('feedback.thumbsDown')}
+          className={buttonClass(rating === 'down', 'bg-red-100 border-red-400 text-red-700')}
+        >
+          👎
+        </button>
+        <button
+          onClick={() => (flagged ? sendFeedback({ flagged: false }) : setIsFlagging(!isFlagging))}
+          disabled={isSaving}
+          title={flagged ? t('feedback.removeReport') : t('feedback.reportTitle')}
+          className={buttonClass(flagged, 'bg-orange-100 border-orange-400 text-orange-700')}
+        >
+          🚩 {flagged ? t('feedback.reported') : t('feedback.report')}
+        </button>
+      </div>
+
+      {isFlagging && !flagged && (
+        <form onSubmit={handleFlag} className="flex gap-2 mt-2 max-w-sm mx-auto">
+          <input
+            className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+            placeholder={t('feedback.reasonPlaceholder')}
+            maxLength={200}
+            value={flagReason}
+            onChange={(e) => setFlagReason(e.target.value)}
+          />
+          <button
+            type="submit"
+            disabled={isSaving}
+            className="bg-orange-600 hover:bg-orange-700 text-white px-3 py-1 rounded-md text-sm"
+          >
+            {t('feedback.report')}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+};
+
+export default QuestionFeedback;
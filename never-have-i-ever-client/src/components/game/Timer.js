@@ -1,50 +1,49 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
+import { useTranslation } from '../../contexts/LanguageContext';
 
-const Timer = ({ startTime, canAnswer }) => {
-    const [elapsedTime, setElapsedTime] = useState(0);
-    const [bonusInfo, setBonusInfo] = useState({ text: 'Reading period', color: 'text-amber-500', bgColor: 'bg-amber-50' });
+// Displays the server-driven round clock
+const Timer = ({ phase, secondsRemaining = 0, answerSeconds = 30, showSpeedBonus = true }) => {
+    const { t } = useTranslation();
 
-    useEffect(() => {
-        if (!startTime) return;
+    // Seconds since answers opened, used to show which speed bonus is still available
+    const elapsed = answerSeconds - secondsRemaining;
 
-        const intervalId = setInterval(() => {
-            const now = new Date().getTime();
-            const elapsed = Math.max(0, (now - startTime) / 1000); // convert to seconds, ensure non-negative
-            setElapsedTime(elapsed);
+    let bonusInfo;
+    if (phase !== 'answering') {
+        bonusInfo = {
+            text: t('timer.reading'),
+            color: 'text-amber-500',
+            bgColor: 'bg-amber-50',
+        };
+    } else if (!showSpeedBonus) {
+        bonusInfo = {
+            text: t('timer.takeYourTime'),
+            color: 'text-gray-600',
+            bgColor: 'bg-gray-50',
+        };
+    } else if (elapsed < 5) {
+        bonusInfo = {
+            text: t('timer.bonus', { count: 3 }),
+            color: 'text-emerald-600',
+            bgColor: 'bg-emerald-50',
+        };
+    } else if (elapsed <= 15) {
+        bonusInfo = {
+            text: t('timer.bonus', { count: 1 }),
+            color: 'text-blue-600',
+            bgColor: 'bg-blue-50',
+        };
+    } else {
+        bonusInfo = {
+            text: t('timer.noBonus'),
+            color: 'text-gray-600',
+            bgColor: 'bg-gray-50',
+        };
+    }
 
-            // Update bonus information based on timing thresholds
-            if (!canAnswer) {
-                setBonusInfo({
-                    text: 'Reading period',
-                    color: 'text-amber-500',
-                    bgColor: 'bg-amber-50',
-                });
-            } else if (elapsed <= 5) {
-                setBonusInfo({
-                    text: '+3 bonus points',
-                    color: 'text-emerald-600',
-                    bgColor: 'bg-emerald-50',
-                });
-            } else if (elapsed <= 15) {
-                setBonusInfo({
-                    text: '+1 bonus point',
-                    color: 'text-blue-600',
-                    bgColor: 'bg-blue-50',
-                });
-            } else {
-                setBonusInfo({
-                    text: 'No time bonus',
-                    color: 'text-gray-600',
-                    bgColor: 'bg-gray-50',
-                });
-            }
-        }, 100);
+    if (!phase) return null;
 
-        return () => clearInterval(intervalId);
-    }, [startTime, canAnswer]);
-
-    // Format time as seconds with one decimal place
-    const formattedTime = elapsedTime.toFixed(1);
+    const isRunningOut = phase === 'answering' && secondsRemaining <= 5;
 
     return (
         <div className="flex items-center space-x-2">
@@ -52,7 +51,7 @@ const Timer = ({ startTime, canAnswer }) => {
                 <svg className="w-5 h-5 text-gray-500 mr-1" fill="none" stroke="currentColor" viewBox="0 0 24 24">
                     <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M12 8v4l3 3m6-3a9 9 0 11-18 0 9 9 0 0118 0z" />
                 </svg>
-                <span className="font-bold text-lg">{formattedTime}s</span>
+                <span className={`font-bold text-lg ${isRunningOut ? 'text-red-600' : ''}`}>{secondsRemaining}s</span>
             </div>
 
             <div className={`px-3 py-1 rounded-full text-xs font-medium ${bonusInfo.color} ${bonusInfo.bgColor} border border-opacity-40`}>
@@ -62,4 +61,4 @@ const Timer = ({ startTime, canAnswer }) => {
     );
 };
 
-export default Timer;
\ No newline at end of file
+export default Timer;
@@ -1,15 +1,18 @@
 // src/components/layout/Footer.js
 import React from 'react';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const Footer = () => {
+  const { t } = useTranslation();
+
   return (
     <footer className="bg-gray-800 text-white py-4 mt-auto">
       <div className="container mx-auto px-4 text-center">
-        <p>© {new Date().getFullYear()} Never Have I Ever Game. All rights reserved.</p>
+        <p>{t('footer.copyright', { year: new Date().getFullYear() })}</p>
         <div className="mt-2 text-sm text-gray-400">
-          <a href="#" className="hover:text-blue-300 mx-2">Privacy Policy</a>
-          <a href="#" className="hover:text-blue-300 mx-2">Terms of Service</a>
-          <a href="#" className="hover:text-blue-300 mx-2">Contact</a>
+          <a href="#" className="hover:text-blue-300 mx-2">{t('footer.privacy')}</a>
+          <a href="#" className="hover:text-blue-300 mx-2">{t('footer.terms')}</a>
+          <a href="#" className="hover:text-blue-300 mx-2">{t('footer.contact')}</a>
         </div>
       </div>
     </footer>
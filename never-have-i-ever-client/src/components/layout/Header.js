@@ -1,12 +1,22 @@
 import React, { useContext } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import { AuthContext } from '../../contexts/AuthContext';
+import { useTranslation } from '../../contexts/LanguageContext';
 import Avatar from '../common/Avatar';
 
 const Header = () => {
   const { currentUser, logout } = useContext(AuthContext);
+  const { language, languages, setLanguage, t } = useTranslation();
   const navigate = useNavigate();
 
+  const handleLanguageChange = async (e) => {
+    try {
+      await setLanguage(e.target.value);
+    } catch (error) {
+      console.error('Error saving language:', error);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate('/');
@@ -23,15 +33,32 @@ const Header = () => {
         <nav className="hidden md:flex space-x-6">
           {currentUser && (
             <>
-              <Link to="/rooms" className="bg-purple-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">Rooms</Link>
-              <Link to="/rooms/create" className="bg-indigo-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">Create Room</Link>
-              <Link to="/rooms/join" className="bg-green-500 hover:bg-green-600 px-4 py-2 rounded-md transition">Join Room</Link>
-              <Link to="/leaderboard" className="bg-indigo-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">Leaderboard</Link>
+              <Link to="/rooms" className="bg-purple-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">{t('header.rooms')}</Link>
+              <Link to="/rooms/create" className="bg-indigo-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">{t('header.createRoom')}</Link>
+              <Link to="/rooms/join" className="bg-green-500 hover:bg-green-600 px-4 py-2 rounded-md transition">{t('header.joinRoom')}</Link>
+              <Link to="/leaderboard" className="bg-indigo-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">{t('header.leaderboard')}</Link>
+              <Link to="/packs" className="bg-indigo-500 hover:bg-indigo-700 px-4 py-2 rounded-md transition">{t('header.packs')}</Link>
+              {['moderator', 'admin'].includes(currentUser.role) && (
+                <Link to="/moderation" className="bg-gray-600 hover:bg-gray-700 px-4 py-2 rounded-md transition">{t('header.moderation')}</Link>
+              )}
+              {currentUser.role === 'admin' && (
+                <Link to="/admin/jobs" className="bg-gray-700 hover:bg-gray-800 px-4 py-2 rounded-md transition">{t('header.admin')}</Link>
+              )}
             </>
           )}
         </nav>
 
         <div className="flex items-center space-x-4">
+          <select
+            aria-label={t('language.label')}
+            value={language}
+            onChange={handleLanguageChange}
+            className="bg-indigo-500 text-white text-sm rounded px-2 py-1 focus:outline-none"
+          >
+            {Object.entries(languages).map(([code, name]) => (
+              <option key={code} value={code}>{name}</option>
+            ))}
+          </select>
           {currentUser ? (
             <>
               <Link to="/profile" className="flex items-center group">
@@ -46,7 +73,7 @@ const Header = () => {
                 onClick={handleLogout}
                 className="bg-red-500 hover:bg-red-600 text-white px-3 py-1 rounded text-sm transition"
               >
-                Logout
+                {t('header.logout')}
               </button>
             </>
           ) : (
@@ -54,7 +81,7 @@ const Header = () => {
               to="/"
               className="bg-white text-indigo-600 px-3 py-1 rounded hover:bg-indigo-50 transition"
             >
-              Join Game
+              {t('header.joinGame')}
             </Link>
           )}
         </div>
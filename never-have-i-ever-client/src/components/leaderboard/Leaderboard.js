@@ -3,61 +3,41 @@ import React, { useState, useEffect } from 'react';
 import api from '../../services/api';
 import Avatar from '../common/Avatar';
 import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const Leaderboard = () => {
+  const { t } = useTranslation();
   const [leaderboard, setLeaderboard] = useState([]);
-  const [timeFrame, setTimeFrame] = useState('day');  // day, week, all
+  const [timeFrame, setTimeFrame] = useState('day');  // day, week, month, all, range
+  const [range, setRange] = useState({ from: '', to: '' });
   const [isLoading, setIsLoading] = useState(true);
   
   useEffect(() => {
+    // Wait until a custom range has both ends
+    if (timeFrame === 'range' && (!range.from || !range.to)) return;
     fetchLeaderboard();
-  }, [timeFrame]);
+  }, [timeFrame, range]);
   
   const fetchLeaderboard = async () => {
     try {
       setIsLoading(true);
-      const response = await api.get('/leaderboard', {
-        params: { timeFrame }
-      });
+      // Count the whole of both days at the ends of a custom range
+      const params = timeFrame === 'range'
+        ? { from: `${range.from}T00:00:00`, to: `${range.to}T23:59:59.999` }
+        : { timeFrame };
+      const response = await api.get('/leaderboard', { params });
       setLeaderboard(response.data);
     } catch (error) {
       console.error('Error fetching leaderboard:', error);
-      toast.error('Failed to load leaderboard');
+      toast.error(error.response?.data?.message || t('leaderboard.loadFailed'));
     } finally {
       setIsLoading(false);
     }
   };
   
-  // Determine which points field to display based on timeFrame
-  const getPointsField = (player) => {
-    switch (timeFrame) {
-      case 'day':
-        return player.dailyPoints;
-      case 'week':
-        return player.points;
-      case 'all':
-        return player.stats?.totalPoints;
-      default:
-        return player.dailyPoints;
-    }
-  };
-  
-  const getTimeFrameLabel = () => {
-    switch (timeFrame) {
-      case 'day':
-        return 'Daily';
-      case 'week':
-        return 'Weekly';
-      case 'all':
-        return 'All-Time';
-      default:
-        return 'Daily';
-    }
-  };
-  
   return (
     <div className="container mx-auto px-4 py-8">
-      <h1 className="text-2xl font-bold mb-6">Leaderboard</h1>
+      <h1 className="text-2xl font-bold mb-6">{t('leaderboard.title')}</h1>
       
       <div className="mb-6">
         <div className="flex justify-center space-x-4">
@@ -69,7 +49,7 @@ const Leaderboard = () => {
             }`}
             onClick={() => setTimeFrame('day')}
           >
-            Daily
+            {t('leaderboard.timeFrame.day')}
           </button>
           <button
             className={`px-4 py-2 rounded-md ${
@@ -79,7 +59,17 @@ const Leaderboard = () => {
             }`}
             onClick={() => setTimeFrame('week')}
           >
-            Weekly
+            {t('leaderboard.timeFrame.week')}
+          </button>
+          <button
+            className={`px-4 py-2 rounded-md ${
+              timeFrame === 'month'
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-200 text-gray-800'
+            }`}
+            onClick={() => setTimeFrame('month')}
+          >
+            {t('leaderboard.timeFrame.month')}
           </button>
           <button
             className={`px-4 py-2 rounded-md ${
@@ -89,21 +79,51 @@ const Leaderboard = () => {
             }`}
             onClick={() => setTimeFrame('all')}
           >
-            All-Time
+            {t('leaderboard.timeFrame.all')}
+          </button>
+          <button
+            className={`px-4 py-2 rounded-md ${
+              timeFrame === 'range'
+                ? 'bg-blue-600 text-white'
+                : 'bg-gray-200 text-gray-800'
+            }`}
+            onClick={() => setTimeFrame('range')}
+          >
+            {t('leaderboard.timeFrame.range')}
           </button>
         </div>
+
+        {timeFrame === 'range' && (
+          <div className="flex justify-center items-center space-x-2 mt-4">
+            <input
+              type="date"
+              value={range.from}
+              max={range.to || undefined}
+              onChange={(e) => setRange(prev => ({ ...prev, from: e.target.value }))}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            />
+            <span className="text-gray-500">{t('leaderboard.rangeTo')}</span>
+            <input
+              type="date"
+              value={range.to}
+              min={range.from || undefined}
+              onChange={(e) => setRange(prev => ({ ...prev, to: e.target.value }))}
+              className="border border-gray-300 rounded-md px-3 py-2"
+            />
+          </div>
+        )}
       </div>
       
       {isLoading ? (
-        <div className="text-center py-8">Loading leaderboard...</div>
+        <div className="text-center py-8">{t('leaderboard.loading')}</div>
       ) : leaderboard.length > 0 ? (
         <div className="bg-white rounded shadow overflow-hidden">
           <table className="w-full">
             <thead className="bg-gray-100">
               <tr>
-                <th className="px-4 py-2 text-left">Rank</th>
-                <th className="px-4 py-2 text-left">Player</th>
-                <th className="px-4 py-2 text-right">{getTimeFrameLabel()} Points</th>
+                <th className="px-4 py-2 text-left">{t('leaderboard.rank')}</th>
+                <th className="px-4 py-2 text-left">{t('leaderboard.player')}</th>
+                <th className="px-4 py-2 text-right">{t(`leaderboard.pointsHeader.${timeFrame}`)}</th>
               </tr>
             </thead>
             <tbody>
@@ -121,7 +141,7 @@ const Leaderboard = () => {
                     </div>
                   </td>
                   <td className="px-4 py-3 text-right font-bold">
-                    {getPointsField(player)}
+                    {player.points}
                   </td>
                 </tr>
               ))}
@@ -130,7 +150,7 @@ const Leaderboard = () => {
         </div>
       ) : (
         <div className="text-center py-8 bg-gray-100 rounded">
-          <p>No players on the leaderboard yet.</p>
+          <p>{t('leaderboard.empty')}</p>
         </div>
       )}
     </div>
@@ -0,0 +1,331 @@
+// src/components/packs/PackEditor.js
+import React, { useState, useEffect } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const EMPTY_QUESTION = {
+  text: 'Never have I ever ',
+  category: 'general',
+  difficulty: 'medium'
+};
+
+const PackEditor = () => {
+  const { t } = useTranslation();
+  const { packId } = useParams();
+  const navigate = useNavigate();
+  const [pack, setPack] = useState({
+    name: '',
+    description: '',
+    visibility: 'private'
+  });
+  // Bank questions have an _id; questions written here don't until the pack is saved
+  const [questions, setQuestions] = useState([]);
+  const [newQuestion, setNewQuestion] = useState(EMPTY_QUESTION);
+  const [search, setSearch] = useState('');
+  const [searchResults, setSearchResults] = useState([]);
+  const [isLoading, setIsLoading] = useState(Boolean(packId));
+  const [isSaving, setIsSaving] = useState(false);
+
+  useEffect(() => {
+    if (!packId) return;
+
+    const fetchPack = async () => {
+      try {
+        const response = await api.get(`/packs/${packId}`);
+        const { name, description, visibility } = response.data;
+        setPack({ name, description: description || '', visibility });
+        setQuestions(response.data.questions.filter(q => !q.isArchived));
+      } catch (error) {
+        console.error('Error fetching question pack:', error);
+        toast.error(error.response?.data?.message || t('packEditor.loadFailed'));
+        navigate('/packs');
+      } finally {
+        setIsLoading(false);
+      }
+    };
+
+    fetchPack();
+  }, [packId, navigate, t]);
+
+  // Search the bank as the host types
+  useEffect(() => {
+    if (!search.trim()) {
+      setSearchResults([]);
+      return;
+    }
+
+    const timeout = setTimeout(async () => {
+      try {
+        const response = await api.get('/questions/search', { params: { search } });
+        setSearchResults(response.data);
+      } catch (error) {
+        console.error('Error searching questions:', error);
+      }
+    }, 300);
+
+    return () => clearTimeout(timeout);
+  }, [search]);
+
+  const handlePackChange = (e) => {
+    const { name, value } = e.target;
+    setPack(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleQuestionChange = (e) => {
+    const { name, value } = e.target;
+    setNewQuestion(prev => ({ ...prev, [name]: value }));
+  };
+
+  const isInPack = (question) => questions.some(q =>
+    (q._id && q._id === question._id) ||
+    q.text.trim().toLowerCase() === question.text.trim().toLowerCase()
+  );
+
+  const addBankQuestion = (question) => {
+    if (!isInPack(question)) {
+      setQuestions(prev => [...prev, question]);
+    }
+  };
+
+  const addNewQuestion = (e) => {
+    e.preventDefault();
+
+    if (!newQuestion.text.trim()) {
+      toast.error(t('packEditor.writeFirst'));
+      return;
+    }
+    if (isInPack(newQuestion)) {
+      toast.error(t('packEditor.alreadyInPack'));
+      return;
+    }
+
+    setQuestions(prev => [...prev, { ...newQuestion, text: newQuestion.text.trim() }]);
+    setNewQuestion(prev => ({ ...EMPTY_QUESTION, category: prev.category, difficulty: prev.difficulty }));
+  };
+
+  const removeQuestion = (index) => {
+    setQuestions(prev => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSave = async () => {
+    if (!pack.name.trim()) {
+      toast.error(t('packEditor.nameRequired'));
+      return;
+    }
+
+    const body = {
+      ...pack,
+      questionIds: questions.filter(q => q._id).map(q => q._id),
+      newQuestions: questions
+        .filter(q => !q._id)
+        .map(({ text, category, difficulty }) => ({ text, category, difficulty }))
+    };
+
+    setIsSaving(true);
+
+    try {
+      if (packId) {
+        await api.put(`/packs/${packId}`, body);
+      } else {
+        await api.post('/packs', body);
+      }
+      toast.success(t('packEditor.saved'));
+      navigate('/packs');
+    } catch (error) {
+      console.error('Error saving question pack:', error);
+      toast.error(error.response?.data?.message || t('packEditor.saveFailed'));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (isLoading) {
+    return <div className="text-center py-8">{t('packEditor.loading')}</div>;
+  }
+
+  const inputClass = 'w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500';
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <h1 className="text-2xl font-bold mb-6">{packId ? t('packEditor.editTitle') : t('packEditor.newTitle')}</h1>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">
+              {t('packEditor.name')}
+            </label>
+            <input
+              id="name"
+              name="name"
+              className={inputClass}
+              placeholder={t('packEditor.namePlaceholder')}
+              maxLength={60}
+              value={pack.name}
+              onChange={handlePackChange}
+            />
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="description">
+              {t('packEditor.description')}
+            </label>
+            <input
+              id="description"
+              name="description"
+              className={inputClass}
+              maxLength={200}
+              value={pack.description}
+              onChange={handlePackChange}
+            />
+          </div>
+
+          <div>
+            <span className="block text-gray-700 text-sm font-bold mb-2">{t('packEditor.visibility')}</span>
+            <label className="mr-4">
+              <input
+                type="radio"
+                name="visibility"
+                value="private"
+                checked={pack.visibility === 'private'}
+                onChange={handlePackChange}
+                className="mr-2"
+              />
+              {t('packEditor.onlyMe')}
+            </label>
+            <label>
+              <input
+                type="radio"
+                name="visibility"
+                value="public"
+                checked={pack.visibility === 'public'}
+                onChange={handlePackChange}
+                className="mr-2"
+              />
+              {t('packEditor.anyone')}
+            </label>
+          </div>
+        </div>
+
+        <div className="bg-white rounded-lg shadow-md p-6 mb-6">
+          <h2 className="text-lg font-semibold mb-4">{t('packEditor.questions', { count: questions.length })}</h2>
+
+          {questions.length > 0 ? (
+            <ul className="divide-y divide-gray-100 mb-4">
+              {questions.map((question, index) => (
+                <li key={question._id || `new-${index}`} className="py-2 flex justify-between items-start">
+                  <div>
+                    <p className="text-gray-800">{question.text}</p>
+                    <p className="text-xs text-gray-500">
+                      {question.category} • {t(`difficulty.${question.difficulty}`)}
+                      {!question._id && ` • ${t('packEditor.new')}`}
+                      {question.isPendingReview && ` • ${t('packEditor.waitingForReview')}`}
+                    </p>
+                  </div>
+                  <button
+                    onClick={() => removeQuestion(index)}
+                    className="text-red-600 hover:text-red-800 text-sm ml-4"
+                  >
+                    {t('packEditor.remove')}
+                  </button>
+                </li>
+              ))}
+            </ul>
+          ) : (
+            <p className="text-gray-500 mb-4">{t('packEditor.noQuestions')}</p>
+          )}
+
+          <form onSubmit={addNewQuestion} className="border-t pt-4 mb-4">
+            <span className="block text-gray-700 text-sm font-bold mb-2">{t('packEditor.writeQuestion')}</span>
+            <p className="text-xs text-gray-500 mb-2">
+              {t('packEditor.reviewHint')}
+            </p>
+            <textarea
+              name="text"
+              rows={2}
+              className={`${inputClass} mb-2`}
+              value={newQuestion.text}
+              onChange={handleQuestionChange}
+            />
+            <div className="flex gap-2">
+              <input
+                name="category"
+                className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm"
+                value={newQuestion.category}
+                onChange={handleQuestionChange}
+              />
+              <select
+                name="difficulty"
+                className="px-3 py-1 border border-gray-300 rounded-md text-sm"
+                value={newQuestion.difficulty}
+                onChange={handleQuestionChange}
+              >
+                <option value="easy">{t('difficulty.easy')}</option>
+                <option value="medium">{t('difficulty.medium')}</option>
+                <option value="hard">{t('difficulty.hard')}</option>
+              </select>
+              <button
+                type="submit"
+                className="bg-indigo-600 hover:bg-indigo-700 text-white px-3 py-1 rounded-md text-sm"
+              >
+                {t('packEditor.add')}
+              </button>
+            </div>
+          </form>
+
+          <div className="border-t pt-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="search">
+              {t('packEditor.fromBank')}
+            </label>
+            <input
+              id="search"
+              className={inputClass}
+              placeholder={t('packEditor.searchPlaceholder')}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+            {searchResults.length > 0 && (
+              <ul className="mt-2 divide-y divide-gray-100">
+                {searchResults.map(question => (
+                  <li key={question._id} className="py-2 flex justify-between items-start">
+                    <div>
+                      <p className="text-gray-800 text-sm">{question.text}</p>
+                      <p className="text-xs text-gray-500">{question.category} • {t(`difficulty.${question.difficulty}`)}</p>
+                    </div>
+                    <button
+                      onClick={() => addBankQuestion(question)}
+                      disabled={isInPack(question)}
+                      className="text-indigo-600 hover:text-indigo-800 text-sm ml-4 disabled:text-gray-400"
+                    >
+                      {isInPack(question) ? t('packEditor.added') : t('packEditor.add')}
+                    </button>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+
+        <div className="flex gap-2">
+          <button
+            onClick={handleSave}
+            disabled={isSaving}
+            className="bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md"
+          >
+            {isSaving ? t('packEditor.saving') : t('packEditor.save')}
+          </button>
+          <button
+            onClick={() => navigate('/packs')}
+            className="bg-gray-200 hover:bg-gray-300 text-gray-800 py-2 px-4 rounded-md"
+          >
+            {t('packEditor.cancel')}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PackEditor;
@@ -0,0 +1,135 @@
+// src/components/packs/PackList.js
+import React, { useState, useEffect, useContext, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { AuthContext } from '../../contexts/AuthContext';
+import api from '../../services/api';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const PackList = () => {
+  const { t } = useTranslation();
+  const { currentUser } = useContext(AuthContext);
+  const [scope, setScope] = useState('mine');
+  const [packs, setPacks] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+
+  const fetchPacks = useCallback(async () => {
+    try {
+      setIsLoading(true);
+      const response = await api.get('/packs', { params: { scope } });
+      setPacks(response.data);
+    } catch (error) {
+      console.error('Error fetching question packs:', error);
+      toast.error(error.response?.data?.message || t('packs.loadFailed'));
+    } finally {
+      setIsLoading(false);
+    }
+  }, [scope, t]);
+
+  useEffect(() => {
+    fetchPacks();
+  }, [fetchPacks]);
+
+  const handleDelete = async (pack) => {
+    if (!window.confirm(t('packs.deleteConfirm', { name: pack.name }))) return;
+
+    try {
+      await api.delete(`/packs/${pack._id}`);
+      toast.success(t('packs.deleted'));
+      fetchPacks();
+    } catch (error) {
+      console.error('Error deleting question pack:', error);
+      toast.error(error.response?.data?.message || t('packs.deleteFailed'));
+    }
+  };
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-2xl mx-auto">
+        <div className="flex justify-between items-center mb-6">
+          <h1 className="text-2xl font-bold">{t('packs.title')}</h1>
+          <Link
+            to="/packs/new"
+            className="bg-indigo-600 hover:bg-indigo-700 text-white px-4 py-2 rounded-md"
+          >
+            {t('packs.new')}
+          </Link>
+        </div>
+
+        <div className="flex space-x-2 mb-6">
+          {['mine', 'public'].map(key => (
+            <button
+              key={key}
+              onClick={() => setScope(key)}
+              className={`px-4 py-2 rounded-md ${
+                scope === key ? 'bg-blue-600 text-white' : 'bg-gray-200 text-gray-800'
+              }`}
+            >
+              {t(`packs.scope.${key}`)}
+            </button>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <div className="text-center py-8">{t('packs.loading')}</div>
+        ) : packs.length > 0 ? (
+          <ul className="space-y-3">
+            {packs.map(pack => {
+              const isMine = pack.owner?._id === currentUser._id;
+
+              return (
+                <li key={pack._id} className="bg-white rounded-lg shadow-sm p-4 border border-gray-100">
+                  <div className="flex justify-between items-start">
+                    <div>
+                      <h3 className="font-semibold text-gray-800">{pack.name}</h3>
+                      {pack.description && (
+                        <p className="text-sm text-gray-600">{pack.description}</p>
+                      )}
+                      <p className="text-xs text-gray-500 mt-1">
+                        {t('packs.questionCount', { count: pack.questionCount })}
+                        {' • '}{t(`packs.visibility.${pack.visibility}`)}
+                        {!isMine && ` • ${t('packs.by', { name: pack.owner?.name || t('packs.unknownOwner') })}`}
+                        {pack.usageCount > 0 && ` • ${t('packs.usedIn', { count: pack.usageCount })}`}
+                      </p>
+                      {pack.categories.length > 0 && (
+                        <div className="flex flex-wrap gap-1 mt-2">
+                          {pack.categories.map(({ category, count }) => (
+                            <span key={category} className="text-xs bg-indigo-50 text-indigo-700 px-2 py-0.5 rounded-full">
+                              {category} ({count})
+                            </span>
+                          ))}
+                        </div>
+                      )}
+                    </div>
+                    {isMine && (
+                      <div className="flex gap-2 shrink-0">
+                        <Link
+                          to={`/packs/${pack._id}/edit`}
+                          className="bg-gray-200 hover:bg-gray-300 text-gray-800 px-3 py-1 rounded-md text-sm"
+                        >
+                          {t('packs.edit')}
+                        </Link>
+                        <button
+                          onClick={() => handleDelete(pack)}
+                          className="bg-red-100 hover:bg-red-200 text-red-700 px-3 py-1 rounded-md text-sm"
+                        >
+                          {t('packs.delete')}
+                        </button>
+                      </div>
+                    )}
+                  </div>
+                </li>
+              );
+            })}
+          </ul>
+        ) : (
+          <div className="text-center py-8 bg-gray-100 rounded">
+            <p>{scope === 'mine' ? t('packs.noneMine') : t('packs.nonePublic')}</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default PackList;
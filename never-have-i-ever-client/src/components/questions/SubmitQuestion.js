@@ -0,0 +1,175 @@
+// src/components/questions/SubmitQuestion.js
+import React, { useState, useEffect } from 'react';
+import api from '../../services/api';
+import { formatDate } from '../../utils/helpers';
+import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
+
+const STATUS_STYLES = {
+  pending: 'bg-yellow-100 text-yellow-800',
+  approved: 'bg-green-100 text-green-800',
+  rejected: 'bg-red-100 text-red-800'
+};
+
+const SubmitQuestion = () => {
+  const { t } = useTranslation();
+  const [question, setQuestion] = useState({
+    text: 'Never have I ever ',
+    category: 'general',
+    difficulty: 'medium'
+  });
+  const [categories, setCategories] = useState([]);
+  const [submissions, setSubmissions] = useState([]);
+  const [isSubmitting, setIsSubmitting] = useState(false);
+
+  const fetchSubmissions = async () => {
+    try {
+      const response = await api.get('/questions/submissions/mine');
+      setSubmissions(response.data);
+    } catch (error) {
+      console.error('Error fetching submissions:', error);
+    }
+  };
+
+  useEffect(() => {
+    const fetchCategories = async () => {
+      try {
+        const response = await api.get('/questions/categories');
+        setCategories(response.data.map(c => c.category));
+      } catch (error) {
+        console.error('Error fetching categories:', error);
+      }
+    };
+
+    fetchCategories();
+    fetchSubmissions();
+  }, []);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setQuestion(prev => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!question.text.trim()) {
+      toast.error(t('submit.writeFirst'));
+      return;
+    }
+
+    setIsSubmitting(true);
+
+    try {
+      await api.post('/questions/submissions', question);
+      toast.success(t('submit.thanks'));
+      setQuestion(prev => ({ ...prev, text: 'Never have I ever ' }));
+      fetchSubmissions();
+    } catch (error) {
+      console.error('Error submitting question:', error);
+      toast.error(error.response?.data?.message || t('submit.failed'));
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  // Always offer "general", even before any question uses it
+  const categoryOptions = categories.includes('general') ? categories : ['general', ...categories];
+
+  return (
+    <div className="container mx-auto px-4 py-8">
+      <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6 mb-6">
+        <h2 className="text-2xl font-bold mb-6 text-center text-indigo-600">{t('submit.title')}</h2>
+
+        <form onSubmit={handleSubmit}>
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="text">
+              {t('submit.question')}
+            </label>
+            <textarea
+              id="text"
+              name="text"
+              rows={3}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              value={question.text}
+              onChange={handleChange}
+              required
+            />
+          </div>
+
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="category">
+                {t('submit.category')}
+              </label>
+              <select
+                id="category"
+                name="category"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={question.category}
+                onChange={handleChange}
+              >
+                {categoryOptions.map(category => (
+                  <option key={category} value={category}>{category}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="difficulty">
+                {t('submit.difficulty')}
+              </label>
+              <select
+                id="difficulty"
+                name="difficulty"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={question.difficulty}
+                onChange={handleChange}
+              >
+                <option value="easy">{t('difficulty.easy')}</option>
+                <option value="medium">{t('difficulty.medium')}</option>
+                <option value="hard">{t('difficulty.hard')}</option>
+              </select>
+            </div>
+          </div>
+
+          <button
+            type="submit"
+            className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50"
+            disabled={isSubmitting}
+          >
+            {isSubmitting ? t('submit.submitting') : t('submit.submit')}
+          </button>
+        </form>
+      </div>
+
+      <div className="max-w-md mx-auto">
+        <h3 className="text-lg font-bold mb-3 text-gray-700">{t('submit.yourSuggestions')}</h3>
+        {submissions.length === 0 ? (
+          <p className="text-sm text-gray-500">{t('submit.none')}</p>
+        ) : (
+          <ul className="space-y-3">
+            {submissions.map(submission => (
+              <li key={submission._id} className="bg-white rounded-lg shadow-sm p-4 border border-gray-100">
+                <div className="flex justify-between items-start">
+                  <p className="text-gray-800">{submission.text}</p>
+                  <span className={`ml-3 px-2 py-0.5 rounded-full text-xs font-medium ${STATUS_STYLES[submission.status]}`}>
+                    {t(`submit.status.${submission.status}`)}
+                  </span>
+                </div>
+                <p className="text-xs text-gray-500 mt-1">
+                  {submission.category} • {t(`difficulty.${submission.difficulty}`)} • {formatDate(submission.createdAt)}
+                </p>
+                {submission.status === 'rejected' && submission.rejectionReason && (
+                  <p className="text-sm text-red-600 mt-2">{t('submit.reason', { reason: submission.rejectionReason })}</p>
+                )}
+              </li>
+            ))}
+          </ul>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SubmitQuestion;
@@ -1,22 +1,110 @@
 // src/components/rooms/CreateRoom.js
-import React, { useState, useContext } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { AuthContext } from '../../contexts/AuthContext';
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
 import api from '../../services/api';
+import { LANGUAGES, useTranslation } from '../../contexts/LanguageContext';
 import { toast } from 'react-toastify';
 
 const CreateRoom = () => {
-  const { currentUser } = useContext(AuthContext);
+  const { t, language } = useTranslation();
   const [roomData, setRoomData] = useState({
     name: '',
     type: 'public',
     maxPlayers: 8,
     maxRounds: 10,
+    readingSeconds: 3,
+    answerSeconds: 30,
+    ruleSet: 'minority-wins',
+    streakMode: 'flat',
+    categories: [],
+    questionPacks: [],
+    difficultyMix: 'any',
+    language,
+    autoStartSeconds: 0,
+    absentPlayerPolicy: 'skip',
+    maxMissedRounds: 2,
     passcode: ''
   });
+  const [ruleSets, setRuleSets] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [difficultyMixes, setDifficultyMixes] = useState([]);
+  const [packs, setPacks] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
   const navigate = useNavigate();
 
+  // Load the scoring rule sets offered by the server
+  useEffect(() => {
+    const fetchRuleSets = async () => {
+      try {
+        const response = await api.get('/rooms/rule-sets');
+        setRuleSets(response.data);
+      } catch (error) {
+        console.error('Error fetching rule sets:', error);
+      }
+    };
+
+    fetchRuleSets();
+  }, []);
+
+  // Load the question categories and difficulty mixes to pick from
+  useEffect(() => {
+    const fetchQuestionOptions = async () => {
+      try {
+        const [categoriesResponse, mixesResponse, packsResponse] = await Promise.all([
+          api.get('/questions/categories'),
+          api.get('/questions/difficulty-mixes'),
+          api.get('/packs')
+        ]);
+        setCategories(categoriesResponse.data);
+        setDifficultyMixes(mixesResponse.data);
+        setPacks(packsResponse.data);
+      } catch (error) {
+        console.error('Error fetching question options:', error);
+      }
+    };
+
+    fetchQuestionOptions();
+  }, []);
+
+  const selectedRuleSet = ruleSets.find(ruleSet => ruleSet.key === roomData.ruleSet);
+  const selectedMix = difficultyMixes.find(mix => mix.key === roomData.difficultyMix);
+
+  // With packs picked, only their categories are on offer
+  const selectedPacks = packs.filter(pack => roomData.questionPacks.includes(pack._id));
+  const categoryOptions = selectedPacks.length === 0 ? categories : Object.values(
+    selectedPacks
+      .flatMap(pack => pack.categories)
+      .reduce((acc, { category, count }) => {
+        acc[category] = { category, count: (acc[category]?.count || 0) + count };
+        return acc;
+      }, {})
+  ).sort((a, b) => a.category.localeCompare(b.category));
+
+  // Questions available in the selected categories (all categories when none are ticked)
+  const availableQuestions = categoryOptions
+    .filter(c => roomData.categories.length === 0 || roomData.categories.includes(c.category))
+    .reduce((acc, c) => acc + c.count, 0);
+
+  const togglePack = (packId) => {
+    setRoomData(prev => ({
+      ...prev,
+      questionPacks: prev.questionPacks.includes(packId)
+        ? prev.questionPacks.filter(id => id !== packId)
+        : [...prev.questionPacks, packId],
+      // Categories may not exist in the new selection of packs
+      categories: []
+    }));
+  };
+
+  const toggleCategory = (category) => {
+    setRoomData(prev => ({
+      ...prev,
+      categories: prev.categories.includes(category)
+        ? prev.categories.filter(c => c !== category)
+        : [...prev.categories, category]
+    }));
+  };
+
   const handleChange = (e) => {
     const { name, value } = e.target;
     setRoomData(prev => ({ ...prev, [name]: value }));
@@ -26,28 +114,25 @@ const CreateRoom = () => {
     e.preventDefault();
     
     if (!roomData.name.trim()) {
-      toast.error('Please enter a room name');
+      toast.error(t('createRoom.nameRequired'));
       return;
     }
     
     if (roomData.type === 'private' && !roomData.passcode.trim()) {
-      toast.error('Private rooms require a passcode');
+      toast.error(t('createRoom.passcodeRequired'));
       return;
     }
     
     setIsLoading(true);
     
     try {
-      const response = await api.post('/rooms', {
-        ...roomData,
-        userId: currentUser._id
-      });
+      const response = await api.post('/rooms', roomData);
       
-      toast.success('Room created successfully');
+      toast.success(t('createRoom.created'));
       navigate(`/rooms/${response.data._id}`);
     } catch (error) {
       console.error('Error creating room:', error);
-      toast.error(error.response?.data?.message || 'Failed to create room');
+      toast.error(error.response?.data?.message || t('createRoom.failed'));
     } finally {
       setIsLoading(false);
     }
@@ -56,19 +141,19 @@ const CreateRoom = () => {
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
-        <h2 className="text-2xl font-bold mb-6 text-center text-indigo-600">Create Room</h2>
+        <h2 className="text-2xl font-bold mb-6 text-center text-indigo-600">{t('createRoom.title')}</h2>
         
         <form onSubmit={handleSubmit}>
           <div className="mb-4">
             <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="name">
-              Room Name
+              {t('createRoom.name')}
             </label>
             <input
               type="text"
               id="name"
               name="name"
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
-              placeholder="Enter room name"
+              placeholder={t('createRoom.namePlaceholder')}
               value={roomData.name}
               onChange={handleChange}
               required
@@ -77,7 +162,7 @@ const CreateRoom = () => {
           
           <div className="mb-4">
             <label className="block text-gray-700 text-sm font-bold mb-2">
-              Room Type
+              {t('createRoom.type')}
             </label>
             <div className="flex">
               <label className="mr-4">
@@ -89,7 +174,7 @@ const CreateRoom = () => {
                   onChange={handleChange}
                   className="mr-2"
                 />
-                Public
+                {t('createRoom.public')}
               </label>
               <label>
                 <input
@@ -100,7 +185,7 @@ const CreateRoom = () => {
                   onChange={handleChange}
                   className="mr-2"
                 />
-                Private
+                {t('createRoom.private')}
               </label>
             </div>
           </div>
@@ -108,14 +193,14 @@ const CreateRoom = () => {
           {roomData.type === 'private' && (
             <div className="mb-4">
               <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="passcode">
-                Passcode
+                {t('createRoom.passcode')}
               </label>
               <input
                 type="number"
                 id="passcode"
                 name="passcode"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                placeholder="Enter room passcode"
+                placeholder={t('createRoom.passcodePlaceholder')}
                 value={roomData.passcode}
                 onChange={handleChange}
                 required
@@ -126,7 +211,7 @@ const CreateRoom = () => {
           <div className="grid grid-cols-2 gap-4 mb-4">
             <div>
               <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="maxPlayers">
-                Max Players
+                {t('createRoom.maxPlayers')}
               </label>
               <select
                 id="maxPlayers"
@@ -143,7 +228,7 @@ const CreateRoom = () => {
             
             <div>
               <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="maxRounds">
-                Rounds
+                {t('createRoom.rounds')}
               </label>
               <select
                 id="maxRounds"
@@ -158,13 +243,249 @@ const CreateRoom = () => {
               </select>
             </div>
           </div>
+
+          <div className="grid grid-cols-2 gap-4 mb-4">
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="readingSeconds">
+                {t('createRoom.readingTime')}
+              </label>
+              <select
+                id="readingSeconds"
+                name="readingSeconds"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={roomData.readingSeconds}
+                onChange={handleChange}
+              >
+                {[0, 3, 5, 10].map(num => (
+                  <option key={num} value={num}>{t('createRoom.seconds', { count: num })}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="answerSeconds">
+                {t('createRoom.answerTime')}
+              </label>
+              <select
+                id="answerSeconds"
+                name="answerSeconds"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={roomData.answerSeconds}
+                onChange={handleChange}
+              >
+                {[15, 30, 45, 60].map(num => (
+                  <option key={num} value={num}>{t('createRoom.seconds', { count: num })}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="language">
+              {t('createRoom.language')}
+            </label>
+            <select
+              id="language"
+              name="language"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              value={roomData.language}
+              onChange={handleChange}
+            >
+              {Object.entries(LANGUAGES).map(([code, name]) => (
+                <option key={code} value={code}>{name}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{t('createRoom.languageHint')}</p>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="autoStartSeconds">
+              {t('lobby.autoStart')}
+            </label>
+            <select
+              id="autoStartSeconds"
+              name="autoStartSeconds"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              value={roomData.autoStartSeconds}
+              onChange={handleChange}
+            >
+              <option value={0}>{t('lobby.autoStartOff')}</option>
+              {[5, 10, 15, 30].map(num => (
+                <option key={num} value={num}>{t('lobby.autoStartAfter', { count: num })}</option>
+              ))}
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{t('lobby.autoStartHint')}</p>
+          </div>
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="absentPlayerPolicy">
+              {t('absent.policyLabel')}
+            </label>
+            <div className="flex gap-2">
+              <select
+                id="absentPlayerPolicy"
+                name="absentPlayerPolicy"
+                className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={roomData.absentPlayerPolicy}
+                onChange={handleChange}
+              >
+                <option value="skip">{t('absent.policy.skip')}</option>
+                <option value="drop">{t('absent.policy.drop')}</option>
+                <option value="pause">{t('absent.policy.pause')}</option>
+              </select>
+              {roomData.absentPlayerPolicy === 'drop' && (
+                <select
+                  id="maxMissedRounds"
+                  name="maxMissedRounds"
+                  aria-label={t('absent.maxMissedRounds')}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                  value={roomData.maxMissedRounds}
+                  onChange={handleChange}
+                >
+                  {[1, 2, 3, 5].map(num => (
+                    <option key={num} value={num}>{t('absent.missedRounds', { count: num })}</option>
+                  ))}
+                </select>
+              )}
+            </div>
+            <p className="text-xs text-gray-500 mt-1">{t(`absent.policyHint.${roomData.absentPlayerPolicy}`)}</p>
+          </div>
+
+          {ruleSets.length > 0 && (
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="ruleSet">
+                {t('createRoom.scoring')}
+              </label>
+              <select
+                id="ruleSet"
+                name="ruleSet"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={roomData.ruleSet}
+                onChange={handleChange}
+              >
+                {ruleSets.map(ruleSet => (
+                  <option key={ruleSet.key} value={ruleSet.key}>{ruleSet.name}</option>
+                ))}
+              </select>
+              {selectedRuleSet && (
+                <p className="text-xs text-gray-500 mt-1">{selectedRuleSet.description}</p>
+              )}
+            </div>
+          )}
+
+          <div className="mb-4">
+            <span className="block text-gray-700 text-sm font-bold mb-2">
+              {t('createRoom.packs')}
+            </span>
+            {packs.length > 0 ? (
+              <div className="flex flex-wrap gap-2">
+                {packs.map(pack => (
+                  <label
+                    key={pack._id}
+                    title={pack.description}
+                    className={`px-3 py-1 rounded-full text-sm cursor-pointer border transition-colors ${
+                      roomData.questionPacks.includes(pack._id)
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:border-indigo-400'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      className="sr-only"
+                      checked={roomData.questionPacks.includes(pack._id)}
+                      onChange={() => togglePack(pack._id)}
+                    />
+                    {pack.name} ({pack.questionCount})
+                  </label>
+                ))}
+              </div>
+            ) : (
+              <p className="text-sm text-gray-500">{t('createRoom.noPacks')}</p>
+            )}
+            <p className="text-xs text-gray-500 mt-1">
+              {roomData.questionPacks.length === 0 ? t('createRoom.wholeBank') : t('createRoom.selected', { count: roomData.questionPacks.length })}
+              {' • '}<Link to="/packs" className="text-indigo-600 hover:underline">{t('createRoom.managePacks')}</Link>
+            </p>
+          </div>
+
+          {categoryOptions.length > 0 && (
+            <div className="mb-4">
+              <span className="block text-gray-700 text-sm font-bold mb-2">
+                {t('createRoom.categories')}
+              </span>
+              <div className="flex flex-wrap gap-2">
+                {categoryOptions.map(({ category, count }) => (
+                  <label
+                    key={category}
+                    className={`px-3 py-1 rounded-full text-sm cursor-pointer border transition-colors ${
+                      roomData.categories.includes(category)
+                        ? 'bg-indigo-600 text-white border-indigo-600'
+                        : 'bg-white text-gray-700 border-gray-300 hover:border-indigo-400'
+                    }`}
+                  >
+                    <input
+                      type="checkbox"
+                      className="sr-only"
+                      checked={roomData.categories.includes(category)}
+                      onChange={() => toggleCategory(category)}
+                    />
+                    {category} ({count})
+                  </label>
+                ))}
+              </div>
+              <p className={`text-xs mt-1 ${availableQuestions < roomData.maxRounds ? 'text-red-600' : 'text-gray-500'}`}>
+                {roomData.categories.length === 0 ? t('createRoom.allCategories') : t('createRoom.selected', { count: roomData.categories.length })}
+                {' • '}{t('createRoom.questionsAvailable', { count: availableQuestions })}
+              </p>
+            </div>
+          )}
+
+          {difficultyMixes.length > 0 && (
+            <div className="mb-4">
+              <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="difficultyMix">
+                {t('createRoom.difficulty')}
+              </label>
+              <select
+                id="difficultyMix"
+                name="difficultyMix"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+                value={roomData.difficultyMix}
+                onChange={handleChange}
+              >
+                {difficultyMixes.map(mix => (
+                  <option key={mix.key} value={mix.key}>{mix.name}</option>
+                ))}
+              </select>
+              {selectedMix && (
+                <p className="text-xs text-gray-500 mt-1">{selectedMix.description}</p>
+              )}
+            </div>
+          )}
+
+          <div className="mb-4">
+            <label className="block text-gray-700 text-sm font-bold mb-2" htmlFor="streakMode">
+              {t('createRoom.streakBonus')}
+            </label>
+            <select
+              id="streakMode"
+              name="streakMode"
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
+              value={roomData.streakMode}
+              onChange={handleChange}
+            >
+              <option value="flat">{t('createRoom.streak.flat')}</option>
+              <option value="multiplier">{t('createRoom.streak.multiplier')}</option>
+              <option value="off">{t('createRoom.streak.off')}</option>
+            </select>
+            <p className="text-xs text-gray-500 mt-1">{t('createRoom.streakHint')}</p>
+          </div>
           
           <button
             type="submit"
             className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50"
             disabled={isLoading}
           >
-            {isLoading ? 'Creating...' : 'Create Room'}
+            {isLoading ? t('createRoom.creating') : t('createRoom.create')}
           </button>
         </form>
       </div>
@@ -1,12 +1,12 @@
 // src/components/rooms/JoinRoom.js
-import React, { useState, useContext } from 'react';
+import React, { useState } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { AuthContext } from '../../contexts/AuthContext';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const JoinRoom = () => {
-    const { currentUser } = useContext(AuthContext);
+    const { t } = useTranslation();
     const [roomData, setRoomData] = useState({
         roomId: '',
         passcode: ''
@@ -21,7 +21,7 @@ const JoinRoom = () => {
 
     const handleCheckRoom = async () => {
         if (!passcode) {
-            toast.error('Please enter a passcode');
+            toast.error(t('joinRoom.enterPasscode'));
             return;
         }
 
@@ -31,14 +31,14 @@ const JoinRoom = () => {
             const response = await api.get(`/rooms/passcode/${passcode}`);
             setRoomInfo(response.data);
             setIsPrivate(response.data.type === 'private');
-            toast.success('Room found! Please enter passcode if required.');
+            toast.success(t('joinRoom.found'));
         } catch (error) {
             // Suppress the 400 from invalid ObjectId
             if (error.response?.status === 400) {
-                toast.error('Room not found');
+                toast.error(t('joinRoom.notFound'));
             } else {
                 console.error('Unexpected error finding room:', error);
-                toast.error(error.response?.data?.message || 'Failed to find room');
+                toast.error(error.response?.data?.message || t('joinRoom.findFailed'));
             }
             setRoomInfo(null);
         } finally {
@@ -56,20 +56,23 @@ const JoinRoom = () => {
             // await api.post(`/rooms/${roomData.roomId}/join`, {
             await api.post(
                 `/rooms/${roomInfo._id}/join`,
-                { userId: currentUser._id, passcode }
+                { passcode }
             );
 
-            toast.success('Joined room successfully');
+            toast.success(t('joinRoom.joined'));
             navigate(`/rooms/${roomInfo._id}`);
         } catch (error) {
             const status = error.response?.status;
             if (status === 401) {
-                toast.error('Invalid passcode');
+                toast.error(t('joinRoom.invalidPasscode'));
             } else if (status === 400) {
-                toast.error('Cannot join this room');
+                toast.error(t('joinRoom.cannotJoin'));
+            } else if (status === 409) {
+                // Someone else took the last seat or started the game first
+                toast.warn(error.response.data.message);
             } else {
                 console.error('Unexpected error joining room:', error);
-                toast.error(error.response?.data?.message || 'Failed to join room');
+                toast.error(error.response?.data?.message || t('joinRoom.joinFailed'));
             }
         }
     };
@@ -78,7 +81,7 @@ const JoinRoom = () => {
         <div className="container mx-auto px-4 py-8">
             <div className="max-w-md mx-auto bg-white rounded-lg shadow-md p-6">
                 <h2 className="text-2xl font-bold mb-6 text-center text-indigo-600">
-                    Join Private Room
+                    {t('joinRoom.title')}
                 </h2>
 
                 <div className="mb-4">
@@ -86,7 +89,7 @@ const JoinRoom = () => {
                         htmlFor="passcode"
                         className="block text-gray-700 text-sm font-bold mb-2"
                     >
-                        Passcode
+                        {t('joinRoom.passcode')}
                     </label>
                     <div className="flex">
                         <input
@@ -95,7 +98,7 @@ const JoinRoom = () => {
                             value={passcode}
                             onChange={handleChange}
                             className="flex-1 px-3 py-2 border border-gray-300 rounded-l-md focus:outline-none focus:ring-2 focus:ring-indigo-500"
-                            placeholder="Enter room passcode"
+                            placeholder={t('joinRoom.passcodePlaceholder')}
                         />
                         <button
                             type="button"
@@ -103,7 +106,7 @@ const JoinRoom = () => {
                             disabled={isLoading}
                             className="bg-gray-200 hover:bg-gray-300 text-gray-800 font-bold py-2 px-4 rounded-r-md"
                         >
-                            Check
+                            {t('joinRoom.check')}
                         </button>
                     </div>
                 </div>
@@ -114,15 +117,15 @@ const JoinRoom = () => {
                         <div className="flex gap-2 mt-2">
                             <span className="bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded-full">
                                 {roomInfo.status === 'waiting'
-                                    ? 'Waiting for Players'
-                                    : 'In Progress'}
+                                    ? t('joinRoom.waitingForPlayers')
+                                    : t('joinRoom.inProgress')}
                             </span>
                         </div>
                         <div className="mt-2 text-sm">
                             <p>
-                                Players: {roomInfo.players.length}/{roomInfo.maxPlayers}
+                                {t('joinRoom.players', { count: roomInfo.players.length, max: roomInfo.maxPlayers })}
                             </p>
-                            <p>Rounds: {roomInfo.maxRounds}</p>
+                            <p>{t('joinRoom.rounds', { count: roomInfo.maxRounds })}</p>
                         </div>
                     </div>
                 )}
@@ -133,7 +136,7 @@ const JoinRoom = () => {
                         disabled={isLoading || !roomInfo}
                         className="w-full bg-indigo-600 hover:bg-indigo-700 text-white font-bold py-2 px-4 rounded-md focus:outline-none focus:ring-2 focus:ring-indigo-500 focus:ring-opacity-50"
                     >
-                        {isLoading ? 'Joining...' : 'Join Room'}
+                        {isLoading ? t('joinRoom.joining') : t('joinRoom.join')}
                     </button>
                 </form>
             </div>
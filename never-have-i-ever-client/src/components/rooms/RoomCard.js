@@ -3,15 +3,18 @@ import { Link, useNavigate } from 'react-router-dom';
 import Avatar from '../common/Avatar';
 import api from '../../services/api';
 import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
+  const { t } = useTranslation();
   const navigate = useNavigate();
   const isUserInRoom = room.players.some(player => player.user._id === currentUserId);
   const isRoomFull = room.players.length >= room.maxPlayers;
+  const onlineCount = room.players.filter(player => player.presence?.status === 'online').length;
 
   const handleJoinRoom = async () => {
     if (!currentUserId) {
-      toast.error('You must be logged in to join a room');
+      toast.error(t('rooms.loginToJoin'));
       navigate('/login');
       return;
     }
@@ -20,14 +23,12 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
       if (room.type === 'private') {
         navigate(`/rooms/join`);
       } else {
-        await api.post(`/rooms/${room._id}/join`, {
-          userId: currentUserId
-        });
+        await api.post(`/rooms/${room._id}/join`);
         navigate(`/rooms/${room._id}`);
       }
     } catch (error) {
       console.error('Error joining room:', error);
-      toast.error(error.response?.data?.message || 'Failed to join room');
+      toast.error(error.response?.data?.message || t('rooms.joinFailed'));
     }
   };
 
@@ -43,13 +44,13 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
               ? 'bg-green-100 text-green-700 border border-green-200'
               : 'bg-blue-100 text-blue-700 border border-blue-200'
               }`}>
-              {room.type}
+              {t(`rooms.type.${room.type}`)}
             </span>
             <span className={`px-2 py-1 text-xs rounded-full font-medium ${room.status === 'waiting'
               ? 'bg-emerald-100 text-emerald-700 border border-emerald-200'
               : 'bg-amber-100 text-amber-700 border border-amber-200'
               }`}>
-              {room.status === 'waiting' ? 'Waiting' : 'Playing'}
+              {room.status === 'waiting' ? t('rooms.status.waiting') : t('rooms.status.playing')}
             </span>
           </div>
         </div>
@@ -59,19 +60,29 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-1 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M16 7a4 4 0 11-8 0 4 4 0 018 0zM12 14a7 7 0 00-7 7h14a7 7 0 00-7-7z" />
             </svg>
-            {room.host?.name || 'Anonymous'}
+            {room.host?.name || t('rooms.anonymousHost')}
           </div>
           <div className="flex items-center text-sm text-gray-600 bg-gray-50 px-2 py-1 rounded-md">
             <svg className="w-4 h-4 mr-1 text-indigo-500" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
             </svg>
             <span className="font-medium">{room.players.length}/{room.maxPlayers}</span>
+            {room.players.length > 0 && (
+              <span className="ml-2 text-xs text-green-700">{t('rooms.onlineCount', { count: onlineCount })}</span>
+            )}
           </div>
         </div>
 
-        <div className="flex -space-x-2 overflow-hidden mb-4" title="Players in room">
+        <div className="flex -space-x-2 overflow-hidden mb-4" title={t('rooms.playersInRoom')}>
           {room.players.slice(0, 5).map(player => (
-            <Avatar key={player.user._id} user={player.user} size="small" className="ring-2 ring-white" />
+            <Avatar
+              key={player.user._id}
+              user={player.user}
+              size="small"
+              showStatus
+              status={player.presence?.status}
+              className="ring-2 ring-white"
+            />
           ))}
           {room.players.length > 5 && (
             <div className="flex items-center justify-center h-8 w-8 rounded-full bg-indigo-100 ring-2 ring-white text-xs font-medium text-indigo-700">
@@ -85,7 +96,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-1 text-gray-400" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12l2 2 4-4m6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
             </svg>
-            <strong>{room.maxRounds}</strong> rounds
+            {t('rooms.rounds', { count: room.maxRounds })}
           </span>
           {room.createdAt && (
             <span className="flex items-center">
@@ -107,7 +118,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
             </svg>
-            Manage Room
+            {t('rooms.manage')}
           </Link>
         ) : canJoin && room.status === 'waiting' && !isRoomFull ? (
           <button
@@ -117,7 +128,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M11 16l-4-4m0 0l4-4m-4 4h14m-5 4v1a3 3 0 01-3 3H6a3 3 0 01-3-3V7a3 3 0 013-3h7a3 3 0 013 3v1" />
             </svg>
-            {room.type === 'private' ? 'Enter Passcode' : 'Join Room'}
+            {room.type === 'private' ? t('rooms.enterPasscode') : t('rooms.join')}
           </button>
         ) : isUserInRoom ? (
           <Link
@@ -127,7 +138,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M17 8l4 4m0 0l-4 4m4-4H3" />
             </svg>
-            Rejoin Room
+            {t('rooms.rejoin')}
           </Link>
         ) : room.status !== 'waiting' ? (
           <Link
@@ -138,7 +149,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
             </svg>
-            View Game
+            {t('rooms.viewGame')}
           </Link>
         ) : (
           <button
@@ -148,7 +159,7 @@ const RoomCard = ({ room, currentUserId, isHost, canJoin }) => {
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
             </svg>
-            Room Full
+            {t('rooms.full')}
           </button>
         )}
       </div>
@@ -4,8 +4,10 @@ import api from '../../services/api';
 import RoomCard from './RoomCard';
 import { AuthContext } from '../../contexts/AuthContext';
 import { toast } from 'react-toastify';
+import { useTranslation } from '../../contexts/LanguageContext';
 
 const RoomList = () => {
+  const { t } = useTranslation();
   const [rooms, setRooms] = useState([]);
   const [isLoading, setIsLoading] = useState(true);
   const [filter, setFilter] = useState('all'); // 'all', 'public', 'private'
@@ -25,7 +27,7 @@ const RoomList = () => {
       setRooms(response.data);
     } catch (error) {
       console.error('Error fetching rooms:', error);
-      toast.error('Failed to load rooms');
+      toast.error(t('rooms.loadFailed'));
     } finally {
       setIsLoading(false);
     }
@@ -44,8 +46,8 @@ const RoomList = () => {
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={1.5} d="M17 20h5v-2a3 3 0 00-5.356-1.857M17 20H7m10 0v-2c0-.656-.126-1.283-.356-1.857M7 20H2v-2a3 3 0 015.356-1.857M7 20v-2c0-.656.126-1.283.356-1.857m0 0a5.002 5.002 0 019.288 0M15 7a3 3 0 11-6 0 3 3 0 016 0zm6 3a2 2 0 11-4 0 2 2 0 014 0zM7 10a2 2 0 11-4 0 2 2 0 014 0z" />
         </svg>
       </div>
-      <h3 className="text-xl font-semibold text-gray-800 mb-2">No rooms available</h3>
-      <p className="text-gray-500 mb-6 max-w-md mx-auto">Looks like there aren't any game rooms available right now. Why not create one?</p>
+      <h3 className="text-xl font-semibold text-gray-800 mb-2">{t('rooms.emptyTitle')}</h3>
+      <p className="text-gray-500 mb-6 max-w-md mx-auto">{t('rooms.emptyBody')}</p>
       <Link
         to="/rooms/create"
         className="inline-flex items-center px-6 py-3 bg-gradient-to-r from-indigo-600 to-blue-500 hover:from-indigo-700 hover:to-blue-600 text-white rounded-lg shadow-md transition-all duration-200"
@@ -53,7 +55,7 @@ const RoomList = () => {
         <svg className="w-5 h-5 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
           <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
         </svg>
-        Create a Room
+        {t('rooms.createFirst')}
       </Link>
     </div>
   );
@@ -61,7 +63,7 @@ const RoomList = () => {
   return (
     <div className="container mx-auto px-4 py-8">
       <div className="flex flex-col md:flex-row justify-between items-center mb-8">
-        <h2 className="text-3xl font-bold text-gray-800 mb-4 md:mb-0 bg-gradient-to-r from-indigo-600 to-blue-500 bg-clip-text text-transparent">Available Rooms</h2>
+        <h2 className="text-3xl font-bold text-gray-800 mb-4 md:mb-0 bg-gradient-to-r from-indigo-600 to-blue-500 bg-clip-text text-transparent">{t('rooms.title')}</h2>
 
         <div className="flex flex-col sm:flex-row gap-4 w-full md:w-auto">
           <div className="inline-flex rounded-md shadow-sm" role="group">
@@ -71,7 +73,7 @@ const RoomList = () => {
                 ? 'bg-indigo-600 text-white border-indigo-600'
                 : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
             >
-              All
+              {t('rooms.filter.all')}
             </button>
             <button
               onClick={() => setFilter('public')}
@@ -79,7 +81,7 @@ const RoomList = () => {
                 ? 'bg-indigo-600 text-white border-indigo-600'
                 : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
             >
-              Public
+              {t('rooms.filter.public')}
             </button>
             <button
               onClick={() => setFilter('private')}
@@ -87,7 +89,7 @@ const RoomList = () => {
                 ? 'bg-indigo-600 text-white border-indigo-600'
                 : 'bg-white text-gray-700 border-gray-300 hover:bg-gray-50'}`}
             >
-              Private
+              {t('rooms.filter.private')}
             </button>
           </div>
 
@@ -98,7 +100,7 @@ const RoomList = () => {
             <svg className="w-4 h-4 mr-2" fill="none" stroke="currentColor" viewBox="0 0 24 24" xmlns="http://www.w3.org/2000/svg">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
             </svg>
-            Create Room
+            {t('rooms.createRoom')}
           </Link>
         </div>
       </div>
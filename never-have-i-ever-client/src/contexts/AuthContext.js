@@ -1,16 +1,33 @@
 import React, { createContext, useState, useEffect } from 'react';
-import api from '../services/api';
+import api, { setAuthToken } from '../services/api';
 
 export const AuthContext = createContext();
 
 export const AuthProvider = ({ children }) => {
   const [currentUser, setCurrentUser] = useState(null);
+  const [token, setToken] = useState(null);
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
     const storedUser = localStorage.getItem('user');
-    if (storedUser) {
-      setCurrentUser(JSON.parse(storedUser));
+    const storedToken = localStorage.getItem('token');
+    if (storedUser && storedToken) {
+      const user = JSON.parse(storedUser);
+      setAuthToken(storedToken);
+      setToken(storedToken);
+      setCurrentUser(user);
+
+      // Pick up changes made elsewhere, such as a new role
+      api.get(`/users/${user._id}`)
+        .then(response => {
+          const refreshedUser = { ...user, ...response.data };
+          localStorage.setItem('user', JSON.stringify(refreshedUser));
+          setCurrentUser(refreshedUser);
+        })
+        .catch(error => console.error('Error refreshing user:', error));
+    } else {
+      // Sessions created before tokens existed can't be resumed
+      localStorage.removeItem('user');
     }
     setLoading(false);
   }, []);
@@ -18,8 +35,11 @@ export const AuthProvider = ({ children }) => {
   const createUser = async (userData) => {
     try {
       const response = await api.post('/users', userData);
-      const user = response.data;
+      const { token, ...user } = response.data;
+      localStorage.setItem('token', token);
       localStorage.setItem('user', JSON.stringify(user));
+      setAuthToken(token);
+      setToken(token);
       setCurrentUser(user);
       return user;
     } catch (error) {
@@ -43,11 +63,15 @@ export const AuthProvider = ({ children }) => {
 
   const logout = () => {
     localStorage.removeItem('user');
+    localStorage.removeItem('token');
+    setAuthToken(null);
+    setToken(null);
     setCurrentUser(null);
   };
 
   const value = {
     currentUser,
+    token,
     createUser,
     updateUser,
     logout,
@@ -0,0 +1,89 @@
+import React, { createContext, useState, useEffect, useContext, useCallback } from 'react';
+import { AuthContext } from './AuthContext';
+import en from '../locales/en';
+import es from '../locales/es';
+import fr from '../locales/fr';
+import de from '../locales/de';
+
+// Keep in step with the server's utils/languages.js
+export const LANGUAGES = {
+  en: 'English',
+  es: 'Español',
+  fr: 'Français',
+  de: 'Deutsch'
+};
+
+export const DEFAULT_LANGUAGE = 'en';
+
+const MESSAGES = { en, es, fr, de };
+
+/**
+ * Looks up an interface string
+ * @param {String} language - Language code
+ * @param {String} key - Message key, e.g. 'game.roundOf'
+ * @param {Object} vars - Values for {placeholders}; a count picks the _one or _other form
+ * @returns {String} - The message, falling back to English and then the key
+ */
+export const translate = (language, key, vars = {}) => {
+  const messages = MESSAGES[language] || MESSAGES[DEFAULT_LANGUAGE];
+  const fallback = MESSAGES[DEFAULT_LANGUAGE];
+  const pluralKey = vars.count !== undefined ? `${key}_${vars.count === 1 ? 'one' : 'other'}` : key;
+
+  const template = messages[pluralKey] ?? messages[key] ?? fallback[pluralKey] ?? fallback[key] ?? key;
+  return template.replace(/\{(\w+)\}/g, (match, name) => (vars[name] ?? match).toString());
+};
+
+// The browser's language when we support it, for visitors without a profile yet
+const getBrowserLanguage = () => {
+  const language = navigator.language?.slice(0, 2);
+  return LANGUAGES[language] ? language : DEFAULT_LANGUAGE;
+};
+
+export const LanguageContext = createContext();
+
+export const LanguageProvider = ({ children }) => {
+  const { currentUser, updateUser } = useContext(AuthContext);
+  const [storedLanguage, setStoredLanguage] = useState(
+    () => localStorage.getItem('language') || getBrowserLanguage()
+  );
+
+  // Signed-in players use the language saved on their profile
+  const language = LANGUAGES[currentUser?.language] ? currentUser.language : storedLanguage;
+
+  useEffect(() => {
+    document.documentElement.lang = language;
+  }, [language]);
+
+  const setLanguage = async (newLanguage) => {
+    localStorage.setItem('language', newLanguage);
+    setStoredLanguage(newLanguage);
+
+    if (currentUser) {
+      await updateUser(currentUser._id, { language: newLanguage });
+    }
+  };
+
+  const t = useCallback((key, vars) => translate(language, key, vars), [language]);
+
+  const value = {
+    language,
+    languages: LANGUAGES,
+    setLanguage,
+    t
+  };
+
+  return (
+    <LanguageContext.Provider value={value}>
+      {children}
+    </LanguageContext.Provider>
+  );
+};
+
+// Custom hook to use language context
+export const useTranslation = () => {
+  const context = useContext(LanguageContext);
+  if (!context) {
+    throw new Error('useTranslation must be used within a LanguageProvider');
+  }
+  return context;
+};
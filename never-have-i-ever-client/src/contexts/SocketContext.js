@@ -1,59 +1,227 @@
-import React, { createContext, useState, useEffect, useContext } from 'react';
+import React, { createContext, useState, useEffect, useContext, useCallback, useRef } from 'react';
 import io from 'socket.io-client';
+import { toast } from 'react-toastify';
 import { AuthContext } from './AuthContext';
+import { CONTRACT_VERSION, validateEvent } from '../services/socketContract';
 
 export const SocketContext = createContext();
 
+// How long to wait for the server to acknowledge an event
+const ACK_TIMEOUT_MS = 5000;
+
+// Without any input for this long the player shows as idle
+const IDLE_AFTER_MS = 2 * 60 * 1000;
+
+const ACTIVITY_EVENTS = ['pointerdown', 'mousemove', 'keydown', 'touchstart', 'scroll'];
+
 export const SocketProvider = ({ children }) => {
-  const { currentUser } = useContext(AuthContext);
+  const { currentUser, token } = useContext(AuthContext);
   const [socket, setSocket] = useState(null);
+  // Event contract sent by the server when the socket connects
+  const contractRef = useRef(null);
+  // Rooms this socket has joined, rejoined automatically after a reconnect
+  const joinedRoomsRef = useRef(new Set());
   const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:5000';
+  // Profile edits replace currentUser; only a different user needs a new socket
+  const userId = currentUser?._id;
 
   useEffect(() => {
-    if (currentUser && currentUser._id) {
-      const newSocket = io(SOCKET_URL, { transports: ['websocket'] });
+    if (userId && token) {
+      const joinedRooms = joinedRoomsRef.current;
+
+      // The session token authenticates the socket during the handshake,
+      // and the server checks the client speaks its version of the event contract
+      const newSocket = io(SOCKET_URL, {
+        transports: ['websocket'],
+        auth: { token, contractVersion: CONTRACT_VERSION }
+      });
 
       newSocket.on('connect', () => {
         console.log('Socket connected');
-        newSocket.emit('identify', currentUser._id);
+      });
+
+      newSocket.on('connect_error', (error) => {
+        console.error('Socket connection failed:', error.message);
+        if (error.data?.code === 'CONTRACT_VERSION_MISMATCH') {
+          toast.error(error.message, { toastId: 'contract-version' });
+        }
+      });
+
+      newSocket.on('contract', (contract) => {
+        contractRef.current = contract;
+      });
+
+      // Pick up our game sessions again; the server answers each with a snapshot
+      newSocket.io.on('reconnect', () => {
+        joinedRooms.forEach((roomId) => {
+          newSocket.emit('join-room', { roomId });
+        });
+      });
+
+      newSocket.on('error', (error) => {
+        console.error('Socket error:', error);
       });
 
       setSocket(newSocket);
 
       return () => {
+        contractRef.current = null;
+        joinedRooms.clear();
         newSocket.disconnect();
       };
     }
-  }, [currentUser, SOCKET_URL]);
+  }, [userId, token, SOCKET_URL]);
+
+  // Emit an event, refusing anything the contract doesn't allow.
+  // Until the contract arrives the server is left to do the checking.
+  // Resolves with the server's acknowledgement: { ok, data } or { ok: false, error: { code, message } }
+  const emit = useCallback((event, payload) => {
+    if (!socket) {
+      return Promise.resolve({
+        ok: false,
+        error: { code: 'NOT_CONNECTED', message: 'Not connected to the game server' }
+      });
+    }
+
+    const contract = contractRef.current;
+    const problem = contract && validateEvent(contract.clientEvents, event, payload);
+    if (problem) {
+      console.error(`Not sending socket event: ${problem.message}`);
+      return Promise.resolve({ ok: false, error: problem });
+    }
+
+    return new Promise((resolve) => {
+      socket.timeout(ACK_TIMEOUT_MS).emit(event, payload, (err, response) => {
+        if (err) {
+          resolve({
+            ok: false,
+            error: { code: 'TIMEOUT', message: 'The game server did not respond' }
+          });
+        } else {
+          resolve(response);
+        }
+      });
+    });
+  }, [socket]);
+
+  // Listen for a server event, dropping payloads that don't match the contract.
+  // Returns a function that removes the listener.
+  const on = useCallback((event, handler) => {
+    if (!socket) return () => {};
+
+    const listener = (payload) => {
+      const contract = contractRef.current;
+      const problem = contract && validateEvent(contract.serverEvents, event, payload);
+      if (problem) {
+        console.error(`Ignoring socket event: ${problem.message}`);
+        return;
+      }
+
+      handler(payload);
+    };
+
+    socket.on(event, listener);
+    return () => socket.off(event, listener);
+  }, [socket]);
+
+  // Report when the player goes idle (no input for a while, or the tab is hidden)
+  // and when they come back. The server marks sockets online when they connect.
+  useEffect(() => {
+    if (!socket) return;
+
+    let status = 'online';
+    let idleTimer = null;
+
+    const report = (nextStatus) => {
+      if (nextStatus === status) return;
+      status = nextStatus;
+      emit('update-presence', { status: nextStatus });
+    };
+
+    const handleActivity = () => {
+      clearTimeout(idleTimer);
+
+      if (document.visibilityState === 'hidden') {
+        report('idle');
+        return;
+      }
+
+      report('online');
+      idleTimer = setTimeout(() => report('idle'), IDLE_AFTER_MS);
+    };
+
+    const handleConnect = () => {
+      status = 'online';
+      handleActivity();
+    };
+
+    ACTIVITY_EVENTS.forEach((event) => {
+      window.addEventListener(event, handleActivity, { passive: true });
+    });
+    document.addEventListener('visibilitychange', handleActivity);
+    socket.on('connect', handleConnect);
+    handleActivity();
+
+    return () => {
+      clearTimeout(idleTimer);
+      ACTIVITY_EVENTS.forEach((event) => {
+        window.removeEventListener(event, handleActivity);
+      });
+      document.removeEventListener('visibilitychange', handleActivity);
+      socket.off('connect', handleConnect);
+    };
+  }, [socket, emit]);
 
   // Wrapper methods for socket actions
-  const joinRoom = (roomId, userId) => {
-    if (socket) socket.emit('joinRoom', { roomId, userId });
-  };
+  const joinRoom = useCallback(async (roomId) => {
+    const response = await emit('join-room', { roomId });
+    if (response.ok) joinedRoomsRef.current.add(roomId);
+    return response;
+  }, [emit]);
 
-  const leaveRoom = (roomId, userId) => {
-    if (socket) socket.emit('leaveRoom', { roomId, userId });
-  };
+  const leaveRoom = useCallback((roomId) => {
+    joinedRoomsRef.current.delete(roomId);
+    return emit('leave-room', { roomId });
+  }, [emit]);
 
-  const startGame = (roomId) => {
-    if (socket) socket.emit('startGame', { roomId });
-  };
+  const startGame = useCallback((roomId) => emit('start-game', { roomId }), [emit]);
 
-  const submitAnswer = (roomId, userId, answer) => {
-    if (socket) socket.emit('submitAnswer', { roomId, userId, answer });
-  };
+  const submitAnswer = useCallback(
+    (roomId, answer) => emit('submit-answer', { roomId, answer }),
+    [emit]
+  );
 
-  const nextRound = (roomId) => {
-    if (socket) socket.emit('nextRound', { roomId });
-  };
+  // Host controls for players who disconnect mid-game
+  const resumeGame = useCallback((roomId) => emit('resume-game', { roomId }), [emit]);
+
+  const dropPlayer = useCallback(
+    (roomId, userId) => emit('drop-player', { roomId, userId }),
+    [emit]
+  );
+
+  const setAbsentPolicy = useCallback(
+    (roomId, policy, maxMissedRounds) =>
+      emit('set-absent-policy', { roomId, policy, maxMissedRounds }),
+    [emit]
+  );
+
+  const setReady = useCallback(
+    (roomId, ready) => emit('set-ready', { roomId, ready }),
+    [emit]
+  );
 
   const value = {
     socket,
+    emit,
+    on,
     joinRoom,
     leaveRoom,
     startGame,
     submitAnswer,
-    nextRound,
+    resumeGame,
+    dropPlayer,
+    setAbsentPolicy,
+    setReady,
   };
 
   return (
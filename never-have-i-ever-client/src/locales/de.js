@@ -0,0 +1,493 @@
+// German interface strings
+const de = {
+  'language.label': 'Sprache',
+
+  'header.rooms': 'Räume',
+  'header.createRoom': 'Raum erstellen',
+  'header.joinRoom': 'Raum beitreten',
+  'header.leaderboard': 'Bestenliste',
+  'header.packs': 'Pakete',
+  'header.moderation': 'Moderation',
+  'header.admin': 'Admin',
+  'header.logout': 'Abmelden',
+  'header.joinGame': 'Mitspielen',
+
+  'question.readPrompt': 'Nimm dir einen Moment, um die Frage zu lesen...',
+  'question.yes': 'JA',
+  'question.yesHint': 'Hab ich schon gemacht',
+  'question.no': 'NEIN',
+  'question.noHint': 'Hab ich noch nie gemacht',
+  'question.submitted': 'Deine Antwort wurde gesendet!',
+  'question.waitingForOthers': 'Warte auf die anderen Spieler...',
+  'question.answerIn_one': 'Du kannst in {count} Sekunde antworten',
+  'question.answerIn_other': 'Du kannst in {count} Sekunden antworten',
+
+  'feedback.rate': 'Bewerte diese Frage:',
+  'feedback.thumbsUp': 'Daumen hoch',
+  'feedback.thumbsDown': 'Daumen runter',
+  'feedback.report': 'Melden',
+  'feedback.reported': 'Gemeldet',
+  'feedback.reportTitle': 'Als unangemessen melden',
+  'feedback.removeReport': 'Meldung zurückziehen',
+  'feedback.reasonPlaceholder': 'Was stimmt nicht damit? (optional)',
+  'feedback.thanks': 'Danke, ein Moderator sieht sich das an',
+  'feedback.failed': 'Bewertung konnte nicht gesendet werden',
+
+  'game.errorLoading': 'Fehler beim Laden des Raums',
+  'game.loadFailed': 'Raum konnte nicht geladen werden',
+  'game.returnToList': 'Zurück zur Raumliste',
+  'game.notFound': 'Raum nicht gefunden',
+  'game.notFoundBody': 'Den gesuchten Raum gibt es nicht oder er wurde geschlossen.',
+  'game.backToList': 'Zurück zur Raumliste',
+  'game.waitingForPlayers': 'Warte auf Spieler',
+  'game.roundOf': 'Runde {round} von {total}',
+  'game.publicRoom': 'Öffentlicher Raum',
+  'game.privateRoom': 'Privater Raum',
+  'game.leaveRoom': 'Raum verlassen',
+  'game.joinRoom': 'Beitreten',
+  'game.joining': 'Trete bei...',
+  'game.passcodeLabel': 'Raum-Code:',
+  'game.passcodePlaceholder': 'Raum-Code eingeben',
+  'game.enter': 'Betreten',
+  'game.passcodeHint': 'Für diesen privaten Raum brauchst du den Code',
+  'game.players': 'Spieler',
+  'game.needTwoPlayers': 'Mindestens 2 Spieler nötig',
+  'game.startGame': 'Spiel starten',
+  'game.progress': 'Spielverlauf',
+  'game.round': 'Runde:',
+  'game.answers': 'Antworten:',
+  'game.countOf': '{count} von {total}',
+  'game.waitingToJoin': 'Warte, bis Spieler beitreten...',
+  'game.hostCanStart': 'Wenn du so weit bist, klick auf „Spiel starten“!',
+  'game.waitForHost': 'Das Spiel beginnt, sobald der Host bereit ist.',
+  'game.lobbyInfo': 'Spieler: {players}/{maxPlayers} • Runden: {rounds}',
+  'game.roundResults': 'Rundenergebnis',
+  'game.saidYes': 'Sagten Ja',
+  'game.saidNo': 'Sagten Nein',
+  'game.youEarned_one': 'Du bekommst {count} Punkt',
+  'game.youEarned_other': 'Du bekommst {count} Punkte',
+  'game.ranOutOfTime_one': '{count} Spieler hat nicht rechtzeitig geantwortet',
+  'game.ranOutOfTime_other': '{count} Spieler haben nicht rechtzeitig geantwortet',
+  'game.finalScoresSoon': 'Gleich kommt der Endstand...',
+  'game.nextRoundSoon': 'Die nächste Runde beginnt gleich...',
+  'game.processing': 'Wird verarbeitet...',
+  'game.endGame': 'Spiel beenden',
+  'game.nextRound': 'Nächste Runde',
+  'game.waitingForQuestion': 'Warte auf die nächste Frage...',
+  'game.playersAnswered': '{count} von {total} Spielern haben geantwortet',
+  'game.allAnswered': 'Alle haben geantwortet!',
+  'game.completed': 'Spiel beendet!',
+  'game.checkLeaderboard': 'Den Endstand findest du in der Bestenliste.',
+  'game.viewScorecard': 'Ergebnis ansehen',
+  'game.viewLeaderboard': 'Bestenliste ansehen',
+  'game.statusUnknown': 'Spielstatus unbekannt',
+  'game.refreshHint': 'Lade die Seite neu oder geh zurück zur Raumliste.',
+  'game.backToRooms': 'Zurück zu den Räumen',
+  'game.playerJoined': '{name} ist dem Raum beigetreten',
+  'game.playerLeft': '{name} hat den Raum verlassen',
+  'game.youAreHost': 'Du bist jetzt Host dieses Raums',
+  'game.newHost': '{name} ist jetzt Host',
+  'game.started': 'Das Spiel beginnt!',
+  'game.allAnsweredHost': 'Alle haben geantwortet! Du kannst zur nächsten Runde.',
+  'game.roundStarted': 'Runde {round} beginnt!',
+  'game.ended': 'Spiel vorbei!',
+  'game.roomClosed': 'Der Raum wurde geschlossen',
+  'game.joined': 'Du bist dem Raum beigetreten',
+  'game.left': 'Du hast den Raum verlassen',
+  'game.sessionResumed': 'Willkommen zurück! Du bist noch im Spiel.',
+  'game.leaveFailed': 'Raum konnte nicht verlassen werden',
+  'game.hostLeaveConfirm': 'Du bist Host dieses Raums. Wenn du gehst, wird ein anderer Spieler Host. Willst du wirklich gehen?',
+  'game.onlyHostCanStart': 'Nur der Host kann das Spiel starten',
+  'game.onlyHostCanAdvance': 'Nur der Host kann zur nächsten Runde wechseln',
+  'game.refreshFailed': 'Die Raumdaten konnten nicht aktualisiert werden. Neuer Versuch in Kürze.',
+  'game.joinFailed': 'Beitritt zum Raum fehlgeschlagen',
+  'game.startFailed': 'Spiel konnte nicht gestartet werden',
+  'game.advanceFailed': 'Wechsel zur nächsten Runde fehlgeschlagen',
+  'game.speedBonus_one': 'Tempobonus: +{count} Punkt!',
+  'game.speedBonus_other': 'Tempobonus: +{count} Punkte!',
+  'game.noSpeedBonus': 'Nur Grundpunkte – zu langsam geantwortet',
+  'game.scoring.minority': 'Minderheit',
+  'game.scoring.participation': 'Teilnahme',
+  'game.scoring.speed': 'Tempo',
+  'game.scoring.honesty': 'Ehrlichkeit',
+
+  'players.title': 'Spieler ({count})',
+  'players.points': 'Punkte',
+  'players.none': 'Noch keine Spieler beigetreten',
+  'players.you': '(du)',
+  'players.host': 'Host',
+  'players.answered': 'Hat geantwortet',
+  'players.streak_one': '{count} Minderheitsantwort in Folge',
+  'players.streak_other': '{count} Minderheitsantworten in Folge',
+  'players.missedRounds_one': '{count} Runde verpasst',
+  'players.missedRounds_other': '{count} Runden verpasst',
+  'players.drop': 'Aus dem Spiel entfernen',
+
+  'presence.online': 'Online',
+  'presence.idle': 'Inaktiv',
+  'presence.disconnected': 'Getrennt',
+  'presence.disconnectedAgo': 'Getrennt {time}',
+
+  'time.justNow': 'gerade eben',
+  'time.minutesAgo': 'vor {count} Min.',
+  'time.hoursAgo': 'vor {count} Std.',
+
+  'rooms.onlineCount_one': '{count} online',
+  'rooms.onlineCount_other': '{count} online',
+  'rooms.playersInRoom': 'Spieler im Raum',
+  'rooms.title': 'Verfügbare Räume',
+  'rooms.filter.all': 'Alle',
+  'rooms.filter.public': 'Öffentlich',
+  'rooms.filter.private': 'Privat',
+  'rooms.createRoom': 'Raum erstellen',
+  'rooms.emptyTitle': 'Keine Räume verfügbar',
+  'rooms.emptyBody': 'Gerade scheint es keine Spielräume zu geben. Warum erstellst du nicht einen?',
+  'rooms.createFirst': 'Einen Raum erstellen',
+  'rooms.loadFailed': 'Räume konnten nicht geladen werden',
+  'rooms.type.public': 'öffentlich',
+  'rooms.type.private': 'privat',
+  'rooms.status.waiting': 'Wartet',
+  'rooms.status.playing': 'Läuft',
+  'rooms.anonymousHost': 'Anonym',
+  'rooms.rounds_one': '{count} Runde',
+  'rooms.rounds_other': '{count} Runden',
+  'rooms.manage': 'Raum verwalten',
+  'rooms.enterPasscode': 'Code eingeben',
+  'rooms.join': 'Raum beitreten',
+  'rooms.rejoin': 'Zurück in den Raum',
+  'rooms.viewGame': 'Spiel ansehen',
+  'rooms.full': 'Raum voll',
+  'rooms.loginToJoin': 'Du musst angemeldet sein, um einem Raum beizutreten',
+  'rooms.joinFailed': 'Beitritt zum Raum fehlgeschlagen',
+
+  'joinRoom.title': 'Privatem Raum beitreten',
+  'joinRoom.passcode': 'Code',
+  'joinRoom.passcodePlaceholder': 'Raumcode eingeben',
+  'joinRoom.check': 'Prüfen',
+  'joinRoom.enterPasscode': 'Bitte gib einen Code ein',
+  'joinRoom.found': 'Raum gefunden! Gib bei Bedarf den Code ein.',
+  'joinRoom.notFound': 'Raum nicht gefunden',
+  'joinRoom.findFailed': 'Raum konnte nicht gefunden werden',
+  'joinRoom.joined': 'Raum erfolgreich beigetreten',
+  'joinRoom.invalidPasscode': 'Ungültiger Code',
+  'joinRoom.cannotJoin': 'Diesem Raum kann nicht beigetreten werden',
+  'joinRoom.joinFailed': 'Beitritt zum Raum fehlgeschlagen',
+  'joinRoom.waitingForPlayers': 'Warten auf Spieler',
+  'joinRoom.inProgress': 'Läuft',
+  'joinRoom.players': 'Spieler: {count}/{max}',
+  'joinRoom.rounds': 'Runden: {count}',
+  'joinRoom.joining': 'Trete bei...',
+  'joinRoom.join': 'Raum beitreten',
+
+  'createUser.tagline': 'Das Partyspiel der peinlichen Geständnisse',
+  'createUser.avatarAlt': 'Dein Avatar',
+  'createUser.nameLabel': 'Wie sollen wir dich nennen?',
+  'createUser.namePlaceholder': 'Gib deinen Spitznamen ein',
+  'createUser.nameHint': 'Dieser Name ist für andere Spieler sichtbar',
+  'createUser.creating': 'Wird erstellt...',
+  'createUser.play': "Los geht's!",
+  'createUser.enterName': 'Bitte gib einen Namen ein',
+  'createUser.welcome': 'Willkommen bei Ich hab noch nie!',
+  'createUser.failed': 'Benutzer konnte nicht erstellt werden',
+
+  'profile.title': 'Dein Profil',
+  'profile.loading': 'Wird geladen...',
+  'profile.displayName': 'Anzeigename',
+  'profile.nameHint': 'Wenn du deinen Namen änderst, ändert sich auch dein Avatar',
+  'profile.updating': 'Wird aktualisiert...',
+  'profile.update': 'Profil aktualisieren',
+  'profile.enterName': 'Bitte gib einen Namen ein',
+  'profile.updated': 'Profil aktualisiert',
+  'profile.updateFailed': 'Profil konnte nicht aktualisiert werden',
+  'profile.loadFailed': 'Benutzerdaten konnten nicht geladen werden',
+  'profile.stats': 'Deine Statistiken',
+  'profile.gamesPlayed': 'Gespielte Spiele',
+  'profile.gamesWon': 'Gewonnene Spiele',
+  'profile.totalPoints': 'Punkte insgesamt',
+  'profile.questionsContributed': 'Beigetragene Fragen',
+  'profile.suggestQuestion': 'Frage vorschlagen',
+  'profile.pastGames': 'Vergangene Spiele',
+  'profile.noPastGames': 'Du hast noch kein Spiel beendet.',
+  'profile.points_one': '{count} Pkt.',
+  'profile.points_other': '{count} Pkt.',
+  'profile.winner': 'Gewinner',
+  'profile.rankOf': '#{rank} von {total}',
+  'profile.logout': 'Abmelden',
+
+  'scorecard.loading': 'Spielbericht wird geladen...',
+  'scorecard.loadFailed': 'Spiel konnte nicht geladen werden',
+  'scorecard.notFound': 'Dieses Spiel wurde nicht gefunden.',
+  'scorecard.backToProfile': 'Zurück zu deinem Profil',
+  'scorecard.rounds_one': '{count} Runde',
+  'scorecard.rounds_other': '{count} Runden',
+  'scorecard.players_one': '{count} Spieler',
+  'scorecard.players_other': '{count} Spieler',
+  'scorecard.finalStandings': 'Endstand',
+  'scorecard.winner': 'Gewinner',
+  'scorecard.round': 'Runde {round}',
+  'scorecard.yesCount': '{count} ja',
+  'scorecard.noCount': '{count} nein',
+  'scorecard.formerPlayer': 'Ehemaliger Spieler',
+  'scorecard.skipped': 'Übersprungen',
+  'scorecard.yes': 'Ja',
+  'scorecard.no': 'Nein',
+
+  'difficulty.easy': 'Leicht',
+  'difficulty.medium': 'Mittel',
+  'difficulty.hard': 'Schwer',
+
+  'packs.title': 'Fragenpakete',
+  'packs.new': 'Neues Paket',
+  'packs.scope.mine': 'Meine Pakete',
+  'packs.scope.public': 'Öffentliche Pakete',
+  'packs.loading': 'Fragenpakete werden geladen...',
+  'packs.questionCount_one': '{count} Frage',
+  'packs.questionCount_other': '{count} Fragen',
+  'packs.visibility.public': 'Öffentlich',
+  'packs.visibility.private': 'Privat',
+  'packs.by': 'von {name}',
+  'packs.unknownOwner': 'Unbekannt',
+  'packs.usedIn_one': 'in {count} Raum verwendet',
+  'packs.usedIn_other': 'in {count} Räumen verwendet',
+  'packs.edit': 'Bearbeiten',
+  'packs.delete': 'Löschen',
+  'packs.deleteConfirm': 'Das Paket „{name}“ löschen?',
+  'packs.deleted': 'Fragenpaket gelöscht',
+  'packs.deleteFailed': 'Fragenpaket konnte nicht gelöscht werden',
+  'packs.loadFailed': 'Fragenpakete konnten nicht geladen werden',
+  'packs.noneMine': 'Du hast noch keine Fragenpakete erstellt.',
+  'packs.nonePublic': 'Es gibt noch keine öffentlichen Fragenpakete.',
+
+  'packEditor.editTitle': 'Fragenpaket bearbeiten',
+  'packEditor.newTitle': 'Neues Fragenpaket',
+  'packEditor.loading': 'Fragenpaket wird geladen...',
+  'packEditor.loadFailed': 'Fragenpaket konnte nicht geladen werden',
+  'packEditor.name': 'Name',
+  'packEditor.namePlaceholder': 'Einarbeitungswoche',
+  'packEditor.description': 'Beschreibung',
+  'packEditor.visibility': 'Sichtbarkeit',
+  'packEditor.onlyMe': 'Nur ich',
+  'packEditor.anyone': 'Alle können es verwenden',
+  'packEditor.questions': 'Fragen ({count})',
+  'packEditor.new': 'neu',
+  'packEditor.waitingForReview': 'wartet auf Prüfung',
+  'packEditor.remove': 'Entfernen',
+  'packEditor.noQuestions': 'Noch keine Fragen. Schreib eigene oder füge welche aus dem Fragenpool hinzu.',
+  'packEditor.writeQuestion': 'Frage schreiben',
+  'packEditor.reviewHint': 'Ein Moderator prüft deine Fragen, bevor sie bei anderen Hosts gezogen werden können.',
+  'packEditor.add': 'Hinzufügen',
+  'packEditor.added': 'Hinzugefügt',
+  'packEditor.fromBank': 'Aus dem Fragenpool hinzufügen',
+  'packEditor.searchPlaceholder': 'Fragen suchen',
+  'packEditor.saving': 'Wird gespeichert...',
+  'packEditor.save': 'Paket speichern',
+  'packEditor.cancel': 'Abbrechen',
+  'packEditor.writeFirst': 'Bitte schreib eine Frage',
+  'packEditor.alreadyInPack': 'Diese Frage ist bereits im Paket',
+  'packEditor.nameRequired': 'Bitte gib dem Paket einen Namen',
+  'packEditor.saved': 'Fragenpaket gespeichert',
+  'packEditor.saveFailed': 'Fragenpaket konnte nicht gespeichert werden',
+
+  'submit.title': 'Frage vorschlagen',
+  'submit.question': 'Frage',
+  'submit.category': 'Kategorie',
+  'submit.difficulty': 'Schwierigkeit',
+  'submit.submitting': 'Wird gesendet...',
+  'submit.submit': 'Zur Prüfung senden',
+  'submit.writeFirst': 'Bitte schreib eine Frage',
+  'submit.thanks': 'Danke! Deine Frage wartet auf Prüfung',
+  'submit.failed': 'Frage konnte nicht gesendet werden',
+  'submit.yourSuggestions': 'Deine Vorschläge',
+  'submit.none': 'Du hast noch keine Fragen vorgeschlagen.',
+  'submit.status.pending': 'ausstehend',
+  'submit.status.approved': 'angenommen',
+  'submit.status.rejected': 'abgelehnt',
+  'submit.reason': 'Grund: {reason}',
+
+  'adminJobs.title': 'Geplante Aufgaben',
+  'adminJobs.refresh': 'Aktualisieren',
+  'adminJobs.loading': 'Aufgaben werden geladen...',
+  'adminJobs.loadFailed': 'Aufgaben konnten nicht geladen werden',
+  'adminJobs.job': 'Aufgabe',
+  'adminJobs.schedule': 'Zeitplan',
+  'adminJobs.lastRun': 'Letzter Lauf',
+  'adminJobs.nextRun': 'Nächster Lauf',
+  'adminJobs.status.success': 'erfolgreich',
+  'adminJobs.status.failed': 'fehlgeschlagen',
+  'adminJobs.status.running': 'läuft',
+  'adminJobs.none': 'Es wurden noch keine Aufgaben geplant.',
+
+  'moderationQueue.title': 'Moderation',
+  'moderationQueue.tab.pending': 'Ausstehend',
+  'moderationQueue.tab.approved': 'Angenommen',
+  'moderationQueue.tab.rejected': 'Abgelehnt',
+  'moderationQueue.tab.flagged': 'Gemeldet',
+  'moderationQueue.loading': 'Vorschläge werden geladen...',
+  'moderationQueue.loadFailed': 'Vorschläge konnten nicht geladen werden',
+  'moderationQueue.empty.pending': 'Keine ausstehenden Vorschläge.',
+  'moderationQueue.empty.approved': 'Keine angenommenen Vorschläge.',
+  'moderationQueue.empty.rejected': 'Keine abgelehnten Vorschläge.',
+  'moderationQueue.noFlagged': 'Keine gemeldeten Fragen.',
+  'moderationQueue.unknownPlayer': 'Unbekannter Spieler',
+  'moderationQueue.reasonPlaceholder': 'Grund, den der Spieler sieht',
+  'moderationQueue.reasonRequired': 'Bitte gib einen Grund an',
+  'moderationQueue.reject': 'Ablehnen',
+  'moderationQueue.rejectEllipsis': 'Ablehnen...',
+  'moderationQueue.cancel': 'Abbrechen',
+  'moderationQueue.approve': 'Annehmen',
+  'moderationQueue.approved': 'Frage angenommen',
+  'moderationQueue.rejected': 'Frage abgelehnt',
+  'moderationQueue.approveFailed': 'Frage konnte nicht angenommen werden',
+  'moderationQueue.rejectFailed': 'Frage konnte nicht abgelehnt werden',
+  'moderationQueue.reviewedBy': 'geprüft von {name}',
+  'moderationQueue.reason': 'Grund: {reason}',
+  'moderationQueue.hidden': 'Ausgeblendet',
+  'moderationQueue.keep': 'Frage behalten',
+  'moderationQueue.archive': 'Archivieren',
+  'moderationQueue.flagsDismissed': 'Meldungen verworfen',
+  'moderationQueue.archived': 'Frage archiviert',
+  'moderationQueue.reviewFailed': 'Frage konnte nicht geprüft werden',
+
+  'footer.copyright': '© {year} Ich hab noch nie – Das Spiel. Alle Rechte vorbehalten.',
+  'footer.privacy': 'Datenschutz',
+  'footer.terms': 'Nutzungsbedingungen',
+  'footer.contact': 'Kontakt',
+
+  'timer.reading': 'Lesezeit',
+  'timer.takeYourTime': 'Lass dir Zeit',
+  'timer.bonus_one': '+{count} Bonuspunkt',
+  'timer.bonus_other': '+{count} Bonuspunkte',
+  'timer.noBonus': 'Kein Zeitbonus',
+
+  'leaderboard.title': 'Bestenliste',
+  'leaderboard.timeFrame.day': 'Täglich',
+  'leaderboard.timeFrame.week': 'Wöchentlich',
+  'leaderboard.timeFrame.month': 'Monatlich',
+  'leaderboard.timeFrame.all': 'Gesamt',
+  'leaderboard.timeFrame.range': 'Eigener Zeitraum',
+  'leaderboard.pointsHeader.day': 'Tagespunkte',
+  'leaderboard.pointsHeader.week': 'Wochenpunkte',
+  'leaderboard.pointsHeader.month': 'Monatspunkte',
+  'leaderboard.pointsHeader.all': 'Gesamtpunkte',
+  'leaderboard.pointsHeader.range': 'Punkte im Zeitraum',
+  'leaderboard.rangeTo': 'bis',
+  'leaderboard.loading': 'Bestenliste wird geladen...',
+  'leaderboard.rank': 'Platz',
+  'leaderboard.player': 'Spieler',
+  'leaderboard.empty': 'Noch keine Spieler in der Bestenliste.',
+  'leaderboard.loadFailed': 'Bestenliste konnte nicht geladen werden',
+
+  'createRoom.language': 'Sprache der Fragen',
+  'createRoom.languageHint': 'Alle im Raum sehen die Fragen in dieser Sprache',
+  'createRoom.title': 'Raum erstellen',
+  'createRoom.name': 'Raumname',
+  'createRoom.namePlaceholder': 'Raumnamen eingeben',
+  'createRoom.type': 'Raumtyp',
+  'createRoom.public': 'Öffentlich',
+  'createRoom.private': 'Privat',
+  'createRoom.passcode': 'Code',
+  'createRoom.passcodePlaceholder': 'Raumcode eingeben',
+  'createRoom.maxPlayers': 'Max. Spieler',
+  'createRoom.rounds': 'Runden',
+  'createRoom.readingTime': 'Lesezeit',
+  'createRoom.answerTime': 'Antwortzeit',
+  'createRoom.seconds': '{count} s',
+  'createRoom.scoring': 'Punktevergabe',
+  'createRoom.packs': 'Fragenpakete',
+  'createRoom.noPacks': 'Noch keine Fragenpakete.',
+  'createRoom.wholeBank': 'Der ganze Fragenpool wird verwendet',
+  'createRoom.selected': '{count} ausgewählt',
+  'createRoom.managePacks': 'Pakete verwalten',
+  'createRoom.categories': 'Kategorien',
+  'createRoom.allCategories': 'Alle Kategorien',
+  'createRoom.questionsAvailable_one': '{count} Frage verfügbar',
+  'createRoom.questionsAvailable_other': '{count} Fragen verfügbar',
+  'createRoom.difficulty': 'Schwierigkeit',
+  'createRoom.streakBonus': 'Serienbonus',
+  'createRoom.streak.flat': '+2 Punkte pro Antwort in Folge',
+  'createRoom.streak.multiplier': 'Multiplikator (bis x3)',
+  'createRoom.streak.off': 'Aus',
+  'createRoom.streakHint': 'Belohnt es, mehrere Runden hintereinander mit der Minderheit zu antworten',
+  'createRoom.creating': 'Wird erstellt...',
+  'createRoom.create': 'Raum erstellen',
+  'createRoom.nameRequired': 'Bitte gib einen Raumnamen ein',
+  'createRoom.passcodeRequired': 'Private Räume brauchen einen Code',
+  'createRoom.created': 'Raum erstellt',
+  'createRoom.failed': 'Raum konnte nicht erstellt werden',
+
+  'lobby.ready': 'Ich bin bereit',
+  'lobby.notReady': 'Ich bin nicht bereit',
+  'lobby.playerReady': 'Bereit',
+  'lobby.playerNotReady': 'Nicht bereit',
+  'lobby.readyCount': '{count} von {total} Spielern bereit',
+  'lobby.waitingForReady': 'Warten auf Spieler ({count}/{total} bereit)',
+  'lobby.forceStart': 'Trotzdem starten',
+  'lobby.forceStartConfirm': 'Nicht alle sind bereit. Das Spiel trotzdem starten?',
+  'lobby.startingIn_one': 'Start in {count} Sekunde...',
+  'lobby.startingIn_other': 'Start in {count} Sekunden...',
+  'lobby.autoStart': 'Automatischer Start',
+  'lobby.autoStartOff': 'Aus, der Host startet das Spiel',
+  'lobby.autoStartAfter_one': '{count} Sekunde, nachdem alle bereit sind',
+  'lobby.autoStartAfter_other': '{count} Sekunden, nachdem alle bereit sind',
+  'lobby.autoStartHint': 'Das Spiel startet von selbst, sobald alle Spieler bereit sind',
+
+  'absent.policyLabel': 'Wenn ein Spieler die Verbindung verliert',
+  'absent.policy.skip': 'Seinen Zug überspringen',
+  'absent.policy.drop': 'Nach verpassten Runden entfernen',
+  'absent.policy.pause': 'Spiel pausieren',
+  'absent.maxMissedRounds': 'Verpasste Runden bis zum Entfernen',
+  'absent.missedRounds_one': 'nach {count} Runde',
+  'absent.missedRounds_other': 'nach {count} Runden',
+  'absent.policyHint.skip': 'Das Spiel läuft weiter und seine Antworten zählen als übersprungen, bis er zurück ist',
+  'absent.policyHint.drop': 'Das Spiel läuft weiter, und wer zu viele Runden hintereinander verpasst, wird entfernt',
+  'absent.policyHint.pause': 'Das Spiel wartet auf ihn; der Host kann ohne ihn weitermachen',
+  'absent.gamePaused': 'Ein Spieler hat die Verbindung verloren, das Spiel ist pausiert',
+  'absent.pausedBanner': 'Spiel pausiert',
+  'absent.waitingFor': 'Warten, bis {names} zurück ist...',
+  'absent.resumeWithout': 'Ohne sie weiterspielen',
+  'absent.resumed': 'Alle sind zurück, das Spiel geht weiter',
+  'absent.resumedByHost': 'Der Host hat das Spiel fortgesetzt',
+  'absent.playerDropped': '{name} wurde aus dem Spiel entfernt',
+  'absent.youWereDropped': 'Du wurdest nach zu langer Abwesenheit aus dem Spiel entfernt',
+  'absent.policyChanged': 'Getrennte Spieler: {policy}',
+  'absent.dropConfirm': '{name} aus dem Spiel entfernen?',
+
+  'moderation.kickPrompt': '{name} aus dem Raum entfernen? Optional mit Grund:',
+  'moderation.banPrompt': '{name} aus diesem Raum verbannen? Ein erneuter Beitritt ist dann nicht möglich. Optional mit Grund:',
+  'moderation.transferConfirm': '{name} zum Host machen? Du verlierst die Host-Steuerung.',
+  'moderation.actionsFor': 'Aktionen für {name}',
+  'moderation.makeHost': 'Zum Host machen',
+  'moderation.kick': 'Aus dem Raum entfernen',
+  'moderation.ban': 'Aus dem Raum verbannen',
+  'moderation.failed': 'Das hat nicht geklappt, bitte versuche es erneut',
+  'moderation.youWereKicked': 'Der Host hat dich aus dem Raum entfernt',
+  'moderation.youWereBanned': 'Der Host hat dich aus diesem Raum verbannt',
+  'moderation.playerRemoved': '{name} wurde vom Host entfernt',
+  'moderation.log': 'Moderationsprotokoll',
+  'moderation.logEntry.kick': '{actor} hat {target} entfernt',
+  'moderation.logEntry.ban': '{actor} hat {target} verbannt',
+  'moderation.logEntry.drop': '{actor} hat {target} aus dem Spiel genommen',
+  'moderation.logEntry.transfer-host': '{actor} hat {target} zum Host gemacht',
+  'moderation.logEntry.autoDrop': '{target} wurde nach zu vielen verpassten Runden entfernt',
+
+  'socketErrors.NOT_CONNECTED': 'Keine Verbindung zum Spielserver. Prüfe deine Verbindung und versuche es erneut.',
+  'socketErrors.TIMEOUT': 'Der Spielserver hat nicht geantwortet. Bitte versuche es erneut.',
+  'socketErrors.UNKNOWN_EVENT': 'Der Spielserver hat diese Anfrage nicht verstanden. Bitte lade die Seite neu.',
+  'socketErrors.INVALID_PAYLOAD': 'Diese Anfrage war ungültig. Bitte lade die Seite neu.',
+  'socketErrors.ROOM_NOT_FOUND': 'Diesen Raum gibt es nicht mehr.',
+  'socketErrors.NOT_IN_ROOM': 'Tritt zuerst dem Raum bei.',
+  'socketErrors.NOT_HOST': 'Nur der Host kann das tun.',
+  'socketErrors.GAME_NOT_STARTED': 'Das Spiel hat noch nicht begonnen.',
+  'socketErrors.GAME_NOT_IN_PROGRESS': 'Das Spiel läuft gerade nicht.',
+  'socketErrors.GAME_ALREADY_STARTED': 'Das Spiel hat schon begonnen.',
+  'socketErrors.ANSWERS_NOT_OPEN': 'Einen Moment, Antworten sind nach der Lesezeit möglich.',
+  'socketErrors.ROUND_CLOSED': 'Die Zeit für diese Runde ist abgelaufen.',
+  'socketErrors.ALREADY_ANSWERED': 'Deine Antwort für diese Runde ist schon da.',
+  'socketErrors.GAME_PAUSED': 'Das Spiel ist pausiert, bis alle zurück sind.',
+  'socketErrors.GAME_NOT_PAUSED': 'Das Spiel ist nicht pausiert.',
+  'socketErrors.PLAYER_NOT_FOUND': 'Dieser Spieler ist nicht in diesem Raum.',
+  'socketErrors.PLAYER_NOT_ABSENT': 'Spieler können erst nach längerer Abwesenheit entfernt werden.',
+  'socketErrors.INTERNAL_ERROR': 'Auf dem Server ist etwas schiefgelaufen. Bitte versuche es erneut.'
+};
+
+export default de;
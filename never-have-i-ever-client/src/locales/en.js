@@ -0,0 +1,493 @@
+// English interface strings; the other locales fall back to these for missing keys
+const en = {
+  'language.label': 'Language',
+
+  'header.rooms': 'Rooms',
+  'header.createRoom': 'Create Room',
+  'header.joinRoom': 'Join Room',
+  'header.leaderboard': 'Leaderboard',
+  'header.packs': 'Packs',
+  'header.moderation': 'Moderation',
+  'header.admin': 'Admin',
+  'header.logout': 'Logout',
+  'header.joinGame': 'Join Game',
+
+  'question.readPrompt': 'Take a moment to read the question...',
+  'question.yes': 'YES',
+  'question.yesHint': 'I have done this',
+  'question.no': 'NO',
+  'question.noHint': "I haven't done this",
+  'question.submitted': 'Your answer has been submitted!',
+  'question.waitingForOthers': 'Waiting for other players to respond...',
+  'question.answerIn_one': 'You can answer in {count} second',
+  'question.answerIn_other': 'You can answer in {count} seconds',
+
+  'feedback.rate': 'Rate this question:',
+  'feedback.thumbsUp': 'Thumbs up',
+  'feedback.thumbsDown': 'Thumbs down',
+  'feedback.report': 'Report',
+  'feedback.reported': 'Reported',
+  'feedback.reportTitle': 'Report as inappropriate',
+  'feedback.removeReport': 'Remove your report',
+  'feedback.reasonPlaceholder': "What's wrong with it? (optional)",
+  'feedback.thanks': 'Thanks, a moderator will take a look',
+  'feedback.failed': 'Failed to send feedback',
+
+  'game.errorLoading': 'Error Loading Room',
+  'game.loadFailed': 'Failed to load room details',
+  'game.returnToList': 'Return to Room List',
+  'game.notFound': 'Room Not Found',
+  'game.notFoundBody': "The room you're looking for doesn't exist or has been closed.",
+  'game.backToList': 'Back to Room List',
+  'game.waitingForPlayers': 'Waiting for Players',
+  'game.roundOf': 'Round {round} of {total}',
+  'game.publicRoom': 'Public Room',
+  'game.privateRoom': 'Private Room',
+  'game.leaveRoom': 'Leave Room',
+  'game.joinRoom': 'Join Room',
+  'game.joining': 'Joining...',
+  'game.passcodeLabel': 'Room Passcode:',
+  'game.passcodePlaceholder': 'Enter the room passcode',
+  'game.enter': 'Enter',
+  'game.passcodeHint': 'You need the passcode to enter this private room',
+  'game.players': 'Players',
+  'game.needTwoPlayers': 'Need at least 2 players',
+  'game.startGame': 'Start Game',
+  'game.progress': 'Game Progress',
+  'game.round': 'Round:',
+  'game.answers': 'Answers:',
+  'game.countOf': '{count} of {total}',
+  'game.waitingToJoin': 'Waiting for players to join...',
+  'game.hostCanStart': 'When you\'re ready, click "Start Game" to begin!',
+  'game.waitForHost': 'The game will start when the host is ready.',
+  'game.lobbyInfo': 'Players: {players}/{maxPlayers} • Rounds: {rounds}',
+  'game.roundResults': 'Round Results',
+  'game.saidYes': 'Said Yes',
+  'game.saidNo': 'Said No',
+  'game.youEarned_one': 'You earned {count} point',
+  'game.youEarned_other': 'You earned {count} points',
+  'game.ranOutOfTime_one': '{count} player ran out of time',
+  'game.ranOutOfTime_other': '{count} players ran out of time',
+  'game.finalScoresSoon': 'Final scores coming up...',
+  'game.nextRoundSoon': 'Next round starts shortly...',
+  'game.processing': 'Processing...',
+  'game.endGame': 'End Game',
+  'game.nextRound': 'Next Round',
+  'game.waitingForQuestion': 'Waiting for the next question...',
+  'game.playersAnswered': '{count} of {total} players answered',
+  'game.allAnswered': 'All players have answered!',
+  'game.completed': 'Game completed!',
+  'game.checkLeaderboard': 'Check the leaderboard to see the final scores.',
+  'game.viewScorecard': 'View Scorecard',
+  'game.viewLeaderboard': 'View Leaderboard',
+  'game.statusUnknown': 'Game status unknown',
+  'game.refreshHint': 'Please refresh the page or return to the rooms list.',
+  'game.backToRooms': 'Back to Rooms',
+  'game.playerJoined': '{name} joined the room',
+  'game.playerLeft': '{name} left the room',
+  'game.youAreHost': 'You are now the host of this room',
+  'game.newHost': '{name} is now the host',
+  'game.started': 'Game started!',
+  'game.allAnsweredHost': 'All players answered! You can proceed to the next round.',
+  'game.roundStarted': 'Round {round} started!',
+  'game.ended': 'Game ended!',
+  'game.roomClosed': 'Room was closed',
+  'game.joined': 'Joined room successfully',
+  'game.left': 'Left room successfully',
+  'game.sessionResumed': "Welcome back! You're still in the game.",
+  'game.leaveFailed': 'Failed to leave room',
+  'game.hostLeaveConfirm': 'You are the host of this room. Leaving will transfer host status to another player. Are you sure you want to leave?',
+  'game.onlyHostCanStart': 'Only the host can start the game',
+  'game.onlyHostCanAdvance': 'Only the host can advance to the next round',
+  'game.refreshFailed': 'Failed to refresh room data. Will retry shortly.',
+  'game.joinFailed': 'Failed to join room',
+  'game.startFailed': 'Failed to start game',
+  'game.advanceFailed': 'Failed to advance to next round',
+  'game.speedBonus_one': 'Speed bonus: +{count} point!',
+  'game.speedBonus_other': 'Speed bonus: +{count} points!',
+  'game.noSpeedBonus': 'Base points only - answered too slowly',
+  'game.scoring.minority': 'Minority',
+  'game.scoring.participation': 'Participation',
+  'game.scoring.speed': 'Speed',
+  'game.scoring.honesty': 'Honesty',
+
+  'players.title': 'Players ({count})',
+  'players.points': 'Points',
+  'players.none': 'No players have joined yet',
+  'players.you': '(you)',
+  'players.host': 'Host',
+  'players.answered': 'Answered',
+  'players.streak_one': '{count} minority answer in a row',
+  'players.streak_other': '{count} minority answers in a row',
+  'players.missedRounds_one': 'Missed {count} round',
+  'players.missedRounds_other': 'Missed {count} rounds',
+  'players.drop': 'Drop from game',
+
+  'presence.online': 'Online',
+  'presence.idle': 'Idle',
+  'presence.disconnected': 'Disconnected',
+  'presence.disconnectedAgo': 'Disconnected {time}',
+
+  'time.justNow': 'just now',
+  'time.minutesAgo': '{count} min ago',
+  'time.hoursAgo': '{count} h ago',
+
+  'rooms.onlineCount_one': '{count} online',
+  'rooms.onlineCount_other': '{count} online',
+  'rooms.playersInRoom': 'Players in room',
+  'rooms.title': 'Available Rooms',
+  'rooms.filter.all': 'All',
+  'rooms.filter.public': 'Public',
+  'rooms.filter.private': 'Private',
+  'rooms.createRoom': 'Create Room',
+  'rooms.emptyTitle': 'No rooms available',
+  'rooms.emptyBody': "Looks like there aren't any game rooms available right now. Why not create one?",
+  'rooms.createFirst': 'Create a Room',
+  'rooms.loadFailed': 'Failed to load rooms',
+  'rooms.type.public': 'public',
+  'rooms.type.private': 'private',
+  'rooms.status.waiting': 'Waiting',
+  'rooms.status.playing': 'Playing',
+  'rooms.anonymousHost': 'Anonymous',
+  'rooms.rounds_one': '{count} round',
+  'rooms.rounds_other': '{count} rounds',
+  'rooms.manage': 'Manage Room',
+  'rooms.enterPasscode': 'Enter Passcode',
+  'rooms.join': 'Join Room',
+  'rooms.rejoin': 'Rejoin Room',
+  'rooms.viewGame': 'View Game',
+  'rooms.full': 'Room Full',
+  'rooms.loginToJoin': 'You must be logged in to join a room',
+  'rooms.joinFailed': 'Failed to join room',
+
+  'joinRoom.title': 'Join Private Room',
+  'joinRoom.passcode': 'Passcode',
+  'joinRoom.passcodePlaceholder': 'Enter room passcode',
+  'joinRoom.check': 'Check',
+  'joinRoom.enterPasscode': 'Please enter a passcode',
+  'joinRoom.found': 'Room found! Please enter passcode if required.',
+  'joinRoom.notFound': 'Room not found',
+  'joinRoom.findFailed': 'Failed to find room',
+  'joinRoom.joined': 'Joined room successfully',
+  'joinRoom.invalidPasscode': 'Invalid passcode',
+  'joinRoom.cannotJoin': 'Cannot join this room',
+  'joinRoom.joinFailed': 'Failed to join room',
+  'joinRoom.waitingForPlayers': 'Waiting for Players',
+  'joinRoom.inProgress': 'In Progress',
+  'joinRoom.players': 'Players: {count}/{max}',
+  'joinRoom.rounds': 'Rounds: {count}',
+  'joinRoom.joining': 'Joining...',
+  'joinRoom.join': 'Join Room',
+
+  'createUser.tagline': 'The party game of embarrassing revelations',
+  'createUser.avatarAlt': 'Your avatar',
+  'createUser.nameLabel': 'What should we call you?',
+  'createUser.namePlaceholder': 'Enter your nickname',
+  'createUser.nameHint': 'This name will be visible to other players',
+  'createUser.creating': 'Creating...',
+  'createUser.play': "Let's Play!",
+  'createUser.enterName': 'Please enter a name',
+  'createUser.welcome': 'Welcome to Never Have I Ever!',
+  'createUser.failed': 'Failed to create user',
+
+  'profile.title': 'Your Profile',
+  'profile.loading': 'Loading...',
+  'profile.displayName': 'Display Name',
+  'profile.nameHint': 'Changing your name will also update your avatar',
+  'profile.updating': 'Updating...',
+  'profile.update': 'Update Profile',
+  'profile.enterName': 'Please enter a name',
+  'profile.updated': 'Profile updated successfully',
+  'profile.updateFailed': 'Failed to update profile',
+  'profile.loadFailed': 'Failed to load user details',
+  'profile.stats': 'Your Stats',
+  'profile.gamesPlayed': 'Games Played',
+  'profile.gamesWon': 'Games Won',
+  'profile.totalPoints': 'Total Points',
+  'profile.questionsContributed': 'Questions Contributed',
+  'profile.suggestQuestion': 'Suggest a question',
+  'profile.pastGames': 'Past Games',
+  'profile.noPastGames': "You haven't finished any games yet.",
+  'profile.points_one': '{count} pt',
+  'profile.points_other': '{count} pts',
+  'profile.winner': 'Winner',
+  'profile.rankOf': '#{rank} of {total}',
+  'profile.logout': 'Logout',
+
+  'scorecard.loading': 'Loading scorecard...',
+  'scorecard.loadFailed': 'Failed to load game',
+  'scorecard.notFound': 'This game could not be found.',
+  'scorecard.backToProfile': 'Back to your profile',
+  'scorecard.rounds_one': '{count} round',
+  'scorecard.rounds_other': '{count} rounds',
+  'scorecard.players_one': '{count} player',
+  'scorecard.players_other': '{count} players',
+  'scorecard.finalStandings': 'Final Standings',
+  'scorecard.winner': 'Winner',
+  'scorecard.round': 'Round {round}',
+  'scorecard.yesCount': '{count} yes',
+  'scorecard.noCount': '{count} no',
+  'scorecard.formerPlayer': 'Former player',
+  'scorecard.skipped': 'Skipped',
+  'scorecard.yes': 'Yes',
+  'scorecard.no': 'No',
+
+  'difficulty.easy': 'Easy',
+  'difficulty.medium': 'Medium',
+  'difficulty.hard': 'Hard',
+
+  'packs.title': 'Question Packs',
+  'packs.new': 'New Pack',
+  'packs.scope.mine': 'My Packs',
+  'packs.scope.public': 'Public Packs',
+  'packs.loading': 'Loading question packs...',
+  'packs.questionCount_one': '{count} question',
+  'packs.questionCount_other': '{count} questions',
+  'packs.visibility.public': 'Public',
+  'packs.visibility.private': 'Private',
+  'packs.by': 'by {name}',
+  'packs.unknownOwner': 'Unknown',
+  'packs.usedIn_one': 'used in {count} room',
+  'packs.usedIn_other': 'used in {count} rooms',
+  'packs.edit': 'Edit',
+  'packs.delete': 'Delete',
+  'packs.deleteConfirm': 'Delete the pack "{name}"?',
+  'packs.deleted': 'Question pack deleted',
+  'packs.deleteFailed': 'Failed to delete question pack',
+  'packs.loadFailed': 'Failed to load question packs',
+  'packs.noneMine': "You haven't made any question packs yet.",
+  'packs.nonePublic': 'No public question packs yet.',
+
+  'packEditor.editTitle': 'Edit Question Pack',
+  'packEditor.newTitle': 'New Question Pack',
+  'packEditor.loading': 'Loading question pack...',
+  'packEditor.loadFailed': 'Failed to load question pack',
+  'packEditor.name': 'Name',
+  'packEditor.namePlaceholder': 'Onboarding week',
+  'packEditor.description': 'Description',
+  'packEditor.visibility': 'Visibility',
+  'packEditor.onlyMe': 'Only me',
+  'packEditor.anyone': 'Anyone can use it',
+  'packEditor.questions': 'Questions ({count})',
+  'packEditor.new': 'new',
+  'packEditor.waitingForReview': 'waiting for review',
+  'packEditor.remove': 'Remove',
+  'packEditor.noQuestions': 'No questions yet. Write your own or add some from the question bank.',
+  'packEditor.writeQuestion': 'Write a question',
+  'packEditor.reviewHint': 'A moderator reviews the questions you write before other hosts can be dealt them.',
+  'packEditor.add': 'Add',
+  'packEditor.added': 'Added',
+  'packEditor.fromBank': 'Add from the question bank',
+  'packEditor.searchPlaceholder': 'Search questions',
+  'packEditor.saving': 'Saving...',
+  'packEditor.save': 'Save Pack',
+  'packEditor.cancel': 'Cancel',
+  'packEditor.writeFirst': 'Please write a question',
+  'packEditor.alreadyInPack': 'This question is already in the pack',
+  'packEditor.nameRequired': 'Please name the pack',
+  'packEditor.saved': 'Question pack saved',
+  'packEditor.saveFailed': 'Failed to save question pack',
+
+  'submit.title': 'Suggest a Question',
+  'submit.question': 'Question',
+  'submit.category': 'Category',
+  'submit.difficulty': 'Difficulty',
+  'submit.submitting': 'Submitting...',
+  'submit.submit': 'Submit for Review',
+  'submit.writeFirst': 'Please write a question',
+  'submit.thanks': 'Thanks! Your question is waiting for review',
+  'submit.failed': 'Failed to submit question',
+  'submit.yourSuggestions': 'Your Suggestions',
+  'submit.none': "You haven't suggested any questions yet.",
+  'submit.status.pending': 'pending',
+  'submit.status.approved': 'approved',
+  'submit.status.rejected': 'rejected',
+  'submit.reason': 'Reason: {reason}',
+
+  'adminJobs.title': 'Scheduled Jobs',
+  'adminJobs.refresh': 'Refresh',
+  'adminJobs.loading': 'Loading jobs...',
+  'adminJobs.loadFailed': 'Failed to load jobs',
+  'adminJobs.job': 'Job',
+  'adminJobs.schedule': 'Schedule',
+  'adminJobs.lastRun': 'Last Run',
+  'adminJobs.nextRun': 'Next Run',
+  'adminJobs.status.success': 'success',
+  'adminJobs.status.failed': 'failed',
+  'adminJobs.status.running': 'running',
+  'adminJobs.none': 'No jobs have been scheduled yet.',
+
+  'moderationQueue.title': 'Moderation',
+  'moderationQueue.tab.pending': 'Pending',
+  'moderationQueue.tab.approved': 'Approved',
+  'moderationQueue.tab.rejected': 'Rejected',
+  'moderationQueue.tab.flagged': 'Flagged',
+  'moderationQueue.loading': 'Loading submissions...',
+  'moderationQueue.loadFailed': 'Failed to load submissions',
+  'moderationQueue.empty.pending': 'No pending submissions.',
+  'moderationQueue.empty.approved': 'No approved submissions.',
+  'moderationQueue.empty.rejected': 'No rejected submissions.',
+  'moderationQueue.noFlagged': 'No flagged questions.',
+  'moderationQueue.unknownPlayer': 'Unknown player',
+  'moderationQueue.reasonPlaceholder': 'Reason shown to the player',
+  'moderationQueue.reasonRequired': 'Please give a reason',
+  'moderationQueue.reject': 'Reject',
+  'moderationQueue.rejectEllipsis': 'Reject...',
+  'moderationQueue.cancel': 'Cancel',
+  'moderationQueue.approve': 'Approve',
+  'moderationQueue.approved': 'Question approved',
+  'moderationQueue.rejected': 'Question rejected',
+  'moderationQueue.approveFailed': 'Failed to approve question',
+  'moderationQueue.rejectFailed': 'Failed to reject question',
+  'moderationQueue.reviewedBy': 'reviewed by {name}',
+  'moderationQueue.reason': 'Reason: {reason}',
+  'moderationQueue.hidden': 'Hidden',
+  'moderationQueue.keep': 'Keep question',
+  'moderationQueue.archive': 'Archive',
+  'moderationQueue.flagsDismissed': 'Flags dismissed',
+  'moderationQueue.archived': 'Question archived',
+  'moderationQueue.reviewFailed': 'Failed to review question',
+
+  'footer.copyright': '© {year} Never Have I Ever Game. All rights reserved.',
+  'footer.privacy': 'Privacy Policy',
+  'footer.terms': 'Terms of Service',
+  'footer.contact': 'Contact',
+
+  'timer.reading': 'Reading period',
+  'timer.takeYourTime': 'Take your time',
+  'timer.bonus_one': '+{count} bonus point',
+  'timer.bonus_other': '+{count} bonus points',
+  'timer.noBonus': 'No time bonus',
+
+  'leaderboard.title': 'Leaderboard',
+  'leaderboard.timeFrame.day': 'Daily',
+  'leaderboard.timeFrame.week': 'Weekly',
+  'leaderboard.timeFrame.month': 'Monthly',
+  'leaderboard.timeFrame.all': 'All-Time',
+  'leaderboard.timeFrame.range': 'Custom',
+  'leaderboard.pointsHeader.day': 'Daily Points',
+  'leaderboard.pointsHeader.week': 'Weekly Points',
+  'leaderboard.pointsHeader.month': 'Monthly Points',
+  'leaderboard.pointsHeader.all': 'All-Time Points',
+  'leaderboard.pointsHeader.range': 'Range Points',
+  'leaderboard.rangeTo': 'to',
+  'leaderboard.loading': 'Loading leaderboard...',
+  'leaderboard.rank': 'Rank',
+  'leaderboard.player': 'Player',
+  'leaderboard.empty': 'No players on the leaderboard yet.',
+  'leaderboard.loadFailed': 'Failed to load leaderboard',
+
+  'createRoom.language': 'Question Language',
+  'createRoom.languageHint': 'Everyone in the room sees the questions in this language',
+  'createRoom.title': 'Create Room',
+  'createRoom.name': 'Room Name',
+  'createRoom.namePlaceholder': 'Enter room name',
+  'createRoom.type': 'Room Type',
+  'createRoom.public': 'Public',
+  'createRoom.private': 'Private',
+  'createRoom.passcode': 'Passcode',
+  'createRoom.passcodePlaceholder': 'Enter room passcode',
+  'createRoom.maxPlayers': 'Max Players',
+  'createRoom.rounds': 'Rounds',
+  'createRoom.readingTime': 'Reading Time',
+  'createRoom.answerTime': 'Answer Time',
+  'createRoom.seconds': '{count}s',
+  'createRoom.scoring': 'Scoring',
+  'createRoom.packs': 'Question Packs',
+  'createRoom.noPacks': 'No question packs yet.',
+  'createRoom.wholeBank': 'Using the whole question bank',
+  'createRoom.selected': '{count} selected',
+  'createRoom.managePacks': 'Manage packs',
+  'createRoom.categories': 'Categories',
+  'createRoom.allCategories': 'All categories',
+  'createRoom.questionsAvailable_one': '{count} question available',
+  'createRoom.questionsAvailable_other': '{count} questions available',
+  'createRoom.difficulty': 'Difficulty',
+  'createRoom.streakBonus': 'Streak Bonus',
+  'createRoom.streak.flat': '+2 points per answer in a row',
+  'createRoom.streak.multiplier': 'Multiplier (up to x3)',
+  'createRoom.streak.off': 'Off',
+  'createRoom.streakHint': 'Rewards answering with the minority several rounds in a row',
+  'createRoom.creating': 'Creating...',
+  'createRoom.create': 'Create Room',
+  'createRoom.nameRequired': 'Please enter a room name',
+  'createRoom.passcodeRequired': 'Private rooms require a passcode',
+  'createRoom.created': 'Room created successfully',
+  'createRoom.failed': 'Failed to create room',
+
+  'lobby.ready': "I'm ready",
+  'lobby.notReady': "I'm not ready",
+  'lobby.playerReady': 'Ready',
+  'lobby.playerNotReady': 'Not ready',
+  'lobby.readyCount': '{count} of {total} players ready',
+  'lobby.waitingForReady': 'Waiting for players ({count}/{total} ready)',
+  'lobby.forceStart': 'Start anyway',
+  'lobby.forceStartConfirm': 'Not everyone is ready. Start the game anyway?',
+  'lobby.startingIn_one': 'Starting in {count} second...',
+  'lobby.startingIn_other': 'Starting in {count} seconds...',
+  'lobby.autoStart': 'Auto-start',
+  'lobby.autoStartOff': 'Off, the host starts the game',
+  'lobby.autoStartAfter_one': '{count} second after everyone is ready',
+  'lobby.autoStartAfter_other': '{count} seconds after everyone is ready',
+  'lobby.autoStartHint': 'The game starts on its own once every player is ready',
+
+  'absent.policyLabel': 'If a player disconnects',
+  'absent.policy.skip': 'Skip their turn',
+  'absent.policy.drop': 'Drop them after missed rounds',
+  'absent.policy.pause': 'Pause the game',
+  'absent.maxMissedRounds': 'Missed rounds before dropping',
+  'absent.missedRounds_one': 'after {count} round',
+  'absent.missedRounds_other': 'after {count} rounds',
+  'absent.policyHint.skip': "The game carries on and their answers count as skipped until they're back",
+  'absent.policyHint.drop': 'The game carries on, and players who miss too many rounds in a row are removed',
+  'absent.policyHint.pause': 'The game waits for them; the host can carry on without them',
+  'absent.gamePaused': 'A player disconnected, the game is paused',
+  'absent.pausedBanner': 'Game paused',
+  'absent.waitingFor': 'Waiting for {names} to come back...',
+  'absent.resumeWithout': 'Resume without them',
+  'absent.resumed': 'Everyone is back, the game continues',
+  'absent.resumedByHost': 'The host resumed the game',
+  'absent.playerDropped': '{name} was removed from the game',
+  'absent.youWereDropped': 'You were removed from the game after being away too long',
+  'absent.policyChanged': 'Disconnected players: {policy}',
+  'absent.dropConfirm': 'Remove {name} from the game?',
+
+  'moderation.kickPrompt': 'Remove {name} from the room? Add a reason if you like:',
+  'moderation.banPrompt': "Ban {name} from this room? They won't be able to join again. Add a reason if you like:",
+  'moderation.transferConfirm': 'Make {name} the host? You will lose the host controls.',
+  'moderation.actionsFor': 'Actions for {name}',
+  'moderation.makeHost': 'Make host',
+  'moderation.kick': 'Kick',
+  'moderation.ban': 'Ban from room',
+  'moderation.failed': 'That action failed, please try again',
+  'moderation.youWereKicked': 'The host removed you from the room',
+  'moderation.youWereBanned': 'The host banned you from this room',
+  'moderation.playerRemoved': '{name} was removed by the host',
+  'moderation.log': 'Moderation log',
+  'moderation.logEntry.kick': '{actor} kicked {target}',
+  'moderation.logEntry.ban': '{actor} banned {target}',
+  'moderation.logEntry.drop': '{actor} dropped {target}',
+  'moderation.logEntry.transfer-host': '{actor} made {target} the host',
+  'moderation.logEntry.autoDrop': '{target} was dropped after missing too many rounds',
+
+  'socketErrors.NOT_CONNECTED': "You're not connected to the game server. Check your connection and try again.",
+  'socketErrors.TIMEOUT': "The game server didn't respond. Please try again.",
+  'socketErrors.UNKNOWN_EVENT': "The game server didn't understand that request. Please refresh the page.",
+  'socketErrors.INVALID_PAYLOAD': 'That request was malformed. Please refresh the page.',
+  'socketErrors.ROOM_NOT_FOUND': 'This room no longer exists.',
+  'socketErrors.NOT_IN_ROOM': 'Join the room first.',
+  'socketErrors.NOT_HOST': 'Only the host can do that.',
+  'socketErrors.GAME_NOT_STARTED': "The game hasn't started yet.",
+  'socketErrors.GAME_NOT_IN_PROGRESS': "The game isn't in progress.",
+  'socketErrors.GAME_ALREADY_STARTED': 'The game has already started.',
+  'socketErrors.ANSWERS_NOT_OPEN': 'Hold on, answers open after the reading time.',
+  'socketErrors.ROUND_CLOSED': "Time's up for this round.",
+  'socketErrors.ALREADY_ANSWERED': 'Your answer for this round is already in.',
+  'socketErrors.GAME_PAUSED': 'The game is paused until everyone is back.',
+  'socketErrors.GAME_NOT_PAUSED': "The game isn't paused.",
+  'socketErrors.PLAYER_NOT_FOUND': "That player isn't in this room.",
+  'socketErrors.PLAYER_NOT_ABSENT': 'Players can only be removed once they have been gone for a while.',
+  'socketErrors.INTERNAL_ERROR': 'Something went wrong on the server. Please try again.'
+};
+
+export default en;
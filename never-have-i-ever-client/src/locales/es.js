@@ -0,0 +1,493 @@
+// Spanish interface strings
+const es = {
+  'language.label': 'Idioma',
+
+  'header.rooms': 'Salas',
+  'header.createRoom': 'Crear sala',
+  'header.joinRoom': 'Unirse a sala',
+  'header.leaderboard': 'Clasificación',
+  'header.packs': 'Paquetes',
+  'header.moderation': 'Moderación',
+  'header.admin': 'Admin',
+  'header.logout': 'Salir',
+  'header.joinGame': 'Jugar',
+
+  'question.readPrompt': 'Tómate un momento para leer la pregunta...',
+  'question.yes': 'SÍ',
+  'question.yesHint': 'Lo he hecho',
+  'question.no': 'NO',
+  'question.noHint': 'No lo he hecho',
+  'question.submitted': '¡Tu respuesta se ha enviado!',
+  'question.waitingForOthers': 'Esperando a que respondan los demás...',
+  'question.answerIn_one': 'Puedes responder en {count} segundo',
+  'question.answerIn_other': 'Puedes responder en {count} segundos',
+
+  'feedback.rate': 'Valora esta pregunta:',
+  'feedback.thumbsUp': 'Me gusta',
+  'feedback.thumbsDown': 'No me gusta',
+  'feedback.report': 'Denunciar',
+  'feedback.reported': 'Denunciada',
+  'feedback.reportTitle': 'Denunciar por inapropiada',
+  'feedback.removeReport': 'Retirar tu denuncia',
+  'feedback.reasonPlaceholder': '¿Qué tiene de malo? (opcional)',
+  'feedback.thanks': 'Gracias, un moderador la revisará',
+  'feedback.failed': 'No se pudo enviar tu valoración',
+
+  'game.errorLoading': 'Error al cargar la sala',
+  'game.loadFailed': 'No se pudieron cargar los datos de la sala',
+  'game.returnToList': 'Volver a la lista de salas',
+  'game.notFound': 'Sala no encontrada',
+  'game.notFoundBody': 'La sala que buscas no existe o se ha cerrado.',
+  'game.backToList': 'Volver a la lista de salas',
+  'game.waitingForPlayers': 'Esperando jugadores',
+  'game.roundOf': 'Ronda {round} de {total}',
+  'game.publicRoom': 'Sala pública',
+  'game.privateRoom': 'Sala privada',
+  'game.leaveRoom': 'Salir de la sala',
+  'game.joinRoom': 'Unirse',
+  'game.joining': 'Uniéndote...',
+  'game.passcodeLabel': 'Código de la sala:',
+  'game.passcodePlaceholder': 'Introduce el código de la sala',
+  'game.enter': 'Entrar',
+  'game.passcodeHint': 'Necesitas el código para entrar en esta sala privada',
+  'game.players': 'Jugadores',
+  'game.needTwoPlayers': 'Se necesitan al menos 2 jugadores',
+  'game.startGame': 'Empezar partida',
+  'game.progress': 'Progreso',
+  'game.round': 'Ronda:',
+  'game.answers': 'Respuestas:',
+  'game.countOf': '{count} de {total}',
+  'game.waitingToJoin': 'Esperando a que se unan jugadores...',
+  'game.hostCanStart': 'Cuando estés listo, pulsa "Empezar partida".',
+  'game.waitForHost': 'La partida empezará cuando el anfitrión esté listo.',
+  'game.lobbyInfo': 'Jugadores: {players}/{maxPlayers} • Rondas: {rounds}',
+  'game.roundResults': 'Resultados de la ronda',
+  'game.saidYes': 'Dijeron sí',
+  'game.saidNo': 'Dijeron no',
+  'game.youEarned_one': 'Has ganado {count} punto',
+  'game.youEarned_other': 'Has ganado {count} puntos',
+  'game.ranOutOfTime_one': 'A {count} jugador se le acabó el tiempo',
+  'game.ranOutOfTime_other': 'A {count} jugadores se les acabó el tiempo',
+  'game.finalScoresSoon': 'Enseguida, las puntuaciones finales...',
+  'game.nextRoundSoon': 'La siguiente ronda empieza enseguida...',
+  'game.processing': 'Procesando...',
+  'game.endGame': 'Terminar partida',
+  'game.nextRound': 'Siguiente ronda',
+  'game.waitingForQuestion': 'Esperando la siguiente pregunta...',
+  'game.playersAnswered': '{count} de {total} jugadores han respondido',
+  'game.allAnswered': '¡Todos han respondido!',
+  'game.completed': '¡Partida terminada!',
+  'game.checkLeaderboard': 'Consulta la clasificación para ver las puntuaciones finales.',
+  'game.viewScorecard': 'Ver resultados',
+  'game.viewLeaderboard': 'Ver clasificación',
+  'game.statusUnknown': 'Estado de la partida desconocido',
+  'game.refreshHint': 'Recarga la página o vuelve a la lista de salas.',
+  'game.backToRooms': 'Volver a las salas',
+  'game.playerJoined': '{name} se ha unido a la sala',
+  'game.playerLeft': '{name} ha salido de la sala',
+  'game.youAreHost': 'Ahora eres el anfitrión de la sala',
+  'game.newHost': '{name} es ahora el anfitrión',
+  'game.started': '¡Empieza la partida!',
+  'game.allAnsweredHost': '¡Todos han respondido! Puedes pasar a la siguiente ronda.',
+  'game.roundStarted': '¡Empieza la ronda {round}!',
+  'game.ended': '¡Fin de la partida!',
+  'game.roomClosed': 'La sala se ha cerrado',
+  'game.joined': 'Te has unido a la sala',
+  'game.left': 'Has salido de la sala',
+  'game.sessionResumed': '¡Bienvenido de nuevo! Sigues en la partida.',
+  'game.leaveFailed': 'No se pudo salir de la sala',
+  'game.hostLeaveConfirm': 'Eres el anfitrión de esta sala. Si sales, otro jugador pasará a ser el anfitrión. ¿Seguro que quieres salir?',
+  'game.onlyHostCanStart': 'Solo el anfitrión puede empezar la partida',
+  'game.onlyHostCanAdvance': 'Solo el anfitrión puede pasar a la siguiente ronda',
+  'game.refreshFailed': 'No se pudieron actualizar los datos de la sala. Se volverá a intentar en breve.',
+  'game.joinFailed': 'No se pudo unir a la sala',
+  'game.startFailed': 'No se pudo iniciar la partida',
+  'game.advanceFailed': 'No se pudo pasar a la siguiente ronda',
+  'game.speedBonus_one': '¡Bonificación por rapidez: +{count} punto!',
+  'game.speedBonus_other': '¡Bonificación por rapidez: +{count} puntos!',
+  'game.noSpeedBonus': 'Solo puntos base: respondiste demasiado tarde',
+  'game.scoring.minority': 'Minoría',
+  'game.scoring.participation': 'Participación',
+  'game.scoring.speed': 'Rapidez',
+  'game.scoring.honesty': 'Honestidad',
+
+  'players.title': 'Jugadores ({count})',
+  'players.points': 'Puntos',
+  'players.none': 'Todavía no se ha unido ningún jugador',
+  'players.you': '(tú)',
+  'players.host': 'Anfitrión',
+  'players.answered': 'Ha respondido',
+  'players.streak_one': '{count} respuesta de minoría seguida',
+  'players.streak_other': '{count} respuestas de minoría seguidas',
+  'players.missedRounds_one': 'Se perdió {count} ronda',
+  'players.missedRounds_other': 'Se perdió {count} rondas',
+  'players.drop': 'Quitar de la partida',
+
+  'presence.online': 'Conectado',
+  'presence.idle': 'Inactivo',
+  'presence.disconnected': 'Desconectado',
+  'presence.disconnectedAgo': 'Desconectado {time}',
+
+  'time.justNow': 'justo ahora',
+  'time.minutesAgo': 'hace {count} min',
+  'time.hoursAgo': 'hace {count} h',
+
+  'rooms.onlineCount_one': '{count} conectado',
+  'rooms.onlineCount_other': '{count} conectados',
+  'rooms.playersInRoom': 'Jugadores en la sala',
+  'rooms.title': 'Salas disponibles',
+  'rooms.filter.all': 'Todas',
+  'rooms.filter.public': 'Públicas',
+  'rooms.filter.private': 'Privadas',
+  'rooms.createRoom': 'Crear sala',
+  'rooms.emptyTitle': 'No hay salas disponibles',
+  'rooms.emptyBody': 'Parece que ahora mismo no hay salas de juego disponibles. ¿Por qué no creas una?',
+  'rooms.createFirst': 'Crear una sala',
+  'rooms.loadFailed': 'No se pudieron cargar las salas',
+  'rooms.type.public': 'pública',
+  'rooms.type.private': 'privada',
+  'rooms.status.waiting': 'En espera',
+  'rooms.status.playing': 'Jugando',
+  'rooms.anonymousHost': 'Anónimo',
+  'rooms.rounds_one': '{count} ronda',
+  'rooms.rounds_other': '{count} rondas',
+  'rooms.manage': 'Gestionar sala',
+  'rooms.enterPasscode': 'Introducir código',
+  'rooms.join': 'Unirse a la sala',
+  'rooms.rejoin': 'Volver a la sala',
+  'rooms.viewGame': 'Ver partida',
+  'rooms.full': 'Sala llena',
+  'rooms.loginToJoin': 'Debes iniciar sesión para unirte a una sala',
+  'rooms.joinFailed': 'No se pudo unir a la sala',
+
+  'joinRoom.title': 'Unirse a una sala privada',
+  'joinRoom.passcode': 'Código',
+  'joinRoom.passcodePlaceholder': 'Introduce el código de la sala',
+  'joinRoom.check': 'Comprobar',
+  'joinRoom.enterPasscode': 'Introduce un código',
+  'joinRoom.found': '¡Sala encontrada! Introduce el código si hace falta.',
+  'joinRoom.notFound': 'Sala no encontrada',
+  'joinRoom.findFailed': 'No se pudo encontrar la sala',
+  'joinRoom.joined': 'Te has unido a la sala',
+  'joinRoom.invalidPasscode': 'Código no válido',
+  'joinRoom.cannotJoin': 'No puedes unirte a esta sala',
+  'joinRoom.joinFailed': 'No se pudo unir a la sala',
+  'joinRoom.waitingForPlayers': 'Esperando jugadores',
+  'joinRoom.inProgress': 'En curso',
+  'joinRoom.players': 'Jugadores: {count}/{max}',
+  'joinRoom.rounds': 'Rondas: {count}',
+  'joinRoom.joining': 'Uniéndote...',
+  'joinRoom.join': 'Unirse a la sala',
+
+  'createUser.tagline': 'El juego de fiesta de las revelaciones vergonzosas',
+  'createUser.avatarAlt': 'Tu avatar',
+  'createUser.nameLabel': '¿Cómo te llamamos?',
+  'createUser.namePlaceholder': 'Introduce tu apodo',
+  'createUser.nameHint': 'Los demás jugadores verán este nombre',
+  'createUser.creating': 'Creando...',
+  'createUser.play': '¡A jugar!',
+  'createUser.enterName': 'Introduce un nombre',
+  'createUser.welcome': '¡Bienvenido a Yo Nunca!',
+  'createUser.failed': 'No se pudo crear el usuario',
+
+  'profile.title': 'Tu perfil',
+  'profile.loading': 'Cargando...',
+  'profile.displayName': 'Nombre visible',
+  'profile.nameHint': 'Cambiar tu nombre también actualiza tu avatar',
+  'profile.updating': 'Actualizando...',
+  'profile.update': 'Actualizar perfil',
+  'profile.enterName': 'Introduce un nombre',
+  'profile.updated': 'Perfil actualizado',
+  'profile.updateFailed': 'No se pudo actualizar el perfil',
+  'profile.loadFailed': 'No se pudieron cargar los datos del usuario',
+  'profile.stats': 'Tus estadísticas',
+  'profile.gamesPlayed': 'Partidas jugadas',
+  'profile.gamesWon': 'Partidas ganadas',
+  'profile.totalPoints': 'Puntos totales',
+  'profile.questionsContributed': 'Preguntas aportadas',
+  'profile.suggestQuestion': 'Sugerir una pregunta',
+  'profile.pastGames': 'Partidas anteriores',
+  'profile.noPastGames': 'Todavía no has terminado ninguna partida.',
+  'profile.points_one': '{count} pt',
+  'profile.points_other': '{count} pts',
+  'profile.winner': 'Ganador',
+  'profile.rankOf': '#{rank} de {total}',
+  'profile.logout': 'Cerrar sesión',
+
+  'scorecard.loading': 'Cargando resultados...',
+  'scorecard.loadFailed': 'No se pudo cargar la partida',
+  'scorecard.notFound': 'No se encontró esta partida.',
+  'scorecard.backToProfile': 'Volver a tu perfil',
+  'scorecard.rounds_one': '{count} ronda',
+  'scorecard.rounds_other': '{count} rondas',
+  'scorecard.players_one': '{count} jugador',
+  'scorecard.players_other': '{count} jugadores',
+  'scorecard.finalStandings': 'Clasificación final',
+  'scorecard.winner': 'Ganador',
+  'scorecard.round': 'Ronda {round}',
+  'scorecard.yesCount': '{count} sí',
+  'scorecard.noCount': '{count} no',
+  'scorecard.formerPlayer': 'Antiguo jugador',
+  'scorecard.skipped': 'Omitida',
+  'scorecard.yes': 'Sí',
+  'scorecard.no': 'No',
+
+  'difficulty.easy': 'Fácil',
+  'difficulty.medium': 'Media',
+  'difficulty.hard': 'Difícil',
+
+  'packs.title': 'Paquetes de preguntas',
+  'packs.new': 'Nuevo paquete',
+  'packs.scope.mine': 'Mis paquetes',
+  'packs.scope.public': 'Paquetes públicos',
+  'packs.loading': 'Cargando paquetes de preguntas...',
+  'packs.questionCount_one': '{count} pregunta',
+  'packs.questionCount_other': '{count} preguntas',
+  'packs.visibility.public': 'Público',
+  'packs.visibility.private': 'Privado',
+  'packs.by': 'de {name}',
+  'packs.unknownOwner': 'Desconocido',
+  'packs.usedIn_one': 'usado en {count} sala',
+  'packs.usedIn_other': 'usado en {count} salas',
+  'packs.edit': 'Editar',
+  'packs.delete': 'Eliminar',
+  'packs.deleteConfirm': '¿Eliminar el paquete "{name}"?',
+  'packs.deleted': 'Paquete de preguntas eliminado',
+  'packs.deleteFailed': 'No se pudo eliminar el paquete de preguntas',
+  'packs.loadFailed': 'No se pudieron cargar los paquetes de preguntas',
+  'packs.noneMine': 'Todavía no has creado ningún paquete de preguntas.',
+  'packs.nonePublic': 'Todavía no hay paquetes de preguntas públicos.',
+
+  'packEditor.editTitle': 'Editar paquete de preguntas',
+  'packEditor.newTitle': 'Nuevo paquete de preguntas',
+  'packEditor.loading': 'Cargando paquete de preguntas...',
+  'packEditor.loadFailed': 'No se pudo cargar el paquete de preguntas',
+  'packEditor.name': 'Nombre',
+  'packEditor.namePlaceholder': 'Semana de bienvenida',
+  'packEditor.description': 'Descripción',
+  'packEditor.visibility': 'Visibilidad',
+  'packEditor.onlyMe': 'Solo yo',
+  'packEditor.anyone': 'Cualquiera puede usarlo',
+  'packEditor.questions': 'Preguntas ({count})',
+  'packEditor.new': 'nueva',
+  'packEditor.waitingForReview': 'pendiente de revisión',
+  'packEditor.remove': 'Quitar',
+  'packEditor.noQuestions': 'Todavía no hay preguntas. Escribe las tuyas o añade algunas del banco de preguntas.',
+  'packEditor.writeQuestion': 'Escribe una pregunta',
+  'packEditor.reviewHint': 'Un moderador revisa las preguntas que escribes antes de que otros anfitriones puedan recibirlas.',
+  'packEditor.add': 'Añadir',
+  'packEditor.added': 'Añadida',
+  'packEditor.fromBank': 'Añadir del banco de preguntas',
+  'packEditor.searchPlaceholder': 'Buscar preguntas',
+  'packEditor.saving': 'Guardando...',
+  'packEditor.save': 'Guardar paquete',
+  'packEditor.cancel': 'Cancelar',
+  'packEditor.writeFirst': 'Escribe una pregunta',
+  'packEditor.alreadyInPack': 'Esta pregunta ya está en el paquete',
+  'packEditor.nameRequired': 'Ponle un nombre al paquete',
+  'packEditor.saved': 'Paquete de preguntas guardado',
+  'packEditor.saveFailed': 'No se pudo guardar el paquete de preguntas',
+
+  'submit.title': 'Sugiere una pregunta',
+  'submit.question': 'Pregunta',
+  'submit.category': 'Categoría',
+  'submit.difficulty': 'Dificultad',
+  'submit.submitting': 'Enviando...',
+  'submit.submit': 'Enviar a revisión',
+  'submit.writeFirst': 'Escribe una pregunta',
+  'submit.thanks': '¡Gracias! Tu pregunta está pendiente de revisión',
+  'submit.failed': 'No se pudo enviar la pregunta',
+  'submit.yourSuggestions': 'Tus sugerencias',
+  'submit.none': 'Todavía no has sugerido ninguna pregunta.',
+  'submit.status.pending': 'pendiente',
+  'submit.status.approved': 'aprobada',
+  'submit.status.rejected': 'rechazada',
+  'submit.reason': 'Motivo: {reason}',
+
+  'adminJobs.title': 'Tareas programadas',
+  'adminJobs.refresh': 'Actualizar',
+  'adminJobs.loading': 'Cargando tareas...',
+  'adminJobs.loadFailed': 'No se pudieron cargar las tareas',
+  'adminJobs.job': 'Tarea',
+  'adminJobs.schedule': 'Programación',
+  'adminJobs.lastRun': 'Última ejecución',
+  'adminJobs.nextRun': 'Próxima ejecución',
+  'adminJobs.status.success': 'correcta',
+  'adminJobs.status.failed': 'fallida',
+  'adminJobs.status.running': 'en curso',
+  'adminJobs.none': 'Todavía no hay tareas programadas.',
+
+  'moderationQueue.title': 'Moderación',
+  'moderationQueue.tab.pending': 'Pendientes',
+  'moderationQueue.tab.approved': 'Aprobadas',
+  'moderationQueue.tab.rejected': 'Rechazadas',
+  'moderationQueue.tab.flagged': 'Denunciadas',
+  'moderationQueue.loading': 'Cargando propuestas...',
+  'moderationQueue.loadFailed': 'No se pudieron cargar las propuestas',
+  'moderationQueue.empty.pending': 'No hay propuestas pendientes.',
+  'moderationQueue.empty.approved': 'No hay propuestas aprobadas.',
+  'moderationQueue.empty.rejected': 'No hay propuestas rechazadas.',
+  'moderationQueue.noFlagged': 'No hay preguntas denunciadas.',
+  'moderationQueue.unknownPlayer': 'Jugador desconocido',
+  'moderationQueue.reasonPlaceholder': 'Motivo que verá el jugador',
+  'moderationQueue.reasonRequired': 'Indica un motivo',
+  'moderationQueue.reject': 'Rechazar',
+  'moderationQueue.rejectEllipsis': 'Rechazar...',
+  'moderationQueue.cancel': 'Cancelar',
+  'moderationQueue.approve': 'Aprobar',
+  'moderationQueue.approved': 'Pregunta aprobada',
+  'moderationQueue.rejected': 'Pregunta rechazada',
+  'moderationQueue.approveFailed': 'No se pudo aprobar la pregunta',
+  'moderationQueue.rejectFailed': 'No se pudo rechazar la pregunta',
+  'moderationQueue.reviewedBy': 'revisada por {name}',
+  'moderationQueue.reason': 'Motivo: {reason}',
+  'moderationQueue.hidden': 'Oculta',
+  'moderationQueue.keep': 'Mantener pregunta',
+  'moderationQueue.archive': 'Archivar',
+  'moderationQueue.flagsDismissed': 'Denuncias descartadas',
+  'moderationQueue.archived': 'Pregunta archivada',
+  'moderationQueue.reviewFailed': 'No se pudo revisar la pregunta',
+
+  'footer.copyright': '© {year} Juego Yo Nunca. Todos los derechos reservados.',
+  'footer.privacy': 'Política de privacidad',
+  'footer.terms': 'Condiciones del servicio',
+  'footer.contact': 'Contacto',
+
+  'timer.reading': 'Tiempo de lectura',
+  'timer.takeYourTime': 'Tómate tu tiempo',
+  'timer.bonus_one': '+{count} punto extra',
+  'timer.bonus_other': '+{count} puntos extra',
+  'timer.noBonus': 'Sin bonificación de tiempo',
+
+  'leaderboard.title': 'Clasificación',
+  'leaderboard.timeFrame.day': 'Diaria',
+  'leaderboard.timeFrame.week': 'Semanal',
+  'leaderboard.timeFrame.month': 'Mensual',
+  'leaderboard.timeFrame.all': 'Histórica',
+  'leaderboard.timeFrame.range': 'Personalizada',
+  'leaderboard.pointsHeader.day': 'Puntos del día',
+  'leaderboard.pointsHeader.week': 'Puntos de la semana',
+  'leaderboard.pointsHeader.month': 'Puntos del mes',
+  'leaderboard.pointsHeader.all': 'Puntos totales',
+  'leaderboard.pointsHeader.range': 'Puntos del periodo',
+  'leaderboard.rangeTo': 'a',
+  'leaderboard.loading': 'Cargando clasificación...',
+  'leaderboard.rank': 'Puesto',
+  'leaderboard.player': 'Jugador',
+  'leaderboard.empty': 'Todavía no hay jugadores en la clasificación.',
+  'leaderboard.loadFailed': 'No se pudo cargar la clasificación',
+
+  'createRoom.language': 'Idioma de las preguntas',
+  'createRoom.languageHint': 'Todos en la sala verán las preguntas en este idioma',
+  'createRoom.title': 'Crear sala',
+  'createRoom.name': 'Nombre de la sala',
+  'createRoom.namePlaceholder': 'Introduce el nombre de la sala',
+  'createRoom.type': 'Tipo de sala',
+  'createRoom.public': 'Pública',
+  'createRoom.private': 'Privada',
+  'createRoom.passcode': 'Código',
+  'createRoom.passcodePlaceholder': 'Introduce el código de la sala',
+  'createRoom.maxPlayers': 'Máximo de jugadores',
+  'createRoom.rounds': 'Rondas',
+  'createRoom.readingTime': 'Tiempo de lectura',
+  'createRoom.answerTime': 'Tiempo de respuesta',
+  'createRoom.seconds': '{count} s',
+  'createRoom.scoring': 'Puntuación',
+  'createRoom.packs': 'Paquetes de preguntas',
+  'createRoom.noPacks': 'Todavía no hay paquetes de preguntas.',
+  'createRoom.wholeBank': 'Se usa todo el banco de preguntas',
+  'createRoom.selected': '{count} seleccionados',
+  'createRoom.managePacks': 'Gestionar paquetes',
+  'createRoom.categories': 'Categorías',
+  'createRoom.allCategories': 'Todas las categorías',
+  'createRoom.questionsAvailable_one': '{count} pregunta disponible',
+  'createRoom.questionsAvailable_other': '{count} preguntas disponibles',
+  'createRoom.difficulty': 'Dificultad',
+  'createRoom.streakBonus': 'Bonus por racha',
+  'createRoom.streak.flat': '+2 puntos por respuesta seguida',
+  'createRoom.streak.multiplier': 'Multiplicador (hasta x3)',
+  'createRoom.streak.off': 'Desactivado',
+  'createRoom.streakHint': 'Premia responder con la minoría varias rondas seguidas',
+  'createRoom.creating': 'Creando...',
+  'createRoom.create': 'Crear sala',
+  'createRoom.nameRequired': 'Introduce un nombre para la sala',
+  'createRoom.passcodeRequired': 'Las salas privadas necesitan un código',
+  'createRoom.created': 'Sala creada',
+  'createRoom.failed': 'No se pudo crear la sala',
+
+  'lobby.ready': 'Estoy listo',
+  'lobby.notReady': 'No estoy listo',
+  'lobby.playerReady': 'Listo',
+  'lobby.playerNotReady': 'No está listo',
+  'lobby.readyCount': '{count} de {total} jugadores listos',
+  'lobby.waitingForReady': 'Esperando a los jugadores ({count}/{total} listos)',
+  'lobby.forceStart': 'Empezar de todos modos',
+  'lobby.forceStartConfirm': 'No todos están listos. ¿Empezar la partida de todos modos?',
+  'lobby.startingIn_one': 'Empieza en {count} segundo...',
+  'lobby.startingIn_other': 'Empieza en {count} segundos...',
+  'lobby.autoStart': 'Inicio automático',
+  'lobby.autoStartOff': 'No, el anfitrión inicia la partida',
+  'lobby.autoStartAfter_one': '{count} segundo después de que todos estén listos',
+  'lobby.autoStartAfter_other': '{count} segundos después de que todos estén listos',
+  'lobby.autoStartHint': 'La partida empieza sola cuando todos los jugadores están listos',
+
+  'absent.policyLabel': 'Si un jugador se desconecta',
+  'absent.policy.skip': 'Saltar su turno',
+  'absent.policy.drop': 'Expulsarlo tras rondas perdidas',
+  'absent.policy.pause': 'Pausar la partida',
+  'absent.maxMissedRounds': 'Rondas perdidas antes de expulsar',
+  'absent.missedRounds_one': 'tras {count} ronda',
+  'absent.missedRounds_other': 'tras {count} rondas',
+  'absent.policyHint.skip': 'La partida sigue y sus respuestas cuentan como saltadas hasta que vuelva',
+  'absent.policyHint.drop': 'La partida sigue y quien pierda demasiadas rondas seguidas queda fuera',
+  'absent.policyHint.pause': 'La partida le espera; el anfitrión puede seguir sin él',
+  'absent.gamePaused': 'Un jugador se desconectó, la partida está en pausa',
+  'absent.pausedBanner': 'Partida en pausa',
+  'absent.waitingFor': 'Esperando a que vuelva {names}...',
+  'absent.resumeWithout': 'Seguir sin ellos',
+  'absent.resumed': 'Todos han vuelto, la partida continúa',
+  'absent.resumedByHost': 'El anfitrión reanudó la partida',
+  'absent.playerDropped': '{name} salió de la partida',
+  'absent.youWereDropped': 'Te sacaron de la partida por estar ausente demasiado tiempo',
+  'absent.policyChanged': 'Jugadores desconectados: {policy}',
+  'absent.dropConfirm': '¿Sacar a {name} de la partida?',
+
+  'moderation.kickPrompt': '¿Sacar a {name} de la sala? Puedes añadir un motivo:',
+  'moderation.banPrompt': '¿Vetar a {name} en esta sala? No podrá volver a entrar. Puedes añadir un motivo:',
+  'moderation.transferConfirm': '¿Hacer anfitrión a {name}? Perderás los controles de anfitrión.',
+  'moderation.actionsFor': 'Acciones para {name}',
+  'moderation.makeHost': 'Hacer anfitrión',
+  'moderation.kick': 'Sacar de la sala',
+  'moderation.ban': 'Vetar en la sala',
+  'moderation.failed': 'No se pudo completar la acción, inténtalo de nuevo',
+  'moderation.youWereKicked': 'El anfitrión te sacó de la sala',
+  'moderation.youWereBanned': 'El anfitrión te vetó en esta sala',
+  'moderation.playerRemoved': 'El anfitrión sacó a {name}',
+  'moderation.log': 'Registro de moderación',
+  'moderation.logEntry.kick': '{actor} sacó a {target}',
+  'moderation.logEntry.ban': '{actor} vetó a {target}',
+  'moderation.logEntry.drop': '{actor} retiró a {target}',
+  'moderation.logEntry.transfer-host': '{actor} hizo anfitrión a {target}',
+  'moderation.logEntry.autoDrop': '{target} quedó fuera por perder demasiadas rondas',
+
+  'socketErrors.NOT_CONNECTED': 'No estás conectado al servidor del juego. Revisa tu conexión e inténtalo de nuevo.',
+  'socketErrors.TIMEOUT': 'El servidor del juego no respondió. Inténtalo de nuevo.',
+  'socketErrors.UNKNOWN_EVENT': 'El servidor del juego no entendió esa solicitud. Recarga la página.',
+  'socketErrors.INVALID_PAYLOAD': 'La solicitud no era válida. Recarga la página.',
+  'socketErrors.ROOM_NOT_FOUND': 'Esta sala ya no existe.',
+  'socketErrors.NOT_IN_ROOM': 'Primero únete a la sala.',
+  'socketErrors.NOT_HOST': 'Solo el anfitrión puede hacer eso.',
+  'socketErrors.GAME_NOT_STARTED': 'La partida aún no ha empezado.',
+  'socketErrors.GAME_NOT_IN_PROGRESS': 'La partida no está en curso.',
+  'socketErrors.GAME_ALREADY_STARTED': 'La partida ya ha empezado.',
+  'socketErrors.ANSWERS_NOT_OPEN': 'Espera, las respuestas se abren tras el tiempo de lectura.',
+  'socketErrors.ROUND_CLOSED': 'Se acabó el tiempo de esta ronda.',
+  'socketErrors.ALREADY_ANSWERED': 'Ya tenemos tu respuesta para esta ronda.',
+  'socketErrors.GAME_PAUSED': 'La partida está en pausa hasta que vuelvan todos.',
+  'socketErrors.GAME_NOT_PAUSED': 'La partida no está en pausa.',
+  'socketErrors.PLAYER_NOT_FOUND': 'Ese jugador no está en esta sala.',
+  'socketErrors.PLAYER_NOT_ABSENT': 'Solo se puede sacar a un jugador que lleva un rato ausente.',
+  'socketErrors.INTERNAL_ERROR': 'Algo salió mal en el servidor. Inténtalo de nuevo.'
+};
+
+export default es;
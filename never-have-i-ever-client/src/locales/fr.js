@@ -0,0 +1,493 @@
+// French interface strings
+const fr = {
+  'language.label': 'Langue',
+
+  'header.rooms': 'Salons',
+  'header.createRoom': 'Créer un salon',
+  'header.joinRoom': 'Rejoindre',
+  'header.leaderboard': 'Classement',
+  'header.packs': 'Packs',
+  'header.moderation': 'Modération',
+  'header.admin': 'Admin',
+  'header.logout': 'Déconnexion',
+  'header.joinGame': 'Jouer',
+
+  'question.readPrompt': 'Prenez le temps de lire la question...',
+  'question.yes': 'OUI',
+  'question.yesHint': "Je l'ai déjà fait",
+  'question.no': 'NON',
+  'question.noHint': "Je ne l'ai jamais fait",
+  'question.submitted': 'Votre réponse a été envoyée !',
+  'question.waitingForOthers': 'En attente des autres joueurs...',
+  'question.answerIn_one': 'Vous pourrez répondre dans {count} seconde',
+  'question.answerIn_other': 'Vous pourrez répondre dans {count} secondes',
+
+  'feedback.rate': 'Notez cette question :',
+  'feedback.thumbsUp': "J'aime",
+  'feedback.thumbsDown': "Je n'aime pas",
+  'feedback.report': 'Signaler',
+  'feedback.reported': 'Signalée',
+  'feedback.reportTitle': 'Signaler comme inappropriée',
+  'feedback.removeReport': 'Retirer votre signalement',
+  'feedback.reasonPlaceholder': 'Quel est le problème ? (facultatif)',
+  'feedback.thanks': 'Merci, un modérateur va y jeter un œil',
+  'feedback.failed': "Impossible d'envoyer votre avis",
+
+  'game.errorLoading': 'Erreur de chargement du salon',
+  'game.loadFailed': 'Impossible de charger le salon',
+  'game.returnToList': 'Retour à la liste des salons',
+  'game.notFound': 'Salon introuvable',
+  'game.notFoundBody': "Le salon que vous cherchez n'existe pas ou a été fermé.",
+  'game.backToList': 'Retour à la liste des salons',
+  'game.waitingForPlayers': 'En attente de joueurs',
+  'game.roundOf': 'Manche {round} sur {total}',
+  'game.publicRoom': 'Salon public',
+  'game.privateRoom': 'Salon privé',
+  'game.leaveRoom': 'Quitter le salon',
+  'game.joinRoom': 'Rejoindre',
+  'game.joining': 'Connexion...',
+  'game.passcodeLabel': 'Code du salon :',
+  'game.passcodePlaceholder': 'Saisissez le code du salon',
+  'game.enter': 'Entrer',
+  'game.passcodeHint': 'Il faut le code pour entrer dans ce salon privé',
+  'game.players': 'Joueurs',
+  'game.needTwoPlayers': 'Il faut au moins 2 joueurs',
+  'game.startGame': 'Lancer la partie',
+  'game.progress': 'Progression',
+  'game.round': 'Manche :',
+  'game.answers': 'Réponses :',
+  'game.countOf': '{count} sur {total}',
+  'game.waitingToJoin': "En attente de l'arrivée des joueurs...",
+  'game.hostCanStart': 'Quand vous êtes prêt, cliquez sur « Lancer la partie » !',
+  'game.waitForHost': "La partie commencera quand l'hôte sera prêt.",
+  'game.lobbyInfo': 'Joueurs : {players}/{maxPlayers} • Manches : {rounds}',
+  'game.roundResults': 'Résultats de la manche',
+  'game.saidYes': 'Ont dit oui',
+  'game.saidNo': 'Ont dit non',
+  'game.youEarned_one': 'Vous gagnez {count} point',
+  'game.youEarned_other': 'Vous gagnez {count} points',
+  'game.ranOutOfTime_one': "{count} joueur n'a pas répondu à temps",
+  'game.ranOutOfTime_other': "{count} joueurs n'ont pas répondu à temps",
+  'game.finalScoresSoon': 'Les scores finaux arrivent...',
+  'game.nextRoundSoon': 'La prochaine manche commence bientôt...',
+  'game.processing': 'Traitement...',
+  'game.endGame': 'Terminer la partie',
+  'game.nextRound': 'Manche suivante',
+  'game.waitingForQuestion': 'En attente de la prochaine question...',
+  'game.playersAnswered': '{count} joueurs sur {total} ont répondu',
+  'game.allAnswered': 'Tout le monde a répondu !',
+  'game.completed': 'Partie terminée !',
+  'game.checkLeaderboard': 'Consultez le classement pour voir les scores finaux.',
+  'game.viewScorecard': 'Voir les résultats',
+  'game.viewLeaderboard': 'Voir le classement',
+  'game.statusUnknown': 'État de la partie inconnu',
+  'game.refreshHint': 'Rechargez la page ou revenez à la liste des salons.',
+  'game.backToRooms': 'Retour aux salons',
+  'game.playerJoined': '{name} a rejoint le salon',
+  'game.playerLeft': '{name} a quitté le salon',
+  'game.youAreHost': "Vous êtes maintenant l'hôte du salon",
+  'game.newHost': "{name} est maintenant l'hôte",
+  'game.started': 'La partie commence !',
+  'game.allAnsweredHost': 'Tout le monde a répondu ! Vous pouvez passer à la manche suivante.',
+  'game.roundStarted': 'La manche {round} commence !',
+  'game.ended': 'Partie terminée !',
+  'game.roomClosed': 'Le salon a été fermé',
+  'game.joined': 'Vous avez rejoint le salon',
+  'game.left': 'Vous avez quitté le salon',
+  'game.sessionResumed': 'Bon retour ! Vous êtes toujours dans la partie.',
+  'game.leaveFailed': 'Impossible de quitter le salon',
+  'game.hostLeaveConfirm': "Vous êtes l'hôte de ce salon. Si vous partez, un autre joueur deviendra l'hôte. Voulez-vous vraiment partir ?",
+  'game.onlyHostCanStart': "Seul l'hôte peut lancer la partie",
+  'game.onlyHostCanAdvance': "Seul l'hôte peut passer à la manche suivante",
+  'game.refreshFailed': "Impossible d'actualiser le salon. Nouvel essai sous peu.",
+  'game.joinFailed': 'Impossible de rejoindre le salon',
+  'game.startFailed': 'Impossible de lancer la partie',
+  'game.advanceFailed': 'Impossible de passer à la manche suivante',
+  'game.speedBonus_one': 'Bonus de rapidité : +{count} point !',
+  'game.speedBonus_other': 'Bonus de rapidité : +{count} points !',
+  'game.noSpeedBonus': 'Points de base seulement : réponse trop lente',
+  'game.scoring.minority': 'Minorité',
+  'game.scoring.participation': 'Participation',
+  'game.scoring.speed': 'Rapidité',
+  'game.scoring.honesty': 'Honnêteté',
+
+  'players.title': 'Joueurs ({count})',
+  'players.points': 'Points',
+  'players.none': "Aucun joueur n'a encore rejoint",
+  'players.you': '(vous)',
+  'players.host': 'Hôte',
+  'players.answered': 'A répondu',
+  'players.streak_one': "{count} réponse minoritaire d'affilée",
+  'players.streak_other': "{count} réponses minoritaires d'affilée",
+  'players.missedRounds_one': '{count} manche manquée',
+  'players.missedRounds_other': '{count} manches manquées',
+  'players.drop': 'Retirer de la partie',
+
+  'presence.online': 'En ligne',
+  'presence.idle': 'Inactif',
+  'presence.disconnected': 'Déconnecté',
+  'presence.disconnectedAgo': 'Déconnecté {time}',
+
+  'time.justNow': "à l'instant",
+  'time.minutesAgo': 'il y a {count} min',
+  'time.hoursAgo': 'il y a {count} h',
+
+  'rooms.onlineCount_one': '{count} en ligne',
+  'rooms.onlineCount_other': '{count} en ligne',
+  'rooms.playersInRoom': 'Joueurs dans le salon',
+  'rooms.title': 'Salons disponibles',
+  'rooms.filter.all': 'Tous',
+  'rooms.filter.public': 'Publics',
+  'rooms.filter.private': 'Privés',
+  'rooms.createRoom': 'Créer un salon',
+  'rooms.emptyTitle': 'Aucun salon disponible',
+  'rooms.emptyBody': "On dirait qu'il n'y a aucun salon de jeu disponible pour le moment. Pourquoi ne pas en créer un ?",
+  'rooms.createFirst': 'Créer un salon',
+  'rooms.loadFailed': 'Impossible de charger les salons',
+  'rooms.type.public': 'public',
+  'rooms.type.private': 'privé',
+  'rooms.status.waiting': 'En attente',
+  'rooms.status.playing': 'En jeu',
+  'rooms.anonymousHost': 'Anonyme',
+  'rooms.rounds_one': '{count} manche',
+  'rooms.rounds_other': '{count} manches',
+  'rooms.manage': 'Gérer le salon',
+  'rooms.enterPasscode': 'Saisir le code',
+  'rooms.join': 'Rejoindre le salon',
+  'rooms.rejoin': 'Revenir dans le salon',
+  'rooms.viewGame': 'Voir la partie',
+  'rooms.full': 'Salon complet',
+  'rooms.loginToJoin': 'Vous devez être connecté pour rejoindre un salon',
+  'rooms.joinFailed': 'Impossible de rejoindre le salon',
+
+  'joinRoom.title': 'Rejoindre un salon privé',
+  'joinRoom.passcode': 'Code',
+  'joinRoom.passcodePlaceholder': 'Saisissez le code du salon',
+  'joinRoom.check': 'Vérifier',
+  'joinRoom.enterPasscode': 'Veuillez saisir un code',
+  'joinRoom.found': 'Salon trouvé ! Saisissez le code si nécessaire.',
+  'joinRoom.notFound': 'Salon introuvable',
+  'joinRoom.findFailed': 'Impossible de trouver le salon',
+  'joinRoom.joined': 'Vous avez rejoint le salon',
+  'joinRoom.invalidPasscode': 'Code invalide',
+  'joinRoom.cannotJoin': 'Impossible de rejoindre ce salon',
+  'joinRoom.joinFailed': 'Impossible de rejoindre le salon',
+  'joinRoom.waitingForPlayers': 'En attente de joueurs',
+  'joinRoom.inProgress': 'En cours',
+  'joinRoom.players': 'Joueurs : {count}/{max}',
+  'joinRoom.rounds': 'Manches : {count}',
+  'joinRoom.joining': 'Connexion...',
+  'joinRoom.join': 'Rejoindre le salon',
+
+  'createUser.tagline': 'Le jeu de soirée des révélations embarrassantes',
+  'createUser.avatarAlt': 'Votre avatar',
+  'createUser.nameLabel': 'Comment doit-on vous appeler ?',
+  'createUser.namePlaceholder': 'Saisissez votre pseudo',
+  'createUser.nameHint': 'Ce nom sera visible par les autres joueurs',
+  'createUser.creating': 'Création...',
+  'createUser.play': 'On joue !',
+  'createUser.enterName': 'Veuillez saisir un nom',
+  'createUser.welcome': "Bienvenue dans Je n'ai jamais !",
+  'createUser.failed': "Impossible de créer l'utilisateur",
+
+  'profile.title': 'Votre profil',
+  'profile.loading': 'Chargement...',
+  'profile.displayName': "Nom d'affichage",
+  'profile.nameHint': 'Changer de nom met aussi à jour votre avatar',
+  'profile.updating': 'Mise à jour...',
+  'profile.update': 'Mettre à jour le profil',
+  'profile.enterName': 'Veuillez saisir un nom',
+  'profile.updated': 'Profil mis à jour',
+  'profile.updateFailed': 'Impossible de mettre à jour le profil',
+  'profile.loadFailed': "Impossible de charger les informations de l'utilisateur",
+  'profile.stats': 'Vos statistiques',
+  'profile.gamesPlayed': 'Parties jouées',
+  'profile.gamesWon': 'Parties gagnées',
+  'profile.totalPoints': 'Points au total',
+  'profile.questionsContributed': 'Questions proposées',
+  'profile.suggestQuestion': 'Proposer une question',
+  'profile.pastGames': 'Parties précédentes',
+  'profile.noPastGames': "Vous n'avez encore terminé aucune partie.",
+  'profile.points_one': '{count} pt',
+  'profile.points_other': '{count} pts',
+  'profile.winner': 'Gagnant',
+  'profile.rankOf': '#{rank} sur {total}',
+  'profile.logout': 'Se déconnecter',
+
+  'scorecard.loading': 'Chargement du récapitulatif...',
+  'scorecard.loadFailed': 'Impossible de charger la partie',
+  'scorecard.notFound': 'Cette partie est introuvable.',
+  'scorecard.backToProfile': 'Retour à votre profil',
+  'scorecard.rounds_one': '{count} manche',
+  'scorecard.rounds_other': '{count} manches',
+  'scorecard.players_one': '{count} joueur',
+  'scorecard.players_other': '{count} joueurs',
+  'scorecard.finalStandings': 'Classement final',
+  'scorecard.winner': 'Gagnant',
+  'scorecard.round': 'Manche {round}',
+  'scorecard.yesCount': '{count} oui',
+  'scorecard.noCount': '{count} non',
+  'scorecard.formerPlayer': 'Ancien joueur',
+  'scorecard.skipped': 'Passée',
+  'scorecard.yes': 'Oui',
+  'scorecard.no': 'Non',
+
+  'difficulty.easy': 'Facile',
+  'difficulty.medium': 'Moyenne',
+  'difficulty.hard': 'Difficile',
+
+  'packs.title': 'Packs de questions',
+  'packs.new': 'Nouveau pack',
+  'packs.scope.mine': 'Mes packs',
+  'packs.scope.public': 'Packs publics',
+  'packs.loading': 'Chargement des packs de questions...',
+  'packs.questionCount_one': '{count} question',
+  'packs.questionCount_other': '{count} questions',
+  'packs.visibility.public': 'Public',
+  'packs.visibility.private': 'Privé',
+  'packs.by': 'par {name}',
+  'packs.unknownOwner': 'Inconnu',
+  'packs.usedIn_one': 'utilisé dans {count} salon',
+  'packs.usedIn_other': 'utilisé dans {count} salons',
+  'packs.edit': 'Modifier',
+  'packs.delete': 'Supprimer',
+  'packs.deleteConfirm': 'Supprimer le pack « {name} » ?',
+  'packs.deleted': 'Pack de questions supprimé',
+  'packs.deleteFailed': 'Impossible de supprimer le pack de questions',
+  'packs.loadFailed': 'Impossible de charger les packs de questions',
+  'packs.noneMine': "Vous n'avez encore créé aucun pack de questions.",
+  'packs.nonePublic': "Il n'y a pas encore de pack de questions public.",
+
+  'packEditor.editTitle': 'Modifier le pack de questions',
+  'packEditor.newTitle': 'Nouveau pack de questions',
+  'packEditor.loading': 'Chargement du pack de questions...',
+  'packEditor.loadFailed': 'Impossible de charger le pack de questions',
+  'packEditor.name': 'Nom',
+  'packEditor.namePlaceholder': "Semaine d'intégration",
+  'packEditor.description': 'Description',
+  'packEditor.visibility': 'Visibilité',
+  'packEditor.onlyMe': 'Moi uniquement',
+  'packEditor.anyone': "Tout le monde peut l'utiliser",
+  'packEditor.questions': 'Questions ({count})',
+  'packEditor.new': 'nouvelle',
+  'packEditor.waitingForReview': 'en attente de relecture',
+  'packEditor.remove': 'Retirer',
+  'packEditor.noQuestions': 'Pas encore de questions. Écrivez les vôtres ou ajoutez-en depuis la banque de questions.',
+  'packEditor.writeQuestion': 'Écrire une question',
+  'packEditor.reviewHint': "Un modérateur relit les questions que vous écrivez avant qu'elles puissent être tirées par d'autres hôtes.",
+  'packEditor.add': 'Ajouter',
+  'packEditor.added': 'Ajoutée',
+  'packEditor.fromBank': 'Ajouter depuis la banque de questions',
+  'packEditor.searchPlaceholder': 'Rechercher des questions',
+  'packEditor.saving': 'Enregistrement...',
+  'packEditor.save': 'Enregistrer le pack',
+  'packEditor.cancel': 'Annuler',
+  'packEditor.writeFirst': 'Veuillez écrire une question',
+  'packEditor.alreadyInPack': 'Cette question est déjà dans le pack',
+  'packEditor.nameRequired': 'Veuillez nommer le pack',
+  'packEditor.saved': 'Pack de questions enregistré',
+  'packEditor.saveFailed': "Impossible d'enregistrer le pack de questions",
+
+  'submit.title': 'Proposer une question',
+  'submit.question': 'Question',
+  'submit.category': 'Catégorie',
+  'submit.difficulty': 'Difficulté',
+  'submit.submitting': 'Envoi...',
+  'submit.submit': 'Envoyer pour relecture',
+  'submit.writeFirst': 'Veuillez écrire une question',
+  'submit.thanks': 'Merci ! Votre question attend une relecture',
+  'submit.failed': "Impossible d'envoyer la question",
+  'submit.yourSuggestions': 'Vos propositions',
+  'submit.none': "Vous n'avez encore proposé aucune question.",
+  'submit.status.pending': 'en attente',
+  'submit.status.approved': 'acceptée',
+  'submit.status.rejected': 'refusée',
+  'submit.reason': 'Motif : {reason}',
+
+  'adminJobs.title': 'Tâches planifiées',
+  'adminJobs.refresh': 'Actualiser',
+  'adminJobs.loading': 'Chargement des tâches...',
+  'adminJobs.loadFailed': 'Impossible de charger les tâches',
+  'adminJobs.job': 'Tâche',
+  'adminJobs.schedule': 'Planification',
+  'adminJobs.lastRun': 'Dernière exécution',
+  'adminJobs.nextRun': 'Prochaine exécution',
+  'adminJobs.status.success': 'réussie',
+  'adminJobs.status.failed': 'échouée',
+  'adminJobs.status.running': 'en cours',
+  'adminJobs.none': "Aucune tâche n'a encore été planifiée.",
+
+  'moderationQueue.title': 'Modération',
+  'moderationQueue.tab.pending': 'En attente',
+  'moderationQueue.tab.approved': 'Acceptées',
+  'moderationQueue.tab.rejected': 'Refusées',
+  'moderationQueue.tab.flagged': 'Signalées',
+  'moderationQueue.loading': 'Chargement des propositions...',
+  'moderationQueue.loadFailed': 'Impossible de charger les propositions',
+  'moderationQueue.empty.pending': 'Aucune proposition en attente.',
+  'moderationQueue.empty.approved': 'Aucune proposition acceptée.',
+  'moderationQueue.empty.rejected': 'Aucune proposition refusée.',
+  'moderationQueue.noFlagged': 'Aucune question signalée.',
+  'moderationQueue.unknownPlayer': 'Joueur inconnu',
+  'moderationQueue.reasonPlaceholder': 'Motif affiché au joueur',
+  'moderationQueue.reasonRequired': 'Veuillez indiquer un motif',
+  'moderationQueue.reject': 'Refuser',
+  'moderationQueue.rejectEllipsis': 'Refuser...',
+  'moderationQueue.cancel': 'Annuler',
+  'moderationQueue.approve': 'Accepter',
+  'moderationQueue.approved': 'Question acceptée',
+  'moderationQueue.rejected': 'Question refusée',
+  'moderationQueue.approveFailed': "Impossible d'accepter la question",
+  'moderationQueue.rejectFailed': 'Impossible de refuser la question',
+  'moderationQueue.reviewedBy': 'relue par {name}',
+  'moderationQueue.reason': 'Motif : {reason}',
+  'moderationQueue.hidden': 'Masquée',
+  'moderationQueue.keep': 'Garder la question',
+  'moderationQueue.archive': 'Archiver',
+  'moderationQueue.flagsDismissed': 'Signalements ignorés',
+  'moderationQueue.archived': 'Question archivée',
+  'moderationQueue.reviewFailed': 'Impossible de traiter la question',
+
+  'footer.copyright': "© {year} Jeu Je n'ai jamais. Tous droits réservés.",
+  'footer.privacy': 'Politique de confidentialité',
+  'footer.terms': "Conditions d'utilisation",
+  'footer.contact': 'Contact',
+
+  'timer.reading': 'Temps de lecture',
+  'timer.takeYourTime': 'Prenez votre temps',
+  'timer.bonus_one': '+{count} point bonus',
+  'timer.bonus_other': '+{count} points bonus',
+  'timer.noBonus': 'Pas de bonus de temps',
+
+  'leaderboard.title': 'Classement',
+  'leaderboard.timeFrame.day': 'Jour',
+  'leaderboard.timeFrame.week': 'Semaine',
+  'leaderboard.timeFrame.month': 'Mois',
+  'leaderboard.timeFrame.all': 'Depuis le début',
+  'leaderboard.timeFrame.range': 'Personnalisée',
+  'leaderboard.pointsHeader.day': 'Points du jour',
+  'leaderboard.pointsHeader.week': 'Points de la semaine',
+  'leaderboard.pointsHeader.month': 'Points du mois',
+  'leaderboard.pointsHeader.all': 'Points au total',
+  'leaderboard.pointsHeader.range': 'Points de la période',
+  'leaderboard.rangeTo': 'au',
+  'leaderboard.loading': 'Chargement du classement...',
+  'leaderboard.rank': 'Rang',
+  'leaderboard.player': 'Joueur',
+  'leaderboard.empty': "Aucun joueur dans le classement pour l'instant.",
+  'leaderboard.loadFailed': 'Impossible de charger le classement',
+
+  'createRoom.language': 'Langue des questions',
+  'createRoom.languageHint': 'Tout le monde dans le salon verra les questions dans cette langue',
+  'createRoom.title': 'Créer un salon',
+  'createRoom.name': 'Nom du salon',
+  'createRoom.namePlaceholder': 'Saisissez le nom du salon',
+  'createRoom.type': 'Type de salon',
+  'createRoom.public': 'Public',
+  'createRoom.private': 'Privé',
+  'createRoom.passcode': 'Code',
+  'createRoom.passcodePlaceholder': 'Saisissez le code du salon',
+  'createRoom.maxPlayers': 'Joueurs max.',
+  'createRoom.rounds': 'Manches',
+  'createRoom.readingTime': 'Temps de lecture',
+  'createRoom.answerTime': 'Temps de réponse',
+  'createRoom.seconds': '{count} s',
+  'createRoom.scoring': 'Score',
+  'createRoom.packs': 'Packs de questions',
+  'createRoom.noPacks': 'Pas encore de pack de questions.',
+  'createRoom.wholeBank': 'Toute la banque de questions est utilisée',
+  'createRoom.selected': '{count} sélectionnés',
+  'createRoom.managePacks': 'Gérer les packs',
+  'createRoom.categories': 'Catégories',
+  'createRoom.allCategories': 'Toutes les catégories',
+  'createRoom.questionsAvailable_one': '{count} question disponible',
+  'createRoom.questionsAvailable_other': '{count} questions disponibles',
+  'createRoom.difficulty': 'Difficulté',
+  'createRoom.streakBonus': 'Bonus de série',
+  'createRoom.streak.flat': '+2 points par réponse consécutive',
+  'createRoom.streak.multiplier': "Multiplicateur (jusqu'à x3)",
+  'createRoom.streak.off': 'Désactivé',
+  'createRoom.streakHint': 'Récompense les réponses minoritaires plusieurs manches de suite',
+  'createRoom.creating': 'Création...',
+  'createRoom.create': 'Créer le salon',
+  'createRoom.nameRequired': 'Veuillez saisir un nom de salon',
+  'createRoom.passcodeRequired': 'Les salons privés nécessitent un code',
+  'createRoom.created': 'Salon créé',
+  'createRoom.failed': 'Impossible de créer le salon',
+
+  'lobby.ready': 'Je suis prêt',
+  'lobby.notReady': 'Je ne suis pas prêt',
+  'lobby.playerReady': 'Prêt',
+  'lobby.playerNotReady': 'Pas prêt',
+  'lobby.readyCount': '{count} joueurs prêts sur {total}',
+  'lobby.waitingForReady': 'En attente des joueurs ({count}/{total} prêts)',
+  'lobby.forceStart': 'Lancer quand même',
+  'lobby.forceStartConfirm': "Tout le monde n'est pas prêt. Lancer la partie quand même ?",
+  'lobby.startingIn_one': 'Début dans {count} seconde...',
+  'lobby.startingIn_other': 'Début dans {count} secondes...',
+  'lobby.autoStart': 'Lancement automatique',
+  'lobby.autoStartOff': "Non, l'hôte lance la partie",
+  'lobby.autoStartAfter_one': '{count} seconde après que tout le monde est prêt',
+  'lobby.autoStartAfter_other': '{count} secondes après que tout le monde est prêt',
+  'lobby.autoStartHint': 'La partie démarre toute seule dès que tous les joueurs sont prêts',
+
+  'absent.policyLabel': 'Si un joueur se déconnecte',
+  'absent.policy.skip': 'Passer son tour',
+  'absent.policy.drop': 'Le retirer après des manches manquées',
+  'absent.policy.pause': 'Mettre la partie en pause',
+  'absent.maxMissedRounds': 'Manches manquées avant le retrait',
+  'absent.missedRounds_one': 'après {count} manche',
+  'absent.missedRounds_other': 'après {count} manches',
+  'absent.policyHint.skip': "La partie continue et ses réponses comptent comme passées jusqu'à son retour",
+  'absent.policyHint.drop': 'La partie continue et les joueurs qui manquent trop de manches de suite sont retirés',
+  'absent.policyHint.pause': "La partie l'attend ; l'hôte peut continuer sans lui",
+  'absent.gamePaused': "Un joueur s'est déconnecté, la partie est en pause",
+  'absent.pausedBanner': 'Partie en pause',
+  'absent.waitingFor': 'En attente du retour de {names}...',
+  'absent.resumeWithout': 'Continuer sans eux',
+  'absent.resumed': 'Tout le monde est revenu, la partie continue',
+  'absent.resumedByHost': "L'hôte a relancé la partie",
+  'absent.playerDropped': '{name} a été retiré de la partie',
+  'absent.youWereDropped': 'Vous avez été retiré de la partie après une trop longue absence',
+  'absent.policyChanged': 'Joueurs déconnectés : {policy}',
+  'absent.dropConfirm': 'Retirer {name} de la partie ?',
+
+  'moderation.kickPrompt': 'Retirer {name} du salon ? Vous pouvez ajouter une raison :',
+  'moderation.banPrompt': 'Bannir {name} de ce salon ? Il ne pourra plus le rejoindre. Vous pouvez ajouter une raison :',
+  'moderation.transferConfirm': "Faire de {name} l'hôte ? Vous perdrez les commandes d'hôte.",
+  'moderation.actionsFor': 'Actions pour {name}',
+  'moderation.makeHost': 'Nommer hôte',
+  'moderation.kick': 'Retirer du salon',
+  'moderation.ban': 'Bannir du salon',
+  'moderation.failed': "L'action a échoué, veuillez réessayer",
+  'moderation.youWereKicked': "L'hôte vous a retiré du salon",
+  'moderation.youWereBanned': "L'hôte vous a banni de ce salon",
+  'moderation.playerRemoved': "{name} a été retiré par l'hôte",
+  'moderation.log': 'Journal de modération',
+  'moderation.logEntry.kick': '{actor} a retiré {target}',
+  'moderation.logEntry.ban': '{actor} a banni {target}',
+  'moderation.logEntry.drop': '{actor} a exclu {target} de la partie',
+  'moderation.logEntry.transfer-host': "{actor} a fait de {target} l'hôte",
+  'moderation.logEntry.autoDrop': '{target} a été retiré après trop de manches manquées',
+
+  'socketErrors.NOT_CONNECTED': "Vous n'êtes pas connecté au serveur de jeu. Vérifiez votre connexion et réessayez.",
+  'socketErrors.TIMEOUT': "Le serveur de jeu n'a pas répondu. Veuillez réessayer.",
+  'socketErrors.UNKNOWN_EVENT': "Le serveur de jeu n'a pas compris cette demande. Veuillez actualiser la page.",
+  'socketErrors.INVALID_PAYLOAD': 'Cette demande était invalide. Veuillez actualiser la page.',
+  'socketErrors.ROOM_NOT_FOUND': "Ce salon n'existe plus.",
+  'socketErrors.NOT_IN_ROOM': "Rejoignez d'abord le salon.",
+  'socketErrors.NOT_HOST': "Seul l'hôte peut faire cela.",
+  'socketErrors.GAME_NOT_STARTED': "La partie n'a pas encore commencé.",
+  'socketErrors.GAME_NOT_IN_PROGRESS': "La partie n'est pas en cours.",
+  'socketErrors.GAME_ALREADY_STARTED': 'La partie a déjà commencé.',
+  'socketErrors.ANSWERS_NOT_OPEN': "Patience, les réponses s'ouvrent après le temps de lecture.",
+  'socketErrors.ROUND_CLOSED': 'Le temps est écoulé pour cette manche.',
+  'socketErrors.ALREADY_ANSWERED': 'Votre réponse pour cette manche est déjà enregistrée.',
+  'socketErrors.GAME_PAUSED': "La partie est en pause jusqu'au retour de tout le monde.",
+  'socketErrors.GAME_NOT_PAUSED': "La partie n'est pas en pause.",
+  'socketErrors.PLAYER_NOT_FOUND': "Ce joueur n'est pas dans ce salon.",
+  'socketErrors.PLAYER_NOT_ABSENT': "Un joueur ne peut être retiré qu'après une absence prolongée.",
+  'socketErrors.INTERNAL_ERROR': 'Un problème est survenu sur le serveur. Veuillez réessayer.'
+};
+
+export default fr;
@@ -10,4 +10,13 @@ const api = axios.create({
   }
 });
 
-export default api;
\ No newline at end of file
+// Attach (or clear) the session token sent with every request
+export const setAuthToken = (token) => {
+  if (token) {
+    api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
+  } else {
+    delete api.defaults.headers.common['Authorization'];
+  }
+};
+
+export default api;
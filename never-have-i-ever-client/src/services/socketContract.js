@@ -0,0 +1,49 @@
+// src/services/socketContract.js
+
+// Version of the server's socket event contract this client was built against.
+// The server sends the full contract on connection and refuses other versions.
+export const CONTRACT_VERSION = 4;
+
+const OBJECT_ID_PATTERN = /^[0-9a-fA-F]{24}$/;
+
+const TYPE_CHECKS = {
+  objectId: value => OBJECT_ID_PATTERN.test(String(value)),
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  boolean: value => typeof value === 'boolean',
+  date: value => !Number.isNaN(new Date(value).getTime()),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value)
+};
+
+// Check a payload against the shape the contract gives an event.
+// Returns { code, message } describing the problem, or null if it is valid.
+export const validateEvent = (events, event, payload) => {
+  if (!Object.prototype.hasOwnProperty.call(events, event)) {
+    return { code: 'UNKNOWN_EVENT', message: `Unknown event "${event}"` };
+  }
+
+  const shape = events[event];
+  if (shape === null) return null;
+
+  if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+    return { code: 'INVALID_PAYLOAD', message: `"${event}" expects an object payload` };
+  }
+
+  for (const [field, spec] of Object.entries(shape)) {
+    const isOptional = spec.endsWith('?');
+    const type = isOptional ? spec.slice(0, -1) : spec;
+    const value = payload[field];
+
+    if (value === undefined || value === null) {
+      if (isOptional) continue;
+      return { code: 'INVALID_PAYLOAD', message: `"${event}" is missing ${field}` };
+    }
+
+    if (!TYPE_CHECKS[type]?.(value)) {
+      return { code: 'INVALID_PAYLOAD', message: `"${event}" expects ${field} to be a ${type}` };
+    }
+  }
+
+  return null;
+};
@@ -13,4 +13,38 @@ export const formatDate = (dateString) => {
   export const truncateText = (text, maxLength = 30) => {
     if (!text) return '';
     return text.length > maxLength ? `${text.substring(0, maxLength)}...` : text;
-  };
\ No newline at end of file
+  };
+  // Short "how long ago" label for a timestamp, e.g. "just now" or "5 min ago", using the t() from useTranslation
+  export const formatTimeAgo = (dateString, t) => {
+    const seconds = Math.max(0, Math.floor((Date.now() - new Date(dateString).getTime()) / 1000));
+    if (seconds < 60) return t('time.justNow');
+    if (seconds < 3600) return t('time.minutesAgo', { count: Math.floor(seconds / 60) });
+    if (seconds < 86400) return t('time.hoursAgo', { count: Math.floor(seconds / 3600) });
+    return formatDate(dateString);
+  };
+
+  // Derive the round clock from the timing fields on a room payload
+  export const getRoundClock = (room) => {
+    if (!room || room.status !== 'playing') return null;
+    if (room.roundPhase === 'results') {
+      return { round: room.currentRound, phase: 'results', secondsRemaining: 0 };
+    }
+
+    const now = Date.now();
+    const answersOpenAt = new Date(room.questionStartTime).getTime();
+    const roundEndsAt = room.roundEndsAt ? new Date(room.roundEndsAt).getTime() : null;
+
+    if (now < answersOpenAt) {
+      return {
+        round: room.currentRound,
+        phase: 'reading',
+        secondsRemaining: Math.ceil((answersOpenAt - now) / 1000)
+      };
+    }
+
+    return {
+      round: room.currentRound,
+      phase: 'answering',
+      secondsRemaining: roundEndsAt ? Math.max(0, Math.ceil((roundEndsAt - now) / 1000)) : 0
+    };
+  };